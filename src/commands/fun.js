@@ -9,6 +9,7 @@ const crypto = require('crypto');
 const mathjs = require('mathjs');
 const moment = require('moment');
 const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { activeGames } = require('../utils/userDatabase');
 
 /**
  * Helper function to check if games are enabled for a group
@@ -30,14 +31,9 @@ async function areGamesEnabled(sock, remoteJid) {
 
 // Game state initialization - improved with timeouts and better state tracking
 function initializeGameState() {
+    // Game maps are persisted by userDatabase so running games survive restarts
     if (!global.games) {
-        global.games = {
-            tictactoe: new Map(),
-            hangman: new Map(),
-            wordle: new Map(),
-            quiz: new Map(),
-            trivia: new Map()
-        };
+        global.games = activeGames;
     }
 
     // Clean up expired games every hour
@@ -794,95 +790,6 @@ const funCommands = {
         }
     },
 
-    async quiz(sock, message, args) {
-        try {
-            const sender = message.key.remoteJid;
-            if (!(await areGamesEnabled(sock, sender))) return;
-            
-            if (!global.games.quiz) global.games.quiz = new Map();
-            const gameId = sender;
-            let game = global.games.quiz.get(gameId);
-            
-            // List of quiz questions
-            const questions = [
-                {
-                    question: "What is the capital of France?",
-                    options: ["London", "Paris", "Berlin", "Madrid"],
-                    answer: 1 // Paris (index 1)
-                },
-                {
-                    question: "Which planet is known as the Red Planet?",
-                    options: ["Earth", "Mars", "Jupiter", "Venus"],
-                    answer: 1 // Mars (index 1)
-                },
-                {
-                    question: "Who painted the Mona Lisa?",
-                    options: ["Vincent van Gogh", "Pablo Picasso", "Leonardo da Vinci", "Michelangelo"],
-                    answer: 2 // Leonardo da Vinci (index 2)
-                },
-                {
-                    question: "What is the largest ocean on Earth?",
-                    options: ["Atlantic Ocean", "Indian Ocean", "Arctic Ocean", "Pacific Ocean"],
-                    answer: 3 // Pacific Ocean (index 3)
-                },
-                {
-                    question: "Which element has the chemical symbol 'O'?",
-                    options: ["Gold", "Oxygen", "Osmium", "Oganesson"],
-                    answer: 1 // Oxygen (index 1)
-                }
-            ];
-            
-            // Create new game if no active game or command is "new"
-            if (!game || args[0]?.toLowerCase() === 'new') {
-                const randomQuestion = questions[Math.floor(Math.random() * questions.length)];
-                game = {
-                    question: randomQuestion.question,
-                    options: randomQuestion.options,
-                    answer: randomQuestion.answer,
-                    lastActivity: Date.now()
-                };
-                global.games.quiz.set(gameId, game);
-                
-                let questionText = `🎮 Quiz Time!\n\n${game.question}\n\n`;
-                for (let i = 0; i < game.options.length; i++) {
-                    questionText += `${i + 1}. ${game.options[i]}\n`;
-                }
-                questionText += "\nReply with the number of your answer.";
-                
-                await safeSendText(sock, sender, questionText);
-                return;
-            }
-            
-            // Handle "exit" command
-            if (args[0]?.toLowerCase() === 'exit') {
-                global.games.quiz.delete(gameId);
-                await safeSendText(sock, sender, `🎮 Quiz exited. The answer was: ${game.options[game.answer]}`);
-                return;
-            }
-            
-            // Parse answer
-            const answer = parseInt(args[0]) - 1;
-            if (isNaN(answer) || answer < 0 || answer >= game.options.length) {
-                await safeSendText(sock, sender, `❌ Please enter a number between 1 and ${game.options.length}.`);
-                return;
-            }
-            
-            // Check answer
-            if (answer === game.answer) {
-                await safeSendText(sock, sender, `🎮 Quiz\n\n✅ Correct! "${game.options[game.answer]}" is the right answer!`);
-            } else {
-                await safeSendText(sock, sender, `🎮 Quiz\n\n❌ Wrong! The correct answer was: "${game.options[game.answer]}"`);
-            }
-            
-            // End game
-            global.games.quiz.delete(gameId);
-            
-        } catch (err) {
-            logger.error('Quiz error:', err);
-            await safeSendText(sock, sender, '❌ An error occurred with the Quiz game.');
-        }
-    },
-
     async rps(sock, message, args) {
         try {
             const sender = message.key.remoteJid;
@@ -1206,120 +1113,6 @@ const funCommands = {
         }
     },
 
-    async trivia(sock, message, args) {
-        try {
-            const sender = message.key.remoteJid;
-            if (!(await areGamesEnabled(sock, sender))) return;
-            
-            if (!global.games.trivia) global.games.trivia = new Map();
-            const gameId = sender;
-            let game = global.games.trivia.get(gameId);
-            
-            // List of trivia questions
-            const questions = [
-                {
-                    question: "What is the largest planet in our solar system?",
-                    options: ["Earth", "Mars", "Jupiter", "Saturn"],
-                    answer: 2 // Jupiter (index 2)
-                },
-                {
-                    question: "What is the smallest country in the world?",
-                    options: ["Monaco", "Vatican City", "San Marino", "Liechtenstein"],
-                    answer: 1 // Vatican City (index 1)
-                },
-                {
-                    question: "What is the hardest natural substance on Earth?",
-                    options: ["Gold", "Iron", "Diamond", "Titanium"],
-                    answer: 2 // Diamond (index 2)
-                },
-                {
-                    question: "What is the largest organ in the human body?",
-                    options: ["Heart", "Liver", "Brain", "Skin"],
-                    answer: 3 // Skin (index 3)
-                },
-                {
-                    question: "Which of these is NOT a programming language?",
-                    options: ["Java", "Python", "Firefox", "Ruby"],
-                    answer: 2 // Firefox (index 2)
-                }
-            ];
-            
-            // Create new game if no active game or command is "new"
-            if (!game || args[0]?.toLowerCase() === 'new') {
-                const randomQuestion = questions[Math.floor(Math.random() * questions.length)];
-                game = {
-                    question: randomQuestion.question,
-                    options: randomQuestion.options,
-                    answer: randomQuestion.answer,
-                    lastActivity: Date.now()
-                };
-                global.games.trivia.set(gameId, game);
-                
-                let questionText = `🎮 Trivia Time!\n\n${game.question}\n\n`;
-                for (let i = 0; i < game.options.length; i++) {
-                    questionText += `${i + 1}. ${game.options[i]}\n`;
-                }
-                questionText += "\nReply with the number of your answer.";
-                
-                await safeSendText(sock, sender, questionText);
-                return;
-            }
-            
-            // Handle "exit" command
-            if (args[0]?.toLowerCase() === 'exit') {
-                global.games.trivia.delete(gameId);
-                await safeSendText(sock, sender, `🎮 Trivia exited. The answer was: ${game.options[game.answer]}`);
-                return;
-            }
-            
-            // Parse answer
-            const answer = parseInt(args[0]) - 1;
-            if (isNaN(answer) || answer < 0 || answer >= game.options.length) {
-                await safeSendText(sock, sender, `❌ Please enter a number between 1 and ${game.options.length}.`);
-                return;
-            }
-            
-            // Check answer
-            if (answer === game.answer) {
-                await safeSendText(sock, sender, `🎮 Trivia\n\n✅ Correct! "${game.options[game.answer]}" is the right answer!`);
-            } else {
-                await safeSendText(sock, sender, `🎮 Trivia\n\n❌ Wrong! The correct answer was: "${game.options[game.answer]}"`);
-            }
-            
-            // End game
-            global.games.trivia.delete(gameId);
-            
-        } catch (err) {
-            logger.error('Trivia error:', err);
-            await safeSendText(sock, sender, '❌ An error occurred with the Trivia game.');
-        }
-    },
-
-    async _8ball(sock, sender, args) {
-        try {
-            if (!args || args.length === 0) {
-                await safeSendText(sock, sender, "🎱 8-Ball\n\nAsk me a yes/no question!");
-                return;
-            }
-            
-            const responses = [
-                'It is certain.', 'It is decidedly so.', 'Without a doubt.',
-                'Yes, definitely.', 'You may rely on it.', 'As I see it, yes.',
-                'Most likely.', 'Outlook good.', 'Signs point to yes.',
-                'Reply hazy, try again.', 'Ask again later.', 'Better not tell you now.',
-                'Cannot predict now.', 'Concentrate and ask again.',
-                'Don\'t count on it.', 'My reply is no.', 'My sources say no.',
-                'Outlook not so good.', 'Very doubtful.'
-            ];
-            
-            const randomResponse = responses[Math.floor(Math.random() * responses.length)];
-            await safeSendText(sock, sender, `🎱 ${randomResponse}`);
-        } catch (err) {
-            logger.error('8ball error:', err);
-            await safeSendText(sock, sender, '❌ An error occurred.');
-        }
-    },
-
     async slot(sock, sender) {
         try {
             if (!(await areGamesEnabled(sock, sender))) return;
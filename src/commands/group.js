@@ -1,7 +1,26 @@
 const logger = require('../utils/logger');
-const { isAdmin, isBotAdmin, isOwner, normalizeJidForComparison } = require('../utils/permissions');
-const { downloadMediaMessage, formatPhoneNumber, formatPhoneForMention, formatNumber } = require('../utils/helpers');
-const { getGroupSettings, saveGroupSettings } = require('../utils/groupSettings');
+const config = require('../config/config');
+const { isAdmin, isBotAdmin, isOwner, hasCommandPermission, normalizeJidForComparison } = require('../utils/permissions');
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { formatPhoneNumber, formatPhoneForMention, formatNumber } = require('../utils/helpers');
+const { getDefaultFilterSettings, parseFilterEntry, validatePattern, findToxicMatch, MAX_ENTRIES, MAX_ENTRY_LENGTH } = require('../utils/toxicFilter');
+const { getDefaultLinkFilterSettings, normalizeDomain, LINK_MODES, INVITE_MODES } = require('../utils/linkFilter');
+const { getGroupSettings, updateGroupSettings, saveGroupSettingsKeys, isFeatureEnabled, setFeatureEnabled, getFeatureSettings, getModerationRule, getDefaultRaidState, MODERATION_ACTIONS, LADDER_ACTIONS } = require('../utils/groupSettings');
+const { releaseRaidLockdown, sendGreeting, formatRules } = require('../handlers/groupParticipantHandler');
+const { getCaptchaConfig, passCaptcha, expireCaptcha } = require('../handlers/captchaHandler');
+const { getActiveMutes, addMute, liftMute, expireMute } = require('../handlers/muteHandler');
+const { logModAction, readModLog, formatModLogEntry, getEntryMentions, exportModLogCsv } = require('../utils/modLog');
+const { CAPTCHA_TYPES } = require('../utils/captcha');
+const { getRoleSettings, getMemberRoles, normalizeRoleName, userKey, MAX_ROLES } = require('../utils/roles');
+const { jobScheduler } = require('../utils/scheduler');
+const quiz = require('../utils/quiz');
+const wordChain = require('../utils/wordChain');
+const federations = require('../utils/federations');
+const autoReply = require('../utils/autoReply');
+const groupStats = require('../utils/groupStats');
+const levelingConfig = require('../utils/levelingConfig');
+const leaderboards = require('../utils/leaderboards');
+const { MAX_POLL_OPTIONS, tallyPoll, getOpenPolls, createPoll, recordVote, closePoll, closePollJob, formatPollResults, exportPollCsv } = require('../utils/polls');
 const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
 const path = require('path');
 const fs = require('fs');
@@ -58,6 +77,532 @@ function formatDuration(seconds) {
     return `${Math.floor(seconds / 86400)} days`;
 }
 
+// Per-member mutes: 1 hour unless a duration is given, at most 30 days
+const DEFAULT_MUTE_DURATION = 60 * 60;
+const MAX_MUTE_DURATION = 30 * 24 * 60 * 60;
+
+/**
+ * Find the member a mute command is about and the arguments after them
+ * @param {Object} message Command message
+ * @param {Array<string>} args Command arguments
+ * @returns {{target: string|null, rest: Array<string>}} Member JID (null for the whole group) and remaining arguments
+ */
+function parseMuteTarget(message, args) {
+    const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+    let target = contextInfo?.mentionedJid?.[0] || null;
+    let rest = [...args];
+
+    if (args[0] && /^@?\+?\d{5,}$/.test(args[0])) {
+        target = target || `${args[0].replace(/[@+]/g, '')}@s.whatsapp.net`;
+        rest = args.slice(1);
+    } else if (!target && contextInfo?.participant) {
+        // Replying to a member's message
+        target = contextInfo.participant;
+    }
+
+    return { target, rest };
+}
+
+const MODERATION_LABELS = {
+    antilink: 'Anti-link',
+    antispam: 'Anti-spam',
+    antitoxic: 'Anti-toxic'
+};
+
+/**
+ * Describe a moderation rule's configuration
+ * @param {string} rule Rule name
+ * @param {Object} settings Group settings
+ * @returns {string} Formatted status text
+ */
+function formatModerationRule(rule, settings) {
+    const config = getModerationRule(settings, rule);
+    const ladder = config.ladder.length > 0
+        ? config.ladder.map(step =>
+            `  • ${step.warnings} warnings → ${step.action}${step.action === 'mute' ? ` (${formatDuration(step.duration || config.muteDuration)})` : ''}`
+        ).join('\n')
+        : '  • none';
+
+    let text = `🛡️ *${MODERATION_LABELS[rule]}*: ${settings[rule] ? '✅ On' : '❌ Off'}\n\n` +
+        `Action: *${config.action}*\n` +
+        `Mute duration: ${formatDuration(config.muteDuration)}\n` +
+        `Warning decay: ${config.warningDecay > 0 ? formatDuration(config.warningDecay) : 'never'}\n`;
+    if (rule === 'antispam') {
+        text += `Limit: ${config.limit} messages per minute\n`;
+    }
+    text += `Ladder:\n${ladder}`;
+    if (rule === 'antilink') {
+        text += `\n\n${formatLinkFilter(settings)}`;
+    }
+    return text;
+}
+
+// Antilink subcommands that manage the group's link filter rather than the action ladder
+const LINK_FILTER_SUBCOMMANDS = ['allow', 'unallow', 'block', 'unblock', 'domains', 'mode', 'invites', 'trust', 'untrust', 'trusted'];
+
+const INVITE_MODE_LABELS = {
+    others: 'invites to other groups are blocked',
+    all: 'all invites are blocked',
+    allow: 'invites are allowed'
+};
+
+/**
+ * Describe a group's link filter
+ * @param {Object} settings Group settings
+ * @returns {string} Formatted link filter text
+ */
+function formatLinkFilter(settings) {
+    const filter = { ...getDefaultLinkFilterSettings(), ...(settings.linkFilter || {}) };
+    return `Mode: *${filter.mode}* (${filter.mode === 'all' ? 'every link except allowed domains' : 'only blocked domains'})\n` +
+        `Invites: *${filter.invites}* (${INVITE_MODE_LABELS[filter.invites]})\n` +
+        `Allowed: ${filter.allow.length > 0 ? filter.allow.join(', ') : 'none'}\n` +
+        `Blocked: ${filter.block.length > 0 ? filter.block.join(', ') : 'none'}\n` +
+        `Trusted members: ${filter.trusted.length}`;
+}
+
+/**
+ * Handle the link filter subcommands of .antilink (domain lists, invite rule, trusted members)
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Command message
+ * @param {Array<string>} args Command arguments
+ * @param {Object} settings Group settings
+ */
+async function handleLinkFilterCommand(sock, message, args, settings) {
+    const remoteJid = message.key.remoteJid;
+    const filter = { ...getDefaultLinkFilterSettings(), ...(settings.linkFilter || {}) };
+    const subcommand = args[0].toLowerCase();
+    let reply;
+
+    switch (subcommand) {
+        case 'allow':
+        case 'unallow':
+        case 'block':
+        case 'unblock': {
+            const domain = normalizeDomain(args[1]);
+            if (!domain) {
+                await safeSendText(sock, remoteJid, `❌ Usage: !antilink ${subcommand} <domain>\nExample: !antilink ${subcommand} youtube.com` );
+                return;
+            }
+
+            const list = subcommand.endsWith('allow') ? 'allow' : 'block';
+            const other = list === 'allow' ? 'block' : 'allow';
+            if (subcommand.startsWith('un')) {
+                if (!filter[list].includes(domain)) {
+                    await safeSendText(sock, remoteJid, `❌ ${domain} is not on the ${list} list` );
+                    return;
+                }
+                filter[list] = filter[list].filter(d => d !== domain);
+                reply = `✅ Removed ${domain} from the ${list} list`;
+            } else {
+                if (filter[list].includes(domain)) {
+                    await safeSendText(sock, remoteJid, `❌ ${domain} is already on the ${list} list` );
+                    return;
+                }
+                // A domain can only be on one list
+                filter[other] = filter[other].filter(d => d !== domain);
+                filter[list].push(domain);
+                reply = `✅ ${domain} (and its subdomains) ${list === 'allow' ? 'is now allowed' : 'is now blocked'}`;
+            }
+            break;
+        }
+
+        case 'domains':
+            await safeSendText(sock, remoteJid, `🔗 *Link Filter*\n\n${formatLinkFilter(settings)}` );
+            return;
+
+        case 'mode': {
+            const mode = (args[1] || '').toLowerCase();
+            if (!LINK_MODES.includes(mode)) {
+                await safeSendText(sock, remoteJid, '❌ Usage: !antilink mode <all/listed>\n\n' +
+                    '*all* - remove every link except allowed domains\n' +
+                    '*listed* - only remove links to blocked domains' );
+                return;
+            }
+            filter.mode = mode;
+            reply = `✅ Link filter mode set to *${mode}*`;
+            break;
+        }
+
+        case 'invites': {
+            const mode = (args[1] || '').toLowerCase();
+            if (!INVITE_MODES.includes(mode)) {
+                await safeSendText(sock, remoteJid, '❌ Usage: !antilink invites <others/all/allow>\n\n' +
+                    '*others* - block invites to other groups, allow this group\'s own link\n' +
+                    '*all* - block every group invite\n' +
+                    '*allow* - allow all group invites' );
+                return;
+            }
+            filter.invites = mode;
+            reply = `✅ Group invite rule updated: ${INVITE_MODE_LABELS[mode]}`;
+            break;
+        }
+
+        case 'trust':
+        case 'untrust': {
+            const mentioned = message.message?.extendedTextMessage?.contextInfo?.mentionedJid?.[0] ||
+                message.message?.extendedTextMessage?.contextInfo?.participant;
+            const target = mentioned || (args[1] ? `${args[1].replace(/[@+\s]/g, '')}@s.whatsapp.net` : null);
+            if (!target) {
+                await safeSendText(sock, remoteJid, `❌ Usage: !antilink ${subcommand} @user` );
+                return;
+            }
+
+            const tag = `@${target.split('@')[0]}`;
+            if (subcommand === 'trust') {
+                if (!filter.trusted.includes(target)) filter.trusted.push(target);
+                reply = `✅ ${tag} can now post links`;
+            } else {
+                filter.trusted = filter.trusted.filter(jid => jid !== target);
+                reply = `✅ ${tag} is no longer exempt from anti-link`;
+            }
+
+            settings.linkFilter = filter;
+            await saveGroupSettingsKeys(remoteJid, settings, 'linkFilter');
+            await safeSendMessage(sock, remoteJid, { text: reply, mentions: [target] });
+            return;
+        }
+
+        case 'trusted': {
+            if (filter.trusted.length === 0) {
+                await safeSendText(sock, remoteJid, '📋 No trusted members. Use !antilink trust @user to add one' );
+                return;
+            }
+            const list = filter.trusted.map((jid, i) => `${i + 1}. @${jid.split('@')[0]}`).join('\n');
+            await safeSendMessage(sock, remoteJid, {
+                text: `📋 *Members exempt from anti-link:*\n\n${list}`,
+                mentions: filter.trusted
+            });
+            return;
+        }
+    }
+
+    settings.linkFilter = filter;
+    await saveGroupSettingsKeys(remoteJid, settings, 'linkFilter');
+    await safeSendText(sock, remoteJid, reply );
+}
+
+/**
+ * Shared handler for .antilink/.antispam/.antitoxic and their action ladder subcommands
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Command message
+ * @param {Array<string>} args Command arguments
+ * @param {string} rule Rule name (antilink, antispam, antitoxic)
+ */
+async function handleModerationCommand(sock, message, args, rule) {
+    const remoteJid = message.key.remoteJid;
+    const label = MODERATION_LABELS[rule];
+
+    if (!remoteJid.endsWith('@g.us')) {
+        await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+        return;
+    }
+
+    const sender = message.key.participant || message.key.remoteJid;
+    const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, rule);
+    if (!canUseCommand) {
+        await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+        return;
+    }
+
+    const usage = `❌ Usage:\n` +
+        `!${rule} <on/off>\n` +
+        `!${rule} status\n` +
+        `!${rule} action <${MODERATION_ACTIONS.join('/')}>\n` +
+        `!${rule} ladder <warnings> <${LADDER_ACTIONS.join('/')}> [duration]\n` +
+        `!${rule} ladder remove <warnings> | ladder clear\n` +
+        `!${rule} muteduration <duration>\n` +
+        `!${rule} decay <duration/off>` +
+        (rule === 'antispam' ? `\n!${rule} limit <messages per minute>` : '') +
+        (rule === 'antilink' ? `\n!${rule} allow/unallow/block/unblock <domain>\n` +
+            `!${rule} domains\n` +
+            `!${rule} mode <${LINK_MODES.join('/')}>\n` +
+            `!${rule} invites <${INVITE_MODES.join('/')}>\n` +
+            `!${rule} trust/untrust @user | trusted` : '');
+
+    const settings = await getGroupSettings(remoteJid);
+    const config = getModerationRule(settings, rule);
+    const subcommand = (args[0] || '').toLowerCase();
+    const value = (args[1] || '').toLowerCase();
+
+    if (rule === 'antilink' && LINK_FILTER_SUBCOMMANDS.includes(subcommand)) {
+        await handleLinkFilterCommand(sock, message, args, settings);
+        return;
+    }
+
+    switch (subcommand) {
+        case 'on':
+        case 'off':
+            settings[rule] = subcommand === 'on';
+            await saveGroupSettingsKeys(remoteJid, settings, rule);
+            await safeSendMessage(sock, remoteJid, {
+                text: `✅ ${label} has been turned ${subcommand}`
+            });
+            return;
+
+        case '':
+        case 'status':
+            await safeSendText(sock, remoteJid, formatModerationRule(rule, settings) );
+            return;
+
+        case 'action':
+            if (!MODERATION_ACTIONS.includes(value)) {
+                await safeSendText(sock, remoteJid, `❌ Action must be one of: ${MODERATION_ACTIONS.join(', ')}` );
+                return;
+            }
+            config.action = value;
+            break;
+
+        case 'ladder': {
+            if (value === 'clear') {
+                config.ladder = [];
+                break;
+            }
+            if (value === 'remove') {
+                const warnings = parseInt(args[2]);
+                config.ladder = config.ladder.filter(step => step.warnings !== warnings);
+                break;
+            }
+
+            const warnings = parseInt(args[1]);
+            const action = (args[2] || '').toLowerCase();
+            if (isNaN(warnings) || warnings < 1 || !LADDER_ACTIONS.includes(action)) {
+                await safeSendText(sock, remoteJid, usage );
+                return;
+            }
+
+            const step = { warnings, action };
+            if (action === 'mute' && args[3]) {
+                const duration = parseDuration(args[3]);
+                if (!duration) {
+                    await safeSendText(sock, remoteJid, '❌ Invalid duration. Use formats like 30m, 2h or 1d' );
+                    return;
+                }
+                step.duration = duration;
+            }
+
+            config.ladder = config.ladder.filter(existing => existing.warnings !== warnings);
+            config.ladder.push(step);
+            config.ladder.sort((a, b) => a.warnings - b.warnings);
+            break;
+        }
+
+        case 'muteduration': {
+            const duration = parseDuration(value);
+            if (!duration) {
+                await safeSendText(sock, remoteJid, '❌ Invalid duration. Use formats like 30m, 2h or 1d' );
+                return;
+            }
+            config.muteDuration = duration;
+            break;
+        }
+
+        case 'decay': {
+            if (value === 'off' || value === '0') {
+                config.warningDecay = 0;
+                break;
+            }
+            const duration = parseDuration(value);
+            if (!duration) {
+                await safeSendText(sock, remoteJid, '❌ Invalid duration. Use formats like 12h, 7d or off' );
+                return;
+            }
+            config.warningDecay = duration;
+            break;
+        }
+
+        case 'limit': {
+            const limit = parseInt(value);
+            if (rule !== 'antispam' || isNaN(limit) || limit < 2 || limit > 100) {
+                await safeSendText(sock, remoteJid, rule === 'antispam' ? '❌ Limit must be between 2 and 100 messages per minute' : usage );
+                return;
+            }
+            config.limit = limit;
+            break;
+        }
+
+        default:
+            await safeSendText(sock, remoteJid, usage );
+            return;
+    }
+
+    if (!settings.moderation) settings.moderation = {};
+    settings.moderation[rule] = config;
+    await updateGroupSettings(remoteJid, current => {
+        current.moderation = { ...(current.moderation || {}), [rule]: config };
+    });
+
+    await safeSendText(sock, remoteJid, `✅ ${label} settings updated\n\n${formatModerationRule(rule, settings)}` );
+}
+
+const GREETING_PLACEHOLDERS = '{user} {number} {group} {desc} {memberCount} {rules} {date} {time} {inviter}';
+
+/**
+ * Shared handler for .setwelcome and .setgoodbye
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Command message
+ * @param {Array<string>} args Command arguments
+ * @param {string} type 'welcome' or 'goodbye'
+ */
+async function handleGreetingCommand(sock, message, args, type) {
+    const remoteJid = message.key.remoteJid;
+    const command = `set${type}`;
+
+    if (!remoteJid.endsWith('@g.us')) {
+        await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+        return;
+    }
+
+    const sender = message.key.participant || message.key.remoteJid;
+    const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, command);
+    if (!canUseCommand) {
+        await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+        return;
+    }
+
+    const settings = await getGroupSettings(remoteJid);
+    const messageKey = `${type}Message`;
+    const cardKey = `${type}Card`;
+    const subcommand = (args[0] || '').toLowerCase();
+
+    if (!subcommand) {
+        await safeSendText(sock, remoteJid,
+            `👋 *${type === 'welcome' ? 'Welcome' : 'Goodbye'} message*\n\n` +
+            `Message: ${settings[messageKey] || 'not set'}\n` +
+            `Image card: ${settings[cardKey] ? '✅ On' : '❌ Off'}\n\n` +
+            `*Usage:*\n` +
+            `!${command} <message>\n` +
+            `!${command} card <on/off>\n` +
+            `!${command} test\n` +
+            `!${command} off\n\n` +
+            `*Placeholders:* ${GREETING_PLACEHOLDERS}`
+        );
+        return;
+    }
+
+    if (subcommand === 'off') {
+        settings[messageKey] = null;
+        settings[cardKey] = false;
+        await saveGroupSettingsKeys(remoteJid, settings, messageKey, cardKey);
+        await safeSendText(sock, remoteJid, `✅ ${type === 'welcome' ? 'Welcome' : 'Goodbye'} message has been turned off` );
+        return;
+    }
+
+    if (subcommand === 'card') {
+        const value = (args[1] || '').toLowerCase();
+        if (!['on', 'off'].includes(value)) {
+            await safeSendText(sock, remoteJid, `❌ Usage: !${command} card <on/off>` );
+            return;
+        }
+        settings[cardKey] = value === 'on';
+        await saveGroupSettingsKeys(remoteJid, settings, cardKey);
+        await safeSendText(sock, remoteJid, `✅ ${type === 'welcome' ? 'Welcome' : 'Goodbye'} card has been turned ${value}` );
+        return;
+    }
+
+    if (subcommand === 'test') {
+        const groupMetadata = await sock.groupMetadata(remoteJid);
+        await sendGreeting(sock, type, { groupMetadata, settings, participant: sender, author: null }, true);
+        return;
+    }
+
+    // Keep the line breaks of the original message
+    const body = message.message?.conversation || message.message?.extendedTextMessage?.text || '';
+    const template = body.replace(/^\S+\s*/, '').trim() || args.join(' ');
+
+    settings[messageKey] = template;
+    await saveGroupSettingsKeys(remoteJid, settings, messageKey);
+    await safeSendText(sock, remoteJid, `✅ ${type === 'welcome' ? 'Welcome' : 'Goodbye'} message has been set. Use !${command} test to preview it` );
+}
+
+/**
+ * Get every stored poll of a group, oldest first
+ * @param {Object} settings Group settings
+ * @returns {Array<Object>} Polls with their IDs
+ */
+function getAllPolls(settings) {
+    return Object.entries(settings.polls || {})
+        .map(([id, poll]) => ({ ...poll, id: poll.id || id }))
+        .sort((a, b) => (a.created || 0) - (b.created || 0));
+}
+
+/**
+ * Parse a list of command names given as separate or comma-separated arguments
+ * @param {Array<string>} args Arguments
+ * @returns {Array<string>} Command names without prefixes
+ */
+function parseRoleCommands(args) {
+    return [...new Set(args.join(',')
+        .split(',')
+        .map(command => command.trim().toLowerCase().replace(/^[!.#]/, ''))
+        .filter(command => /^[a-z0-9]+$/.test(command)))];
+}
+
+/**
+ * Split rules text into single rules, dropping list numbering and bullets
+ * @param {string} text Rules text, one rule per line
+ * @returns {Array<string>} Rules
+ */
+function parseRulesText(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim().replace(/^(\d+[.)]|[-*•])\s*/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Parse the trigger and options of an auto-reply from the raw command text
+ * @param {string} text Command text after "add"
+ * @returns {{trigger: string, mode: string, cooldown: number|null, response: string}|null} Parsed auto-reply, or null without a trigger
+ */
+function parseAutoReplyInput(text) {
+    let mode = 'contains';
+    let cooldown = null;
+
+    const modeMatch = text.match(/(^|\s)--(exact|contains|regex)\b/i);
+    if (modeMatch) mode = modeMatch[2].toLowerCase();
+    const cooldownMatch = text.match(/(^|\s)--cooldown\s+(\S+)/i);
+    if (cooldownMatch) {
+        cooldown = /^\d+$/.test(cooldownMatch[2]) ? parseInt(cooldownMatch[2]) : parseDuration(cooldownMatch[2]);
+        if (cooldown === null) return null;
+    }
+    text = text.replace(/(^|\s)--cooldown\s+\S+/ig, ' ').replace(/(^|\s)--(exact|contains|regex)\b/ig, ' ').trim();
+
+    // Quoted triggers can contain spaces, otherwise the first word is the trigger
+    const quoted = text.match(/^["“”']([^"“”']+)["“”']\s*([\s\S]*)$/);
+    const [, trigger, response] = quoted || text.match(/^(\S+)\s*([\s\S]*)$/) || [];
+    if (!trigger) return null;
+
+    return { trigger: trigger.trim(), mode, cooldown, response: response.trim() };
+}
+
+/**
+ * Describe a group's leveling settings
+ * @param {Object} levelConfig Leveling settings
+ * @param {string|null} timezone Group timezone
+ * @returns {string} Settings overview
+ */
+function formatLevelingConfig(levelConfig, timezone) {
+    const { curve } = levelConfig;
+    const { multiplier, reasons } = levelingConfig.getXpMultiplier(levelConfig, timezone);
+    const events = levelConfig.events.filter(event => event.end > Date.now());
+
+    return '*📈 Leveling Settings*\n\n' +
+        `XP: ${levelConfig.xpEnabled ? '✅ on' : '❌ off'}\n` +
+        `No XP for: ${levelConfig.disabledTypes.join(', ') || 'nothing'}\n` +
+        `Cooldown: ${levelConfig.cooldown !== null ? formatDuration(levelConfig.cooldown) : 'default'}\n` +
+        `Curve: ${curve.type}${curve.type === 'default' ? '' : ` (base ${curve.base}${curve.type === 'exponential' ? `, factor ${curve.factor}` : ''})`}\n` +
+        `Weekend multiplier: x${levelConfig.weekendMultiplier}\n` +
+        `Current multiplier: x${multiplier}${reasons.length > 0 ? ` (${reasons.join(', ')})` : ''}\n\n` +
+        `*Events:*\n${events.length > 0
+            ? events.map(event => `  • ${event.name} x${event.multiplier} - ${event.start > Date.now() ? 'starts' : 'ends'} ${new Date(event.start > Date.now() ? event.start : event.end).toLocaleString()}`).join('\n')
+            : '  none'}\n\n` +
+        `*Ranks:*\n${levelConfig.ranks.length > 0
+            ? levelConfig.ranks.map(rank => `  • Level ${rank.level}: ${rank.title}`).join('\n')
+            : '  default titles'}\n\n` +
+        `*Rewards:*\n${levelConfig.rewards.length > 0
+            ? levelConfig.rewards.map(reward => `  • Level ${reward.level}: ${levelingConfig.formatReward(reward)}`).join('\n')
+            : '  none'}`;
+}
+
 // Group command handlers
 const groupCommands = {
     async everyone(sock, message, args) {
@@ -70,9 +615,9 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'everyone');
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins');
                 return;
             }
@@ -137,9 +682,9 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'bocchi');
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins');
                 return;
             }
@@ -200,9 +745,9 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'hier');
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins');
                 return;
             }
@@ -265,10 +810,10 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'kick');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -297,6 +842,7 @@ const groupCommands = {
             }
 
             await sock.groupParticipantsUpdate(remoteJid, [target], 'remove');
+            await logModAction(sock, remoteJid, { action: 'kick', actor: sender, target, reason: args.slice(1).join(' ') || null });
             await safeSendText(sock, remoteJid, '✅ User has been kicked from the group' );
 
         } catch (err) {
@@ -315,10 +861,10 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'add');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -336,6 +882,7 @@ const groupCommands = {
             const number = args[0].replace(/[^0-9]/g, '') + '@s.whatsapp.net';
 
             await sock.groupParticipantsUpdate(remoteJid, [number], 'add');
+            await logModAction(sock, remoteJid, { action: 'add', actor: sender, target: number });
             await safeSendText(sock, remoteJid, '✅ User has been added to the group' );
 
         } catch (err) {
@@ -354,10 +901,10 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'promote');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -380,6 +927,7 @@ const groupCommands = {
             }
 
             await sock.groupParticipantsUpdate(remoteJid, [target], 'promote');
+            await logModAction(sock, remoteJid, { action: 'promote', actor: sender, target });
             await safeSendText(sock, remoteJid, '✅ User has been promoted to admin' );
 
         } catch (err) {
@@ -398,10 +946,10 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'demote');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -438,6 +986,7 @@ const groupCommands = {
             }
 
             await sock.groupParticipantsUpdate(remoteJid, [target], 'demote');
+            await logModAction(sock, remoteJid, { action: 'demote', actor: sender, target });
             await safeSendText(sock, remoteJid, '✅ User has been demoted from admin' );
 
         } catch (err) {
@@ -456,25 +1005,67 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'mute');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
+            const { target, rest } = parseMuteTarget(message, args);
+
+            // Without a member the whole group is muted
+            if (!target) {
+                if (!isBotGroupAdmin) {
+                    await safeSendText(sock, remoteJid, '❌ I need to be an admin to mute the group' );
+                    return;
+                }
+
+                await sock.groupSettingUpdate(remoteJid, 'announcement');
+                await logModAction(sock, remoteJid, { action: 'lockdown', actor: sender, reason: args.join(' ') || null });
+                await safeSendText(sock, remoteJid, '🔇 Group has been muted' );
+                return;
+            }
+
             if (!isBotGroupAdmin) {
-                await safeSendText(sock, remoteJid, '❌ I need to be an admin to mute the group' );
+                await safeSendText(sock, remoteJid, '❌ I need to be an admin to delete messages from muted members' );
+                return;
+            }
+
+            if (await isAdmin(sock, remoteJid, target)) {
+                await safeSendText(sock, remoteJid, '❌ Admins cannot be muted' );
                 return;
             }
 
-            await sock.groupSettingUpdate(remoteJid, 'announcement');
-            await safeSendText(sock, remoteJid, '🔇 Group has been muted' );
+            let duration = DEFAULT_MUTE_DURATION;
+            if (rest[0] && /^\d+[smhd]$/.test(rest[0])) {
+                duration = parseDuration(rest.shift());
+                if (duration < 60 || duration > MAX_MUTE_DURATION) {
+                    await safeSendText(sock, remoteJid, '❌ Mute duration must be between 1m and 30d' );
+                    return;
+                }
+            }
+            const reason = rest.join(' ').trim() || null;
+
+            await updateGroupSettings(remoteJid, settings =>
+                addMute(settings, remoteJid, target, { duration, reason, by: sender }));
+            await logModAction(sock, remoteJid, {
+                action: 'mute',
+                actor: sender,
+                target,
+                reason: `${reason || 'No reason provided'} (${formatDuration(duration)})`
+            });
+
+            await safeSendMessage(sock, remoteJid, {
+                text: `🔇 @${target.split('@')[0]} has been muted for ${formatDuration(duration)}` +
+                    (reason ? `\nReason: ${reason}` : ''),
+                mentions: [target]
+            });
 
         } catch (err) {
             logger.error('Error in mute command:', err);
-            await safeSendText(sock, message.key.remoteJid, '❌ Failed to mute group' );
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to mute' );
         }
     },
 
@@ -488,28 +1079,46 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'unmute');
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
-            if (!isBotGroupAdmin) {
+            const { target } = parseMuteTarget(message, args);
+
+            if (target) {
+                const lifted = await updateGroupSettings(remoteJid, settings => liftMute(settings, target));
+                if (!lifted) {
+                    await safeSendText(sock, remoteJid, '❌ That member is not muted' );
+                    return;
+                }
+                await logModAction(sock, remoteJid, { action: 'unmute', actor: sender, target });
+
+                await safeSendMessage(sock, remoteJid, {
+                    text: `🔊 @${target.split('@')[0]} has been unmuted`,
+                    mentions: [target]
+                });
+                return;
+            }
+
+            if (!(await isBotAdmin(sock, remoteJid))) {
                 await safeSendText(sock, remoteJid, '❌ I need to be an admin to unmute the group' );
                 return;
             }
 
             await sock.groupSettingUpdate(remoteJid, 'not_announcement');
+            await logModAction(sock, remoteJid, { action: 'unlock', actor: sender });
             await safeSendText(sock, remoteJid, '🔊 Group has been unmuted' );
 
         } catch (err) {
             logger.error('Error in unmute command:', err);
-            await safeSendText(sock, message.key.remoteJid, '❌ Failed to unmute group' );
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to unmute' );
         }
     },
-    async antispam(sock, message, args) {
+
+    async mutes(sock, message, args) {
         try {
             const remoteJid = message.key.remoteJid;
 
@@ -519,34 +1128,40 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'mute');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
-            const [action] = args;
-            if (!action || !['on', 'off'].includes(action.toLowerCase())) {
-                await safeSendText(sock, remoteJid, '❌ Usage: !antispam <on/off>' );
+            // Expired mutes are dropped from the settings while listing
+            const mutes = await updateGroupSettings(remoteJid, settings => getActiveMutes(settings));
+
+            if (mutes.length === 0) {
+                await safeSendText(sock, remoteJid, '✅ Nobody is muted in this group' );
                 return;
             }
 
-            // Store the setting in the group settings map
-            const settings = await getGroupSettings(remoteJid);
-            settings.antispam = action.toLowerCase() === 'on';
-            await saveGroupSettings(remoteJid, settings);
+            const list = mutes.map((mute, i) => {
+                const left = Math.max(1, Math.round((mute.until - Date.now()) / 1000));
+                const by = mute.by && mute.by !== 'bot' ? `@${mute.by.split('@')[0]}` : 'auto-moderation';
+                return `${i + 1}. @${mute.userId.split('@')[0]} - ${formatDuration(left)} left\n` +
+                    `   By: ${by}${mute.reason ? `\n   Reason: ${mute.reason}` : ''}`;
+            }).join('\n');
 
+            const mentions = mutes.flatMap(mute => [mute.userId, mute.by]).filter(jid => jid && jid.includes('@'));
             await safeSendMessage(sock, remoteJid, {
-                text: `✅ Anti-spam has been turned ${action.toLowerCase()}`
+                text: `🔇 *Muted Members* (${mutes.length})\n\n${list}`,
+                mentions
             });
 
         } catch (err) {
-            logger.error('Error in antispam command:', err);
-            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update anti-spam settings' );
+            logger.error('Error in mutes command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to list mutes' );
         }
     },
 
-    async antilink(sock, message, args) {
+    async modlog(sock, message, args) {
         try {
             const remoteJid = message.key.remoteJid;
 
@@ -556,34 +1171,99 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'modlog');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
-            const [action] = args;
-            if (!action || !['on', 'off'].includes(action.toLowerCase())) {
-                await safeSendText(sock, remoteJid, '❌ Usage: !antilink <on/off>' );
+            const subcommand = (args[0] || '').toLowerCase();
+
+            if (subcommand === 'channel') {
+                const settings = await getGroupSettings(remoteJid);
+                const value = (args[1] || '').toLowerCase();
+
+                if (!value) {
+                    await safeSendText(sock, remoteJid, settings.modLogChannel
+                        ? `📋 Moderation log is mirrored to ${settings.modLogChannel}`
+                        : '📋 No log channel set. Use !modlog channel <group id> to mirror entries into an admin group' );
+                    return;
+                }
+
+                if (value === 'off') {
+                    settings.modLogChannel = null;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'modLogChannel');
+                    await safeSendText(sock, remoteJid, '✅ Log channel removed' );
+                    return;
+                }
+
+                const channel = value.endsWith('@g.us') ? value : `${value}@g.us`;
+                if (channel === remoteJid) {
+                    await safeSendText(sock, remoteJid, '❌ The log channel must be a different group' );
+                    return;
+                }
+
+                // Only admins of the log group may point logs at it
+                try {
+                    await sock.groupMetadata(channel);
+                } catch (err) {
+                    await safeSendText(sock, remoteJid, '❌ I am not a member of that group' );
+                    return;
+                }
+                if (!(await isAdmin(sock, channel, sender))) {
+                    await safeSendText(sock, remoteJid, '❌ You need to be an admin of the log group' );
+                    return;
+                }
+
+                settings.modLogChannel = channel;
+                await saveGroupSettingsKeys(remoteJid, settings, 'modLogChannel');
+                await safeSendText(sock, remoteJid, `✅ Moderation log entries will be mirrored to ${channel}` );
+                return;
+            }
+
+            const exporting = subcommand === 'export';
+            const options = exporting ? args.slice(1) : args;
+            const contextInfo = message.message?.extendedTextMessage?.contextInfo;
+            const mentioned = contextInfo?.mentionedJid?.[0] || null;
+            const userArg = options.find(arg => /^@?\+?\d{5,}$/.test(arg));
+            const target = mentioned || (userArg ? `${userArg.replace(/[@+]/g, '')}@s.whatsapp.net` : null);
+
+            if (exporting) {
+                const entries = await readModLog(remoteJid, { target });
+                if (entries.length === 0) {
+                    await safeSendText(sock, remoteJid, '📋 The moderation log is empty' );
+                    return;
+                }
+                await safeSendMessage(sock, remoteJid, {
+                    document: Buffer.from(exportModLogCsv(entries)),
+                    mimetype: 'text/csv',
+                    fileName: `modlog_${remoteJid.split('@')[0]}${target ? `_${target.split('@')[0]}` : ''}.csv`,
+                    caption: `📋 Moderation log (${entries.length} entries)`
+                });
                 return;
             }
 
-            // Store the setting in the group settings map
-            const settings = await getGroupSettings(remoteJid);
-            settings.antilink = action.toLowerCase() === 'on';
-            await saveGroupSettings(remoteJid, settings);
+            const countArg = options.find(arg => /^\d{1,3}$/.test(arg));
+            const limit = Math.min(parseInt(countArg) || 10, 50);
+            const entries = await readModLog(remoteJid, { target, limit });
+            if (entries.length === 0) {
+                await safeSendText(sock, remoteJid, target ? '📋 No moderation actions for that member' : '📋 The moderation log is empty' );
+                return;
+            }
 
             await safeSendMessage(sock, remoteJid, {
-                text: `✅ Anti-link has been turned ${action.toLowerCase()}`
+                text: `📋 *Moderation Log*${target ? ` for @${target.split('@')[0]}` : ''} (last ${entries.length})\n\n` +
+                    entries.map(formatModLogEntry).join('\n\n'),
+                mentions: getEntryMentions(entries)
             });
 
         } catch (err) {
-            logger.error('Error in antilink command:', err);
-            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update anti-link settings' );
+            logger.error('Error in modlog command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to read the moderation log' );
         }
     },
 
-    async antitoxic(sock, message, args) {
+    async fed(sock, message, args) {
         try {
             const remoteJid = message.key.remoteJid;
 
@@ -593,34 +1273,214 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const subcommand = (args[0] || 'info').toLowerCase();
+            const current = federations.getGroupFederation(remoteJid);
+            const usage = '*Usage:*\n' +
+                '!fed info - Show this group\'s federation\n' +
+                '!fed create <name> - Create a federation you own\n' +
+                '!fed join <name> - Add this group to a federation\n' +
+                '!fed leave - Remove this group from its federation\n' +
+                '!fed admin add|remove @user - Manage federation admins\n' +
+                '!fed bans - List federation bans\n' +
+                '!fed export - Send the ban list as a file\n' +
+                '!fed import - Merge a ban list (reply to an exported file)\n' +
+                '!fed delete - Delete the federation';
+
+            // Joining and leaving change what happens in this group, so group admins decide
+            if (['create', 'join', 'leave'].includes(subcommand) && !(await hasCommandPermission(sock, remoteJid, sender, 'fed'))) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
-            const [action] = args;
-            if (!action || !['on', 'off'].includes(action.toLowerCase())) {
-                await safeSendText(sock, remoteJid, '❌ Usage: !antitoxic <on/off>' );
+            if (subcommand === 'create' || subcommand === 'join') {
+                const name = federations.normalizeFederationName(args[1]);
+                if (!name) {
+                    await safeSendText(sock, remoteJid, '❌ Federation names are 2-32 letters, numbers, - or _' );
+                    return;
+                }
+
+                let fed;
+                if (subcommand === 'create') {
+                    fed = await federations.createFederation(name, sender);
+                    if (!fed) {
+                        await safeSendText(sock, remoteJid, `❌ A federation named *${name}* already exists` );
+                        return;
+                    }
+                } else {
+                    fed = federations.getFederation(name);
+                    if (!fed) {
+                        await safeSendText(sock, remoteJid, `❌ There is no federation named *${name}*` );
+                        return;
+                    }
+                    if (!federations.isFederationAdmin(fed, sender)) {
+                        await safeSendText(sock, remoteJid, '❌ Only federation admins can add groups to it' );
+                        return;
+                    }
+                    if (current === fed) {
+                        await safeSendText(sock, remoteJid, `ℹ️ This group is already in *${name}*` );
+                        return;
+                    }
+                }
+
+                await federations.joinFederation(fed, remoteJid);
+
+                // Members banned before the group joined are removed right away
+                const { removed } = await federations.enforceFederationBans(sock, fed, Object.keys(fed.bans), [remoteJid]);
+                await safeSendText(sock, remoteJid,
+                    `✅ This group is now part of the *${name}* federation` +
+                    (current && current !== fed ? ` (left *${current.name}*)` : '') +
+                    (removed.length > 0 ? `\n🚫 Removed ${removed.length} banned member${removed.length === 1 ? '' : 's'}` : '') +
+                    (await isBotAdmin(sock, remoteJid) ? '' : '\n⚠️ Make me an admin so federation bans can be enforced here'));
                 return;
             }
 
-            // Store the setting in the group settings map
-            const settings = await getGroupSettings(remoteJid);
-            settings.antitoxic = action.toLowerCase() === 'on';
-            await saveGroupSettings(remoteJid, settings);
+            if (!current) {
+                await safeSendText(sock, remoteJid, 'ℹ️ This group is not in a federation\n\n' + usage );
+                return;
+            }
 
-            await safeSendMessage(sock, remoteJid, {
-                text: `✅ Anti-toxic has been turned ${action.toLowerCase()}`
-            });
+            switch (subcommand) {
+                case 'info': {
+                    await safeSendMessage(sock, remoteJid, {
+                        text: `🤝 *Federation ${current.name}*\n\n` +
+                            `Owner: @${userKey(current.owner)}\n` +
+                            `Admins: ${current.admins.length > 0 ? current.admins.map(jid => `@${userKey(jid)}`).join(', ') : 'none'}\n` +
+                            `Groups: ${current.groups.length}\n` +
+                            `Bans: ${Object.keys(current.bans).length}\n` +
+                            `Created: ${new Date(current.created).toLocaleDateString()}`,
+                        mentions: [current.owner, ...current.admins]
+                    });
+                    return;
+                }
+
+                case 'leave': {
+                    await federations.leaveFederation(remoteJid);
+                    await safeSendText(sock, remoteJid, `✅ This group left the *${current.name}* federation` );
+                    return;
+                }
+
+                case 'bans': {
+                    const bans = Object.entries(current.bans).sort(([, a], [, b]) => b.time - a.time);
+                    if (bans.length === 0) {
+                        await safeSendText(sock, remoteJid, `📋 Nobody is banned in *${current.name}*` );
+                        return;
+                    }
+
+                    const shown = bans.slice(0, 30);
+                    await safeSendText(sock, remoteJid,
+                        `🚫 *Bans in ${current.name}* (${bans.length})\n\n` +
+                        shown.map(([number, ban], i) =>
+                            `${i + 1}. +${number} - ${new Date(ban.time).toLocaleDateString()}` +
+                            (ban.reason ? `\n   ${ban.reason}` : '') +
+                            (ban.source ? `\n   Imported from ${ban.source}` : '')
+                        ).join('\n') +
+                        (bans.length > shown.length ? `\n\n...and ${bans.length - shown.length} more, use !fed export for the full list` : ''));
+                    return;
+                }
+            }
+
+            // Everything below manages the federation itself
+            if (!federations.isFederationAdmin(current, sender)) {
+                await safeSendText(sock, remoteJid, '❌ Only federation admins can do that' );
+                return;
+            }
+
+            switch (subcommand) {
+                case 'admin': {
+                    const action = (args[1] || '').toLowerCase();
+                    const { target } = parseMuteTarget(message, args.slice(2));
+                    if (!['add', 'remove'].includes(action) || !target) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !fed admin add|remove @user' );
+                        return;
+                    }
+                    if (userKey(sender) !== userKey(current.owner)) {
+                        await safeSendText(sock, remoteJid, '❌ Only the federation owner can manage its admins' );
+                        return;
+                    }
+
+                    const isListed = current.admins.some(jid => userKey(jid) === userKey(target));
+                    if (action === 'add') {
+                        if (isListed || userKey(target) === userKey(current.owner)) {
+                            await safeSendText(sock, remoteJid, 'ℹ️ That member is already a federation admin' );
+                            return;
+                        }
+                        current.admins.push(target);
+                    } else {
+                        if (!isListed) {
+                            await safeSendText(sock, remoteJid, 'ℹ️ That member is not a federation admin' );
+                            return;
+                        }
+                        current.admins = current.admins.filter(jid => userKey(jid) !== userKey(target));
+                    }
+                    await federations.saveFederations();
+
+                    await safeSendMessage(sock, remoteJid, {
+                        text: `✅ @${userKey(target)} ${action === 'add' ? 'is now' : 'is no longer'} an admin of *${current.name}*`,
+                        mentions: [target]
+                    });
+                    return;
+                }
+
+                case 'export': {
+                    await safeSendMessage(sock, remoteJid, {
+                        document: Buffer.from(federations.exportFederationBans(current)),
+                        mimetype: 'application/json',
+                        fileName: `fedbans_${current.name}.json`,
+                        caption: `🚫 Ban list of *${current.name}* (${Object.keys(current.bans).length} bans)`
+                    });
+                    return;
+                }
+
+                case 'import': {
+                    const quoted = message.message.extendedTextMessage?.contextInfo?.quotedMessage;
+                    const document = message.message.documentMessage ||
+                        message.message.documentWithCaptionMessage?.message?.documentMessage ||
+                        quoted?.documentMessage ||
+                        quoted?.documentWithCaptionMessage?.message?.documentMessage;
+                    if (!document) {
+                        await safeSendText(sock, remoteJid, '❌ Reply to an exported ban list file with !fed import' );
+                        return;
+                    }
+
+                    const buffer = await downloadMediaMessage({ message: { documentMessage: document } }, 'buffer', {});
+                    let added;
+                    try {
+                        added = await federations.importFederationBans(current, buffer.toString('utf8'), sender);
+                    } catch (err) {
+                        await safeSendText(sock, remoteJid, '❌ That file is not a federation ban list' );
+                        return;
+                    }
+
+                    const { removed } = added.length > 0
+                        ? await federations.enforceFederationBans(sock, current, added)
+                        : { removed: [] };
+                    await safeSendText(sock, remoteJid,
+                        `✅ Imported ${added.length} new ban${added.length === 1 ? '' : 's'} into *${current.name}*` +
+                        (removed.length > 0 ? `\n🚫 Removed ${removed.length} member${removed.length === 1 ? '' : 's'} across the federation` : ''));
+                    return;
+                }
+
+                case 'delete': {
+                    if (userKey(sender) !== userKey(current.owner)) {
+                        await safeSendText(sock, remoteJid, '❌ Only the federation owner can delete it' );
+                        return;
+                    }
+                    await federations.deleteFederation(current.name);
+                    await safeSendText(sock, remoteJid, `✅ Federation *${current.name}* deleted, its bans no longer apply` );
+                    return;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid, usage );
+            }
 
         } catch (err) {
-            logger.error('Error in antitoxic command:', err);
-            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update anti-toxic settings' );
+            logger.error('Error in fed command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to manage the federation' );
         }
     },
 
-    async antiraid(sock, message, args) {
+    async fban(sock, message, args) {
         try {
             const remoteJid = message.key.remoteJid;
 
@@ -630,39 +1490,45 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
-                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+            const fed = federations.getGroupFederation(remoteJid);
+            if (!fed) {
+                await safeSendText(sock, remoteJid, '❌ This group is not in a federation, see !fed' );
                 return;
             }
-
-            const [action, threshold] = args;
-            if (!action || !['on', 'off'].includes(action.toLowerCase())) {
-                await safeSendText(sock, remoteJid, '❌ Usage: !antiraid <on/off> [max_joins_per_minute]'
-                );
+            if (!federations.isFederationAdmin(fed, sender)) {
+                await safeSendText(sock, remoteJid, '❌ Only federation admins can use this command' );
                 return;
             }
 
-            // Store the settings in the group settings map
-            const settings = await getGroupSettings(remoteJid);
-            settings.antiraid = action.toLowerCase() === 'on';
-            if (threshold && !isNaN(threshold)) {
-                settings.raidThreshold = parseInt(threshold);
+            const { target, rest } = parseMuteTarget(message, args);
+            if (!target) {
+                await safeSendText(sock, remoteJid, '❌ Usage: !fban @user [reason]' );
+                return;
+            }
+            if (federations.isFederationAdmin(fed, target)) {
+                await safeSendText(sock, remoteJid, '❌ Federation admins can\'t be banned' );
+                return;
             }
-            await saveGroupSettings(remoteJid, settings);
+
+            const reason = rest.join(' ').trim() || null;
+            await federations.addFederationBan(fed, target, { reason, by: sender });
+            const { removed, skipped } = await federations.enforceFederationBans(sock, fed, [userKey(target)]);
 
             await safeSendMessage(sock, remoteJid, {
-                text: `✅ Anti-raid has been turned ${action.toLowerCase()}${
-                    threshold ? ` with threshold of ${threshold} joins per minute` : ''
-                }`
+                text: `🚫 @${userKey(target)} is banned in the *${fed.name}* federation\n` +
+                    (reason ? `Reason: ${reason}\n` : '') +
+                    `Removed from ${removed.length} group${removed.length === 1 ? '' : 's'}` +
+                    (skipped.length > 0 ? `\n⚠️ ${skipped.length} group${skipped.length === 1 ? '' : 's'} where I am not an admin` : ''),
+                mentions: [target]
             });
 
         } catch (err) {
-            logger.error('Error in antiraid command:', err);
-            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update anti-raid settings' );
+            logger.error('Error in fban command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to ban user in the federation' );
         }
     },
-    async warn(sock, message, args) {
+
+    async unfban(sock, message, args) {
         try {
             const remoteJid = message.key.remoteJid;
 
@@ -672,40 +1538,527 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
-                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+            const fed = federations.getGroupFederation(remoteJid);
+            if (!fed) {
+                await safeSendText(sock, remoteJid, '❌ This group is not in a federation, see !fed' );
                 return;
             }
-
-            let target;
-            if (message.message.extendedTextMessage?.contextInfo?.participant) {
-                target = message.message.extendedTextMessage.contextInfo.participant;
-            } else if (args[0]) {
-                target = args[0].replace('@', '') + '@s.whatsapp.net';
+            if (!federations.isFederationAdmin(fed, sender)) {
+                await safeSendText(sock, remoteJid, '❌ Only federation admins can use this command' );
+                return;
             }
 
+            const { target } = parseMuteTarget(message, args);
             if (!target) {
-                await safeSendText(sock, remoteJid, '❌ Please mention a user to warn' );
+                await safeSendText(sock, remoteJid, '❌ Usage: !unfban @user' );
                 return;
             }
 
-            const reason = args.slice(1).join(' ') || 'No reason provided';
+            if (!(await federations.removeFederationBan(fed, target))) {
+                await safeSendText(sock, remoteJid, 'ℹ️ That member is not banned in this federation' );
+                return;
+            }
 
-            // Get current warnings
+            await logModAction(sock, remoteJid, { action: 'unban', actor: sender, target, rule: `fban:${fed.name}` });
+            await safeSendMessage(sock, remoteJid, {
+                text: `✅ @${userKey(target)} is no longer banned in the *${fed.name}* federation`,
+                mentions: [target]
+            });
+
+        } catch (err) {
+            logger.error('Error in unfban command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to lift the federation ban' );
+        }
+    },
+
+    async antispam(sock, message, args) {
+        try {
+            await handleModerationCommand(sock, message, args, 'antispam');
+        } catch (err) {
+            logger.error('Error in antispam command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update anti-spam settings' );
+        }
+    },
+
+    async antilink(sock, message, args) {
+        try {
+            await handleModerationCommand(sock, message, args, 'antilink');
+        } catch (err) {
+            logger.error('Error in antilink command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update anti-link settings' );
+        }
+    },
+
+    async antitoxic(sock, message, args) {
+        try {
+            await handleModerationCommand(sock, message, args, 'antitoxic');
+        } catch (err) {
+            logger.error('Error in antitoxic command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update anti-toxic settings' );
+        }
+    },
+
+    async filter(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'filter');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const usage = '❌ Usage:\n' +
+                '!filter add <word>, <phrase>, /regex/\n' +
+                '!filter remove <word or /regex/>\n' +
+                '!filter list\n' +
+                '!filter import (reply to a text or .txt file, one entry per line)\n' +
+                '!filter test <text>\n' +
+                '!filter shadow <on/off>\n' +
+                '!filter defaults <on/off>\n' +
+                '!filter clear';
+
+            const settings = await getGroupSettings(remoteJid);
+            const filter = { ...getDefaultFilterSettings(), ...(settings.toxicFilter || {}) };
+            const subcommand = (args[0] || '').toLowerCase();
+            const input = args.slice(1).join(' ').trim();
+
+            // A /regex/ may contain commas, so only plain entries are split
+            const splitEntries = text => (text.startsWith('/') ? [text] : text.split(','))
+                .map(parseFilterEntry)
+                .filter(Boolean);
+
+            const addEntries = entries => {
+                const result = { added: 0, skipped: [] };
+                for (const entry of entries) {
+                    const list = entry.type === 'regex' ? filter.patterns : filter.words;
+                    if (filter.words.length + filter.patterns.length >= MAX_ENTRIES) {
+                        result.skipped.push(`${entry.value} (list is full)`);
+                        continue;
+                    }
+                    if (entry.value.length > MAX_ENTRY_LENGTH) {
+                        result.skipped.push(`${entry.value.substring(0, 30)}... (too long)`);
+                        continue;
+                    }
+                    if (entry.type === 'regex') {
+                        const error = validatePattern(entry.value);
+                        if (error) {
+                            result.skipped.push(`/${entry.value}/ (${error})`);
+                            continue;
+                        }
+                    }
+                    if (!list.includes(entry.value)) {
+                        list.push(entry.value);
+                        result.added++;
+                    }
+                }
+                return result;
+            };
+
+            switch (subcommand) {
+                case 'add':
+                case 'import': {
+                    let entries;
+                    if (subcommand === 'add') {
+                        entries = splitEntries(input);
+                    } else {
+                        const quoted = message.message.extendedTextMessage?.contextInfo?.quotedMessage;
+                        let text = input;
+                        if (quoted?.documentMessage) {
+                            const buffer = await downloadMediaMessage(
+                                { message: { documentMessage: quoted.documentMessage } },
+                                'buffer',
+                                {}
+                            );
+                            text = buffer.toString('utf8');
+                        } else if (quoted) {
+                            text = quoted.conversation || quoted.extendedTextMessage?.text || '';
+                        }
+                        entries = text.split(/\r?\n/)
+                            .map(line => line.trim())
+                            .filter(line => line && !line.startsWith('#'))
+                            .map(parseFilterEntry)
+                            .filter(Boolean);
+                    }
+
+                    if (entries.length === 0) {
+                        await safeSendText(sock, remoteJid, usage );
+                        return;
+                    }
+
+                    const result = addEntries(entries);
+                    settings.toxicFilter = filter;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'toxicFilter');
+
+                    let reply = `✅ Added ${result.added} filter entr${result.added === 1 ? 'y' : 'ies'}`;
+                    if (result.skipped.length > 0) {
+                        reply += `\n\n⚠️ Skipped:\n${result.skipped.slice(0, 10).join('\n')}`;
+                    }
+                    if (!settings.antitoxic) {
+                        reply += '\n\nℹ️ Anti-toxic is off, enable it with !antitoxic on';
+                    }
+                    await safeSendText(sock, remoteJid, reply );
+                    return;
+                }
+
+                case 'remove':
+                case 'delete': {
+                    const entries = splitEntries(input);
+                    if (entries.length === 0) {
+                        await safeSendText(sock, remoteJid, usage );
+                        return;
+                    }
+
+                    let removed = 0;
+                    for (const entry of entries) {
+                        const key = entry.type === 'regex' ? 'patterns' : 'words';
+                        const before = filter[key].length;
+                        filter[key] = filter[key].filter(value => value !== entry.value);
+                        removed += before - filter[key].length;
+                    }
+
+                    settings.toxicFilter = filter;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'toxicFilter');
+                    await safeSendText(sock, remoteJid, removed > 0 ?
+                        `✅ Removed ${removed} filter entr${removed === 1 ? 'y' : 'ies'}` :
+                        '❌ No matching filter entries found' );
+                    return;
+                }
+
+                case 'list': {
+                    const words = filter.words.length > 0 ? filter.words.map(w => `• ${w}`).join('\n') : '• none';
+                    const patterns = filter.patterns.length > 0 ? filter.patterns.map(p => `• /${p}/`).join('\n') : '• none';
+                    await safeSendText(sock, remoteJid,
+                        `🧹 *Toxic Filter*\n\n` +
+                        `Anti-toxic: ${settings.antitoxic ? '✅ On' : '❌ Off'}\n` +
+                        `Built-in list: ${filter.useDefaults ? '✅ On' : '❌ Off'}\n` +
+                        `Shadow mode: ${filter.shadow ? '👁️ On (hits are only reported to admins)' : '❌ Off'}\n\n` +
+                        `*Words (${filter.words.length}):*\n${words}\n\n` +
+                        `*Patterns (${filter.patterns.length}):*\n${patterns}`
+                    );
+                    return;
+                }
+
+                case 'test': {
+                    if (!input) {
+                        await safeSendText(sock, remoteJid, usage );
+                        return;
+                    }
+                    const match = findToxicMatch(input, filter);
+                    await safeSendText(sock, remoteJid, match ?
+                        `🚩 Matched ${match.type}: ${match.type === 'regex' ? `/${match.term}/` : match.term}` :
+                        '✅ No filter matched' );
+                    return;
+                }
+
+                case 'shadow':
+                case 'defaults': {
+                    const value = (args[1] || '').toLowerCase();
+                    if (!['on', 'off'].includes(value)) {
+                        await safeSendText(sock, remoteJid, `❌ Usage: !filter ${subcommand} <on/off>` );
+                        return;
+                    }
+
+                    filter[subcommand === 'shadow' ? 'shadow' : 'useDefaults'] = value === 'on';
+                    settings.toxicFilter = filter;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'toxicFilter');
+                    await safeSendText(sock, remoteJid, subcommand === 'shadow' ?
+                        `✅ Shadow mode turned ${value}${value === 'on' ? ', hits will only be reported to admins' : ''}` :
+                        `✅ Built-in word list turned ${value}` );
+                    return;
+                }
+
+                case 'clear':
+                    filter.words = [];
+                    filter.patterns = [];
+                    settings.toxicFilter = filter;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'toxicFilter');
+                    await safeSendText(sock, remoteJid, '✅ Custom filter entries cleared' );
+                    return;
+
+                default:
+                    await safeSendText(sock, remoteJid, usage );
+            }
+
+        } catch (err) {
+            logger.error('Error in filter command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update filter settings' );
+        }
+    },
+
+    async antiraid(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'antiraid');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const [action, threshold] = args;
+            const subcommand = (action || 'status').toLowerCase();
             const settings = await getGroupSettings(remoteJid);
-            if (!settings.warnings) settings.warnings = {};
-            if (!settings.warnings[target]) settings.warnings[target] = [];
+            const raid = { ...getDefaultRaidState(), ...(settings.raid || {}) };
+
+            if (subcommand === 'status') {
+                await safeSendText(sock, remoteJid,
+                    `🛡️ *Anti-raid*: ${settings.antiraid ? '✅ On' : '❌ Off'}\n\n` +
+                    `Threshold: ${settings.raidThreshold} joins per minute\n` +
+                    `Lockdown: ${raid.active ? `🔒 active since ${new Date(raid.since).toLocaleString()}` : 'none'}\n` +
+                    `Removed numbers on record: ${raid.removed.length}`
+                );
+                return;
+            }
 
-            settings.warnings[target].push({
-                reason,
-                time: Date.now(),
-                by: sender
+            if (subcommand === 'release') {
+                if (!raid.active) {
+                    await safeSendText(sock, remoteJid, '❌ There is no active raid lockdown' );
+                    return;
+                }
+                if (!(await isBotAdmin(sock, remoteJid))) {
+                    await safeSendText(sock, remoteJid, '❌ Bot needs to be admin to restore group settings' );
+                    return;
+                }
+
+                const removed = await releaseRaidLockdown(sock, remoteJid, settings);
+                await logModAction(sock, remoteJid, { action: 'unlock', actor: sender, rule: 'antiraid', reason: 'Raid lockdown released' });
+                const list = removed.slice(0, 50).map((entry, i) => `${i + 1}. +${entry.number}`).join('\n');
+                await safeSendText(sock, remoteJid,
+                    '🔓 *Raid lockdown released*\n\n' +
+                    `Group settings have been restored. Removed during the raid: ${removed.length}` +
+                    (list ? `\n\n${list}${removed.length > 50 ? `\n...and ${removed.length - 50} more` : ''}` : '')
+                );
+                return;
+            }
+
+            if (subcommand === 'removed') {
+                if (raid.removed.length === 0) {
+                    await safeSendText(sock, remoteJid, '📋 No members have been removed by anti-raid' );
+                    return;
+                }
+                const limit = Math.min(parseInt(threshold) || 20, 100);
+                const list = raid.removed.slice(-limit).reverse()
+                    .map((entry, i) => `${i + 1}. +${entry.number} - ${new Date(entry.time).toLocaleString()}`)
+                    .join('\n');
+                await safeSendText(sock, remoteJid, `📋 *Removed by anti-raid* (latest ${Math.min(limit, raid.removed.length)} of ${raid.removed.length})\n\n${list}` );
+                return;
+            }
+
+            if (!['on', 'off'].includes(subcommand)) {
+                await safeSendText(sock, remoteJid, '❌ Usage:\n' +
+                    '!antiraid <on/off> [max_joins_per_minute]\n' +
+                    '!antiraid status\n' +
+                    '!antiraid release\n' +
+                    '!antiraid removed [count]'
+                );
+                return;
+            }
+
+            if (threshold !== undefined && (isNaN(threshold) || parseInt(threshold) < 1)) {
+                await safeSendText(sock, remoteJid, '❌ Threshold must be a number of joins per minute (at least 1)' );
+                return;
+            }
+
+            settings.antiraid = subcommand === 'on';
+            if (threshold) {
+                settings.raidThreshold = parseInt(threshold);
+            }
+            await saveGroupSettingsKeys(remoteJid, settings, 'antiraid', 'raidThreshold');
+
+            await safeSendMessage(sock, remoteJid, {
+                text: `✅ Anti-raid has been turned ${subcommand}${
+                    settings.antiraid ? ` with threshold of ${settings.raidThreshold} joins per minute` : ''
+                }${!settings.antiraid && raid.active ? '\n\n⚠️ A lockdown is still active, use !antiraid release to end it' : ''}`
             });
 
-            await saveGroupSettings(remoteJid, settings);
+        } catch (err) {
+            logger.error('Error in antiraid command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update anti-raid settings' );
+        }
+    },
+    async captcha(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'captcha');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const settings = await getGroupSettings(remoteJid);
+            const config = getCaptchaConfig(settings);
+            const pending = settings.pendingCaptchas || {};
+            const subcommand = (args[0] || 'status').toLowerCase();
+            const value = (args[1] || '').toLowerCase();
+
+            switch (subcommand) {
+                case 'status':
+                    await safeSendText(sock, remoteJid,
+                        `🤖 *Captcha*: ${config.enabled ? '✅ On' : '❌ Off'}\n\n` +
+                        `Type: *${config.type}*\n` +
+                        `Timeout: ${formatDuration(config.timeout)}\n` +
+                        `Attempts: ${config.attempts}\n` +
+                        `Pending members: ${Object.keys(pending).length}\n\n` +
+                        '*Usage:*\n' +
+                        '!captcha <on/off>\n' +
+                        `!captcha type <${CAPTCHA_TYPES.join('/')}>\n` +
+                        '!captcha timeout <duration>\n' +
+                        '!captcha attempts <number>\n' +
+                        '!captcha pending\n' +
+                        '!captcha approve @user'
+                    );
+                    return;
+
+                case 'on':
+                case 'off':
+                    if (subcommand === 'on' && !(await isBotAdmin(sock, remoteJid))) {
+                        await safeSendText(sock, remoteJid, '❌ Bot needs to be admin to verify new members' );
+                        return;
+                    }
+                    config.enabled = subcommand === 'on';
+                    break;
+
+                case 'type':
+                    if (!CAPTCHA_TYPES.includes(value)) {
+                        await safeSendText(sock, remoteJid, `❌ Type must be one of: ${CAPTCHA_TYPES.join(', ')}` );
+                        return;
+                    }
+                    config.type = value;
+                    break;
+
+                case 'timeout': {
+                    const duration = parseDuration(value);
+                    if (!duration || duration < 30 || duration > 86400) {
+                        await safeSendText(sock, remoteJid, '❌ Timeout must be between 30s and 1d, e.g. 90s, 5m or 1h' );
+                        return;
+                    }
+                    config.timeout = duration;
+                    break;
+                }
+
+                case 'attempts': {
+                    const attempts = parseInt(value);
+                    if (isNaN(attempts) || attempts < 1 || attempts > 10) {
+                        await safeSendText(sock, remoteJid, '❌ Attempts must be between 1 and 10' );
+                        return;
+                    }
+                    config.attempts = attempts;
+                    break;
+                }
 
-            const warningCount = settings.warnings[target].length;
+                case 'pending': {
+                    const members = Object.entries(pending);
+                    if (members.length === 0) {
+                        await safeSendText(sock, remoteJid, '📋 No members are waiting for verification' );
+                        return;
+                    }
+                    const list = members.map(([jid, entry], i) =>
+                        `${i + 1}. @${jid.split('@')[0]} - ${entry.failed ? 'being removed' : `expires in ${formatDuration(Math.max(0, Math.round((entry.expiresAt - Date.now()) / 1000)))}`}`
+                    ).join('\n');
+                    await safeSendMessage(sock, remoteJid, {
+                        text: `📋 *Pending verification:*\n\n${list}`,
+                        mentions: members.map(([jid]) => jid)
+                    });
+                    return;
+                }
+
+                case 'approve': {
+                    const target = message.message?.extendedTextMessage?.contextInfo?.mentionedJid?.[0] ||
+                        message.message?.extendedTextMessage?.contextInfo?.participant ||
+                        (args[1] ? `${args[1].replace(/[@+\s]/g, '')}@s.whatsapp.net` : null);
+                    if (!target) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !captcha approve @user' );
+                        return;
+                    }
+                    if (!(await passCaptcha(sock, remoteJid, settings, target))) {
+                        await safeSendText(sock, remoteJid, '❌ That member has no pending verification' );
+                        return;
+                    }
+                    await logModAction(sock, remoteJid, { action: 'captcha-approve', actor: sender, target, rule: 'captcha' });
+                    return;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid, '❌ Usage: !captcha <on/off/status/type/timeout/attempts/pending/approve>' );
+                    return;
+            }
+
+            settings.captcha = config;
+            await saveGroupSettingsKeys(remoteJid, settings, 'captcha');
+            await safeSendText(sock, remoteJid,
+                `✅ Captcha settings updated\n\n` +
+                `Status: ${config.enabled ? 'on' : 'off'}, type: ${config.type}, ` +
+                `timeout: ${formatDuration(config.timeout)}, attempts: ${config.attempts}`
+            );
+
+        } catch (err) {
+            logger.error('Error in captcha command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update captcha settings' );
+        }
+    },
+    async warn(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'warn');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            let target;
+            if (message.message.extendedTextMessage?.contextInfo?.participant) {
+                target = message.message.extendedTextMessage.contextInfo.participant;
+            } else if (args[0]) {
+                target = args[0].replace('@', '') + '@s.whatsapp.net';
+            }
+
+            if (!target) {
+                await safeSendText(sock, remoteJid, '❌ Please mention a user to warn' );
+                return;
+            }
+
+            const reason = args.slice(1).join(' ') || 'No reason provided';
+
+            const warningCount = await updateGroupSettings(remoteJid, settings => {
+                if (!settings.warnings) settings.warnings = {};
+                if (!settings.warnings[target]) settings.warnings[target] = [];
+
+                settings.warnings[target].push({
+                    reason,
+                    time: Date.now(),
+                    by: sender
+                });
+                return settings.warnings[target].length;
+            });
+
+            await logModAction(sock, remoteJid, { action: 'warn', actor: sender, target, reason: `${reason} (warning ${warningCount})` });
             await safeSendMessage(sock, remoteJid, {
                 text: `⚠️ User has been warned (${warningCount} warnings)\nReason: ${reason}`
             });
@@ -714,6 +2067,7 @@ const groupCommands = {
             if (warningCount >= 3) {
                 try {
                     await sock.groupParticipantsUpdate(remoteJid, [target], 'remove');
+                    await logModAction(sock, remoteJid, { action: 'kick', target, rule: 'warnings', reason: 'Received 3 warnings' });
                     await safeSendText(sock, remoteJid, '🚫 User has been removed for receiving 3 warnings'
                     );
                 } catch (err) {
@@ -737,8 +2091,8 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'removewarn');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -755,17 +2109,17 @@ const groupCommands = {
                 return;
             }
 
-            // Get current warnings
-            const settings = await getGroupSettings(remoteJid);
-            if (!settings.warnings || !settings.warnings[target] || !settings.warnings[target].length) {
+            const { removedWarning, warningCount } = await updateGroupSettings(remoteJid, settings => {
+                const warnings = settings.warnings && settings.warnings[target];
+                if (!warnings || !warnings.length) return {};
+                return { removedWarning: warnings.pop(), warningCount: warnings.length }; // Remove the last warning
+            });
+            if (!removedWarning) {
                 await safeSendText(sock, remoteJid, '❌ User has no warnings' );
                 return;
             }
+            await logModAction(sock, remoteJid, { action: 'unwarn', actor: sender, target, reason: removedWarning.reason || null });
 
-            settings.warnings[target].pop(); // Remove the last warning
-            await saveGroupSettings(remoteJid, settings);
-
-            const warningCount = settings.warnings[target].length;
             await safeSendMessage(sock, remoteJid, {
                 text: `✅ Removed 1 warning from user (${warningCount} warnings remaining)`
             });
@@ -814,6 +2168,24 @@ const groupCommands = {
             await safeSendText(sock, message.key.remoteJid, '❌ Failed to fetch warnings' );
         }
     },
+    async setwelcome(sock, message, args) {
+        try {
+            await handleGreetingCommand(sock, message, args, 'welcome');
+        } catch (err) {
+            logger.error('Error in setwelcome command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update welcome message' );
+        }
+    },
+
+    async setgoodbye(sock, message, args) {
+        try {
+            await handleGreetingCommand(sock, message, args, 'goodbye');
+        } catch (err) {
+            logger.error('Error in setgoodbye command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update goodbye message' );
+        }
+    },
+
     async setname(sock, message, args) {
         try {
             const remoteJid = message.key.remoteJid;
@@ -824,8 +2196,8 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'setname');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -845,66 +2217,715 @@ const groupCommands = {
         }
     },
 
-    async setdesc(sock, message, args) {
-        try {
-            const remoteJid = message.key.remoteJid;
+    async setdesc(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'setdesc');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const newDesc = args.join(' ');
+            if (!newDesc) {
+                await safeSendText(sock, remoteJid, '❌ Please provide a new group description' );
+                return;
+            }
+
+            await sock.groupUpdateDescription(remoteJid, newDesc);
+            await safeSendText(sock, remoteJid, '✅ Group description has been updated' );
+
+        } catch (err) {
+            logger.error('Error in setdesc command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update group description' );
+        }
+    },
+
+    async setppic(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'setppic');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const quoted = message.message.imageMessage || message.message.extendedTextMessage?.contextInfo?.quotedMessage?.imageMessage;
+            if (!quoted) {
+                await safeSendText(sock, remoteJid, '❌ Please send an image or reply to an image' );
+                return;
+            }
+
+            const media = await downloadMediaMessage(message, 'buffer');
+            await sock.updateProfilePicture(remoteJid, media);
+            await safeSendText(sock, remoteJid, '✅ Group profile picture has been updated' );
+
+        } catch (err) {
+            logger.error('Error in setppic command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update group profile picture' );
+        }
+    },
+
+    async groupstats(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const view = (args[0] || 'overview').toLowerCase();
+
+            if (view === 'reset') {
+                const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'groupstats');
+                if (!canUseCommand) {
+                    await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                    return;
+                }
+                await groupStats.resetGroupStats(remoteJid);
+                await safeSendText(sock, remoteJid, '✅ Group statistics have been reset' );
+                return;
+            }
+
+            const stats = await groupStats.getGroupStats(remoteJid);
+            if (stats.totals.messages === 0) {
+                await safeSendText(sock, remoteJid, '📊 No messages have been counted in this group yet' );
+                return;
+            }
+
+            const { totals } = stats;
+            const percent = count => Math.round((count / totals.messages) * 100);
+
+            switch (view) {
+                case 'overview': {
+                    const groupMetadata = await sock.groupMetadata(remoteJid);
+                    const members = groupStats.getTopMembers(stats, 5);
+                    const weekdays = groupStats.getWeekdayTotals(stats);
+                    const hours = stats.heatmap.reduce((sums, row) => sums.map((sum, hour) => sum + row[hour]), new Array(24).fill(0));
+                    const busiestHour = hours.indexOf(Math.max(...hours));
+                    const busiestWeekday = weekdays.indexOf(Math.max(...weekdays));
+                    const trend = groupStats.getDailyTrend(stats, 30);
+                    const joins = trend.reduce((sum, day) => sum + day.joins, 0);
+                    const leaves = trend.reduce((sum, day) => sum + day.leaves, 0);
+                    const topDays = groupStats.getTopDays(stats, 3);
+
+                    const text = `📊 *Group Stats: ${groupMetadata.subject || 'this group'}*\n` +
+                        `Counting since ${new Date(stats.since).toLocaleDateString()}\n\n` +
+                        `💬 Messages: ${formatNumber(totals.messages)}\n` +
+                        `📝 Text: ${formatNumber(totals.text)} (${percent(totals.text)}%)\n` +
+                        `📎 Media: ${formatNumber(totals.media)} (${percent(totals.media)}%)\n\n` +
+                        `*Most active members*\n` +
+                        members.map((member, i) => `${i + 1}. @${member.number} - ${formatNumber(member.messages)}`).join('\n') + '\n\n' +
+                        `⏰ Busiest hour: ${busiestHour}:00-${busiestHour + 1}:00\n` +
+                        `📅 Busiest weekday: ${groupStats.WEEKDAYS[busiestWeekday]}\n` +
+                        (topDays.length > 0 ? `🔥 Top days: ${topDays.map(day => `${day.date} (${day.messages})`).join(', ')}\n` : '') +
+                        `👥 Last 30 days: +${joins} joined, -${leaves} left\n\n` +
+                        `More charts: !groupstats members | heatmap | days | media | trend`;
+                    const mentions = members.map(member => `${member.number}@s.whatsapp.net`);
+
+                    const chart = await groupStats.renderHeatmapChart(stats);
+                    if (chart) {
+                        await safeSendMessage(sock, remoteJid, { image: chart, caption: text, mentions });
+                    } else {
+                        await safeSendMessage(sock, remoteJid, { text, mentions });
+                    }
+                    return;
+                }
+
+                case 'members': {
+                    const members = groupStats.getTopMembers(stats, 15);
+                    const text = `👥 *Messages per member*\n\n` +
+                        members.map((member, i) =>
+                            `${i + 1}. @${member.number} - ${formatNumber(member.messages)} (${member.media} media)`
+                        ).join('\n');
+                    const chart = await groupStats.renderMembersChart(stats);
+                    const mentions = members.map(member => `${member.number}@s.whatsapp.net`);
+                    await safeSendMessage(sock, remoteJid, chart ? { image: chart, caption: text, mentions } : { text, mentions });
+                    return;
+                }
+
+                case 'heatmap':
+                case 'hours':
+                case 'days':
+                case 'media':
+                case 'trend': {
+                    let chart;
+                    let caption;
+                    if (view === 'heatmap' || view === 'hours') {
+                        chart = await groupStats.renderHeatmapChart(stats);
+                        caption = '⏰ Messages by hour of day (server time)';
+                    } else if (view === 'days') {
+                        chart = await groupStats.renderWeekdayChart(stats);
+                        const topDays = groupStats.getTopDays(stats, 5);
+                        caption = '📅 *Most active days*\n\n' + topDays.map((day, i) => `${i + 1}. ${day.date} - ${formatNumber(day.messages)}`).join('\n');
+                    } else if (view === 'media') {
+                        chart = await groupStats.renderMediaChart(stats);
+                        caption = `📎 *Media vs. text*\n\nText: ${percent(totals.text)}%\n` +
+                            Object.entries(stats.mediaTypes)
+                                .sort((a, b) => b[1] - a[1])
+                                .map(([type, count]) => `${type}: ${formatNumber(count)} (${percent(count)}%)`)
+                                .join('\n');
+                    } else {
+                        chart = await groupStats.renderTrendChart(stats);
+                        const trend = groupStats.getDailyTrend(stats, 30);
+                        caption = `📈 *Last 30 days*\n\n` +
+                            `Joined: ${trend.reduce((sum, day) => sum + day.joins, 0)}\n` +
+                            `Left: ${trend.reduce((sum, day) => sum + day.leaves, 0)}\n` +
+                            `Messages: ${formatNumber(trend.reduce((sum, day) => sum + day.messages, 0))}`;
+                    }
+
+                    if (!chart) {
+                        await safeSendText(sock, remoteJid, `${caption}\n\n❌ Charts are not available right now` );
+                        return;
+                    }
+                    await safeSendMessage(sock, remoteJid, { image: chart, caption });
+                    return;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid, '❌ Usage: !groupstats [members|heatmap|days|media|trend|reset]' );
+            }
+
+        } catch (err) {
+            logger.error('Error in groupstats command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to get group statistics' );
+        }
+    },
+
+    async rules(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const subcommand = (args[0] || 'show').toLowerCase();
+            const settings = await getGroupSettings(remoteJid);
+
+            if (subcommand === 'show' || subcommand === 'list') {
+                const groupMetadata = await sock.groupMetadata(remoteJid);
+                await safeSendText(sock, remoteJid, `📜 *Rules of ${groupMetadata.subject || 'this group'}*\n\n${formatRules(settings.rules)}` );
+                return;
+            }
+
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'rules');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            // Older settings kept the rules as one block of text
+            const rules = Array.isArray(settings.rules) ? settings.rules : parseRulesText(settings.rules || '');
+            const body = message.message?.conversation || message.message?.extendedTextMessage?.text || '';
+            const input = body.replace(/^\S+\s+\S+\s*/, '').trim();
+
+            switch (subcommand) {
+                case 'set': {
+                    const newRules = parseRulesText(input);
+                    if (newRules.length === 0) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !rules set <rules, one per line>' );
+                        return;
+                    }
+                    settings.rules = newRules;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'rules');
+                    await safeSendText(sock, remoteJid, `✅ Saved ${newRules.length} rule${newRules.length === 1 ? '' : 's'}. Members can read them with !rules` );
+                    return;
+                }
+
+                case 'add': {
+                    if (!input) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !rules add <rule>' );
+                        return;
+                    }
+                    settings.rules = [...rules, input];
+                    await saveGroupSettingsKeys(remoteJid, settings, 'rules');
+                    await safeSendText(sock, remoteJid, `✅ Added rule ${settings.rules.length}` );
+                    return;
+                }
+
+                case 'remove': {
+                    const index = parseInt(args[1]) - 1;
+                    if (!(index >= 0 && index < rules.length)) {
+                        await safeSendText(sock, remoteJid, `❌ Usage: !rules remove <1-${Math.max(rules.length, 1)}>` );
+                        return;
+                    }
+                    const [removed] = rules.splice(index, 1);
+                    settings.rules = rules;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'rules');
+                    await safeSendText(sock, remoteJid, `✅ Removed rule: ${removed}` );
+                    return;
+                }
+
+                case 'clear': {
+                    settings.rules = [];
+                    await saveGroupSettingsKeys(remoteJid, settings, 'rules');
+                    await safeSendText(sock, remoteJid, '✅ All rules removed' );
+                    return;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid,
+                        '*Usage:*\n' +
+                        '!rules - Show the group rules\n' +
+                        '!rules set <rules> - Replace the rules, one per line\n' +
+                        '!rules add <rule> - Add a rule\n' +
+                        '!rules remove <number> - Remove a rule\n' +
+                        '!rules clear - Remove all rules' );
+            }
+
+        } catch (err) {
+            logger.error('Error in rules command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to manage group rules' );
+        }
+    },
+
+    async autoreply(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'autoreply');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const subcommand = (args[0] || 'list').toLowerCase();
+            const settings = await getGroupSettings(remoteJid);
+            const replies = autoReply.getAutoReplies(settings);
+
+            switch (subcommand) {
+                case 'add': {
+                    if (replies.length >= autoReply.MAX_AUTOREPLIES) {
+                        await safeSendText(sock, remoteJid, `❌ A group can have at most ${autoReply.MAX_AUTOREPLIES} auto-replies` );
+                        return;
+                    }
+
+                    // Keep the raw text so triggers and responses keep their spaces and line breaks
+                    const body = message.message?.conversation || message.message?.extendedTextMessage?.text || '';
+                    const parsed = parseAutoReplyInput(body.replace(/^\S+\s+\S+\s*/, ''));
+                    const media = autoReply.getResponseMedia(message);
+                    if (!parsed || (!parsed.response && !media)) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !autoreply add "trigger" <response> [--exact|--contains|--regex] [--cooldown 60]\nReply to a media message to answer with it' );
+                        return;
+                    }
+
+                    const problem = autoReply.validateTrigger(parsed.trigger, parsed.mode);
+                    if (problem) {
+                        await safeSendText(sock, remoteJid, `❌ ${problem}` );
+                        return;
+                    }
+                    if (parsed.cooldown !== null && parsed.cooldown > autoReply.MAX_COOLDOWN) {
+                        await safeSendText(sock, remoteJid, '❌ The cooldown can be at most 1 day' );
+                        return;
+                    }
+
+                    // Adding the same trigger again replaces it
+                    const existing = replies.find(reply => reply.mode === parsed.mode && reply.trigger.toLowerCase() === parsed.trigger.toLowerCase());
+                    if (existing) await autoReply.deleteResponseMedia(remoteJid, existing);
+
+                    const id = Date.now().toString(36);
+                    const entry = {
+                        id,
+                        trigger: parsed.trigger,
+                        mode: parsed.mode,
+                        response: parsed.response,
+                        media: null,
+                        cooldown: parsed.cooldown ?? autoReply.DEFAULT_COOLDOWN,
+                        createdBy: sender,
+                        created: Date.now()
+                    };
+                    if (media) {
+                        const buffer = await downloadMediaMessage({ message: { [media.key]: media.content } }, 'buffer', {});
+                        entry.media = await autoReply.saveResponseMedia(remoteJid, id, media.key, media.content, buffer);
+                    }
+
+                    settings.autoReplies = [...replies.filter(reply => reply !== existing), entry];
+                    await saveGroupSettingsKeys(remoteJid, settings, 'autoReplies');
+
+                    const enabled = await isFeatureEnabled(remoteJid, 'autoreply');
+                    await safeSendText(sock, remoteJid,
+                        `✅ Auto-reply ${existing ? 'updated' : 'added'} for "${entry.trigger}" (${entry.mode}` +
+                        `${entry.media ? `, ${entry.media.type}` : ''}, ${entry.cooldown}s cooldown)` +
+                        (enabled ? '' : '\n⚠️ Auto-replies are turned off, use !autoreply on') );
+                    return;
+                }
+
+                case 'list': {
+                    const enabled = await isFeatureEnabled(remoteJid, 'autoreply');
+                    if (replies.length === 0) {
+                        await safeSendText(sock, remoteJid, '💬 No auto-replies yet. Add one with !autoreply add "trigger" <response>' );
+                        return;
+                    }
+                    await safeSendText(sock, remoteJid,
+                        `💬 *Auto-replies* (${enabled ? 'on' : 'off'})\n\n` +
+                        replies.map((reply, i) =>
+                            `${i + 1}. [${reply.mode}] "${reply.trigger}"` +
+                            (reply.media ? ` 📎 ${reply.media.type}` : '') +
+                            (reply.response ? `\n   ${reply.response.length > 60 ? reply.response.slice(0, 57) + '...' : reply.response}` : '')
+                        ).join('\n') );
+                    return;
+                }
+
+                case 'remove': {
+                    const index = parseInt(args[1]) - 1;
+                    if (!(index >= 0 && index < replies.length)) {
+                        await safeSendText(sock, remoteJid, `❌ Usage: !autoreply remove <1-${Math.max(replies.length, 1)}>` );
+                        return;
+                    }
+                    const removed = replies[index];
+                    await autoReply.deleteResponseMedia(remoteJid, removed);
+                    settings.autoReplies = replies.filter(reply => reply !== removed);
+                    await saveGroupSettingsKeys(remoteJid, settings, 'autoReplies');
+                    await safeSendText(sock, remoteJid, `✅ Removed the auto-reply for "${removed.trigger}"` );
+                    return;
+                }
+
+                case 'clear': {
+                    for (const reply of replies) {
+                        await autoReply.deleteResponseMedia(remoteJid, reply);
+                    }
+                    settings.autoReplies = [];
+                    await saveGroupSettingsKeys(remoteJid, settings, 'autoReplies');
+                    await safeSendText(sock, remoteJid, `✅ Removed ${replies.length} auto-replies` );
+                    return;
+                }
+
+                case 'on':
+                case 'off': {
+                    await setFeatureEnabled(remoteJid, 'autoreply', subcommand === 'on');
+                    await safeSendText(sock, remoteJid, `✅ Auto-replies are now ${subcommand}` );
+                    return;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid,
+                        '*Usage:*\n' +
+                        '!autoreply add "trigger" <response> - Answer messages containing the trigger\n' +
+                        '   --exact / --regex - Match the whole message or a regular expression\n' +
+                        '   --cooldown <time> - Wait before answering again (default 30s)\n' +
+                        '   Reply to a media message to answer with it, {user} mentions the sender\n' +
+                        '!autoreply list - Show auto-replies\n' +
+                        '!autoreply remove <number> - Remove an auto-reply\n' +
+                        '!autoreply clear - Remove all auto-replies\n' +
+                        '!autoreply on|off - Turn auto-replies on or off' );
+            }
+
+        } catch (err) {
+            logger.error('Error in autoreply command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to manage auto-replies' );
+        }
+    },
+
+    async levelconfig(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'levelconfig');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const subcommand = (args[0] || 'show').toLowerCase();
+            const action = (args[1] || '').toLowerCase();
+            const settings = await getGroupSettings(remoteJid);
+            const levelConfig = levelingConfig.getLevelingConfig(settings);
+
+            const save = async (text) => {
+                settings.leveling = levelConfig;
+                await saveGroupSettingsKeys(remoteJid, settings, 'leveling');
+                await safeSendText(sock, remoteJid, text );
+            };
+
+            switch (subcommand) {
+                case 'show': {
+                    await safeSendText(sock, remoteJid, formatLevelingConfig(levelConfig, settings.timezone) );
+                    return;
+                }
+
+                case 'xp': {
+                    if (!['on', 'off'].includes(action)) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig xp on|off' );
+                        return;
+                    }
+                    levelConfig.xpEnabled = action === 'on';
+                    await save(`✅ Members ${levelConfig.xpEnabled ? 'now earn' : 'no longer earn'} XP in this group`);
+                    return;
+                }
+
+                case 'noxp': {
+                    const type = args[2];
+                    if (!['add', 'remove'].includes(action) || !levelingConfig.XP_ACTIVITY_TYPES.includes(type)) {
+                        await safeSendText(sock, remoteJid, `❌ Usage: !levelconfig noxp add|remove <type>\nTypes: ${levelingConfig.XP_ACTIVITY_TYPES.join(', ')}` );
+                        return;
+                    }
+                    levelConfig.disabledTypes = action === 'add'
+                        ? [...new Set([...levelConfig.disabledTypes, type])]
+                        : levelConfig.disabledTypes.filter(disabled => disabled !== type);
+                    await save(`✅ ${type} ${action === 'add' ? 'no longer earns' : 'earns'} XP in this group`);
+                    return;
+                }
+
+                case 'cooldown': {
+                    if (action === 'default') {
+                        levelConfig.cooldown = null;
+                        await save('✅ XP cooldown reset to the default');
+                        return;
+                    }
+                    const cooldown = /^\d+$/.test(action) ? parseInt(action) : parseDuration(action);
+                    if (cooldown === null || cooldown > 60 * 60) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig cooldown <time, at most 1h>|default' );
+                        return;
+                    }
+                    levelConfig.cooldown = cooldown;
+                    await save(`✅ Members earn chat XP at most once every ${formatDuration(cooldown)}`);
+                    return;
+                }
+
+                case 'curve': {
+                    const base = args[2] !== undefined ? parseInt(args[2]) : levelConfig.curve.base;
+                    const factor = args[3] !== undefined ? parseFloat(args[3]) : levelConfig.curve.factor;
+                    if (!levelingConfig.LEVEL_CURVES.includes(action) || !(base >= 10 && base <= 100000) || !(factor > 1 && factor <= 5)) {
+                        await safeSendText(sock, remoteJid,
+                            `❌ Usage: !levelconfig curve <${levelingConfig.LEVEL_CURVES.join('|')}> [base XP] [factor]\n` +
+                            'Base XP is 10-100000, the exponential factor is above 1 and at most 5' );
+                        return;
+                    }
+                    levelConfig.curve = { type: action, base, factor };
+
+                    // Loaded here so the group commands don't pull in the canvas stack
+                    const { getXPForLevel } = require('../utils/levelingSystem');
+                    const preview = [2, 5, 10, 20, 50]
+                        .map(level => `  • Level ${level}: ${formatNumber(getXPForLevel(level, levelConfig.curve))} XP`)
+                        .join('\n');
+                    await save(`✅ XP curve set to ${action}\n\n${preview}`);
+                    return;
+                }
+
+                case 'weekend': {
+                    const multiplier = parseFloat(action);
+                    if (!(multiplier > 0 && multiplier <= levelingConfig.MAX_MULTIPLIER)) {
+                        await safeSendText(sock, remoteJid, `❌ Usage: !levelconfig weekend <multiplier up to ${levelingConfig.MAX_MULTIPLIER}> (1 turns it off)` );
+                        return;
+                    }
+                    levelConfig.weekendMultiplier = multiplier;
+                    await save(multiplier === 1 ? '✅ Weekend XP bonus turned off' : `✅ XP on weekends is now multiplied by ${multiplier}`);
+                    return;
+                }
+
+                case 'event': {
+                    // Finished events are dropped whenever the list changes
+                    levelConfig.events = levelConfig.events.filter(event => event.end > Date.now());
+                    const name = (args[2] || '').toLowerCase();
+
+                    if (action === 'add') {
+                        const multiplier = parseFloat(args[3]);
+                        const duration = args[4] ? parseDuration(args[4]) : null;
+                        const delay = args[5] === 'in' && args[6] ? parseDuration(args[6]) : 0;
+                        if (!/^[a-z0-9_-]{1,24}$/.test(name) || !(multiplier > 0 && multiplier <= levelingConfig.MAX_MULTIPLIER) || !duration || delay === null) {
+                            await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig event add <name> <multiplier> <duration> [in <delay>]\nExample: !levelconfig event add doublexp 2 2d in 12h' );
+                            return;
+                        }
+                        if (levelConfig.events.length >= levelingConfig.MAX_EVENTS && !levelConfig.events.some(event => event.name === name)) {
+                            await safeSendText(sock, remoteJid, `❌ A group can have at most ${levelingConfig.MAX_EVENTS} events` );
+                            return;
+                        }
+                        const start = Date.now() + delay * 1000;
+                        levelConfig.events = [
+                            ...levelConfig.events.filter(event => event.name !== name),
+                            { name, multiplier, start, end: start + duration * 1000, createdBy: sender }
+                        ];
+                        await save(`✅ Event *${name}* multiplies XP by ${multiplier} for ${formatDuration(duration)}` +
+                            (delay > 0 ? `, starting in ${formatDuration(delay)}` : ''));
+                        return;
+                    }
+
+                    if (action === 'remove') {
+                        if (!levelConfig.events.some(event => event.name === name)) {
+                            await safeSendText(sock, remoteJid, `❌ No event named *${name || '?'}*` );
+                            return;
+                        }
+                        levelConfig.events = levelConfig.events.filter(event => event.name !== name);
+                        await save(`✅ Event *${name}* removed`);
+                        return;
+                    }
+
+                    await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig event add|remove <name> ...' );
+                    return;
+                }
+
+                case 'rank': {
+                    const level = parseInt(args[2]);
+
+                    if (action === 'add') {
+                        const title = args.slice(3).join(' ').trim();
+                        if (!(level >= 1 && level <= levelingConfig.MAX_LEVEL) || !title || title.length > 32) {
+                            await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig rank add <level> <title, at most 32 characters>' );
+                            return;
+                        }
+                        if (levelConfig.ranks.length >= levelingConfig.MAX_RANKS && !levelConfig.ranks.some(rank => rank.level === level)) {
+                            await safeSendText(sock, remoteJid, `❌ A group can have at most ${levelingConfig.MAX_RANKS} ranks` );
+                            return;
+                        }
+                        levelConfig.ranks = [...levelConfig.ranks.filter(rank => rank.level !== level), { level, title }];
+                        await save(`✅ Members from level ${level} are now called *${title}*`);
+                        return;
+                    }
+
+                    if (action === 'remove') {
+                        if (!levelConfig.ranks.some(rank => rank.level === level)) {
+                            await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig rank remove <level of an existing rank>' );
+                            return;
+                        }
+                        levelConfig.ranks = levelConfig.ranks.filter(rank => rank.level !== level);
+                        await save(`✅ Rank for level ${level} removed`);
+                        return;
+                    }
 
-            if (!remoteJid.endsWith('@g.us')) {
-                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
-                return;
-            }
+                    if (action === 'reset') {
+                        levelConfig.ranks = [];
+                        await save('✅ The group uses the default rank titles again');
+                        return;
+                    }
 
-            const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
-                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
-                return;
-            }
+                    await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig rank add|remove|reset ...' );
+                    return;
+                }
 
-            const newDesc = args.join(' ');
-            if (!newDesc) {
-                await safeSendText(sock, remoteJid, '❌ Please provide a new group description' );
-                return;
-            }
+                case 'reward': {
+                    const level = parseInt(args[2]);
+
+                    if (action === 'add') {
+                        const type = (args[3] || '').toLowerCase();
+                        let reward = null;
+                        if (type === 'coins') {
+                            const coins = parseInt(args[4]);
+                            if (coins > 0 && coins <= 1000000) reward = { level, type, coins };
+                        } else if (type === 'role') {
+                            const role = normalizeRoleName(args[4]);
+                            if (role && !getRoleSettings(settings).definitions[role]) {
+                                await safeSendText(sock, remoteJid, `❌ Role *${role}* does not exist. Use !role list to see all roles` );
+                                return;
+                            }
+                            if (role) reward = { level, type, role };
+                        }
+                        if (!reward || !(level >= 2 && level <= levelingConfig.MAX_LEVEL)) {
+                            await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig reward add <level> coins <amount> | role <role>' );
+                            return;
+                        }
+                        if (levelConfig.rewards.length >= levelingConfig.MAX_REWARDS) {
+                            await safeSendText(sock, remoteJid, `❌ A group can have at most ${levelingConfig.MAX_REWARDS} rewards` );
+                            return;
+                        }
+                        // One reward of each type per level
+                        levelConfig.rewards = [...levelConfig.rewards.filter(entry => entry.level !== level || entry.type !== type), reward];
+                        await save(`✅ Members reaching level ${level} get ${levelingConfig.formatReward(reward)}`);
+                        return;
+                    }
 
-            await sock.groupUpdateDescription(remoteJid, newDesc);
-            await safeSendText(sock, remoteJid, '✅ Group description has been updated' );
+                    if (action === 'remove') {
+                        if (!levelConfig.rewards.some(reward => reward.level === level)) {
+                            await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig reward remove <level with rewards>' );
+                            return;
+                        }
+                        levelConfig.rewards = levelConfig.rewards.filter(reward => reward.level !== level);
+                        await save(`✅ Rewards for level ${level} removed`);
+                        return;
+                    }
 
-        } catch (err) {
-            logger.error('Error in setdesc command:', err);
-            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update group description' );
-        }
-    },
+                    await safeSendText(sock, remoteJid, '❌ Usage: !levelconfig reward add|remove ...' );
+                    return;
+                }
 
-    async setppic(sock, message, args) {
-        try {
-            const remoteJid = message.key.remoteJid;
+                case 'season': {
+                    if (action === 'end') {
+                        const archived = await leaderboards.endSeason(remoteJid);
+                        const { text, mentions } = leaderboards.formatSeasonResults(archived);
+                        await safeSendMessage(sock, remoteJid, { text: `${text}\n\nSeason ${archived.number + 1} starts now!`, mentions });
+                        return;
+                    }
 
-            if (!remoteJid.endsWith('@g.us')) {
-                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
-                return;
-            }
+                    const badges = args[2] !== undefined ? parseInt(args[2]) : undefined;
+                    if (!(action === 'off' || leaderboards.SEASON_SCHEDULES[action]) ||
+                        (badges !== undefined && !(badges >= 0 && badges <= leaderboards.MAX_SEASON_BADGES))) {
+                        await safeSendText(sock, remoteJid,
+                            `❌ Usage: !levelconfig season <${Object.keys(leaderboards.SEASON_SCHEDULES).join('|')}|off> [badges 0-${leaderboards.MAX_SEASON_BADGES}]\n` +
+                            '!levelconfig season end - End the current season now' );
+                        return;
+                    }
 
-            const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
-                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
-                return;
-            }
+                    const season = await leaderboards.setSeasonSchedule(remoteJid, action === 'off' ? null : action, {
+                        badges,
+                        timezone: settings.timezone,
+                        userJid: sender
+                    });
+                    await safeSendText(sock, remoteJid, season.schedule
+                        ? `✅ Seasons now end ${leaderboards.SEASON_SCHEDULES[season.schedule].description}, the top ${season.badges} get a badge`
+                        : '✅ Seasons only end with !levelconfig season end' );
+                    return;
+                }
 
-            const quoted = message.message.imageMessage || message.message.extendedTextMessage?.contextInfo?.quotedMessage?.imageMessage;
-            if (!quoted) {
-                await safeSendText(sock, remoteJid, '❌ Please send an image or reply to an image' );
-                return;
-            }
+                case 'reset': {
+                    settings.leveling = levelingConfig.getDefaultLevelingSettings();
+                    await saveGroupSettingsKeys(remoteJid, settings, 'leveling');
+                    await safeSendText(sock, remoteJid, '✅ Leveling settings reset to the defaults' );
+                    return;
+                }
 
-            const media = await downloadMediaMessage(message, 'buffer');
-            await sock.updateProfilePicture(remoteJid, media);
-            await safeSendText(sock, remoteJid, '✅ Group profile picture has been updated' );
+                default:
+                    await safeSendText(sock, remoteJid,
+                        '*Usage:*\n' +
+                        '!levelconfig - Show the leveling settings\n' +
+                        '!levelconfig xp on|off - Turn XP on or off in this group\n' +
+                        '!levelconfig noxp add|remove <type> - Stop or resume XP for messages, media, games...\n' +
+                        '!levelconfig cooldown <time>|default - Time between chat XP gains\n' +
+                        '!levelconfig curve <default|linear|quadratic|exponential> [base] [factor] - XP needed per level\n' +
+                        '!levelconfig weekend <multiplier> - XP bonus on Saturdays and Sundays\n' +
+                        '!levelconfig event add <name> <multiplier> <duration> [in <delay>] - Timed XP event\n' +
+                        '!levelconfig event remove <name> - Cancel an event\n' +
+                        '!levelconfig rank add <level> <title> - Custom rank title from a level\n' +
+                        '!levelconfig rank remove <level> | reset - Remove custom ranks\n' +
+                        '!levelconfig reward add <level> coins <amount> | role <role> - Reward for reaching a level\n' +
+                        '!levelconfig reward remove <level> - Remove the rewards of a level\n' +
+                        '!levelconfig season <week|month|quarter|off> [badges] - End leaderboard seasons on a schedule\n' +
+                        '!levelconfig season end - End the current season now\n' +
+                        '!levelconfig reset - Restore the default settings' );
+            }
 
         } catch (err) {
-            logger.error('Error in setppic command:', err);
-            await safeSendText(sock, message.key.remoteJid, '❌ Failed to update group profile picture' );
+            logger.error('Error in levelconfig command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to manage the leveling settings' );
         }
     },
 
@@ -918,8 +2939,8 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'feature');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -991,9 +3012,9 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'link');
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -1019,10 +3040,10 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'revoke');
             const isBotGroupAdmin = await isBotAdmin(sock, remoteJid);
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -1051,9 +3072,9 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'tagall');
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -1179,9 +3200,9 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'mentionall');
 
-            if (!isUserAdmin) {
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -1384,36 +3405,108 @@ const groupCommands = {
                 return;
             }
 
-            if (args.length < 3) {
-                await safeSendText(sock, remoteJid, '❌ Usage: !poll [question] [option1] [option2] ...'
-                );
+            const sender = message.key.participant || message.key.remoteJid;
+            const subcommand = (args[0] || '').toLowerCase();
+            const usage = '❌ Usage:\n' +
+                '!poll Question | Option 1 | Option 2 [--multi] [--anon] [--time 1h]\n' +
+                '!poll list\n' +
+                '!poll results [number]\n' +
+                '!poll export [number]';
+
+            if (['list', 'results', 'export'].includes(subcommand) && args.length <= 2) {
+                const settings = await getGroupSettings(remoteJid);
+                const polls = getAllPolls(settings);
+                if (polls.length === 0) {
+                    await safeSendText(sock, remoteJid, '❌ No polls in this group' );
+                    return;
+                }
+
+                if (subcommand === 'list') {
+                    const list = polls.map((poll, i) => {
+                        const { voters } = tallyPoll(poll);
+                        const status = poll.closed ? '🔒 closed' : (poll.deadline ? `⏰ closes ${new Date(poll.deadline).toLocaleString()}` : '🟢 open');
+                        return `${i + 1}. ${poll.question} - ${voters} voter${voters === 1 ? '' : 's'}, ${status}`;
+                    }).join('\n');
+                    await safeSendText(sock, remoteJid, `📊 *Polls*\n\n${list}` );
+                    return;
+                }
+
+                const poll = args[1] ? polls[parseInt(args[1]) - 1] : polls[polls.length - 1];
+                if (!poll) {
+                    await safeSendText(sock, remoteJid, '❌ Invalid poll number. Use !poll list to see all polls' );
+                    return;
+                }
+
+                if (subcommand === 'results') {
+                    await safeSendText(sock, remoteJid, formatPollResults(poll, poll.closed) );
+                    return;
+                }
+
+                // Votes are only exported for the creator and moderators
+                if (poll.by !== sender && !(await hasCommandPermission(sock, remoteJid, sender, 'endpoll'))) {
+                    await safeSendText(sock, remoteJid, '❌ Only the poll creator or admins can export votes' );
+                    return;
+                }
+                await safeSendMessage(sock, remoteJid, {
+                    document: Buffer.from(exportPollCsv(poll)),
+                    mimetype: 'text/csv',
+                    fileName: `poll_${poll.id}.csv`,
+                    caption: `📊 ${poll.question}`
+                });
                 return;
             }
 
-            const question = args[0];
-            const options = args.slice(1);
+            // Keep the raw text so questions and options can contain spaces
+            const body = message.message?.conversation || message.message?.extendedTextMessage?.text || '';
+            let text = body.replace(/^\S+\s*/, '');
+
+            const multi = /(^|\s)--multi\b/i.test(text);
+            const anonymous = /(^|\s)--anon(ymous)?\b/i.test(text);
+            const timeMatch = text.match(/(^|\s)--(?:time|deadline)\s+(\S+)/i);
+            text = text.replace(/(^|\s)--(?:time|deadline)\s+\S+/ig, ' ').replace(/(^|\s)--(multi|anon(ymous)?)\b/ig, ' ').trim();
+
+            let deadline = null;
+            if (timeMatch) {
+                const duration = parseDuration(timeMatch[2]);
+                if (!duration || duration < 60) {
+                    await safeSendText(sock, remoteJid, '❌ Invalid poll time. Use at least 1m, e.g. 30m, 2h or 1d' );
+                    return;
+                }
+                deadline = Date.now() + duration * 1000;
+            }
 
-            // Store the poll
-            const settings = await getGroupSettings(remoteJid);
-            if (!settings.polls) settings.polls = {};
-
-            const pollId = Date.now().toString();
-            settings.polls[pollId] = {
-                question,
-                options,
-                votes: {},
-                created: Date.now(),
-                by: message.key.participant || message.key.remoteJid
-            };
+            // "Question | A | B", or the old space separated form
+            const parts = text.includes('|')
+                ? text.split('|').map(part => part.trim()).filter(Boolean)
+                : text.split(/\s+/).filter(Boolean);
+            const [question, ...options] = parts;
 
-            await saveGroupSettings(remoteJid, settings);
+            if (!question || options.length < 2) {
+                await safeSendText(sock, remoteJid, usage );
+                return;
+            }
+            if (options.length > MAX_POLL_OPTIONS) {
+                await safeSendText(sock, remoteJid, `❌ A poll can have at most ${MAX_POLL_OPTIONS} options` );
+                return;
+            }
+            if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+                await safeSendText(sock, remoteJid, '❌ Poll options must be different from each other' );
+                return;
+            }
 
-            // Format poll message
-            const pollMessage = `📊 *Poll: ${question}*\n\n` +
-                options.map((opt, i) => `${i + 1}. ${opt}`).join('\n') +
-                '\n\nVote using: !vote [number]';
+            const poll = await createPoll(sock, remoteJid, { question, options, multi, anonymous, deadline, createdBy: sender });
+            if (!poll) {
+                await safeSendText(sock, remoteJid, '❌ Failed to create poll' );
+                return;
+            }
 
-            await safeSendText(sock, remoteJid, pollMessage );
+            const notes = [];
+            if (multi) notes.push('multiple choice');
+            if (anonymous) notes.push('anonymous');
+            if (deadline) notes.push(`closes in ${formatDuration(Math.round((deadline - Date.now()) / 1000))}`);
+            if (notes.length > 0) {
+                await safeSendText(sock, remoteJid, `📊 Poll created (${notes.join(', ')})` );
+            }
 
         } catch (err) {
             logger.error('Error in poll command:', err);
@@ -1430,43 +3523,20 @@ const groupCommands = {
                 return;
             }
 
-            if (!args[0] || isNaN(args[0])) {
+            const choices = args.join(',').split(',').map(choice => parseInt(choice)).filter(choice => !isNaN(choice));
+            if (choices.length === 0) {
                 await safeSendText(sock, remoteJid, '❌ Please provide a valid option number' );
                 return;
             }
 
-            const settings = await getGroupSettings(remoteJid);
-            if (!settings.polls || Object.keys(settings.polls).length === 0) {
-                await safeSendText(sock, remoteJid, '❌ No active poll' );
-                return;
-            }
-
-            // Get latest poll
-            const pollId = Object.keys(settings.polls).sort().pop();
-            const poll = settings.polls[pollId];
-
-            const optionNum = parseInt(args[0]) - 1;
-            if (optionNum < 0 || optionNum >= poll.options.length) {
-                await safeSendText(sock, remoteJid, '❌ Invalid option number' );
+            const voter = message.key.participant || message.key.remoteJid;
+            const { poll, error } = await recordVote(remoteJid, voter, choices);
+            if (error) {
+                await safeSendText(sock, remoteJid, `❌ ${error}` );
                 return;
             }
 
-            const voter = message.key.participant || message.key.remoteJid;
-            poll.votes[voter] = optionNum;
-            await saveGroupSettings(remoteJid, settings);
-
-            // Count votes
-            const counts = poll.options.map((_, i) =>
-                Object.values(poll.votes).filter(v => v === i).length
-            );
-
-            // Format results
-            const results = `📊 *Poll Results*\n${poll.question}\n\n` +
-                poll.options.map((opt, i) =>
-                    `${i + 1}. ${opt}: ${counts[i]} votes`
-                ).join('\n');
-
-            await safeSendText(sock, remoteJid, results );
+            await safeSendText(sock, remoteJid, formatPollResults(poll) );
 
         } catch (err) {
             logger.error('Error in vote command:', err);
@@ -1484,41 +3554,28 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'endpoll');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
             const settings = await getGroupSettings(remoteJid);
-            if (!settings.polls || Object.keys(settings.polls).length === 0) {
+            const open = getOpenPolls(settings);
+            if (open.length === 0) {
                 await safeSendText(sock, remoteJid, '❌ No active poll' );
                 return;
             }
 
-            // Get and delete latest poll
-            const pollId = Object.keys(settings.polls).sort().pop();
-            const poll = settings.polls[pollId];
-            delete settings.polls[pollId];
-            await saveGroupSettings(remoteJid, settings);
-
-            // Count final votes
-            const counts = poll.options.map((_, i) =>
-                Object.values(poll.votes).filter(v => v === i).length
-            );
-
-            // Find winner(s)
-            const maxVotes = Math.max(...counts);
-            const winners = poll.options.filter((_, i) => counts[i] === maxVotes);
-
-            // Format final results
-            const results = `📊 *Final Poll Results*\n${poll.question}\n\n` +
-                poll.options.map((opt, i) =>
-                    `${i + 1}. ${opt}: ${counts[i]} votes`
-                ).join('\n') +
-                `\n\nWinner${winners.length > 1 ? 's' : ''}: ${winners.join(', ')}`;
+            // Numbered like !poll list, defaulting to the latest open poll
+            const all = getAllPolls(settings);
+            const target = args[0] ? all[parseInt(args[0]) - 1] : open[open.length - 1];
+            if (!target || target.closed) {
+                await safeSendText(sock, remoteJid, '❌ Invalid poll number. Use !poll list to see open polls' );
+                return;
+            }
 
-            await safeSendText(sock, remoteJid, results );
+            await closePoll(sock, remoteJid, target.id);
 
         } catch (err) {
             logger.error('Error in endpoll command:', err);
@@ -1535,9 +3592,111 @@ const groupCommands = {
                 return;
             }
 
-            // For now, return a placeholder message
-            await safeSendText(sock, remoteJid, '🎯 Quiz feature coming soon!'
-            );
+            const sender = message.key.participant || message.key.remoteJid;
+            const subcommand = (args[0] || '').toLowerCase();
+            const session = quiz.getSession(remoteJid);
+
+            if (subcommand === 'packs') {
+                const packs = [...quiz.getPacks().values()];
+                if (packs.length === 0) {
+                    await safeSendText(sock, remoteJid, '❌ No question packs found. Add JSON or CSV files to data/quiz' );
+                    return;
+                }
+                const list = packs.map(pack => `• *${pack.id}* - ${pack.name} (${pack.questions.length} questions)${pack.description ? `\n  ${pack.description}` : ''}`).join('\n');
+                await safeSendText(sock, remoteJid, `📚 *Quiz Packs*\n\n${list}\n\nStart one with !quiz start <pack>` );
+                return;
+            }
+
+            if (subcommand === 'score') {
+                if (!session) {
+                    await safeSendText(sock, remoteJid, '❌ No quiz is running' );
+                    return;
+                }
+                await safeSendMessage(sock, remoteJid, quiz.formatScoreboard(session));
+                return;
+            }
+
+            if (!['start', 'stop', 'skip', 'reload'].includes(subcommand)) {
+                await safeSendText(sock, remoteJid,
+                    '🎯 *Quiz*\n\n' +
+                    '!quiz start [pack] [questions] [seconds] - Start a quiz\n' +
+                    '!quiz stop - End the quiz and show the scoreboard\n' +
+                    '!quiz skip - Skip the current question\n' +
+                    '!quiz score - Show the current scores\n' +
+                    '!quiz packs - List question packs\n' +
+                    '!quiz reload - Reload packs from data/quiz' );
+                return;
+            }
+
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'quiz');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            if (subcommand === 'reload') {
+                const packs = quiz.loadPacks();
+                await safeSendText(sock, remoteJid, `✅ Reloaded ${packs.size} question pack${packs.size === 1 ? '' : 's'}` );
+                return;
+            }
+
+            if (subcommand === 'stop') {
+                if (!(await quiz.endQuiz(sock, remoteJid))) {
+                    await safeSendText(sock, remoteJid, '❌ No quiz is running' );
+                }
+                return;
+            }
+
+            if (subcommand === 'skip') {
+                if (!(await quiz.skipQuestion(sock, remoteJid))) {
+                    await safeSendText(sock, remoteJid, '❌ There is no open question to skip' );
+                }
+                return;
+            }
+
+            // start [pack] [questions] [seconds]; the pack can be left out
+            if (session) {
+                await safeSendText(sock, remoteJid, '❌ A quiz is already running. Use !quiz stop to end it' );
+                return;
+            }
+            if (wordChain.getGame(remoteJid)) {
+                await safeSendText(sock, remoteJid, '❌ A word chain game is running. Use !wordchain end to stop it' );
+                return;
+            }
+            if (!(await isFeatureEnabled(remoteJid, 'games'))) {
+                await safeSendText(sock, remoteJid, '❌ Games are disabled in this group. Enable them with *.feature games on*' );
+                return;
+            }
+
+            const options = args.slice(1);
+            let packId = null;
+            if (options[0] && isNaN(options[0])) {
+                packId = options.shift().toLowerCase();
+                if (packId === 'mixed') {
+                    packId = null;
+                } else if (!quiz.getPacks().has(packId)) {
+                    await safeSendText(sock, remoteJid, `❌ Unknown pack "${packId}". Use !quiz packs to see all packs` );
+                    return;
+                }
+            }
+
+            const rounds = options[0] ? parseInt(options[0]) : quiz.DEFAULT_ROUNDS;
+            const roundTime = options[1] ? parseInt(options[1]) : quiz.DEFAULT_ROUND_TIME;
+            if (isNaN(rounds) || rounds < 1 || rounds > quiz.MAX_ROUNDS) {
+                await safeSendText(sock, remoteJid, `❌ Number of questions must be between 1 and ${quiz.MAX_ROUNDS}` );
+                return;
+            }
+            if (isNaN(roundTime) || roundTime < quiz.MIN_ROUND_TIME || roundTime > quiz.MAX_ROUND_TIME) {
+                await safeSendText(sock, remoteJid, `❌ Time per question must be between ${quiz.MIN_ROUND_TIME} and ${quiz.MAX_ROUND_TIME} seconds` );
+                return;
+            }
+
+            if (quiz.pickQuestions(packId, 1).length === 0) {
+                await safeSendText(sock, remoteJid, '❌ No questions available. Add JSON or CSV packs to data/quiz' );
+                return;
+            }
+
+            await quiz.startQuiz(sock, remoteJid, { packId, rounds, roundTime, startedBy: sender });
 
         } catch (err) {
             logger.error('Error in quiz command:', err);
@@ -1554,9 +3713,38 @@ const groupCommands = {
                 return;
             }
 
-            // For now, return a placeholder message
-            await safeSendText(sock, remoteJid, '🎮 Trivia feature coming soon!'
-            );
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'trivia');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            if (quiz.getSession(remoteJid)) {
+                await safeSendText(sock, remoteJid, '❌ A quiz is already running. Use !quiz stop to end it' );
+                return;
+            }
+            if (wordChain.getGame(remoteJid)) {
+                await safeSendText(sock, remoteJid, '❌ A word chain game is running. Use !wordchain end to stop it' );
+                return;
+            }
+            if (!(await isFeatureEnabled(remoteJid, 'games'))) {
+                await safeSendText(sock, remoteJid, '❌ Games are disabled in this group. Enable them with *.feature games on*' );
+                return;
+            }
+
+            // A short quiz round: 5 quick questions from one pack or all of them
+            const packId = args[0] ? args[0].toLowerCase() : null;
+            if (packId && !quiz.getPacks().has(packId)) {
+                await safeSendText(sock, remoteJid, `❌ Unknown category "${packId}". Use !quiz packs to see all packs` );
+                return;
+            }
+            if (quiz.pickQuestions(packId, 1).length === 0) {
+                await safeSendText(sock, remoteJid, '❌ No questions available. Add JSON or CSV packs to data/quiz' );
+                return;
+            }
+
+            await quiz.startQuiz(sock, remoteJid, { packId, rounds: 5, roundTime: 20, startedBy: sender });
 
         } catch (err) {
             logger.error('Error in trivia command:', err);
@@ -1573,9 +3761,114 @@ const groupCommands = {
                 return;
             }
 
-            // For now, return a placeholder message
-            await safeSendText(sock, remoteJid, '🔠 Word Chain game coming soon!'
-            );
+            const sender = message.key.participant || message.key.remoteJid;
+            const subcommand = (args[0] || '').toLowerCase();
+            const game = wordChain.getGame(remoteJid);
+
+            if (subcommand === 'join' || subcommand === 'play') {
+                const result = wordChain.joinGame(remoteJid, sender);
+                const replies = {
+                    none: '❌ No word chain game is open. Start one with !wordchain start',
+                    started: '❌ The game has already started, wait for the next one',
+                    already: '❌ You already joined this game',
+                    full: '❌ This game is full'
+                };
+                if (result !== 'joined') {
+                    await safeSendText(sock, remoteJid, replies[result] );
+                    return;
+                }
+                await safeSendMessage(sock, remoteJid, {
+                    text: `✅ @${sender.split('@')[0]} joined the word chain (${game.players.length} players)`,
+                    mentions: [sender]
+                });
+                return;
+            }
+
+            if (subcommand === 'status') {
+                if (!game) {
+                    await safeSendText(sock, remoteJid, '❌ No word chain game is running' );
+                    return;
+                }
+                const players = game.phase === 'joining' ? game.players : game.alive;
+                await safeSendMessage(sock, remoteJid, {
+                    text: `🔠 *Word Chain* (${game.lang})\n\n` +
+                        `Status: ${game.phase === 'joining' ? 'waiting for players' : 'playing'}\n` +
+                        `Words played: ${game.words}\n` +
+                        (game.lastWord ? `Last word: *${game.lastWord}*\n` : '') +
+                        `\nPlayers:\n${players.map((jid, i) => `${i + 1}. @${jid.split('@')[0]}`).join('\n')}`,
+                    mentions: players
+                });
+                return;
+            }
+
+            if (!['start', 'begin', 'end'].includes(subcommand)) {
+                await safeSendText(sock, remoteJid,
+                    '🔠 *Word Chain*\n\n' +
+                    '!wordchain start [language] [seconds] - Open a game\n' +
+                    '!wordchain join - Join the open game\n' +
+                    '!wordchain begin - Start without waiting for more players\n' +
+                    '!wordchain status - Show players and the last word\n' +
+                    '!wordchain end - Stop the game\n\n' +
+                    `Languages: ${wordChain.getGameLanguages().join(', ') || 'none'}` );
+                return;
+            }
+
+            // The host can begin or end their own game
+            const isHost = game && game.startedBy === sender;
+            if (!isHost) {
+                const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'wordchain');
+                if (!canUseCommand) {
+                    await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                    return;
+                }
+            }
+
+            if (subcommand === 'end') {
+                if (!wordChain.stopGame(remoteJid)) {
+                    await safeSendText(sock, remoteJid, '❌ No word chain game is running' );
+                    return;
+                }
+                await safeSendText(sock, remoteJid, '🛑 Word chain game ended' );
+                return;
+            }
+
+            if (subcommand === 'begin') {
+                if (!game || game.phase !== 'joining') {
+                    await safeSendText(sock, remoteJid, '❌ No word chain game is waiting for players' );
+                    return;
+                }
+                await wordChain.beginGame(sock, remoteJid);
+                return;
+            }
+
+            // start [language] [seconds]
+            if (game || quiz.getSession(remoteJid)) {
+                await safeSendText(sock, remoteJid, '❌ Another game is already running in this group' );
+                return;
+            }
+            if (!(await isFeatureEnabled(remoteJid, 'games'))) {
+                await safeSendText(sock, remoteJid, '❌ Games are disabled in this group. Enable them with *.feature games on*' );
+                return;
+            }
+
+            const options = args.slice(1);
+            const languages = wordChain.getGameLanguages();
+            let lang = languages.includes(config.bot.language) ? config.bot.language : languages[0];
+            if (options[0] && isNaN(options[0])) {
+                lang = options.shift().toLowerCase();
+            }
+            if (!lang || !languages.includes(lang)) {
+                await safeSendText(sock, remoteJid, `❌ No word list for "${lang}". Available: ${languages.join(', ') || 'none'}` );
+                return;
+            }
+
+            const turnTime = options[0] ? parseInt(options[0]) : wordChain.DEFAULT_TURN_TIME;
+            if (isNaN(turnTime) || turnTime < wordChain.MIN_TURN_TIME || turnTime > wordChain.MAX_TURN_TIME) {
+                await safeSendText(sock, remoteJid, `❌ Time per turn must be between ${wordChain.MIN_TURN_TIME} and ${wordChain.MAX_TURN_TIME} seconds` );
+                return;
+            }
+
+            await wordChain.createGame(sock, remoteJid, { lang, turnTime, startedBy: sender });
 
         } catch (err) {
             logger.error('Error in wordchain command:', err);
@@ -1588,13 +3881,166 @@ const groupCommands = {
             const remoteJid = message.key.remoteJid;
 
             if (!remoteJid.endsWith('@g.us')) {
-                await safeSendText(sock, remoteJid, '❌ Thiscommandcan only be used in groups' );
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
                 return;
             }
 
-            // For now, return a placeholder message
-            await safeSendText(sock, remoteJid, '👥 Role management feature coming soon!'
-            );
+            const sender = message.key.participant || message.key.remoteJid;
+            const settings = await getGroupSettings(remoteJid);
+            const roles = getRoleSettings(settings);
+            const subcommand = (args[0] || 'list').toLowerCase();
+            const mentioned = message.message?.extendedTextMessage?.contextInfo?.mentionedJid?.[0] ||
+                message.message?.extendedTextMessage?.contextInfo?.participant;
+
+            const usage = '❌ Usage:\n' +
+                '!role list\n' +
+                '!role who [@user]\n' +
+                '!role add @user <role>\n' +
+                '!role remove @user <role>\n' +
+                '!role create <role> [command1,command2]\n' +
+                '!role delete <role>\n' +
+                '!role grant <role> <command...>\n' +
+                '!role revoke <role> <command...>';
+
+            // Anyone can look at the roles
+            if (subcommand === 'list') {
+                const lines = Object.entries(roles.definitions).map(([name, role]) => {
+                    const holders = Object.entries(roles.members).filter(([, assigned]) => assigned.includes(name)).length;
+                    return `*${name}* (${holders} member${holders === 1 ? '' : 's'})\n` +
+                        (role.description ? `  ${role.description}\n` : '') +
+                        `  Commands: ${role.commands.length > 0 ? role.commands.join(', ') : 'none'}`;
+                });
+                await safeSendText(sock, remoteJid, `👥 *Group Roles*\n\n${lines.length > 0 ? lines.join('\n\n') : 'No roles defined'}` );
+                return;
+            }
+
+            if (subcommand === 'who') {
+                const target = mentioned || (args[1] ? `${args[1].replace(/[@+\s]/g, '')}@s.whatsapp.net` : sender);
+                const memberRoles = getMemberRoles(settings, target);
+                await safeSendMessage(sock, remoteJid, {
+                    text: `👥 @${target.split('@')[0]} ${memberRoles.length > 0 ? `has the roles: ${memberRoles.join(', ')}` : 'has no roles'}`,
+                    mentions: [target]
+                });
+                return;
+            }
+
+            // Changing roles stays with the real admins
+            if (!(await isAdmin(sock, remoteJid, sender))) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            switch (subcommand) {
+                case 'add':
+                case 'remove': {
+                    const target = mentioned || (args[1] ? `${args[1].replace(/[@+\s]/g, '')}@s.whatsapp.net` : null);
+                    const roleName = normalizeRoleName(args[2]);
+                    if (!target || !roleName) {
+                        await safeSendText(sock, remoteJid, usage );
+                        return;
+                    }
+                    if (!roles.definitions[roleName]) {
+                        await safeSendText(sock, remoteJid, `❌ Role *${roleName}* does not exist. Use !role list to see all roles` );
+                        return;
+                    }
+
+                    // Stored under one JID per member, whatever device suffix they joined with
+                    const key = Object.keys(roles.members).find(jid => userKey(jid) === userKey(target)) || target;
+                    const assigned = roles.members[key] || [];
+                    const tag = `@${target.split('@')[0]}`;
+
+                    if (subcommand === 'add') {
+                        if (assigned.includes(roleName)) {
+                            await safeSendMessage(sock, remoteJid, { text: `❌ ${tag} already has the role *${roleName}*`, mentions: [target] });
+                            return;
+                        }
+                        roles.members[key] = [...assigned, roleName];
+                    } else {
+                        if (!assigned.includes(roleName)) {
+                            await safeSendMessage(sock, remoteJid, { text: `❌ ${tag} does not have the role *${roleName}*`, mentions: [target] });
+                            return;
+                        }
+                        roles.members[key] = assigned.filter(role => role !== roleName);
+                        if (roles.members[key].length === 0) delete roles.members[key];
+                    }
+
+                    settings.roles = roles;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'roles');
+                    await logModAction(sock, remoteJid, { action: `role-${subcommand}`, actor: sender, target, reason: roleName });
+                    await safeSendMessage(sock, remoteJid, {
+                        text: subcommand === 'add'
+                            ? `✅ ${tag} is now a *${roleName}*\nCommands: ${roles.definitions[roleName].commands.join(', ') || 'none'}`
+                            : `✅ ${tag} is no longer a *${roleName}*`,
+                        mentions: [target]
+                    });
+                    return;
+                }
+
+                case 'create': {
+                    const roleName = normalizeRoleName(args[1]);
+                    if (!roleName) {
+                        await safeSendText(sock, remoteJid, '❌ Role names must be 2-24 characters (letters, numbers, dashes) and cannot be user, admin, owner or premium' );
+                        return;
+                    }
+                    if (roles.definitions[roleName]) {
+                        await safeSendText(sock, remoteJid, `❌ Role *${roleName}* already exists` );
+                        return;
+                    }
+                    if (Object.keys(roles.definitions).length >= MAX_ROLES) {
+                        await safeSendText(sock, remoteJid, `❌ A group can have at most ${MAX_ROLES} roles` );
+                        return;
+                    }
+                    const commands = parseRoleCommands(args.slice(2));
+                    roles.definitions[roleName] = { description: '', commands };
+                    settings.roles = roles;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'roles');
+                    await safeSendText(sock, remoteJid, `✅ Role *${roleName}* created\nCommands: ${commands.join(', ') || 'none'}` );
+                    return;
+                }
+
+                case 'delete': {
+                    const roleName = normalizeRoleName(args[1]);
+                    if (!roleName || !roles.definitions[roleName]) {
+                        await safeSendText(sock, remoteJid, '❌ Usage: !role delete <role>' );
+                        return;
+                    }
+                    delete roles.definitions[roleName];
+                    for (const [jid, assigned] of Object.entries(roles.members)) {
+                        roles.members[jid] = assigned.filter(role => role !== roleName);
+                        if (roles.members[jid].length === 0) delete roles.members[jid];
+                    }
+                    settings.roles = roles;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'roles');
+                    await safeSendText(sock, remoteJid, `✅ Role *${roleName}* deleted` );
+                    return;
+                }
+
+                case 'grant':
+                case 'revoke': {
+                    const roleName = normalizeRoleName(args[1]);
+                    const commands = parseRoleCommands(args.slice(2));
+                    if (!roleName || !roles.definitions[roleName] || commands.length === 0) {
+                        await safeSendText(sock, remoteJid, `❌ Usage: !role ${subcommand} <role> <command...>` );
+                        return;
+                    }
+                    if (commands.includes('role')) {
+                        await safeSendText(sock, remoteJid, '❌ Role management cannot be delegated' );
+                        return;
+                    }
+
+                    const role = roles.definitions[roleName];
+                    role.commands = subcommand === 'grant'
+                        ? [...new Set([...role.commands, ...commands])]
+                        : role.commands.filter(command => !commands.includes(command));
+                    settings.roles = roles;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'roles');
+                    await safeSendText(sock, remoteJid, `✅ Role *${roleName}* updated\nCommands: ${role.commands.join(', ') || 'none'}` );
+                    return;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid, usage );
+            }
 
         } catch (err) {
             logger.error('Error in role command:', err);
@@ -1612,8 +4058,8 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'setname');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -1643,8 +4089,8 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'setdesc');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -1674,8 +4120,8 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'setppic');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -1706,8 +4152,8 @@ const groupCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'feature');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
@@ -1777,6 +4223,10 @@ module.exports = {
     async init() {
         try {
             logger.info('Initializing group command handler...');
+            jobScheduler.registerHandler('captcha', expireCaptcha);
+            jobScheduler.registerHandler('pollclose', closePollJob);
+            jobScheduler.registerHandler('unmute', expireMute);
+            jobScheduler.registerHandler('seasonend', leaderboards.seasonEndJob);
             const initialized = await initializeDirectories();
             if (initialized) {
                 logger.info('Group command handler initialized successfully');
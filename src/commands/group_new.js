@@ -1,12 +1,310 @@
 const logger = require('../utils/logger');
-const { isAdmin, isBotAdmin } = require('../utils/permissions');
-const { downloadMediaMessage } = require('../utils/helpers');
-const { getGroupSettings, saveGroupSettings } = require('../utils/groupSettings');
-const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { isAdmin, isBotAdmin, hasCommandPermission } = require('../utils/permissions');
+const { downloadMediaMessage } = require('@whiskeysockets/baileys');
+const { parseDuration, formatDuration, truncateString } = require('../utils/helpers');
+const { getGroupSettings, updateGroupSettings, saveGroupSettingsKeys } = require('../utils/groupSettings');
+const { safeSendText, safeSendMessage, safeSendImage, safeSendGroupMessage } = require('../utils/jidHelper');
+const { jobScheduler, parseRecurrence } = require('../utils/scheduler');
+const moment = require('moment-timezone');
 const path = require('path');
 const fs = require('fs');
 const fsPromises = fs.promises;
 
+// Images attached to scheduled announcements are kept here until they are delivered or deleted
+const SCHEDULE_MEDIA_DIR = path.join(process.cwd(), 'data/groups/media');
+
+// Limits for scheduled announcements
+const MAX_SCHEDULED_PER_GROUP = 25;
+const MAX_POLL_OPTIONS = 12;
+
+const SCHEDULE_USAGE = '*📅 Scheduled Messages*\n\n' +
+    '.schedule add <when> <message>\n' +
+    '.schedule add <when> poll Question | Option 1 | Option 2\n' +
+    '.schedule add <when> [caption] (reply to an image)\n' +
+    '.schedule list\n' +
+    '.schedule pause <id> | resume <id> | delete <id>\n' +
+    '.schedule timezone [Area/City]\n\n' +
+    '*When:*\n' +
+    'in 2h | at 18:30 | at 2025-12-31 23:59\n' +
+    'every monday 9:00 | every day 8:00 | every 2h\n' +
+    'cron 0 9 * * 1-5';
+
+/**
+ * Get the timezone used for a group's schedules
+ * @param {Object} settings Group settings
+ * @returns {string} IANA timezone name
+ */
+function getGroupTimezone(settings) {
+    return settings.timezone || moment.tz.guess();
+}
+
+/**
+ * Parse the "when" part of a .schedule command
+ * @param {Array<string>} args Arguments starting with in/at/every/cron
+ * @param {string} timezone Timezone used to interpret wall-clock times
+ * @returns {{runAt?: number, cron?: string, description: string, consumed: number}|null} Parsed schedule or null if invalid
+ */
+function parseScheduleTime(args, timezone) {
+    const keyword = (args[0] || '').toLowerCase();
+
+    if (keyword === 'in') {
+        const seconds = parseDuration(args[1]);
+        if (!seconds) return null;
+        const runAt = Date.now() + seconds * 1000;
+        return { runAt, description: moment.tz(runAt, timezone).format('ddd D MMM YYYY HH:mm'), consumed: 2 };
+    }
+
+    if (keyword === 'at') {
+        const hasDate = /^\d{4}-\d{2}-\d{2}$/.test(args[1] || '');
+        const date = hasDate ? args[1] : moment.tz(timezone).format('YYYY-MM-DD');
+        const time = hasDate ? args[2] : args[1];
+        if (!time || !/^\d{1,2}:\d{2}$/.test(time)) return null;
+
+        const when = moment.tz(`${date} ${time}`, 'YYYY-MM-DD H:mm', true, timezone);
+        if (!when.isValid()) return null;
+
+        // A bare time that already passed today means the same time tomorrow
+        if (!hasDate && when.valueOf() <= Date.now()) {
+            when.add(1, 'day');
+        }
+
+        return { runAt: when.valueOf(), description: when.format('ddd D MMM YYYY HH:mm'), consumed: hasDate ? 3 : 2 };
+    }
+
+    if (keyword === 'every' || keyword === 'cron') {
+        return parseRecurrence(args);
+    }
+
+    return null;
+}
+
+/**
+ * Remove a stored announcement image, ignoring files that are already gone
+ * @param {string} fileName File name inside the schedule media directory
+ */
+async function removeScheduleMedia(fileName) {
+    if (!fileName) return;
+    try {
+        await fsPromises.unlink(path.join(SCHEDULE_MEDIA_DIR, fileName));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.warn(`Failed to remove scheduled media ${fileName}:`, err);
+        }
+    }
+}
+
+/**
+ * Scheduler handler that posts a scheduled announcement
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} job Scheduled job
+ */
+async function deliverAnnouncement(sock, job) {
+    const settings = await getGroupSettings(job.chatJid);
+    const scheduled = Array.isArray(settings.scheduled) ? settings.scheduled : [];
+    const entry = scheduled.find(item => item.id === job.id);
+
+    // The announcement was removed from the group settings, drop the orphaned job
+    if (!entry) {
+        logger.warn(`Scheduled announcement #${job.id} no longer exists in ${job.chatJid}, cancelling job`);
+        await jobScheduler.cancelJob(job.id);
+        return;
+    }
+
+    let content;
+    if (entry.type === 'image') {
+        const image = await fsPromises.readFile(path.join(SCHEDULE_MEDIA_DIR, entry.mediaFile));
+        content = { image, caption: entry.text || '' };
+    } else if (entry.type === 'poll') {
+        content = { poll: { name: entry.poll.name, values: entry.poll.values, selectableCount: 1 } };
+    } else {
+        content = { text: entry.text };
+    }
+
+    const sent = await safeSendGroupMessage(sock, job.chatJid, content);
+    if (!sent) {
+        logger.warn(`Scheduled announcement #${job.id} could not be delivered to ${job.chatJid}`);
+    }
+
+    // One-shot announcements are removed once they have run
+    if (!job.cron) {
+        await updateGroupSettings(job.chatJid, current => {
+            current.scheduled = (current.scheduled || []).filter(item => item.id !== job.id);
+        });
+        await removeScheduleMedia(entry.mediaFile);
+    }
+}
+
+// Pinned media is copied here so pins survive after WhatsApp drops the original
+const PIN_MEDIA_DIR = path.join(process.cwd(), 'data/groups_extended/pins');
+
+const MAX_PINS_PER_GROUP = 50;
+
+// Message types a pin can hold, with the file extension used for stored media
+const PIN_MEDIA_TYPES = {
+    imageMessage: { type: 'image', ext: 'jpg' },
+    videoMessage: { type: 'video', ext: 'mp4' },
+    audioMessage: { type: 'audio', ext: 'ogg' },
+    stickerMessage: { type: 'sticker', ext: 'webp' },
+    documentMessage: { type: 'document', ext: 'bin' }
+};
+
+const PIN_ICONS = {
+    text: '💬',
+    image: '🖼️',
+    video: '🎬',
+    audio: '🎵',
+    sticker: '🏷️',
+    document: '📄'
+};
+
+const PINS_USAGE = '*📌 Pin Board*\n\n' +
+    '.pin [#tags] [--expire 7d] - Pin the replied message\n' +
+    '.pins - List pins\n' +
+    '.pins <number> - Post a pin again\n' +
+    '.pins search <term|#tag> - Search pins\n' +
+    '.pins export - Get all pins as a markdown file\n' +
+    '.pins expiry [7d|off] - Default time before pins expire\n' +
+    '.unpin [number|all] - Remove a pin (default: the latest)';
+
+/**
+ * Get the pins of a group, upgrading pins stored before pins had IDs and content
+ * @param {Object} settings Group settings
+ * @returns {Array<Object>} Pins, oldest first
+ */
+function getPins(settings) {
+    if (!Array.isArray(settings.pinnedMessages)) settings.pinnedMessages = [];
+
+    let nextId = settings.pinnedMessages.reduce((max, pin) => Math.max(max, pin.id || 0), 0) + 1;
+    for (const pin of settings.pinnedMessages) {
+        if (!pin.id) pin.id = nextId++;
+        if (pin.type) continue;
+
+        const content = pin.message || {};
+        const mediaKey = Object.keys(PIN_MEDIA_TYPES).find(key => content[key]);
+        pin.type = mediaKey ? PIN_MEDIA_TYPES[mediaKey].type : 'text';
+        pin.text = content.conversation || content.extendedTextMessage?.text || (mediaKey && content[mediaKey].caption) || '';
+        pin.tags = pin.tags || [];
+        pin.expiresAt = pin.expiresAt || null;
+        delete pin.message;
+    }
+    return settings.pinnedMessages;
+}
+
+/**
+ * Remove the stored media of a pin, ignoring files that are already gone
+ * @param {Object} pin Pin
+ */
+async function removePinMedia(pin) {
+    if (!pin.mediaFile) return;
+    try {
+        await fsPromises.unlink(path.join(PIN_MEDIA_DIR, pin.mediaFile));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.warn(`Failed to remove pinned media ${pin.mediaFile}:`, err);
+        }
+    }
+}
+
+/**
+ * Remove a pin together with its media and expiry job
+ * @param {Object} settings Group settings
+ * @param {Object} pin Pin to remove
+ */
+async function removePin(settings, pin) {
+    settings.pinnedMessages = getPins(settings).filter(item => item.id !== pin.id);
+    if (pin.jobId && jobScheduler.getJob(pin.jobId)) {
+        await jobScheduler.cancelJob(pin.jobId);
+    }
+    await removePinMedia(pin);
+}
+
+/**
+ * Build the message that posts a pin again
+ * @param {Object} pin Pin
+ * @param {string} header Text shown above the pinned text
+ * @returns {Promise<Object>} Message content
+ */
+async function buildPinMessage(pin, header) {
+    const text = pin.text ? `${header}\n\n${pin.text}` : header;
+    const mentions = pin.author ? [pin.author] : [];
+    if (!pin.mediaFile) return { text, mentions };
+
+    const media = await fsPromises.readFile(path.join(PIN_MEDIA_DIR, pin.mediaFile));
+    switch (pin.type) {
+        case 'sticker':
+            return { sticker: media };
+        case 'audio':
+            return { audio: media, mimetype: pin.mimetype || 'audio/ogg; codecs=opus', ptt: !!pin.ptt };
+        case 'document':
+            return { document: media, mimetype: pin.mimetype || 'application/octet-stream', fileName: pin.fileName || pin.mediaFile, caption: text, mentions };
+        default:
+            return { [pin.type]: media, mimetype: pin.mimetype || undefined, caption: text, mentions };
+    }
+}
+
+/**
+ * Describe a pin in one line for lists
+ * @param {Object} pin Pin
+ * @param {string} timezone Group timezone
+ * @returns {string} Pin summary
+ */
+function formatPinLine(pin, timezone) {
+    const preview = pin.text ? truncateString(pin.text.replace(/\s+/g, ' '), 60) : `(${pin.type})`;
+    let line = `${PIN_ICONS[pin.type] || '📌'} *${pin.id}.* ${preview}`;
+    if (pin.tags.length > 0) line += `\n   ${pin.tags.map(tag => `#${tag}`).join(' ')}`;
+    line += `\n   by @${pin.pinnedBy.split('@')[0]}, ${moment.tz(pin.timestamp, timezone).format('D MMM YYYY')}`;
+    if (pin.expiresAt) line += ` · expires ${moment.tz(pin.expiresAt, timezone).format('D MMM HH:mm')}`;
+    return line;
+}
+
+/**
+ * Render a group's pins as a markdown digest
+ * @param {Array<Object>} pins Pins
+ * @param {string} groupName Group name
+ * @param {string} timezone Group timezone
+ * @returns {string} Markdown text
+ */
+function exportPinsMarkdown(pins, groupName, timezone) {
+    const lines = [
+        `# 📌 Pin board: ${groupName}`,
+        '',
+        `_Exported ${moment.tz(timezone).format('D MMM YYYY HH:mm')} (${timezone}), ${pins.length} pin${pins.length === 1 ? '' : 's'}_`,
+        ''
+    ];
+
+    for (const pin of pins) {
+        lines.push(`## ${pin.id}. ${pin.text ? truncateString(pin.text.split('\n')[0], 60) : pin.type}`, '');
+        lines.push(`- Pinned by +${pin.pinnedBy.split('@')[0]} on ${moment.tz(pin.timestamp, timezone).format('D MMM YYYY HH:mm')}`);
+        if (pin.author) lines.push(`- Written by +${pin.author.split('@')[0]}`);
+        if (pin.tags.length > 0) lines.push(`- Tags: ${pin.tags.map(tag => `\`#${tag}\``).join(' ')}`);
+        if (pin.type !== 'text') lines.push(`- Attachment: ${pin.type}${pin.fileName ? ` (${pin.fileName})` : ''}`);
+        if (pin.expiresAt) lines.push(`- Expires ${moment.tz(pin.expiresAt, timezone).format('D MMM YYYY HH:mm')}`);
+        if (pin.text) {
+            lines.push('', ...pin.text.split('\n').map(line => `> ${line}`));
+        }
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Scheduler handler that removes an expired pin
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} job Scheduled job
+ */
+async function expirePin(sock, job) {
+    const pin = await updateGroupSettings(job.chatJid, async settings => {
+        const expired = getPins(settings).find(item => item.id === job.payload.pinId && item.jobId === job.id);
+        if (!expired) return null;
+
+        expired.jobId = null;
+        await removePin(settings, expired);
+        return expired;
+    });
+    if (!pin) return;
+    logger.info(`Pin ${pin.id} in ${job.chatJid} expired`);
+}
+
 // Extended group command handlers
 const groupNewCommands = {
     async pin(sock, message, args) {
@@ -19,31 +317,105 @@ const groupNewCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'pin');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
             // Get the message to pin
-            const quoted = message.message.extendedTextMessage?.contextInfo?.quotedMessage;
+            const contextInfo = message.message.extendedTextMessage?.contextInfo;
+            let quoted = contextInfo?.quotedMessage;
             if (!quoted) {
                 await safeSendText(sock, remoteJid, '❌ Please reply to a message to pin it' );
                 return;
             }
+            quoted = quoted.documentWithCaptionMessage?.message || quoted.viewOnceMessageV2?.message || quoted;
 
-            // Store pinned message in group settings
             const settings = await getGroupSettings(remoteJid);
-            if (!settings.pinnedMessages) settings.pinnedMessages = [];
+            const pins = getPins(settings);
+            if (pins.length >= MAX_PINS_PER_GROUP) {
+                await safeSendText(sock, remoteJid, `❌ The pin board is full (${MAX_PINS_PER_GROUP} pins). Remove one with .unpin <number>` );
+                return;
+            }
 
-            settings.pinnedMessages.push({
-                message: quoted,
+            // Tags and an optional expiry come after the command
+            let expiry = settings.pinExpiry || null;
+            const expireIndex = args.findIndex(arg => arg.toLowerCase() === '--expire');
+            if (expireIndex !== -1) {
+                const value = (args[expireIndex + 1] || '').toLowerCase();
+                expiry = value === 'never' ? null : parseDuration(value);
+                if (value !== 'never' && !expiry) {
+                    await safeSendText(sock, remoteJid, '❌ Invalid expiry. Use a time like 12h, 7d or 2w, or never' );
+                    return;
+                }
+            }
+            const tagArgs = expireIndex === -1 ? args : [...args.slice(0, expireIndex), ...args.slice(expireIndex + 2)];
+            const tags = [...new Set(tagArgs
+                .map(arg => arg.replace(/^#/, '').toLowerCase())
+                .filter(tag => /^[\p{L}\p{N}_-]{1,30}$/u.test(tag)))].slice(0, 10);
+
+            const mediaKey = Object.keys(PIN_MEDIA_TYPES).find(key => quoted[key]);
+            const content = mediaKey ? quoted[mediaKey] : null;
+            const id = pins.reduce((max, pin) => Math.max(max, pin.id), 0) + 1;
+            const pin = {
+                id,
+                type: mediaKey ? PIN_MEDIA_TYPES[mediaKey].type : 'text',
+                text: quoted.conversation || quoted.extendedTextMessage?.text || content?.caption || '',
+                author: contextInfo.participant || null,
+                messageId: contextInfo.stanzaId || null,
+                tags,
                 pinnedBy: sender,
-                timestamp: Date.now()
-            });
+                timestamp: Date.now(),
+                expiresAt: expiry ? Date.now() + expiry * 1000 : null,
+                jobId: null
+            };
+
+            if (!pin.text && !mediaKey) {
+                await safeSendText(sock, remoteJid, '❌ This kind of message can\'t be pinned' );
+                return;
+            }
+
+            if (content) {
+                const media = await downloadMediaMessage({ message: { [mediaKey]: content } }, 'buffer', {});
+                const ext = pin.type === 'document' && content.fileName
+                    ? path.extname(content.fileName).slice(1) || PIN_MEDIA_TYPES[mediaKey].ext
+                    : PIN_MEDIA_TYPES[mediaKey].ext;
+                pin.mediaFile = `${remoteJid.split('@')[0]}_${id}_${Date.now()}.${ext}`;
+                pin.mimetype = content.mimetype || null;
+                pin.fileName = content.fileName || null;
+                pin.ptt = !!content.ptt;
+                await fsPromises.mkdir(PIN_MEDIA_DIR, { recursive: true });
+                await fsPromises.writeFile(path.join(PIN_MEDIA_DIR, pin.mediaFile), media);
+            }
+
+            if (pin.expiresAt) {
+                const job = await jobScheduler.addJob({
+                    type: 'pinexpire',
+                    chatJid: remoteJid,
+                    userJid: sender,
+                    runAt: pin.expiresAt,
+                    description: `Unpin #${id}`,
+                    payload: { pinId: id }
+                });
+                pin.jobId = job.id;
+            }
+
+            try {
+                await updateGroupSettings(remoteJid, current => {
+                    getPins(current).push(pin);
+                });
+            } catch (saveErr) {
+                if (pin.jobId) await jobScheduler.cancelJob(pin.jobId);
+                await removePinMedia(pin);
+                throw saveErr;
+            }
 
-            await saveGroupSettings(remoteJid, settings);
-            await safeSendText(sock, remoteJid, '📌 Message has been pinned' );
+            const timezone = getGroupTimezone(settings);
+            await safeSendText(sock, remoteJid,
+                `📌 Pinned as #${id}` +
+                (tags.length > 0 ? ` with ${tags.map(tag => `#${tag}`).join(' ')}` : '') +
+                (pin.expiresAt ? `\n⏳ Expires ${moment.tz(pin.expiresAt, timezone).format('ddd D MMM HH:mm')}` : '') );
 
         } catch (err) {
             logger.error('Error in pin command:', err);
@@ -61,23 +433,39 @@ const groupNewCommands = {
             }
 
             const sender = message.key.participant || message.key.remoteJid;
-            const isUserAdmin = await isAdmin(sock, remoteJid, sender);
-            if (!isUserAdmin) {
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'unpin');
+            if (!canUseCommand) {
                 await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
                 return;
             }
 
             const settings = await getGroupSettings(remoteJid);
-            if (!settings.pinnedMessages || settings.pinnedMessages.length === 0) {
+            const pins = getPins(settings);
+            if (pins.length === 0) {
                 await safeSendText(sock, remoteJid, '❌ No pinned messages found' );
                 return;
             }
 
-            // Remove the last pinned message
-            settings.pinnedMessages.pop();
-            await saveGroupSettings(remoteJid, settings);
+            if ((args[0] || '').toLowerCase() === 'all') {
+                await updateGroupSettings(remoteJid, async current => {
+                    for (const pin of [...getPins(current)]) {
+                        await removePin(current, pin);
+                    }
+                });
+                await safeSendText(sock, remoteJid, `📌 Removed all ${pins.length} pins` );
+                return;
+            }
+
+            // Without a number the last pinned message is removed
+            const pin = args[0] ? pins.find(item => item.id === parseInt(args[0].replace(/^#/, ''), 10)) : pins[pins.length - 1];
+            if (!pin) {
+                await safeSendText(sock, remoteJid, `❌ No pin #${args[0]}, see .pins` );
+                return;
+            }
 
-            await safeSendText(sock, remoteJid, '📌 Last pinned message has been removed' );
+            await updateGroupSettings(remoteJid, current => removePin(current, pin));
+
+            await safeSendText(sock, remoteJid, `📌 Pin #${pin.id} has been removed` );
 
         } catch (err) {
             logger.error('Error in unpin command:', err);
@@ -94,26 +482,309 @@ const groupNewCommands = {
                 return;
             }
 
+            const sender = message.key.participant || message.key.remoteJid;
             const settings = await getGroupSettings(remoteJid);
-            if (!settings.pinnedMessages || settings.pinnedMessages.length === 0) {
+            const pins = getPins(settings);
+            const timezone = getGroupTimezone(settings);
+            const action = (args[0] || 'list').toLowerCase();
+
+            if (action === 'expiry') {
+                const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'pin');
+                if (!canUseCommand) {
+                    await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                    return;
+                }
+
+                const value = (args[1] || '').toLowerCase();
+                if (!value) {
+                    await safeSendText(sock, remoteJid, settings.pinExpiry
+                        ? `⏳ New pins expire after ${formatDuration(settings.pinExpiry)}`
+                        : '⏳ Pins don\'t expire. Set a default with .pins expiry <7d>' );
+                    return;
+                }
+
+                const seconds = value === 'off' || value === 'never' ? null : parseDuration(value);
+                if (seconds === null && value !== 'off' && value !== 'never') {
+                    await safeSendText(sock, remoteJid, '❌ Invalid expiry. Use a time like 12h, 7d or 2w, or off' );
+                    return;
+                }
+
+                settings.pinExpiry = seconds;
+                await saveGroupSettingsKeys(remoteJid, settings, 'pinExpiry');
+                await safeSendText(sock, remoteJid, seconds
+                    ? `✅ New pins expire after ${formatDuration(seconds)}`
+                    : '✅ New pins no longer expire' );
+                return;
+            }
+
+            if (pins.length === 0) {
                 await safeSendText(sock, remoteJid, '📌 No pinned messages' );
                 return;
             }
 
-            // Format pinned messages list
-            const pinnedList = settings.pinnedMessages
-                .map((pin, i) => `${i + 1}. Pinned by: @${pin.pinnedBy.split('@')[0]} (${new Date(pin.timestamp).toLocaleString()})`)
-                .join('\n');
+            // A number posts that pin again
+            if (/^#?\d+$/.test(action)) {
+                const pin = pins.find(item => item.id === parseInt(action.replace(/^#/, ''), 10));
+                if (!pin) {
+                    await safeSendText(sock, remoteJid, `❌ No pin #${action.replace(/^#/, '')}, see .pins` );
+                    return;
+                }
 
-            await safeSendMessage(sock, remoteJid, { 
-                text: `📌 Pinned Messages:\n\n${pinnedList}`,
-                mentions: settings.pinnedMessages.map(pin => pin.pinnedBy)
-            });
+                const header = `📌 *Pin #${pin.id}*` +
+                    (pin.author ? ` from @${pin.author.split('@')[0]}` : '') +
+                    (pin.tags.length > 0 ? `\n${pin.tags.map(tag => `#${tag}`).join(' ')}` : '');
+                await safeSendMessage(sock, remoteJid, await buildPinMessage(pin, header));
+                return;
+            }
+
+            switch (action) {
+                case 'list':
+                case 'search': {
+                    let shown = pins;
+                    let title = '📌 *Pinned Messages*';
+                    if (action === 'search') {
+                        const term = args.slice(1).join(' ').trim().toLowerCase();
+                        if (!term) {
+                            await safeSendText(sock, remoteJid, '❌ Usage: .pins search <term|#tag>' );
+                            return;
+                        }
+
+                        shown = term.startsWith('#')
+                            ? pins.filter(pin => pin.tags.includes(term.slice(1)))
+                            : pins.filter(pin => pin.text.toLowerCase().includes(term) ||
+                                pin.tags.some(tag => tag.includes(term)) ||
+                                (pin.author && pin.author.startsWith(term.replace(/^[@+]/, ''))));
+                        title = `🔎 *Pins matching "${term}"*`;
+                        if (shown.length === 0) {
+                            await safeSendText(sock, remoteJid, `🔎 No pins match "${term}"` );
+                            return;
+                        }
+                    }
+
+                    await safeSendMessage(sock, remoteJid, {
+                        text: `${title}\n\n${shown.map(pin => formatPinLine(pin, timezone)).join('\n\n')}\n\n` +
+                            'Use .pins <number> to see a pin',
+                        mentions: [...new Set(shown.map(pin => pin.pinnedBy))]
+                    });
+                    return;
+                }
+
+                case 'export': {
+                    const groupMetadata = await sock.groupMetadata(remoteJid);
+                    const markdown = exportPinsMarkdown(pins, groupMetadata.subject || remoteJid, timezone);
+                    await safeSendMessage(sock, remoteJid, {
+                        document: Buffer.from(markdown),
+                        mimetype: 'text/markdown',
+                        fileName: `pins_${remoteJid.split('@')[0]}.md`,
+                        caption: `📌 Pin board digest (${pins.length} pins)`
+                    });
+                    return;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid, PINS_USAGE );
+            }
 
         } catch (err) {
             logger.error('Error in pins command:', err);
             await safeSendText(sock, message.key.remoteJid, '❌ Failed to list pinned messages' );
         }
+    },
+
+    async schedule(sock, message, args) {
+        try {
+            const remoteJid = message.key.remoteJid;
+
+            if (!remoteJid.endsWith('@g.us')) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used in groups' );
+                return;
+            }
+
+            const sender = message.key.participant || message.key.remoteJid;
+            const canUseCommand = await hasCommandPermission(sock, remoteJid, sender, 'schedule');
+            if (!canUseCommand) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by admins' );
+                return;
+            }
+
+            const settings = await getGroupSettings(remoteJid);
+            if (!Array.isArray(settings.scheduled)) settings.scheduled = [];
+            const timezone = getGroupTimezone(settings);
+            const action = (args[0] || 'list').toLowerCase();
+
+            switch (action) {
+                case 'add': {
+                    if (settings.scheduled.length >= MAX_SCHEDULED_PER_GROUP) {
+                        await safeSendText(sock, remoteJid, `❌ This group already has ${MAX_SCHEDULED_PER_GROUP} scheduled messages. Delete one first.` );
+                        return;
+                    }
+
+                    const when = parseScheduleTime(args.slice(1), timezone);
+                    if (!when) {
+                        await safeSendText(sock, remoteJid, SCHEDULE_USAGE );
+                        return;
+                    }
+                    if (when.runAt && when.runAt <= Date.now()) {
+                        await safeSendText(sock, remoteJid, '❌ That time is in the past' );
+                        return;
+                    }
+
+                    const rest = args.slice(1 + when.consumed);
+                    const quoted = message.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+                    const entry = { type: 'text', text: rest.join(' ').trim() };
+
+                    if ((rest[0] || '').toLowerCase() === 'poll') {
+                        const parts = rest.slice(1).join(' ').split('|').map(part => part.trim()).filter(Boolean);
+                        if (parts.length < 3) {
+                            await safeSendText(sock, remoteJid, '❌ A poll needs a question and at least 2 options, separated by |' );
+                            return;
+                        }
+                        if (parts.length - 1 > MAX_POLL_OPTIONS) {
+                            await safeSendText(sock, remoteJid, `❌ A poll can have at most ${MAX_POLL_OPTIONS} options` );
+                            return;
+                        }
+                        entry.type = 'poll';
+                        entry.text = '';
+                        entry.poll = { name: parts[0], values: parts.slice(1) };
+                    } else if (quoted?.imageMessage) {
+                        const buffer = await downloadMediaMessage(
+                            { message: { imageMessage: quoted.imageMessage } },
+                            'buffer',
+                            {}
+                        );
+                        const fileName = `${remoteJid.split('@')[0]}_${Date.now()}.jpg`;
+                        await fsPromises.mkdir(SCHEDULE_MEDIA_DIR, { recursive: true });
+                        await fsPromises.writeFile(path.join(SCHEDULE_MEDIA_DIR, fileName), buffer);
+
+                        entry.type = 'image';
+                        entry.text = entry.text || quoted.imageMessage.caption || '';
+                        entry.mediaFile = fileName;
+                    } else if (!entry.text) {
+                        entry.text = quoted?.conversation || quoted?.extendedTextMessage?.text || '';
+                    }
+
+                    if (entry.type === 'text' && !entry.text) {
+                        await safeSendText(sock, remoteJid, '❌ Please provide the message to send, or reply to a message or image' );
+                        return;
+                    }
+
+                    const job = await jobScheduler.addJob({
+                        type: 'announcement',
+                        chatJid: remoteJid,
+                        userJid: sender,
+                        runAt: when.runAt,
+                        cron: when.cron,
+                        timezone,
+                        description: when.description
+                    });
+
+                    try {
+                        await updateGroupSettings(remoteJid, current => {
+                            current.scheduled = [...(current.scheduled || []), {
+                                id: job.id,
+                                ...entry,
+                                createdBy: sender,
+                                createdAt: Date.now()
+                            }];
+                        });
+                    } catch (saveErr) {
+                        await jobScheduler.cancelJob(job.id);
+                        await removeScheduleMedia(entry.mediaFile);
+                        throw saveErr;
+                    }
+
+                    const timing = job.cron ? `🔁 ${job.description}` : `🕒 ${job.description}`;
+                    await safeSendText(sock, remoteJid, `✅ Scheduled ${entry.type} message #${job.id}\n${timing} (${timezone})` );
+                    return;
+                }
+
+                case 'list': {
+                    if (settings.scheduled.length === 0) {
+                        await safeSendText(sock, remoteJid, '📅 No scheduled messages in this group' );
+                        return;
+                    }
+
+                    const lines = settings.scheduled.map(entry => {
+                        const job = jobScheduler.getJob(entry.id);
+                        const status = !job ? '⚠️' : (job.paused ? '⏸️' : '▶️');
+                        const timing = job ? `${job.cron ? '🔁' : '🕒'} ${job.description}` : 'not scheduled';
+                        const preview = entry.type === 'poll' ? `📊 ${entry.poll.name}` :
+                            (entry.type === 'image' ? `🖼️ ${entry.text || '(no caption)'}` : entry.text);
+                        return `${status} *#${entry.id}* ${timing}\n   ${truncateString(preview, 60)}`;
+                    });
+
+                    await safeSendText(sock, remoteJid,
+                        `📅 *Scheduled Messages*\n\n${lines.join('\n\n')}\n\n🌍 Timezone: ${timezone}`
+                    );
+                    return;
+                }
+
+                case 'pause':
+                case 'resume':
+                case 'delete':
+                case 'remove': {
+                    const id = parseInt(args[1], 10);
+                    const entry = settings.scheduled.find(item => item.id === id);
+                    if (!entry) {
+                        await safeSendText(sock, remoteJid, `❌ No scheduled message with ID #${args[1] || '?'} in this group` );
+                        return;
+                    }
+
+                    if (action === 'pause') {
+                        await jobScheduler.pauseJob(id);
+                        await safeSendText(sock, remoteJid, `⏸️ Scheduled message #${id} paused` );
+                    } else if (action === 'resume') {
+                        const resumed = await jobScheduler.resumeJob(id);
+                        await safeSendText(sock, remoteJid, resumed ?
+                            `▶️ Scheduled message #${id} resumed` :
+                            `❌ Scheduled message #${id} has no active schedule, delete and add it again` );
+                    } else {
+                        await jobScheduler.cancelJob(id);
+                        await updateGroupSettings(remoteJid, current => {
+                            current.scheduled = (current.scheduled || []).filter(item => item.id !== id);
+                        });
+                        await removeScheduleMedia(entry.mediaFile);
+                        await safeSendText(sock, remoteJid, `🗑️ Scheduled message #${id} deleted` );
+                    }
+                    return;
+                }
+
+                case 'timezone':
+                case 'tz': {
+                    if (!args[1]) {
+                        await safeSendText(sock, remoteJid, `🌍 Schedules in this group use *${timezone}*\nChange it with .schedule timezone <Area/City>` );
+                        return;
+                    }
+
+                    const zone = moment.tz.zone(args[1]);
+                    if (!zone) {
+                        await safeSendText(sock, remoteJid, '❌ Unknown timezone. Use a name like Europe/Berlin or Asia/Jakarta' );
+                        return;
+                    }
+
+                    settings.timezone = zone.name;
+                    await saveGroupSettingsKeys(remoteJid, settings, 'timezone');
+
+                    // Recurring schedules follow the group's wall clock, one-shots keep their absolute time
+                    for (const entry of settings.scheduled) {
+                        const job = jobScheduler.getJob(entry.id);
+                        if (job && job.cron) {
+                            await jobScheduler.updateJob(job.id, { timezone: zone.name });
+                        }
+                    }
+
+                    await safeSendText(sock, remoteJid, `✅ Group timezone set to *${zone.name}*` );
+                    return;
+                }
+
+                default:
+                    await safeSendText(sock, remoteJid, SCHEDULE_USAGE );
+            }
+
+        } catch (err) {
+            logger.error('Error in schedule command:', err);
+            await safeSendText(sock, message.key.remoteJid, '❌ Failed to manage scheduled messages' );
+        }
     }
 };
 
@@ -165,7 +836,7 @@ module.exports = {
                 'path': path,
                 'logger': logger,
                 'getGroupSettings': getGroupSettings,
-                'saveGroupSettings': saveGroupSettings
+                'updateGroupSettings': updateGroupSettings
             };
 
             for (const [name, dep] of Object.entries(coreDeps)) {
@@ -183,6 +854,10 @@ module.exports = {
                 return false;
             }
 
+            // Deliver scheduled announcements created with .schedule
+            jobScheduler.registerHandler('announcement', deliverAnnouncement);
+            jobScheduler.registerHandler('pinexpire', expirePin);
+
             logger.info('✅ Group Extended module initialized successfully');
             return true;
         } catch (err) {
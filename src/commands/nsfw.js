@@ -7,7 +7,7 @@ const exec = promisify(require('child_process').exec);
 const FormData = require('form-data');
 const sharp = require('sharp');
 const ffmpeg = require('fluent-ffmpeg');
-const { getGroupSettings, saveGroupSettings } = require('../utils/groupSettings');
+const { getGroupSettings, updateGroupSettings } = require('../utils/groupSettings');
 const { languageManager } = require('../utils/language');
 const { 
     safeSendMessage, 
@@ -216,14 +216,13 @@ async function saveNsfwSettingsForGroup(groupId, enabled) {
         // Ensure groupId is a string - fix for "endsWith is not a function" error
         const safeGroupId = String(groupId || '');
         
-        const settings = await getGroupSettings(safeGroupId);
-        settings.nsfw = {
-            ...settings.nsfw,
-            enabled,
-            updatedAt: Date.now()
-        };
-
-        await saveGroupSettings(safeGroupId, settings);
+        await updateGroupSettings(safeGroupId, settings => {
+            settings.nsfw = {
+                ...settings.nsfw,
+                enabled,
+                updatedAt: Date.now()
+            };
+        });
         groupNsfwSettings.set(safeGroupId, { enabled });
         logger.info(`NSFW settings updated for group ${safeGroupId}: ${enabled ? 'enabled' : 'disabled'}`);
         return true;
@@ -6,6 +6,10 @@ const path = require('path');
 const dotenv = require('dotenv');
 const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
 const { normalizeUserIdForBanSystem } = require('../utils/userDatabase');
+const { logModAction } = require('../utils/modLog');
+const { isBotOwner } = require('../utils/permissions');
+const leaderboards = require('../utils/leaderboards');
+const ledger = require('../utils/economyLedger');
 
 // Save banned users to file for persistence
 async function saveBannedUsers() {
@@ -363,6 +367,16 @@ Note: Use your number in international format without any + sign, spaces, or das
             const mentionText = `@${targetNumber}`;
             
             logger.info(`Banned user: ${targetNumber} (normalized from input)`);
+
+            // Bans issued inside a group also go into that group's moderation log
+            if (remoteJid.endsWith('@g.us')) {
+                await logModAction(sock, remoteJid, {
+                    action: 'ban',
+                    actor: message.key.participant || sock.user?.id || 'bot',
+                    target: targetJid,
+                    reason: args.slice(1).join(' ') || null
+                });
+            }
             
             // Send with proper mention format
             await safeSendMessage(sock, remoteJid, { 
@@ -418,6 +432,14 @@ Note: Use your number in international format without any + sign, spaces, or das
             const mentionText = `@${targetNumber}`;
             
             logger.info(`Unbanned user: ${targetNumber} (normalized from input)`);
+
+            if (remoteJid.endsWith('@g.us')) {
+                await logModAction(sock, remoteJid, {
+                    action: 'unban',
+                    actor: message.key.participant || sock.user?.id || 'bot',
+                    target: targetJid
+                });
+            }
             
             // Send with proper mention format
             await safeSendMessage(sock, remoteJid, { 
@@ -544,6 +566,97 @@ Note: Use your number in international format without any + sign, spaces, or das
         }
     },
 
+    // Global leaderboard seasons
+    async globalseason(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        try {
+            const sender = message.key.participant || remoteJid;
+            if (!isBotOwner(sender)) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by the bot owner' );
+                return;
+            }
+
+            const action = (args[0] || '').toLowerCase();
+            const board = await leaderboards.getBoard(leaderboards.GLOBAL_SCOPE);
+
+            if (!action) {
+                const schedule = leaderboards.SEASON_SCHEDULES[board.season.schedule];
+                await safeSendText(sock, remoteJid,
+                    `*🏁 Global Season ${board.season.number}*\n\n` +
+                    `Started: ${new Date(board.season.started).toLocaleDateString()}\n` +
+                    `Ends: ${schedule ? schedule.description : 'manually'}\n` +
+                    `Badges: top ${board.season.badges}\n\n` +
+                    `Usage: .globalseason <${Object.keys(leaderboards.SEASON_SCHEDULES).join('|')}|off> [badges] | end` );
+                return;
+            }
+
+            if (action === 'end') {
+                const archived = await leaderboards.endSeason(leaderboards.GLOBAL_SCOPE);
+                await safeSendText(sock, remoteJid, `✅ Global season ${archived.number} ended, ${archived.badges.length} badges given` );
+                return;
+            }
+
+            const badges = args[1] !== undefined ? parseInt(args[1]) : undefined;
+            if (!(action === 'off' || leaderboards.SEASON_SCHEDULES[action]) ||
+                (badges !== undefined && !(badges >= 0 && badges <= leaderboards.MAX_SEASON_BADGES))) {
+                await safeSendText(sock, remoteJid, `⚠️ Usage: .globalseason <${Object.keys(leaderboards.SEASON_SCHEDULES).join('|')}|off> [badges 0-${leaderboards.MAX_SEASON_BADGES}] | end` );
+                return;
+            }
+
+            const season = await leaderboards.setSeasonSchedule(leaderboards.GLOBAL_SCOPE, action === 'off' ? null : action, { badges, userJid: sender });
+            await safeSendText(sock, remoteJid, season.schedule
+                ? `✅ Global seasons now end ${leaderboards.SEASON_SCHEDULES[season.schedule].description}, the top ${season.badges} get a badge`
+                : '✅ Global seasons only end with .globalseason end' );
+        } catch (err) {
+            logger.error('Error managing global seasons:', err);
+            await safeSendText(sock, remoteJid, '❌ Error managing global seasons.' );
+        }
+    },
+
+    // Economy audit
+    async economyaudit(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        try {
+            const sender = message.key.participant || remoteJid;
+            if (!isBotOwner(sender)) {
+                await safeSendText(sock, remoteJid, '❌ This command can only be used by the bot owner' );
+                return;
+            }
+
+            // Transactions of one user
+            const number = (args[0] || '').replace(/[^0-9]/g, '');
+            if (number) {
+                const entries = ledger.getHistory(`${number}@s.whatsapp.net`, 25);
+                await safeSendText(sock, remoteJid, entries.length > 0
+                    ? `*📜 Transactions of ${number}*\n\n${ledger.formatEntries(entries)}`
+                    : `No transactions recorded for ${number}` );
+                return;
+            }
+
+            const { balances, chains, funnels } = await ledger.auditEconomy();
+            const days = Math.round(ledger.AUDIT_PERIOD / (24 * 60 * 60 * 1000));
+            let text = `*🔍 Economy Audit* (last ${days} days)\n\n`;
+
+            text += `*Balances* (${balances.length})\n` + (balances.length > 0
+                ? balances.map(({ number, issue }) => `• ${number}: ${issue}`).join('\n')
+                : 'Nothing unusual');
+
+            text += `\n\n*Transfer chains* (${chains.length})\n` + (chains.length > 0
+                ? chains.map(chain => `• ${chain.path.join(' → ')} (${chain.amount.toLocaleString()} coins${chain.cycle ? ', round trip' : ''})`).join('\n')
+                : 'Nothing unusual');
+
+            text += `\n\n*Shared recipients* (${funnels.length})\n` + (funnels.length > 0
+                ? funnels.map(funnel => `• ${funnel.feeders.join(', ')} → ${funnel.recipient} (${funnel.amount.toLocaleString()} coins)`).join('\n')
+                : 'Nothing unusual');
+
+            text += '\n\nUse .economyaudit <number> to see the transactions of an account';
+            await safeSendText(sock, remoteJid, text );
+        } catch (err) {
+            logger.error('Error auditing the economy:', err);
+            await safeSendText(sock, remoteJid, '❌ Error auditing the economy.' );
+        }
+    },
+
     // Helper function for initialization
     async init() {
         logger.info('Initializing owner command handler...');
@@ -3,7 +3,6 @@ const { checkPermission } = require('../utils/permissions');
 const moment = require('moment');
 const fs = require('fs').promises;
 const path = require('path');
-const { createCanvas, loadImage, registerFont } = require('canvas');
 
 /**
  * Safely check if a JID is for a group
@@ -28,6 +27,10 @@ const axios = require('axios');
 const { getCountry } = require('countries-list');
 const userDatabase = require('../utils/userDatabase');
 const levelingSystem = require('../utils/levelingSystem');
+const leaderboards = require('../utils/leaderboards');
+const { getAchievements, findAchievement, isUnlocked, getProgress, trackEvent, generateUnlockCard, formatProgressBar } = require('../utils/achievements');
+const { getThemes, getTheme, getProfileTheme, ownsTheme } = require('../utils/cardThemes');
+const ledger = require('../utils/economyLedger');
 
 // Use the centralized userDatabase instead of separate maps
 const { 
@@ -46,22 +49,6 @@ const {
 // Create temp directory for profile card images
 const TEMP_DIR = path.join(process.cwd(), 'temp', 'user');
 
-// Define color themes
-const colorThemes = {
-    default: { primary: '#3498db', secondary: '#2ecc71', text: '#ffffff', background: '#2c3e50' },
-    dark: { primary: '#34495e', secondary: '#7f8c8d', text: '#ecf0f1', background: '#121212' },
-    light: { primary: '#bdc3c7', secondary: '#95a5a6', text: '#2c3e50', background: '#ecf0f1' },
-    red: { primary: '#e74c3c', secondary: '#c0392b', text: '#ffffff', background: '#2c3e50' },
-    green: { primary: '#2ecc71', secondary: '#27ae60', text: '#ffffff', background: '#2c3e50' },
-    purple: { primary: '#9b59b6', secondary: '#8e44ad', text: '#ffffff', background: '#2c3e50' },
-    orange: { primary: '#e67e22', secondary: '#d35400', text: '#ffffff', background: '#2c3e50' },
-    blue: { primary: '#3498db', secondary: '#2980b9', text: '#ffffff', background: '#1a2530' },
-    pink: { primary: '#ff79c6', secondary: '#bd93f9', text: '#ffffff', background: '#282a36' },
-    gaming: { primary: '#ff3e3e', secondary: '#7289da', text: '#ffffff', background: '#23272a' },
-    teal: { primary: '#1abc9c', secondary: '#16a085', text: '#ffffff', background: '#2c3e50' },
-    neon: { primary: '#00ff00', secondary: '#ff00ff', text: '#ffffff', background: '#000000' }
-};
-
 // Define job list
 const jobsList = [
     { name: 'Developer', income: 500, requirements: { level: 3 } },
@@ -221,6 +208,19 @@ function formatNumber(amount) {
     return amount.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ",");
 }
 
+/**
+ * List the card themes with their price and whether the user owns them
+ * @param {object} profile - User profile
+ * @returns {string} Theme list
+ */
+function formatThemeList(profile) {
+    const current = getProfileTheme(profile).name;
+    return getThemes().map(theme => {
+        const status = ownsTheme(profile, theme) ? (theme.price > 0 ? 'owned' : 'free') : `${formatNumber(theme.price)} coins`;
+        return `• ${theme.name}${theme.name === current ? ' ✅' : ''} - ${status}\n  ${theme.description || theme.displayName || ''}`;
+    }).join('\n');
+}
+
 /**
  * Convert number to Roman numerals
  * @param {number} num - Number to convert
@@ -242,190 +242,22 @@ function toRoman(num) {
     return roman;
 }
 
-// Create a simpler profile card image without the profile picture
+/**
+ * Draw a profile card with the user's card theme
+ * @param {object} profile - User profile
+ * @param {string} theme - Card theme to draw with instead of the user's own
+ * @param {string} jid - User JID
+ * @returns {Promise<string|null>} Path to the card image
+ */
 async function createProfileCard(profile, theme = null, jid = null) {
     try {
-        // Use provided theme, user's preferred theme, or default
-        const selectedTheme = theme || profile.theme || 'default';
-        const colors = colorThemes[selectedTheme] || colorThemes.default;
-        const width = 800;
-        const height = 400;
-        
-        // Create canvas
-        const canvas = createCanvas(width, height);
-        const ctx = canvas.getContext('2d');
-        
-        // Draw background
-        ctx.fillStyle = colors.background;
-        ctx.fillRect(0, 0, width, height);
-        
-        // Create a gradient for the header
-        const gradient = ctx.createLinearGradient(0, 0, width, 0);
-        gradient.addColorStop(0, colors.primary);
-        gradient.addColorStop(1, colors.secondary);
-        
-        // Draw header with gradient
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, width, 100);
-        
-        // Draw decorative elements (sidebar)
-        ctx.fillStyle = colors.primary;
-        ctx.globalAlpha = 0.3;
-        ctx.fillRect(0, 100, 30, height - 100);
-        ctx.globalAlpha = 1.0;
-        
-        // Save context state for further drawing
-        ctx.save();
-        
-        // Draw name
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = 'bold 48px Arial';
-        ctx.fillText(profile.name, 50, 60);
-        
-        // Draw user title if available
-        if (profile.customTitle) {
-            ctx.font = 'italic 24px Arial';
-            ctx.fillText(profile.customTitle, 50, 90);
-        }
-        
-        // Try to add profile picture if available
-        if (profile.profilePic) {
-            try {
-                // Check if the profile picture file exists
-                if (await fs.access(profile.profilePic).then(() => true).catch(() => false)) {
-                    // Load the profile picture
-                    const { loadImage } = require('canvas');
-                    const profileImage = await loadImage(profile.profilePic);
-                    
-                    // Create circular clip for profile picture
-                    ctx.save();
-                    ctx.beginPath();
-                    const pictureX = 120;
-                    const pictureY = 160;
-                    const pictureRadius = 70;
-                    ctx.arc(pictureX, pictureY, pictureRadius, 0, Math.PI * 2, true);
-                    ctx.closePath();
-                    ctx.clip();
-                    
-                    // Draw the profile picture in the circular clip
-                    ctx.drawImage(profileImage, pictureX - pictureRadius, pictureY - pictureRadius, 
-                                 pictureRadius * 2, pictureRadius * 2);
-                    
-                    // Reset clip and add border
-                    ctx.restore();
-                    ctx.strokeStyle = colors.primary;
-                    ctx.lineWidth = 3;
-                    ctx.beginPath();
-                    ctx.arc(pictureX, pictureY, pictureRadius, 0, Math.PI * 2, true);
-                    ctx.closePath();
-                    ctx.stroke();
-                }
-            } catch (picErr) {
-                // If there's an error loading the profile picture, continue without it
-                logger.error(`Error loading profile picture for card: ${picErr.message}`);
-            }
-        }
-        
-        // Draw user info section - right side panel
-        ctx.fillStyle = colors.secondary;
-        ctx.globalAlpha = 0.7;
-        ctx.fillRect(220, 120, 560, 260);
-        ctx.globalAlpha = 1.0;
-        
-        // Draw profile details
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = 'bold 24px Arial';
-        
-        let y = 160;
-        
-        // Stats section
-        ctx.fillText(`📈 Level: ${profile.level}`, 240, y); y += 40;
-        
-        // Calculate level progress using the same formula from levelingSystem
-        const currentLevelXP = profile.level > 1 ? levelingSystem.calculateRequiredXP(profile.level) : 0;
-        const nextLevelXP = levelingSystem.calculateRequiredXP(profile.level + 1);
-        const progressXP = profile.xp - currentLevelXP;
-        const totalNeededXP = nextLevelXP - currentLevelXP;
-        const progressPercent = Math.min(100, Math.floor((progressXP / totalNeededXP) * 100));
-        
-        // Display XP
-        ctx.fillText(`⭐ XP: ${profile.xp}/${nextLevelXP}`, 240, y); y += 40;
-        
-        // Draw progress bar
-        const progressBarX = 240;
-        const progressBarY = y;
-        const progressBarWidth = 500;
-        const progressBarHeight = 20;
-        
-        // Progress bar background
-        ctx.fillStyle = '#333333';
-        ctx.fillRect(progressBarX, progressBarY, progressBarWidth, progressBarHeight);
-        
-        // Progress bar fill
-        ctx.fillStyle = colors.primary;
-        ctx.fillRect(progressBarX, progressBarY, progressBarWidth * (progressPercent / 100), progressBarHeight);
-        
-        // Progress text
-        ctx.fillStyle = '#FFFFFF';
-        ctx.font = '16px Arial';
-        ctx.textAlign = 'center';
-        ctx.fillText(`${progressPercent}%`, progressBarX + progressBarWidth/2, progressBarY + 15);
-        ctx.textAlign = 'left';
-        
-        y += 40;
-        
-        // Other stats
-        ctx.font = '24px Arial';
-        ctx.fillText(`💰 Coins: ${formatNumber(profile.coins)}`, 240, y); y += 40;
-        ctx.fillText(`🎯 Age: ${profile.age}`, 240, y); y += 40;
-        ctx.fillText(`🏆 Achievements: ${profile.achievements?.length || 0}`, 240, y); y += 40;
-        
-        // Draw bio if available
-        if (profile.bio) {
-            y = 340;
-            ctx.fillStyle = '#FFFFFF';
-            ctx.font = 'italic 18px Arial';
-            ctx.fillText(`"${wrapText(ctx, profile.bio, 520, 18)[0]}"`, 240, y);
-        }
-        
-        // Draw registration date
-        ctx.font = '16px Arial';
-        ctx.fillText(`Registered: ${moment(profile.registeredAt).format('MMM DD, YYYY')}`, 20, height - 20);
-        
-        // Save image
-        const filename = `profile_${Date.now()}.png`;
-        const outputPath = path.join(TEMP_DIR, filename);
-        
-        const buffer = canvas.toBuffer('image/png');
-        await fs.writeFile(outputPath, buffer);
-        
-        return outputPath;
+        return await levelingSystem.generateLevelCard(jid, profile, theme);
     } catch (err) {
         logger.error(`Error creating profile card${jid ? ` for ${formatJidForLogging(jid)}` : ''}:`, err);
         return null;
     }
 }
 
-// Text wrapping helper
-function wrapText(ctx, text, maxWidth, fontSize) {
-    const words = text.split(' ');
-    const lines = [];
-    let currentLine = words[0];
-
-    for (let i = 1; i < words.length; i++) {
-        const word = words[i];
-        const width = ctx.measureText(currentLine + " " + word).width;
-        if (width < maxWidth) {
-            currentLine += " " + word;
-        } else {
-            lines.push(currentLine);
-            currentLine = word;
-        }
-    }
-    lines.push(currentLine);
-    return lines;
-}
-
 const userCommands = {
     async register(sock, message, args) {
         try {
@@ -764,6 +596,7 @@ const userCommands = {
 *🎯 Age:* ${profile.age}
 ${rankText}
 *🏆 Achievements:* ${profile.achievements.length}
+*🎖️ Season badges:* ${profile.badges && profile.badges.length > 0 ? profile.badges.slice(-3).map(badge => badge.name).join(', ') : 'None'}
 *📝 Bio:* ${profile.bio || 'No bio set'}
 *👑 Title:* ${profile.customTitle || 'No title set'}
 *🎨 Theme:* ${profile.theme || 'default'}
@@ -813,7 +646,7 @@ ${rankText}
                 // Generate a custom profile card
                 let cardPath = null;
                 try {
-                    cardPath = await createProfileCard(profile, null, sender);
+                    cardPath = await createProfileCard(profile, null, targetUser);
                 } catch (cardErr) {
                     logger.error(`Error creating profile card for ${formatJidForLogging(targetUser)}:`, cardErr);
                     // Will try fallback
@@ -935,6 +768,7 @@ ${rankText}
             }
 
             profile.bio = bio;
+            levelingSystem.clearCardCache(sender);
             await safeSendText(sock, sender, '*✅ Success:* Bio updated successfully!' 
             );
         } catch (err) {
@@ -978,38 +812,45 @@ ${rankText}
                 return;
             }
             
-            const [theme] = args;
+            const [themeName] = args;
             
             // If no theme provided, list available themes
-            if (!theme) {
-                const availableThemes = Object.keys(colorThemes).join(', ');
+            if (!themeName) {
                 await safeSendMessage(sock, sender, { 
-                    text: `*🎨 Available Themes:*\n${availableThemes}\n\n*Usage:* .settheme [theme]\n*Example:* .settheme blue` 
+                    text: `*🎨 Card Themes:*\n${formatThemeList(profile)}\n\n*Usage:* .settheme [theme]\n*Example:* .settheme blue\n*Preview:* .cardpreview [theme]` 
                 });
                 return;
             }
             
             // Check if theme exists
-            if (!colorThemes[theme]) {
-                const availableThemes = Object.keys(colorThemes).join(', ');
+            const theme = getTheme(themeName);
+            if (!theme) {
                 await safeSendMessage(sock, sender, { 
-                    text: `*❌ Error:* Invalid theme!\n\n*Available Themes:*\n${availableThemes}` 
+                    text: `*❌ Error:* Invalid theme!\n\n*Card Themes:*\n${formatThemeList(profile)}` 
+                });
+                return;
+            }
+            
+            // Premium themes have to be bought first
+            if (!ownsTheme(profile, theme)) {
+                await safeSendMessage(sock, sender, { 
+                    text: `*🔒 Locked:* The *${theme.name}* theme costs ${formatNumber(theme.price)} coins.\n\nBuy it with .shop buy theme ${theme.name}\nPreview it with .cardpreview ${theme.name}` 
                 });
                 return;
             }
             
             // Update user profile
-            profile.theme = theme;
-            userDatabase.updateUserProfile(sender, { theme: theme });
+            profile.theme = theme.name;
+            userDatabase.updateUserProfile(sender, { theme: theme.name });
             
             // Send success message
             await safeSendMessage(sock, sender, { 
-                text: `*✅ Success:* Profile theme set to *${theme}*!` 
+                text: `*✅ Success:* Profile theme set to *${theme.name}*!` 
             });
             
             // Generate and send a preview of the profile card with the new theme
             try {
-                const cardPath = await createProfileCard(profile, theme, sender);
+                const cardPath = await createProfileCard(profile, theme.name, sender);
                 if (cardPath && await fs.access(cardPath).then(() => true).catch(() => false)) {
                     try {
                         // Read card as buffer for better quality
@@ -1017,7 +858,7 @@ ${rankText}
                         
                         await safeSendMessage(sock, sender, {
                             image: cardBuffer,
-                            caption: `🎨 Here's a preview of your profile card with the *${theme}* theme!`
+                            caption: `🎨 Here's a preview of your profile card with the *${theme.name}* theme!`
                         });
                     } catch (cardErr) {
                         logger.error(`Error reading theme preview card: ${cardErr.message}`);
@@ -1035,6 +876,47 @@ ${rankText}
         }
     },
     
+    async cardpreview(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        const sender = message.key.participant || remoteJid;
+        try {
+            const profile = userDatabase.getUserProfile(sender);
+            if (!profile) {
+                await safeSendText(sock, remoteJid, '*❌ Error:* You need to register first! Use .register [name] [age]' );
+                return;
+            }
+            
+            if (args.length === 0) {
+                await safeSendText(sock, remoteJid, `*🎨 Card Themes:*\n${formatThemeList(profile)}\n\n*Usage:* .cardpreview [theme]` );
+                return;
+            }
+            
+            const theme = getTheme(args[0]);
+            if (!theme) {
+                await safeSendText(sock, remoteJid, `*❌ Error:* Unknown theme: ${args[0]}\n\n*Card Themes:*\n${formatThemeList(profile)}` );
+                return;
+            }
+            
+            // Previews go through the card cache, so browsing themes stays cheap
+            const cardResult = await levelingSystem.getLevelCardBuffer(sender, profile, theme.name);
+            if (!cardResult || !cardResult.buffer) {
+                await safeSendText(sock, remoteJid, '*❌ Error:* Failed to draw the preview. Please try again.' );
+                return;
+            }
+            
+            const status = ownsTheme(profile, theme) ?
+                `Use .settheme ${theme.name} to apply it` :
+                `Costs ${formatNumber(theme.price)} coins, buy it with .shop buy theme ${theme.name}`;
+            await safeSendMessage(sock, remoteJid, {
+                image: cardResult.buffer,
+                caption: `🎨 *${theme.displayName || theme.name}*\n${theme.description || ''}\n\n${status}`
+            });
+        } catch (err) {
+            logger.error(`Error in cardpreview command for ${formatJidForLogging(remoteJid)}:`, err);
+            await safeSendText(sock, remoteJid, '*❌ Error:* Failed to preview theme. Please try again.' );
+        }
+    },
+    
     async setprofilepic(sock, message, args) {
         try {
             // Get the proper user JID, checking if we're in a group chat
@@ -1380,13 +1262,11 @@ Your XP: ${profile.xp}
             const coinsReward = Math.floor(baseCoins * streakBonus.multiplier) + streakBonus.coins;
 
             // Update user profile
-            profile.coins += coinsReward;
-            userDatabase.updateUserProfile(sender, { 
-                coins: profile.coins
-            });
+            ledger.credit(sender, coinsReward, 'daily check-in');
+            trackEvent(sender, 'coins_earned', coinsReward, { sock, chatJid: sender });
 
-            // Add XP and check for level up
-            const levelUpData = await levelingSystem.addXP(sender, 'daily');
+            // Add XP and check for level up; streak achievements unlock here too
+            const levelUpData = await levelingSystem.addXP(sender, 'daily', null, sock);
             
             // Create enhanced reward message
             let rewardText = `*🎁 Daily Reward Claimed!*\n\n`;
@@ -1429,38 +1309,6 @@ Your XP: ${profile.xp}
             }
 
             await safeSendText(sock, sender, rewardText);
-            
-            // Award achievements for streaks
-            if (streak >= 7) {
-                profile.achievements = profile.achievements || [];
-                if (!profile.achievements.includes('Weekly Streak')) {
-                    profile.achievements.push('Weekly Streak');
-                    userDatabase.updateUserProfile(sender, { achievements: profile.achievements });
-                    
-                    await safeSendText(sock, sender, `*🏆 Achievement Unlocked:* Weekly Streak\n\nYou've claimed daily rewards for 7 days in a row!`);
-                }
-            }
-            
-            if (streak >= 30) {
-                profile.achievements = profile.achievements || [];
-                if (!profile.achievements.includes('Monthly Dedication')) {
-                    profile.achievements.push('Monthly Dedication');
-                    userDatabase.updateUserProfile(sender, { achievements: profile.achievements });
-                    
-                    await safeSendText(sock, sender, `*🏆 Achievement Unlocked:* Monthly Dedication\n\nYou've claimed daily rewards for 30 days in a row!`);
-                }
-            }
-            
-            // Add achievement for hitting a 90-day streak
-            if (streak >= 90) {
-                profile.achievements = profile.achievements || [];
-                if (!profile.achievements.includes('Streak Master')) {
-                    profile.achievements.push('Streak Master');
-                    userDatabase.updateUserProfile(sender, { achievements: profile.achievements });
-                    
-                    await safeSendText(sock, sender, `*🏆 Achievement Unlocked:* Streak Master\n\nIncredible! You've maintained a daily streak for 90 days!`);
-                }
-            }
         } catch (err) {
             logger.error(`Error in daily command for ${formatJidForLogging(message.key.remoteJid)}:`, err);
             
@@ -1475,98 +1323,193 @@ Your XP: ${profile.xp}
             }
         }
     },
-    async leaderboard(sock, sender, args) {
+    async leaderboard(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        const sender = message.key.participant || remoteJid;
         try {
-            const [type = 'xp'] = args;
-            const validTypes = ['xp', 'coins', 'level'];
+            const isGroup = remoteJid.endsWith('@g.us');
+            const words = args.map(arg => arg.toLowerCase());
 
-            if (!validTypes.includes(type)) {
-                await safeSendMessage(sock, sender, { 
-                    text: `*📊 Available Leaderboard Types:*\n${validTypes.join(', ')}` 
-                });
+            // Coin and level rankings stay global
+            if (words[0] === 'coins' || words[0] === 'level') {
+                const type = words[0];
+                const users = Array.from(userProfiles.entries())
+                    .map(([id, profile]) => ({ id, name: profile.name || 'User', value: profile[type] || 0 }))
+                    .sort((a, b) => b.value - a.value)
+                    .slice(0, 10);
+
+                await safeSendText(sock, remoteJid,
+                    `*🏆 ${type.toUpperCase()} Leaderboard*\n\n` +
+                    users.map((user, i) => `${i + 1}. *${user.name}*: ${formatNumber(user.value)} ${type === 'coins' ? '💰' : '📊'}`).join('\n') );
                 return;
             }
 
-            // Use the leveling system's leaderboard function for XP leaderboard
-            let users;
-            
-            if (type === 'xp') {
-                users = levelingSystem.getLeaderboard(10);
-            } else {
-                // For other types, use the user database
-                users = Array.from(userProfiles.entries())
-                    .map(([id, profile]) => ({
-                        id,
-                        name: profile.name || 'User',
-                        value: profile[type] || 0
-                    }))
-                    .sort((a, b) => b.value - a.value)
-                    .slice(0, 10);
+            const periods = [...leaderboards.PERIODS, 'last'];
+            const unknown = words.filter(word => !['group', 'global', 'xp', ...periods].includes(word));
+            const scopeName = words.find(word => word === 'group' || word === 'global') || (isGroup ? 'group' : 'global');
+            const period = words.find(word => periods.includes(word)) || 'all';
+
+            if (unknown.length > 0) {
+                await safeSendText(sock, remoteJid, '*📊 Usage:* .leaderboard [group|global] [all|week|month|season|last]\n.leaderboard coins|level for the richest and highest members' );
+                return;
+            }
+            if (scopeName === 'group' && !isGroup) {
+                await safeSendText(sock, remoteJid, '❌ Group leaderboards can only be viewed in groups' );
+                return;
             }
 
-            // Format the leaderboard nicely
-            const leaderboardText = `
-*🏆 ${type.toUpperCase()} Leaderboard*
+            const scope = scopeName === 'group' ? remoteJid : leaderboards.GLOBAL_SCOPE;
+            const board = await leaderboards.getBoard(scope);
 
-${users.map((user, i) => `${i + 1}. *${user.name}*: ${formatNumber(user.value)} ${type === 'xp' ? 'XP' : type === 'coins' ? '💰' : '📊'}`).join('\n')}
-            `.trim();
+            // Final standings of the season that ended last
+            if (period === 'last') {
+                const archived = board.archive[board.archive.length - 1];
+                if (!archived) {
+                    await safeSendText(sock, remoteJid, '🏁 No season has ended yet' );
+                    return;
+                }
+                const { text, mentions } = leaderboards.formatSeasonResults(archived);
+                await safeSendMessage(sock, remoteJid, { text, mentions: scope === leaderboards.GLOBAL_SCOPE ? [] : mentions });
+                return;
+            }
 
-            await safeSendText(sock, sender, leaderboardText );
-            
-            // Send top user card if it's XP leaderboard
-            if (type === 'xp' && users.length > 0) {
+            // The global all-time ranking goes back further than the boards, so it uses the profiles
+            const standings = scope === leaderboards.GLOBAL_SCOPE && period === 'all'
+                ? levelingSystem.getLeaderboard(1000).map(user => ({ number: user.id.split('@')[0].split(':')[0], xp: user.xp })).filter(entry => entry.xp > 0)
+                : leaderboards.getStandings(board, period);
+
+            const titles = { all: 'All Time', week: 'This Week', month: 'This Month', season: `Season ${board.season.number}` };
+            const title = `*🏆 ${scope === leaderboards.GLOBAL_SCOPE ? 'Global' : 'Group'} Leaderboard - ${titles[period]}*`;
+            if (standings.length === 0) {
+                await safeSendText(sock, remoteJid, `${title}\n\nNobody has earned XP yet` );
+                return;
+            }
+
+            // Group members are mentioned, people on the global board are shown by name
+            const top = standings.slice(0, 10);
+            const mentions = [];
+            const label = (entry) => {
+                if (scope !== leaderboards.GLOBAL_SCOPE) {
+                    mentions.push(`${entry.number}@s.whatsapp.net`);
+                    return `@${entry.number}`;
+                }
+                const profile = userDatabase.getUserProfile(`${entry.number}@s.whatsapp.net`);
+                return `*${(profile && profile.name) || 'User'}*`;
+            };
+
+            let text = `${title}\n\n` + top.map((entry, i) => `${i + 1}. ${label(entry)}: ${formatNumber(entry.xp)} XP`).join('\n');
+
+            const senderNumber = sender.split('@')[0].split(':')[0];
+            const position = standings.findIndex(entry => entry.number === senderNumber);
+            if (position >= 10) {
+                text += `\n...\n${position + 1}. You: ${formatNumber(standings[position].xp)} XP`;
+            }
+            if (period === 'season') {
+                const schedule = leaderboards.SEASON_SCHEDULES[board.season.schedule];
+                text += `\n\n📅 Started ${new Date(board.season.started).toLocaleDateString()}` +
+                    (schedule ? `, seasons end ${schedule.description}` : '') +
+                    `\n🎖️ Top ${board.season.badges} get a season badge`;
+            }
+
+            await safeSendMessage(sock, remoteJid, { text, mentions });
+
+            // Send top user card for the global all-time ranking
+            if (scope === leaderboards.GLOBAL_SCOPE && period === 'all') {
                 try {
-                    const topUser = users[0];
-                    const topUserProfile = userDatabase.getUserProfile(topUser.id);
-                    
+                    const topId = `${standings[0].number}@s.whatsapp.net`;
+                    const topUserProfile = userDatabase.getUserProfile(topId);
+
                     if (topUserProfile) {
-                        // Use the new buffer cache method
-                        const cardResult = await levelingSystem.getLevelCardBuffer(topUser.id, topUserProfile);
+                        const cardResult = await levelingSystem.getLevelCardBuffer(topId, topUserProfile);
                         if (cardResult && cardResult.buffer) {
-                            try {
-                                await safeSendMessage(sock, sender, {
-                                    image: cardResult.buffer,
-                                    caption: `👑 Top user: ${topUser.name} (Level ${topUserProfile.level || 1})`
-                                });
-                            } catch (cardErr) {
-                                logger.error(`Error sending leaderboard card buffer: ${cardErr.message}`);
-                                // If buffer fails, try URL as fallback
-                                if (cardResult.path && await fs.access(cardResult.path).then(() => true).catch(() => false)) {
-                                    await safeSendMessage(sock, sender, {
-                                        image: { url: cardResult.path },
-                                        caption: `👑 Top user: ${topUser.name} (Level ${topUserProfile.level || 1})`
-                                    });
-                                }
-                            }
+                            await safeSendMessage(sock, remoteJid, {
+                                image: cardResult.buffer,
+                                caption: `👑 Top user: ${topUserProfile.name || 'User'} (Level ${topUserProfile.level || 1})`
+                            });
                         }
                     }
                 } catch (err) {
-                    logger.error(`Error generating top user card for ${formatJidForLogging(sender)}:`, err);
+                    logger.error(`Error generating top user card for ${formatJidForLogging(remoteJid)}:`, err);
                     // Continue execution even if card generation fails
                 }
             }
         } catch (err) {
-            logger.error(`Error in leaderboard command for ${formatJidForLogging(sender)}:`, err);
-            await safeSendText(sock, sender, '❌ Error fetching leaderboard data. Please try again.' 
+            logger.error(`Error in leaderboard command for ${formatJidForLogging(remoteJid)}:`, err);
+            await safeSendText(sock, remoteJid, '❌ Error fetching leaderboard data. Please try again.'
             );
         }
     },
 
-    async achievements(sock, sender) {
-        const profile = userProfiles.get(sender);
-        if (!profile) {
-            await safeSendText(sock, sender, '❌ You need to register first!' );
-            return;
-        }
+    async achievements(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        const sender = message.key.participant || remoteJid;
+        try {
+            const profile = userDatabase.getUserProfile(sender);
+            if (!profile) {
+                await safeSendText(sock, remoteJid, '❌ You need to register first!' );
+                return;
+            }
 
-        const achievementsText = `
-🏆 Achievements
-Total: ${profile.achievements ? profile.achievements.length : 0}
+            const all = getAchievements();
+            const describeProgress = (achievement) => getProgress(profile, achievement).conditions
+                .map(condition => `${formatNumber(Math.min(condition.current, condition.target))}/${formatNumber(condition.target)} ${condition.counter.replace(/_/g, ' ')}`)
+                .join(', ');
 
-${profile.achievements && profile.achievements.length > 0 ? profile.achievements.map(a => `• ${a}`).join('\n') : 'No achievements yet'}
-        `.trim();
+            // Details of one achievement, with its card once unlocked
+            const query = args.join(' ');
+            if (query && query.toLowerCase() !== 'all') {
+                const achievement = findAchievement(query);
+                if (!achievement) {
+                    await safeSendText(sock, remoteJid, `❌ Unknown achievement: ${query}\nUse .achievements all to see them all` );
+                    return;
+                }
+
+                if (isUnlocked(profile, achievement)) {
+                    const card = generateUnlockCard(achievement, profile);
+                    const caption = `${achievement.icon} *${achievement.name}*\n${achievement.description || ''}`;
+                    await safeSendMessage(sock, remoteJid, card ? { image: card, caption } : { text: caption });
+                    return;
+                }
+
+                const { ratio } = getProgress(profile, achievement);
+                await safeSendText(sock, remoteJid,
+                    `🔒 *${achievement.name}*\n${achievement.description || ''}\n\n` +
+                    `${formatProgressBar(ratio)}\n${describeProgress(achievement)}` +
+                    (achievement.reward && achievement.reward.coins ? `\n💰 Reward: ${formatNumber(achievement.reward.coins)} coins` : '') );
+                return;
+            }
+
+            const unlocked = all.filter(achievement => isUnlocked(profile, achievement));
+            let text = `*🏆 Achievements* (${unlocked.length}/${all.length})\n\n`;
+
+            if (query) {
+                text += all.map(achievement => isUnlocked(profile, achievement)
+                    ? `${achievement.icon} *${achievement.name}* - ${achievement.description || ''}`
+                    : `🔒 ${achievement.name} - ${formatProgressBar(getProgress(profile, achievement).ratio, 5)}`).join('\n');
+            } else {
+                text += unlocked.length > 0
+                    ? unlocked.map(achievement => `${achievement.icon} ${achievement.name}`).join('\n')
+                    : 'No achievements yet';
+
+                // The locked achievements closest to being unlocked
+                const closest = all
+                    .filter(achievement => !isUnlocked(profile, achievement))
+                    .map(achievement => ({ achievement, ratio: getProgress(profile, achievement).ratio }))
+                    .filter(entry => entry.ratio > 0)
+                    .sort((a, b) => b.ratio - a.ratio)
+                    .slice(0, 5);
+                if (closest.length > 0) {
+                    text += '\n\n*⏳ In Progress*\n' + closest.map(({ achievement, ratio }) =>
+                        `${achievement.icon} ${achievement.name}\n${formatProgressBar(ratio)} (${describeProgress(achievement)})`).join('\n');
+                }
+                text += '\n\n.achievements all to see every achievement, .achievements [name] for details';
+            }
 
-        await safeSendText(sock, sender, achievementsText );
+            await safeSendText(sock, remoteJid, text );
+        } catch (err) {
+            logger.error(`Error in achievements command for ${formatJidForLogging(remoteJid)}:`, err);
+            await safeSendText(sock, remoteJid, '❌ Error fetching achievements. Please try again.' );
+        }
     },
     
     async stats(sock, message) {
@@ -1717,7 +1660,7 @@ ${profile.achievements && profile.achievements.length > 0 ? profile.achievements
             }
             
             // Add XP with enhanced daily activity type
-            const levelUpData = await levelingSystem.addXP(sender, 'daily');
+            const levelUpData = await levelingSystem.addXP(sender, 'daily', null, sock);
             
             // Calculate XP reward with streak multiplier
             const baseXpReward = Math.floor((levelingSystem.XP_SETTINGS.daily.min + levelingSystem.XP_SETTINGS.daily.max) / 2);
@@ -1775,39 +1718,77 @@ ${profile.inventory.map(item => `• ${item}`).join('\n') || 'Inventory is empty
         await safeSendText(sock, sender, inventoryText );
     },
 
-    async transfer(sock, sender, args) {
-        const [target, amount] = args;
-        if (!target || !amount || isNaN(amount)) {
-            await safeSendText(sock, sender, '💰 Usage: .transfer @user [amount]' 
-            );
-            return;
-        }
+    async transfer(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        const sender = message.key.participant || remoteJid;
+        try {
+            const mentioned = message.message?.extendedTextMessage?.contextInfo?.mentionedJid?.[0];
+            const number = (args[0] || '').replace(/[^0-9]/g, '');
+            const target = mentioned || (number ? `${number}@s.whatsapp.net` : null);
+            const transferAmount = Number(args[1]);
 
-        const profile = userProfiles.get(sender);
-        const targetProfile = userProfiles.get(target);
+            if (!target || !Number.isInteger(transferAmount)) {
+                await safeSendText(sock, remoteJid, '💰 Usage: .transfer @user [amount]' );
+                return;
+            }
 
-        if (!profile || !targetProfile) {
-            await safeSendText(sock, sender, '❌ Invalid user!' );
-            return;
-        }
+            const profile = userDatabase.getUserProfile(sender);
+            const targetProfile = userDatabase.getUserProfile(target);
 
-        const transferAmount = parseInt(amount);
-        if (transferAmount <= 0) {
-            await safeSendText(sock, sender, '❌ Invalid amount!' );
-            return;
-        }
+            if (!profile || !targetProfile) {
+                await safeSendText(sock, remoteJid, '❌ Invalid user!' );
+                return;
+            }
 
-        if (profile.coins < transferAmount) {
-            await safeSendText(sock, sender, '❌ Insufficient coins!' );
-            return;
+            if (transferAmount <= 0) {
+                await safeSendText(sock, remoteJid, '❌ Invalid amount!' );
+                return;
+            }
+
+            if (profile.coins < transferAmount) {
+                await safeSendText(sock, remoteJid, '❌ Insufficient coins!' );
+                return;
+            }
+
+            const balances = ledger.transfer(sender, target, transferAmount);
+            if (!balances) {
+                await safeSendText(sock, remoteJid, '❌ You cannot transfer coins to yourself!' );
+                return;
+            }
+
+            await safeSendMessage(sock, remoteJid, {
+                text: `✅ Successfully transferred ${formatNumber(transferAmount)} coins to ${targetProfile.name}\n💰 Your balance: ${formatNumber(balances.from)} coins`
+            });
+        } catch (err) {
+            logger.error(`Error in transfer command for ${formatJidForLogging(sender)}:`, err);
+            await safeSendText(sock, remoteJid, '*❌ Error:* Failed to transfer coins. Please try again.' );
         }
+    },
 
-        profile.coins -= transferAmount;
-        targetProfile.coins += transferAmount;
+    async history(sock, message, args) {
+        const remoteJid = message.key.remoteJid;
+        const sender = message.key.participant || remoteJid;
+        try {
+            const profile = userDatabase.getUserProfile(sender);
+            if (!profile) {
+                await safeSendText(sock, remoteJid, '❌ You need to register first!' );
+                return;
+            }
 
-        await safeSendMessage(sock, sender, {
-            text: `✅ Successfully transferred ${transferAmount} coins to ${targetProfile.name}`
-        });
+            const limit = Math.min(Math.max(parseInt(args[0]) || 10, 1), 25);
+            const entries = ledger.getHistory(sender, limit);
+            if (entries.length === 0) {
+                await safeSendText(sock, remoteJid, '*📜 Transaction History*\n\nNo transactions yet' );
+                return;
+            }
+
+            await safeSendText(sock, remoteJid, `*📜 Transaction History* (last ${entries.length})\n\n` +
+                ledger.formatEntries(entries) +
+                `\n\n💰 Balance: ${formatNumber(profile.coins || 0)} coins` );
+        } catch (err) {
+            logger.error(`Error in history command for ${formatJidForLogging(sender)}:`, err);
+            await safeSendText(sock, remoteJid, '*❌ Error:* Failed to load your transaction history. Please try again.' );
+        }
     },
     
     async streaks(sock, message) {
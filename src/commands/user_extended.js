@@ -30,6 +30,9 @@ function getResponseJid(sender, message) {
 const path = require('path');
 const axios = require('axios');
 const userDatabase = require('../utils/userDatabase');
+const { trackEvent } = require('../utils/achievements');
+const ledger = require('../utils/economyLedger');
+const { getThemes, getTheme, ownsTheme } = require('../utils/cardThemes');
 
 // Access centralized user data
 const { 
@@ -42,7 +45,10 @@ const {
     userAfk, 
     streakData, 
     checkinData, 
-    lotteryParticipants 
+    lotteryParticipants,
+    clanData,
+    mailboxes,
+    marriageProposals
 } = userDatabase;
 
 // Create necessary directories
@@ -64,6 +70,22 @@ async function initDirectories() {
 // Initialize directories
 initDirectories();
 
+/**
+ * Get the highest mail ID in the persisted mailboxes so new IDs stay unique after a restart
+ * @returns {number} Highest mail ID in use
+ */
+function getLastMailId() {
+    let lastId = 0;
+    for (const mailbox of mailboxes.values()) {
+        for (const mail of [...mailbox.inbox, ...mailbox.outbox]) {
+            if (typeof mail.id === 'number' && mail.id > lastId) {
+                lastId = mail.id;
+            }
+        }
+    }
+    return lastId;
+}
+
 /**
  * Get a user profile or show error message
  * @param {object} sock - WhatsApp socket
@@ -138,50 +160,28 @@ function formatTimeRemaining(seconds) {
 }
 
 /**
- * Add achievement to a user
- * @param {object} profile - User profile
- * @param {string} achievementId - Achievement ID
- * @returns {boolean} Whether achievement was added (false if already had)
+ * Get the JID of a sender; older commands get the message instead of the JID
+ * @param {string|Object} sender - Sender JID or message
+ * @returns {string} - Sender JID
  */
-function addAchievement(profile, achievementId) {
-    // Achievement list should be imported from userDatabase in a real implementation
-    const achievementsList = [
-        { id: 'register', name: 'New Arrival', description: 'Register a profile' },
-        { id: 'level5', name: 'Leveling Up', description: 'Reach level 5' },
-        { id: 'level10', name: 'Pro User', description: 'Reach level 10' },
-        { id: 'daily7', name: 'Weekly Streak', description: 'Claim daily rewards 7 days in a row' },
-        { id: 'daily30', name: 'Monthly Dedication', description: 'Claim daily rewards 30 days in a row' },
-        { id: 'rich', name: 'Getting Rich', description: 'Accumulate 10,000 coins' },
-        { id: 'millionaire', name: 'Millionaire', description: 'Accumulate 1,000,000 coins' },
-        { id: 'married', name: 'Soul Bound', description: 'Get married' },
-        { id: 'pet', name: 'Pet Lover', description: 'Adopt a pet' },
-        { id: 'job', name: 'Employed', description: 'Get a job' },
-        { id: 'bank', name: 'Banker', description: 'Open a bank account' },
-        { id: 'deposit', name: 'Saver', description: 'Make a deposit' },
-        { id: 'bio', name: 'Identity', description: 'Set a bio' },
-        { id: 'lottery', name: 'Gambler', description: 'Participate in a lottery' },
-        { id: 'lottery_win', name: 'Lucky Winner', description: 'Win the lottery' },
-        // New achievements
-        { id: 'crime', name: 'Criminal', description: 'Commit your first crime' },
-        { id: 'investor', name: 'Investor', description: 'Make your first investment' },
-        { id: 'crafting', name: 'Craftsman', description: 'Craft your first item' },
-        { id: 'fishing', name: 'Fisherman', description: 'Catch your first fish' },
-        { id: 'mining', name: 'Miner', description: 'Mine your first resource' }
-    ];
+function getSenderJid(sender) {
+    if (typeof sender === 'string') return sender;
+    return sender.key ? (sender.key.participant || sender.key.remoteJid) : getResponseJid(sender);
+}
 
-    const achievement = achievementsList.find(a => a.id === achievementId);
-    if (!achievement) return false;
-    
-    if (!profile.achievements) {
-        profile.achievements = [];
-    }
-    
-    if (profile.achievements.includes(achievement.name)) {
-        return false;
-    }
-    
-    profile.achievements.push(achievement.name);
-    return true;
+/**
+ * Report an economy event to the achievement engine; unlocks are announced in the chat
+ * @param {Object} sock - WhatsApp socket
+ * @param {string|Object} sender - Sender JID or message
+ * @param {string} counter - Achievement counter
+ * @param {number} amount - Amount to add
+ * @param {string} chatJid - Chat to announce unlocks in, defaults to where the message came from
+ * @returns {Array<Object>} - Newly unlocked achievements
+ */
+function trackAchievement(sock, sender, counter, amount = 1, chatJid = null) {
+    const userJid = getSenderJid(sender);
+    const fallbackJid = sender.key ? sender.key.remoteJid : userJid;
+    return trackEvent(userJid, counter, amount, { sock, chatJid: chatJid || fallbackJid });
 }
 
 // Define job list
@@ -469,23 +469,21 @@ const commands = {
         profile.lastCrime = Date.now();
         
         if (success) {
-            profile.coins += reward;
+            ledger.credit(sender, reward, 'crime');
             
-            // Add achievement if first crime
-            if (addAchievement(profile, 'crime')) {
-                await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Criminal\nYou committed your first crime!'
-                );
-            }
+            trackAchievement(sock, sender, 'crimes_committed', 1, responseJid);
+            trackAchievement(sock, sender, 'coins_earned', reward, responseJid);
             
             await safeSendMessage(sock, sender, {
                 text: `*🦹‍♂️ Crime Successful:* Your ${scenario.name} went undetected!\n\nYou earned ${formatNumber(reward)} coins from your illegal activities.\n\nCurrent Balance: ${formatNumber(profile.coins)} coins`
             });
         } else {
             // Don't go below 0 coins
-            profile.coins = Math.max(0, profile.coins - penalty);
+            const fine = Math.min(penalty, profile.coins);
+            ledger.debit(sender, fine, 'crime fine');
             
             await safeSendMessage(sock, sender, {
-                text: `*🚨 Crime Failed:* You were caught during your ${scenario.name}!\n\nYou paid ${formatNumber(penalty)} coins in fines and legal fees.\n\nCurrent Balance: ${formatNumber(profile.coins)} coins`
+                text: `*🚨 Crime Failed:* You were caught during your ${scenario.name}!\n\nYou paid ${formatNumber(fine)} coins in fines and legal fees.\n\nCurrent Balance: ${formatNumber(profile.coins)} coins`
             });
         }
         
@@ -524,9 +522,12 @@ const commands = {
         const earnedCoins = Math.floor(baseReward * (1 + variationPercent / 100));
         
         // Update profile
-        profile.coins += earnedCoins;
+        ledger.credit(sender, earnedCoins, `work: ${job.name}`);
         job.lastWork = Date.now();
         
+        trackAchievement(sock, sender, 'shifts_worked', 1, responseJid);
+        trackAchievement(sock, sender, 'coins_earned', earnedCoins, responseJid);
+        
         // Random work messages
         const workMessages = [
             `You worked hard as a ${job.name} and earned ${earnedCoins} coins!`,
@@ -583,11 +584,7 @@ const commands = {
             lastWork: 0
         });
         
-        // Add achievement if it's their first job
-        if (addAchievement(profile, 'job')) {
-            await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Employed\nYou got your first job!'
-            );
-        }
+        trackAchievement(sock, sender, 'jobs_taken');
         
         // Save profile
         userProfiles.set(sender, profile);
@@ -858,11 +855,7 @@ const commands = {
         // Update profile
         profile.lastFishing = Date.now();
         
-        // Add achievement if first fish
-        if (addAchievement(profile, 'fishing')) {
-            await safeSendText(sock, responseJid, '*🏆 Achievement Unlocked:* Fisherman\nYou caught your first fish!'
-            );
-        }
+        trackAchievement(sock, sender, 'fish_caught', 1, responseJid);
         
         // Save profile
         userProfiles.set(sender, profile);
@@ -943,11 +936,7 @@ const commands = {
         // Update profile
         profile.lastMining = Date.now();
         
-        // Add achievement if first mining
-        if (addAchievement(profile, 'mining')) {
-            await safeSendText(sock, responseJid, '*🏆 Achievement Unlocked:* Miner\nYou mined your first resource!'
-            );
-        }
+        trackAchievement(sock, sender, 'ores_mined', quantity, responseJid);
         
         // Save profile
         userProfiles.set(sender, profile);
@@ -1048,9 +1037,10 @@ const commands = {
         }
         
         // Update profile
-        profile.coins += totalEarned;
+        ledger.credit(sender, totalEarned, `sold ${type}`);
         userProfiles.set(sender, profile);
-        
+        trackAchievement(sock, sender, 'coins_earned', totalEarned, responseJid);
+
         await safeSendMessage(sock, responseJid, {
             text: `*💰 Sale Complete:* You sold ${itemsSold} ${type === 'fish' ? 'fish' : 'minerals'} for ${formatNumber(totalEarned)} coins!\n\nYour balance: ${formatNumber(profile.coins)} coins`
         });
@@ -1261,11 +1251,7 @@ const commands = {
         // Add crafted item
         profile.inventory[recipe.result] = true;
         
-        // Add achievement if first craft
-        if (addAchievement(profile, 'crafting')) {
-            await safeSendText(sock, responseJid, '*🏆 Achievement Unlocked:* Craftsman\nYou crafted your first item!'
-            );
-        }
+        trackAchievement(sock, sender, 'items_crafted', 1, responseJid);
         
         // Save profile
         userProfiles.set(sender, profile);
@@ -1305,7 +1291,7 @@ const commands = {
                 if (remainingTime <= 0) {
                     // Investment matured, claim returns
                     const returnAmount = Math.floor(investment.amount * (1 + investment.interestRate));
-                    profile.coins += returnAmount;
+                    ledger.credit(sender, returnAmount, 'investment return');
                     
                     investmentText += `*Investment #${i+1}:* MATURED\n`;
                     investmentText += `Initial: ${formatNumber(investment.amount)} coins\n`;
@@ -1386,13 +1372,9 @@ const commands = {
         
         // Add investment and deduct coins
         profile.investments.push(investment);
-        profile.coins -= amount;
+        ledger.debit(sender, amount, 'investment');
         
-        // Add achievement if first investment
-        if (addAchievement(profile, 'investor')) {
-            await safeSendText(sock, responseJid, '*🏆 Achievement Unlocked:* Investor\nYou made your first investment!'
-            );
-        }
+        trackAchievement(sock, sender, 'investments_made', 1, responseJid);
         
         // Save profile
         userProfiles.set(sender, profile);
@@ -1414,8 +1396,8 @@ const commands = {
         
         // Initialize mail system if needed
         global.mailSystem = global.mailSystem || {
-            mailboxes: new Map(),
-            lastMailId: 0
+            mailboxes,
+            lastMailId: getLastMailId()
         };
         
         let mailbox = global.mailSystem.mailboxes.get(sender) || {
@@ -1508,7 +1490,7 @@ const commands = {
             
             // Add attachment item/coins to player inventory
             if (mail.attachment.type === 'coins') {
-                profile.coins += mail.attachment.amount;
+                ledger.credit(sender, mail.attachment.amount, 'mail attachment');
                 
                 await safeSendMessage(sock, responseJid, {
                     text: `*💰 Attachment Claimed:* You received ${formatNumber(mail.attachment.amount)} coins!`
@@ -1732,7 +1714,7 @@ const commands = {
         reward += streakBonus;
         
         // Update profile
-        profile.coins += reward;
+        ledger.credit(userJid, reward, 'daily reward');
         profile.lastReward = now;
         
         // Checkin tracking
@@ -1765,7 +1747,7 @@ const commands = {
         }
         
         if (milestoneReward > 0) {
-            profile.coins += milestoneReward;
+            ledger.credit(userJid, milestoneReward, 'streak milestone');
             reward += milestoneReward;
         }
         
@@ -1890,7 +1872,7 @@ const commands = {
             }
             
             // Deduct startup cost
-            profile.coins -= startupCost;
+            ledger.debit(userJid, startupCost, 'business startup');
             
             // Create business
             profile.business = {
@@ -1935,7 +1917,7 @@ const commands = {
             }
             
             // Add income
-            profile.coins += pendingIncome;
+            ledger.credit(userJid, pendingIncome, 'business income');
             profile.business.totalProfit += pendingIncome;
             profile.business.lastCollected = Date.now();
             
@@ -1960,7 +1942,7 @@ const commands = {
             }
             
             // Deduct upgrade cost
-            profile.coins -= upgradeCost;
+            ledger.debit(userJid, upgradeCost, 'business upgrade');
             
             // Upgrade business
             profile.business.level++;
@@ -1995,7 +1977,7 @@ const commands = {
             }
             
             // Deduct automation cost
-            profile.coins -= automationCost;
+            ledger.debit(userJid, automationCost, 'business automation');
             
             // Automate business
             profile.business.automated = true;
@@ -2191,7 +2173,7 @@ const commands = {
                 });
                 
                 // Update profile
-                profile.coins += bounty.reward;
+                ledger.credit(getSenderJid(sender), bounty.reward, `bounty: ${bounty.name}`);
                 profile.xp += bounty.exp;
                 profile.bounties.completed++;
                 profile.bounties.earnings += bounty.reward;
@@ -2254,7 +2236,7 @@ const commands = {
         
         // Initialize global clan system if needed
         global.clanSystem = global.clanSystem || {
-            clans: new Map()
+            clans: clanData
         };
         
         // View current clan or clan list
@@ -2392,7 +2374,7 @@ const commands = {
             }
             
             // Deduct creation cost
-            profile.coins -= creationCost;
+            ledger.debit(getSenderJid(sender), creationCost, 'clan creation');
             
             // Create clan
             const newClan = {
@@ -2927,7 +2909,7 @@ const commands = {
             profile.inventory.leather += selectedAnimal.reward.leather;
             
             // Add coins
-            profile.coins += selectedAnimal.reward.coins;
+            ledger.credit(getSenderJid(sender), selectedAnimal.reward.coins, `hunt: ${selectedAnimal.name}`);
             
             // Create success message
             await safeSendMessage(sock, sender, {
@@ -3028,7 +3010,7 @@ const commands = {
                 }
                 
                 // Plant the crop
-                profile.coins -= cropInfo.seedCost;
+                ledger.debit(getSenderJid(sender), cropInfo.seedCost, `seeds: ${cropInfo.name}`);
                 profile.farm.crops.push({
                     type: cropInfo.name,
                     plantedAt: Date.now()
@@ -3082,7 +3064,7 @@ const commands = {
                 }
                 
                 // Update profile with harvested crops and coins
-                profile.coins += totalValue;
+                ledger.credit(getSenderJid(sender), totalValue, 'harvest');
                 profile.farm.crops = remainingCrops;
                 
                 harvestMessage += `\n*Total harvest value:* ${formatNumber(totalValue)} coins\n*Current balance:* ${formatNumber(profile.coins)} coins`;
@@ -3112,7 +3094,7 @@ const commands = {
                 }
                 
                 // Upgrade farm
-                profile.coins -= upgradeCost;
+                ledger.debit(getSenderJid(sender), upgradeCost, 'farm plot');
                 profile.farm.plots += 1;
                 
                 await safeSendMessage(sock, sender, {
@@ -3249,7 +3231,7 @@ const commands = {
             
             // Bonus coins
             const bonusCoins = Math.floor(50 * difficultyLevel * (1 + Math.random() * 0.5));
-            profile.coins += bonusCoins;
+            ledger.credit(getSenderJid(sender), bonusCoins, `adventure: ${location.name}`);
             totalValue += bonusCoins;
             
             // XP reward
@@ -3278,7 +3260,7 @@ const commands = {
                     profile.completedQuests.push('q5');
                     
                     // Add rewards
-                    profile.coins += legendaryQuest.reward.coins;
+                    ledger.credit(getSenderJid(sender), legendaryQuest.reward.coins, `quest: ${legendaryQuest.name}`);
                     profile.xp += legendaryQuest.reward.xp;
                     
                     // Add legendary item
@@ -3411,7 +3393,7 @@ const commands = {
             }
             
             // Add rewards
-            profile.coins += quest.reward.coins;
+            ledger.credit(getSenderJid(sender), quest.reward.coins, `quest: ${quest.name}`);
             profile.xp += quest.reward.xp;
             
             // Add special rewards if any
@@ -3465,20 +3447,71 @@ const commands = {
                 shopList += `• ${item.id} - ${formatNumber(item.price)} coins\n  ${item.description}\n`;
             });
             
-            shopList += '\nUse .shop buy [item] to purchase an item.';
+            shopList += '\nUse .shop buy [item] to purchase an item.\nUse .shop themes to browse profile card themes.';
             
             await safeSendText(sock, sender, shopList );
             return;
         }
         
+        // Premium card themes
+        if (args[0].toLowerCase() === 'themes') {
+            const premiumThemes = getThemes().filter(theme => theme.price > 0);
+            let themeList = '*🎨 Card Themes:*\n\nYour balance: ' + formatNumber(profile.coins) + ' coins\n\n';
+            
+            premiumThemes.forEach(theme => {
+                themeList += `• ${theme.name} - ${ownsTheme(profile, theme) ? 'owned' : `${formatNumber(theme.price)} coins`}\n  ${theme.description || ''}\n`;
+            });
+            
+            themeList += '\nUse .cardpreview [theme] to preview a theme and .shop buy theme [theme] to purchase it.';
+            
+            await safeSendText(sock, sender, themeList );
+            return;
+        }
+        
         // Buy command
         if (args[0].toLowerCase() === 'buy') {
             if (args.length < 2) {
-                await safeSendText(sock, sender, '*⚠️ Usage:* .shop buy [item]\n\nUse .shop to see available items.'
+                await safeSendText(sock, sender, '*⚠️ Usage:* .shop buy [item]\n.shop buy theme [theme]\n\nUse .shop to see available items.'
                 );
                 return;
             }
             
+            if (args[1].toLowerCase() === 'theme') {
+                const theme = getTheme(args[2]);
+                
+                if (!theme) {
+                    await safeSendText(sock, sender, '*❌ Error:* Invalid theme. Use .shop themes to see available themes.'
+                    );
+                    return;
+                }
+                
+                if (ownsTheme(profile, theme)) {
+                    await safeSendText(sock, sender, `*❌ Error:* You already own the ${theme.name} theme. Use .settheme ${theme.name} to apply it.`
+                    );
+                    return;
+                }
+                
+                if (profile.coins < theme.price) {
+                    await safeSendMessage(sock, sender, {
+                        text: `*❌ Error:* You don't have enough coins to buy the ${theme.name} theme. You need ${formatNumber(theme.price)} coins.`
+                    });
+                    return;
+                }
+                
+                if (ledger.debit(getSenderJid(sender), theme.price, `theme: ${theme.name}`) === null) {
+                    await safeSendText(sock, sender, `*❌ Error:* The ${theme.name} theme could not be bought. Check your balance and try again.`
+                    );
+                    return;
+                }
+                profile.ownedThemes = [...(profile.ownedThemes || []), theme.name];
+                userProfiles.set(sender, profile);
+                
+                await safeSendMessage(sock, sender, {
+                    text: `*🎨 Theme Purchased!*\n\nYou bought the ${theme.name} theme for ${formatNumber(theme.price)} coins.\nUse .settheme ${theme.name} to apply it.\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
+                });
+                return;
+            }
+            
             const itemId = args[1].toLowerCase();
             const item = shopItems.find(i => i.id.toLowerCase() === itemId);
             
@@ -3496,6 +3529,13 @@ const commands = {
                 return;
             }
             
+            // Deduct coins before handing out the item
+            if (ledger.debit(getSenderJid(sender), item.price, `shop: ${item.id}`) === null) {
+                await safeSendText(sock, sender, `*❌ Error:* ${item.id} could not be bought. Check your balance and try again.`
+                );
+                return;
+            }
+            
             // Initialize inventory if needed
             if (!profile.inventory) profile.inventory = {};
             
@@ -3509,9 +3549,6 @@ const commands = {
                 // Increment tickets
                 lotteryParticipants.set(sender, lotteryParticipants.get(sender) + 1);
                 
-                // Deduct coins
-                profile.coins -= item.price;
-                
                 await safeSendMessage(sock, sender, {
                     text: `*🎟️ Lottery Ticket Purchased!*\n\nYou have purchased a lottery ticket for ${formatNumber(item.price)} coins.\n\nThe next lottery drawing will occur soon. Good luck!\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
@@ -3549,7 +3586,7 @@ const commands = {
                     
                     // Add reward
                     if (selectedReward.name === 'coins') {
-                        profile.coins += selectedReward.amount;
+                        ledger.credit(getSenderJid(sender), selectedReward.amount, 'gift box');
                         rewardsText += `• ${selectedReward.amount} coins\n`;
                     } else {
                         profile.inventory[selectedReward.name] = (profile.inventory[selectedReward.name] || 0) + selectedReward.amount;
@@ -3557,9 +3594,6 @@ const commands = {
                     }
                 }
                 
-                // Deduct price
-                profile.coins -= item.price;
-                
                 await safeSendMessage(sock, sender, {
                     text: `*🎁 Gift Box Opened!*\n\nYou opened a gift box and found:\n${rewardsText}\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
@@ -3572,16 +3606,12 @@ const commands = {
                     expires: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
                 };
                 
-                // Deduct coins
-                profile.coins -= item.price;
-                
                 await safeSendMessage(sock, sender, {
                     text: `*🔥 XP Booster Activated!*\n\nYour XP booster will be active for 24 hours, doubling all XP gains!\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
                 });
             } else {
                 // Standard item purchase
                 profile.inventory[item.id] = (profile.inventory[item.id] || 0) + 1;
-                profile.coins -= item.price;
                 
                 await safeSendMessage(sock, sender, {
                     text: `*🛒 Item Purchased!*\n\nYou bought 1x ${item.id} for ${formatNumber(item.price)} coins.\n\nCurrent balance: ${formatNumber(profile.coins)} coins`
@@ -3694,9 +3724,11 @@ const commands = {
         
         // Apply rewards
         const totalReward = baseReward + levelBonus + streakBonus;
-        profile.coins += totalReward;
+        ledger.credit(getSenderJid(sender), totalReward, 'hourly reward');
         profile.lastHourly = Date.now();
         
+        trackAchievement(sock, sender, 'coins_earned', totalReward);
+        
         // Save profile
         userProfiles.set(sender, profile);
         
@@ -3727,9 +3759,11 @@ const commands = {
         
         // Apply rewards
         const totalReward = baseReward + levelBonus;
-        profile.coins += totalReward;
+        ledger.credit(getSenderJid(sender), totalReward, 'weekly reward');
         profile.lastWeekly = Date.now();
         
+        trackAchievement(sock, sender, 'coins_earned', totalReward);
+        
         // Initialize inventory if needed
         if (!profile.inventory) profile.inventory = {};
         
@@ -3801,7 +3835,7 @@ const commands = {
             lotteryParticipants.set(sender, lotteryParticipants.get(sender) + count);
             
             // Deduct coins
-            profile.coins -= totalCost;
+            ledger.debit(getSenderJid(sender), totalCost, 'lottery tickets');
             userProfiles.set(sender, profile);
             
             await safeSendMessage(sock, sender, {
@@ -3940,14 +3974,14 @@ const commands = {
         if (won) {
             // Win (5x bet)
             const winAmount = betAmount * 5;
-            profile.coins += (winAmount - betAmount); // Subtract the original bet since we're adding the win
+            ledger.credit(getSenderJid(sender), winAmount - betAmount, 'dice bet win'); // Subtract the original bet since we're adding the win
             
             await safeSendMessage(sock, sender, {
                 text: `*🎲 Dice Bet - YOU WON!*\n\nYou bet ${formatNumber(betAmount)} coins on ${betNumber}.\nDice rolled: ${diceRoll}\n\nYou won ${formatNumber(winAmount)} coins!\nCurrent balance: ${formatNumber(profile.coins)} coins`
             });
         } else {
             // Lose
-            profile.coins -= betAmount;
+            ledger.debit(getSenderJid(sender), betAmount, 'dice bet loss');
             
             await safeSendMessage(sock, sender, {
                 text: `*🎲 Dice Bet - You Lost*\n\nYou bet ${formatNumber(betAmount)} coins on ${betNumber}.\nDice rolled: ${diceRoll}\n\nYou lost ${formatNumber(betAmount)} coins.\nCurrent balance: ${formatNumber(profile.coins)} coins`
@@ -4071,7 +4105,7 @@ const commands = {
                 }
                 
                 // Adopt pet
-                profile.coins -= petType.cost;
+                ledger.debit(getSenderJid(sender), petType.cost, `pet: ${petType.name}`);
                 
                 // Create pet data
                 const newPet = {
@@ -4088,11 +4122,7 @@ const commands = {
                 // Save pet data
                 petData.set(sender, newPet);
                 
-                // Add achievement
-                if (addAchievement(profile, 'pet')) {
-                    await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Pet Lover\nYou adopted your first pet!'
-                    );
-                }
+                trackAchievement(sock, sender, 'pets_adopted');
                 
                 // Save profile
                 userProfiles.set(sender, profile);
@@ -4129,7 +4159,7 @@ const commands = {
                     pet.happiness = Math.min(10, pet.happiness + 2);
                     pet.health = Math.min(10, pet.health + 1);
                 } else {
-                    profile.coins -= feedCost;
+                    ledger.debit(getSenderJid(sender), feedCost, 'pet food');
                     pet.hunger = Math.max(0, pet.hunger - 3);
                     pet.happiness = Math.min(10, pet.happiness + 1);
                 }
@@ -4193,7 +4223,7 @@ const commands = {
                 }
                 
                 // Heal pet
-                profile.coins -= healCost;
+                ledger.debit(getSenderJid(sender), healCost, 'pet healing');
                 healPet.health = 10; // Full health
                 healPet.lastInteraction = Date.now();
                 
@@ -4322,7 +4352,7 @@ const commands = {
                 }
                 
                 // Store proposal in global proposals
-                global.marriageProposals = global.marriageProposals || new Map();
+                global.marriageProposals = global.marriageProposals || marriageProposals;
                 global.marriageProposals.set(targetUser, {
                     proposer: sender,
                     time: Date.now()
@@ -4340,7 +4370,7 @@ const commands = {
                 
             case 'accept':
                 // Accept marriage proposal
-                global.marriageProposals = global.marriageProposals || new Map();
+                global.marriageProposals = global.marriageProposals || marriageProposals;
                 const proposal = global.marriageProposals.get(sender);
                 
                 if (!proposal) {
@@ -4387,16 +4417,9 @@ const commands = {
                 const proposerProfile = userProfiles.get(proposal.proposer);
                 const proposerName = proposerProfile ? proposerProfile.name : 'Your partner';
                 
-                // Add achievement for both
-                if (addAchievement(profile, 'married')) {
-                    await safeSendText(sock, sender, '*🏆 Achievement Unlocked:* Soul Bound\nYou got married!'
-                    );
-                }
-                
-                if (proposerProfile && addAchievement(proposerProfile, 'married')) {
-                    await safeSendText(sock, proposal.proposer, '*🏆 Achievement Unlocked:* Soul Bound\nYou got married!'
-                    );
-                }
+                // Count the marriage for both
+                trackAchievement(sock, sender, 'marriages');
+                trackAchievement(sock, proposal.proposer, 'marriages');
                 
                 // Save profiles
                 userProfiles.set(sender, profile);
@@ -4414,7 +4437,7 @@ const commands = {
                 
             case 'reject':
                 // Reject marriage proposal
-                global.marriageProposals = global.marriageProposals || new Map();
+                global.marriageProposals = global.marriageProposals || marriageProposals;
                 const rejectProposal = global.marriageProposals.get(sender);
                 
                 if (!rejectProposal) {
@@ -4525,8 +4548,11 @@ const commands = {
                     }
                     
                     // Transfer coins
-                    profile.coins -= amount;
-                    partnerProfile2.coins += amount;
+                    if (!ledger.transfer(getSenderJid(sender), partner2, amount, 'marriage gift')) {
+                        await safeSendText(sock, sender, '*❌ Error:* The gift could not be sent.'
+                        );
+                        return;
+                    }
                     
                     // Save profiles
                     userProfiles.set(sender, profile);
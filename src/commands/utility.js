@@ -4,6 +4,45 @@ const { languageManager } = require('../utils/language');
 const axios = require('axios');
 
 const { safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
+const { jobScheduler, parseRecurrence } = require('../utils/scheduler');
+const { parseDuration, formatDuration } = require('../utils/helpers');
+const { MAX_POLL_OPTIONS } = require('../utils/polls');
+
+// Reminders can be scheduled at most one year ahead
+const MAX_REMINDER_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Deliver a due reminder into the chat it was created in
+ * @param {Object} sock WhatsApp socket connection
+ * @param {Object} job Scheduled reminder job
+ * @param {Object} context Run context ({ late })
+ */
+async function deliverReminder(sock, job, { late }) {
+    const mentions = job.userJid ? [job.userJid] : [];
+    const mention = job.userJid ? ` @${job.userJid.split('@')[0]}` : '';
+    let text = `⏰ *Reminder*${mention}\n\n${job.payload.text}`;
+
+    if (late) {
+        text += '\n\n_(delivered late, the bot was offline)_';
+    }
+
+    await safeSendMessage(sock, job.chatJid, { text, mentions });
+}
+
+/**
+ * Announce that a countdown has finished
+ * @param {Object} sock WhatsApp socket connection
+ * @param {Object} job Scheduled countdown job
+ */
+async function deliverCountdown(sock, job) {
+    const mentions = job.userJid ? [job.userJid] : [];
+    const mention = job.userJid ? `@${job.userJid.split('@')[0]} ` : '';
+
+    await safeSendMessage(sock, job.chatJid, {
+        text: `⏰ ${mention}Countdown finished: *${job.payload.event}*`,
+        mentions
+    });
+}
 
 const utilityCommands = {
     async weather(sock, sender, args, isGroup, msgData) {
@@ -174,16 +213,6 @@ const utilityCommands = {
         await safeSendText(sock, sender, `Searching Wikipedia for: ${query}`);
     },
 
-    async poll(sock, sender, args) {
-        const [question, ...options] = args.join(' ').split('|').map(item => item.trim());
-        if (!question || options.length < 2) {
-            await safeSendText(sock, sender, 'Usage: !poll Question | Option1 | Option2 | ...');
-            return;
-        }
-        const pollText = `📊 Poll: ${question}\n\n${options.map((opt, i) => `${i + 1}. ${opt}`).join('\n')}`;
-        await safeSendText(sock, sender, pollText);
-    },
-
     async news(sock, sender, args) {
         const category = args[0] || 'general';
         // TODO: Implement news API integration
@@ -496,14 +525,90 @@ const utilityCommands = {
         await safeSendText(sock, sender, `Getting price for ${symbol}...`);
     },
 
-    async reminder(sock, sender, args) {
-        const [time, ...message] = args;
-        if (!time || message.length === 0) {
-            await safeSendText(sock, sender, 'Usage: !reminder [time] [message]\nExample: !reminder 30m Call Mom');
+    async reminder(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+        const sender = message.key.participant || message.key.remoteJid;
+
+        if (args.length === 0) {
+            await safeSendText(sock, chatJid, 'Usage:\n!reminder [time] [message]\n!reminder every [day] [HH:MM] [message]\n!reminder list\n!reminder cancel [id]\n\nExamples:\n!reminder 30m Call Mom\n!reminder every monday 9:00 Team standup');
+            return;
+        }
+
+        const action = args[0].toLowerCase();
+
+        if (action === 'list') {
+            const reminders = jobScheduler.listJobs({ type: 'reminder', userJid: sender });
+            if (reminders.length === 0) {
+                await safeSendText(sock, chatJid, '⏰ You have no active reminders');
+                return;
+            }
+
+            let listMessage = '⏰ *Your Reminders:*\n\n';
+            reminders.forEach(job => {
+                const when = job.cron ? `🔁 ${job.description}` : new Date(job.runAt).toLocaleString();
+                listMessage += `#${job.id} • ${when}\n   ${job.payload.text}\n`;
+            });
+            listMessage += '\nUse !reminder cancel [id] to remove one';
+
+            await safeSendText(sock, chatJid, listMessage);
             return;
         }
-        // TODO: Implement reminder system
-        await safeSendText(sock, sender, `Reminder set for: ${message.join(' ')}`);
+
+        if (action === 'cancel') {
+            const job = jobScheduler.getJob(args[1]);
+            if (!job || job.type !== 'reminder' || job.userJid !== sender) {
+                await safeSendText(sock, chatJid, '❌ Reminder not found. Use !reminder list to see your reminders');
+                return;
+            }
+
+            await jobScheduler.cancelJob(job.id);
+            await safeSendText(sock, chatJid, `🗑️ Reminder #${job.id} cancelled`);
+            return;
+        }
+
+        // Recurring reminder: every monday 9:00 ... / cron 0 9 * * 1 ...
+        if (action === 'every' || action === 'cron') {
+            const schedule = parseRecurrence(args);
+            const text = schedule ? args.slice(schedule.consumed).join(' ') : '';
+            if (!schedule || !text) {
+                await safeSendText(sock, chatJid, '❌ Invalid schedule. Examples:\n!reminder every monday 9:00 Standup\n!reminder every day 20:30 Take meds\n!reminder every 2h Drink water\n\nIntervals must divide an hour (5m, 10m, 15m, 20m, 30m) or a day (1h, 2h, 3h, 4h, 6h, 8h, 12h)');
+                return;
+            }
+
+            const job = await jobScheduler.addJob({
+                type: 'reminder',
+                chatJid,
+                userJid: sender,
+                cron: schedule.cron,
+                description: schedule.description,
+                payload: { text }
+            });
+
+            await safeSendText(sock, chatJid, `🔁 Reminder #${job.id} set ${schedule.description}: ${text}`);
+            return;
+        }
+
+        const seconds = parseDuration(args[0]);
+        const text = args.slice(1).join(' ');
+        if (!seconds || !text) {
+            await safeSendText(sock, chatJid, 'Usage: !reminder [time] [message]\nExample: !reminder 30m Call Mom\nTime units: s, m, h, d, w');
+            return;
+        }
+
+        if (seconds > MAX_REMINDER_SECONDS) {
+            await safeSendText(sock, chatJid, '❌ Reminders can be set at most 365 days ahead');
+            return;
+        }
+
+        const job = await jobScheduler.addJob({
+            type: 'reminder',
+            chatJid,
+            userJid: sender,
+            runAt: Date.now() + seconds * 1000,
+            payload: { text }
+        });
+
+        await safeSendText(sock, chatJid, `⏰ Reminder #${job.id} set for ${formatDuration(seconds)} from now: ${text}`);
     },
 
     async translate2(sock, sender, args) {
@@ -511,33 +616,34 @@ const utilityCommands = {
         await utilityCommands.translate(sock, sender, args);
     },
 
-    async countdown(sock, sender, args) {
+    async countdown(sock, message, args) {
+        const chatJid = message.key.remoteJid;
+
         if (args.length < 2) {
-            await safeSendText(sock, sender, 'Usage: !countdown [minutes] [event]\nExample: !countdown 10 Meeting');
+            await safeSendText(sock, chatJid, 'Usage: !countdown [minutes] [event]\nExample: !countdown 10 Meeting');
             return;
         }
         
         const minutes = parseInt(args[0]);
         if (isNaN(minutes) || minutes <= 0 || minutes > 1440) { // Max 24 hours
-            await safeSendText(sock, sender, 'Please provide a valid number of minutes (1-1440)');
+            await safeSendText(sock, chatJid, 'Please provide a valid number of minutes (1-1440)');
             return;
         }
         
         const event = args.slice(1).join(' ');
-        await safeSendText(sock, sender, `⏰ Countdown set: ${minutes} minutes until ${event}`);
-        
-        // Store countdown (would normally use a database)
-        if (!global.countdowns) global.countdowns = [];
-        global.countdowns.push({
-            minutes,
-            event,
-            userId: sender.split('@')[0],
-            endTime: Date.now() + minutes * 60 * 1000
+        const job = await jobScheduler.addJob({
+            type: 'countdown',
+            chatJid,
+            userJid: message.key.participant || message.key.remoteJid,
+            runAt: Date.now() + minutes * 60 * 1000,
+            payload: { event }
         });
+
+        await safeSendText(sock, chatJid, `⏰ Countdown #${job.id} set: ${minutes} minutes until ${event}`);
     },
 
     async poll2(sock, sender, args) {
-        // Enhanced poll with emoji reactions
+        // Quick native WhatsApp poll, votes are counted by WhatsApp itself
         if (args.length < 3) {
             await safeSendText(sock, sender, 'Usage: !poll2 [question] [option1] [option2] ...\nExample: !poll2 Best color? Red Blue Green');
             return;
@@ -546,19 +652,18 @@ const utilityCommands = {
         const question = args[0];
         const options = args.slice(1);
         
-        if (options.length > 10) {
-            await safeSendText(sock, sender, 'Maximum 10 options allowed');
+        if (options.length > MAX_POLL_OPTIONS) {
+            await safeSendText(sock, sender, `Maximum ${MAX_POLL_OPTIONS} options allowed`);
             return;
         }
         
-        const emojis = ['1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
-        
-        let pollMessage = `📊 *${question}*\n\n`;
-        options.forEach((option, i) => {
-            pollMessage += `${emojis[i]} ${option}\n`;
+        await safeSendMessage(sock, sender, {
+            poll: {
+                name: question,
+                values: options,
+                selectableCount: 1
+            }
         });
-        
-        await safeSendText(sock, sender, pollMessage);
     },
 
     async todo(sock, sender, args) {
@@ -725,6 +830,8 @@ const utilityCommands = {
     },
 
     async init() {
+        jobScheduler.registerHandler('reminder', deliverReminder);
+        jobScheduler.registerHandler('countdown', deliverCountdown);
         logger.info('Utility commands initialized');
         return true;
     }
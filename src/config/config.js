@@ -69,6 +69,25 @@ const config = {
         requireBotAdminStatus: true
     },
     
+    /**
+     * Storage Configuration
+     * Where user data (profiles, economy, marriages, etc.) is persisted
+     */
+    storage: {
+        /**
+         * Storage driver: 'json' or 'sqlite'
+         * 'json' rewrites data/user_data.json on every save
+         * 'sqlite' only writes the rows that changed (requires the better-sqlite3 package)
+         * Existing JSON data is imported automatically the first time SQLite is used
+         */
+        driver: process.env.STORAGE_DRIVER || 'json',
+
+        /**
+         * SQLite database file, relative to the working directory
+         */
+        sqlitePath: process.env.SQLITE_PATH || 'data/user_data.db'
+    },
+    
     /**
      * Command Configuration
      */
@@ -10,6 +10,9 @@ const { loadCommandModule, isValidCommandModule, initializeModule } = require('.
 const { safeSendText } = require('../utils/jidHelper');
 const { languageManager } = require('../utils/language');
 const { normalizeUserIdForBanSystem } = require('../utils/userDatabase');
+const { hasCommandPermission } = require('../utils/permissions');
+const { BUILTIN_PERMISSIONS, getConfiguredPermissions } = require('../utils/roles');
+const { handleAutoReply } = require('../utils/autoReply');
 
 /**
  * Command registry for managing bot commands
@@ -239,6 +242,20 @@ class CommandRegistry {
             return false;
         }
         
+        // Check role-restricted commands
+        if (!(await this.checkRolePermission(sock, message, commandName))) {
+            try {
+                await safeSendText(
+                    sock, 
+                    message.key.remoteJid, 
+                    languageManager.getText('system.missing_permissions')
+                );
+            } catch (error) {
+                logger.error('Error sending permission message:', error);
+            }
+            return false;
+        }
+        
         // Check cooldowns
         const cooldown = this.checkCooldown(message.key.remoteJid, commandName);
         if (cooldown > 0) {
@@ -280,6 +297,31 @@ class CommandRegistry {
         }
     }
     
+    /**
+     * Check commands whose permission list in src/config/commands/*.json names custom group roles
+     * Lists containing "user" are open to everyone; admin-only commands check permissions in their handlers
+     * @param {Object} sock WhatsApp socket connection
+     * @param {Object} message Message object
+     * @param {string} commandName Command name
+     * @returns {Promise<boolean>} Whether the sender may run the command
+     */
+    async checkRolePermission(sock, message, commandName) {
+        const permissions = getConfiguredPermissions(commandName);
+        const roles = permissions.filter(permission => !BUILTIN_PERMISSIONS.includes(permission));
+        if (roles.length === 0 || permissions.includes('user')) {
+            return true;
+        }
+
+        // Roles only exist inside groups
+        const remoteJid = message.key.remoteJid;
+        if (!remoteJid.endsWith('@g.us')) {
+            return message.key.fromMe === true;
+        }
+
+        const sender = message.key.participant || remoteJid;
+        return await hasCommandPermission(sock, remoteJid, sender, commandName);
+    }
+    
     /**
      * Check if a command is on cooldown
      * @param {string} jid Chat JID
@@ -434,6 +476,12 @@ class CommandRegistry {
             return false;
         }
         
+        // Group auto-replies answer plain messages before they reach the command parser
+        if (await handleAutoReply(sock, message, text)) {
+            this.markAsProcessed(messageId);
+            return true;
+        }
+        
         // Parse command
         const parsedCommand = this.parseCommand(text);
         if (!parsedCommand) {
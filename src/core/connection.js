@@ -53,6 +53,7 @@ class ConnectionManager {
         this.reconnectInterval = DEFAULT_RECONNECT_INTERVAL;
         this.connectionEventHandlers = [];
         this.messageHandlers = [];
+        this.participantHandlers = [];
         this.wasConnected = false;
         
         // Connection monitoring vars
@@ -163,6 +164,11 @@ class ConnectionManager {
         this.sock.ev.on('messages.upsert', (messages) => {
             this.handleIncomingMessages(messages);
         });
+
+        // Handle group joins, leaves, promotions and demotions
+        this.sock.ev.on('group-participants.update', (update) => {
+            this.handleGroupParticipants(update);
+        });
     }
 
     /**
@@ -279,6 +285,20 @@ class ConnectionManager {
         });
     }
 
+    /**
+     * Handle group participant updates
+     * @param {Object} update Participant update event ({ id, participants, action })
+     */
+    handleGroupParticipants(update) {
+        logger.info(`Group participants update in ${update.id}: ${update.action} ${update.participants?.length || 0}`);
+
+        this.participantHandlers.forEach(handler => {
+            Promise.resolve()
+                .then(() => handler(update, this.sock))
+                .catch(error => logger.error('Error in group participants handler:', error));
+        });
+    }
+
     /**
      * Schedule reconnection with exponential backoff
      */
@@ -319,6 +339,16 @@ class ConnectionManager {
         }
     }
 
+    /**
+     * Register a group participants update handler
+     * @param {Function} handler Handler receiving (update, sock)
+     */
+    onGroupParticipantsUpdate(handler) {
+        if (typeof handler === 'function') {
+            this.participantHandlers.push(handler);
+        }
+    }
+
     /**
      * Notify all registered event handlers
      * @param {Object} update Connection update event
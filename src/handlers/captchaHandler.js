@@ -0,0 +1,224 @@
+const logger = require('../utils/logger');
+const { safeSendMessage } = require('../utils/jidHelper');
+const { updateGroupSettings } = require('../utils/groupSettings');
+const { getDefaultCaptchaSettings, createChallenge, checkAnswer } = require('../utils/captcha');
+const { formatDuration } = require('../utils/helpers');
+const { jobScheduler } = require('../utils/scheduler');
+const { logModAction } = require('../utils/modLog');
+
+/**
+ * Get a group's captcha configuration, filling in defaults
+ * @param {Object} settings Group settings
+ * @returns {Object} Captcha configuration
+ */
+function getCaptchaConfig(settings) {
+    return { ...getDefaultCaptchaSettings(), ...(settings.captcha || {}) };
+}
+
+/**
+ * Challenge a new member; their messages are deleted until they answer.
+ * Pending challenges are changed through updateGroupSettings so that close
+ * joins and other settings changes do not drop each other's entries.
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} groupMetadata Group metadata
+ * @param {Object} settings Group settings, read for the captcha configuration
+ * @param {string} participant New member JID
+ * @param {string|null} author Who added the member, kept for the welcome message
+ */
+async function startCaptcha(sock, groupMetadata, settings, participant, author = null) {
+    const groupId = groupMetadata.id;
+    const config = getCaptchaConfig(settings);
+    const challenge = createChallenge(config.type);
+    const expiresAt = Date.now() + config.timeout * 1000;
+
+    await updateGroupSettings(groupId, async current => {
+        // A member who rejoins gets a fresh challenge
+        await clearCaptcha(current, participant);
+
+        // The scheduler keeps the deadline across restarts
+        const job = await jobScheduler.addJob({
+            type: 'captcha',
+            chatJid: groupId,
+            userJid: participant,
+            runAt: expiresAt,
+            description: `Captcha deadline for ${participant.split('@')[0]}`
+        });
+
+        if (!current.pendingCaptchas) current.pendingCaptchas = {};
+        current.pendingCaptchas[participant] = {
+            question: challenge.question,
+            answers: challenge.answers,
+            attempts: 0,
+            expiresAt,
+            jobId: job.id,
+            author,
+            createdAt: Date.now()
+        };
+    });
+
+    logger.info(`Captcha started for ${participant} in ${groupId}`);
+
+    await safeSendMessage(sock, groupId, {
+        text: `🤖 *Verification required*\n\n@${participant.split('@')[0]}, please answer within ${formatDuration(config.timeout)} ` +
+            `or you will be removed:\n\n${challenge.question}`,
+        mentions: [participant]
+    });
+}
+
+/**
+ * Drop a member's pending challenge, run inside updateGroupSettings
+ * @param {Object} settings Group settings
+ * @param {string} participant Member JID
+ * @returns {Promise<Object|null>} The removed challenge, or null if there was none
+ */
+async function clearCaptcha(settings, participant) {
+    const pending = settings.pendingCaptchas && settings.pendingCaptchas[participant];
+    if (!pending) return null;
+
+    delete settings.pendingCaptchas[participant];
+    if (pending.jobId && jobScheduler.getJob(pending.jobId)) {
+        await jobScheduler.cancelJob(pending.jobId);
+    }
+    return pending;
+}
+
+/**
+ * Let a member in after a correct answer (or admin approval) and send the welcome message
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupId Group JID
+ * @param {Object} settings Group settings, read for the welcome message
+ * @param {string} participant Member JID
+ * @returns {Promise<boolean>} Whether the member had a pending challenge
+ */
+async function passCaptcha(sock, groupId, settings, participant) {
+    const pending = await updateGroupSettings(groupId, current => clearCaptcha(current, participant));
+    if (!pending) return false;
+
+    logger.info(`Captcha passed by ${participant} in ${groupId}`);
+
+    await safeSendMessage(sock, groupId, {
+        text: `✅ @${participant.split('@')[0]} has been verified`,
+        mentions: [participant]
+    });
+
+    // Loaded here to avoid a circular require with the participant handler
+    const { sendGreeting } = require('./groupParticipantHandler');
+    try {
+        const groupMetadata = await sock.groupMetadata(groupId);
+        await sendGreeting(sock, 'welcome', { groupMetadata, settings, participant, author: pending.author });
+    } catch (err) {
+        logger.error(`Failed to send welcome after captcha in ${groupId}:`, err);
+    }
+    return true;
+}
+
+/**
+ * Remove a member who failed or ignored their challenge
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupId Group JID
+ * @param {string} participant Member JID
+ * @param {string} reason Why the member is removed
+ * @param {number|null} [jobId] Only fail the challenge with this deadline job
+ */
+async function failCaptcha(sock, groupId, participant, reason, jobId = null) {
+    const failed = await updateGroupSettings(groupId, async current => {
+        const pending = current.pendingCaptchas && current.pendingCaptchas[participant];
+        if (!pending || pending.failed || (jobId !== null && pending.jobId !== jobId)) return false;
+
+        // Keep the entry until the leave event arrives so no goodbye is sent
+        pending.failed = true;
+        if (pending.jobId && jobScheduler.getJob(pending.jobId)) {
+            await jobScheduler.cancelJob(pending.jobId);
+        }
+        return true;
+    });
+    if (!failed) return;
+
+    logger.info(`Captcha failed by ${participant} in ${groupId}: ${reason}`);
+
+    try {
+        await sock.groupParticipantsUpdate(groupId, [participant], 'remove');
+        await logModAction(sock, groupId, { action: 'kick', target: participant, rule: 'captcha', reason });
+        await safeSendMessage(sock, groupId, {
+            text: `🚫 @${participant.split('@')[0]} has been removed: ${reason}`,
+            mentions: [participant]
+        });
+    } catch (err) {
+        logger.error(`Failed to remove ${participant} after captcha in ${groupId}:`, err);
+        await updateGroupSettings(groupId, current => clearCaptcha(current, participant));
+    }
+}
+
+/**
+ * Handle a message from a member with a pending challenge
+ * The message is always deleted; a correct answer verifies the member
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Incoming message
+ * @param {Object} settings Group settings
+ * @param {string} sender Sender JID
+ * @param {string} messageText Message text
+ * @returns {Promise<boolean>} Always true, the message was removed
+ */
+async function handleCaptchaMessage(sock, message, settings, sender, messageText) {
+    const groupId = message.key.remoteJid;
+    const pending = settings.pendingCaptchas[sender];
+
+    await safeSendMessage(sock, groupId, { delete: message.key });
+
+    // Already being removed
+    if (pending.failed) return true;
+
+    if (pending.expiresAt <= Date.now()) {
+        await failCaptcha(sock, groupId, sender, 'verification timed out');
+        return true;
+    }
+
+    if (checkAnswer(messageText, pending.answers)) {
+        await passCaptcha(sock, groupId, settings, sender);
+        return true;
+    }
+
+    // Stickers, media and the like don't count as attempts
+    if (!messageText.trim()) return true;
+
+    const config = getCaptchaConfig(settings);
+    const attempts = await updateGroupSettings(groupId, current => {
+        const entry = current.pendingCaptchas && current.pendingCaptchas[sender];
+        if (!entry || entry.failed) return null;
+        entry.attempts++;
+        return entry.attempts;
+    });
+    // Answered, approved or failed meanwhile
+    if (attempts === null) return true;
+
+    if (attempts >= config.attempts) {
+        await failCaptcha(sock, groupId, sender, 'failed verification');
+        return true;
+    }
+
+    const left = config.attempts - attempts;
+    await safeSendMessage(sock, groupId, {
+        text: `❌ @${sender.split('@')[0]} wrong answer, ${left} attempt${left === 1 ? '' : 's'} left:\n\n${pending.question}`,
+        mentions: [sender]
+    });
+    return true;
+}
+
+/**
+ * Scheduler handler run when a challenge's deadline passes
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} job Scheduled job
+ */
+async function expireCaptcha(sock, job) {
+    // Challenges already answered, approved or replaced by a newer one are left alone
+    await failCaptcha(sock, job.chatJid, job.userJid, 'verification timed out', job.id);
+}
+
+module.exports = {
+    getCaptchaConfig,
+    startCaptcha,
+    clearCaptcha,
+    passCaptcha,
+    handleCaptchaMessage,
+    expireCaptcha
+};
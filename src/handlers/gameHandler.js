@@ -0,0 +1,28 @@
+const logger = require('../utils/logger');
+const { handleQuizAnswer } = require('../utils/quiz');
+const { handleWordChainMessage } = require('../utils/wordChain');
+const { commandRegistry } = require('../core/commandRegistry');
+
+/**
+ * Feed a group message to the running group game (quiz answers and the like)
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Incoming message
+ * @returns {Promise<boolean>} Whether a game consumed the message
+ */
+async function handleGameMessage(sock, message) {
+    const text = message.message?.conversation || message.message?.extendedTextMessage?.text || '';
+    // Commands are never treated as game input
+    if (!text.trim() || commandRegistry.parseCommand(text)) return false;
+
+    try {
+        return await handleQuizAnswer(sock, message, text) ||
+            await handleWordChainMessage(sock, message, text);
+    } catch (err) {
+        logger.error('Error handling game message:', err);
+        return false;
+    }
+}
+
+module.exports = {
+    handleGameMessage
+};
@@ -1,54 +1,63 @@
 const logger = require('../utils/logger');
 const { isJidGroup, ensureJidString, safeSendText, safeSendMessage, safeSendImage } = require('../utils/jidHelper');
 const { isAdmin } = require('../utils/permissions');
+const { getGroupSettings, updateGroupSettings, getModerationRule } = require('../utils/groupSettings');
+const { formatDuration } = require('../utils/helpers');
+const { findToxicMatch } = require('../utils/toxicFilter');
+const { findLinkViolation } = require('../utils/linkFilter');
+const { handleCaptchaMessage } = require('./captchaHandler');
+const { getActiveMute, addMute } = require('./muteHandler');
+const { logModAction } = require('../utils/modLog');
 
 // Store message timestamps for spam detection
 const messageTimestamps = new Map();
 
-// Store warning counts for users
-const userWarnings = new Map();
+// Group invite codes, used to tell a group's own invite link from others
+const inviteCodeCache = new Map();
+const INVITE_CODE_TTL = 60 * 60 * 1000;
 
-// Function to check if a message contains links
-function containsLink(message) {
-    try {
-        const urlRegex = /(https?:\/\/[^\s]+)|(www\.[^\s]+)/gi;
-        return urlRegex.test(message);
-    } catch (err) {
-        logger.error('Error in containsLink check:', err);
-        return false;
+// Display names and member-facing notices per moderation rule
+const RULE_LABELS = {
+    antilink: 'Anti-link',
+    antispam: 'Anti-spam',
+    antitoxic: 'Anti-toxic'
+};
+
+const RULE_MESSAGES = {
+    antilink: 'Links are not allowed in this group!',
+    antispam: "Please don't spam!",
+    antitoxic: 'Please maintain group decorum!'
+};
+
+// Notices for the different kinds of link violations
+const LINK_MESSAGES = {
+    invite: 'Invite links to other groups are not allowed here!',
+    blocked: 'Links to that site are not allowed in this group!',
+    link: RULE_MESSAGES.antilink
+};
+
+/**
+ * Get a group's current invite code, cached for an hour
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupId Group JID
+ * @returns {Promise<string|null>} Invite code, or null if the bot cannot read it
+ */
+async function getOwnInviteCode(sock, groupId) {
+    const cached = inviteCodeCache.get(groupId);
+    if (cached && Date.now() - cached.time < INVITE_CODE_TTL) {
+        return cached.code;
     }
-}
 
-// Function to check if a message contains toxic content
-function containsToxicContent(message) {
+    let code = null;
     try {
-        // Common toxic/inappropriate words
-        const toxicWords = [
-            // Profanity/slurs (obscured to avoid encoding directly)
-            'f*ck', 'sh*t', 'b*tch', 'd*ck', 'a**hole', 'c*nt',
-            // Hate speech-related
-            'n*gger', 'f*ggot', 'r*tard',
-            // Threatening language
-            'kill yourself', 'kys', 'kill you', 'suicide',
-            // Sexual harassment
-            'r*pe', 'molest', 'sexual'
-        ];
-        
-        // Convert message to lowercase for comparison
-        const lowerMessage = message.toLowerCase();
-        
-        // Check for exact matches and partial matches with word boundaries
-        return toxicWords.some(word => {
-            // Remove the asterisks for regex pattern (replacing with wildcards)
-            const pattern = word.replace(/\*/g, '\\w*');
-            // Create regex with word boundaries
-            const regex = new RegExp(`\\b${pattern}\\b|\\b${pattern}s\\b|\\b${pattern}ing\\b`, 'i');
-            return regex.test(lowerMessage);
-        });
+        code = await sock.groupInviteCode(groupId);
     } catch (err) {
-        logger.error('Error in toxicity check:', err);
-        return false;
+        // Only admins can read the invite code
+        logger.debug(`Could not fetch invite code for ${groupId}: ${err.message}`);
     }
+
+    inviteCodeCache.set(groupId, { code, time: Date.now() });
+    return code;
 }
 
 // Function to check spam rate
@@ -74,34 +83,196 @@ function isSpamming(userId, groupId, limit) {
     }
 }
 
-// Function to manage warnings
-function handleWarning(userId, groupId) {
+/**
+ * Record an automatic warning for a rule and drop warnings that have decayed
+ * @param {Object} settings Group settings
+ * @param {string} userId User JID
+ * @param {string} rule Rule that was violated
+ * @param {Object} config Rule configuration
+ * @returns {number} Active warnings for this rule
+ */
+function addRuleWarning(settings, userId, rule, config) {
+    if (!settings.warnings) settings.warnings = {};
+    if (!Array.isArray(settings.warnings[userId])) settings.warnings[userId] = [];
+
+    const now = Date.now();
+    if (config.warningDecay > 0) {
+        const cutoff = now - config.warningDecay * 1000;
+        settings.warnings[userId] = settings.warnings[userId].filter(w => w.rule !== rule || w.time >= cutoff);
+    }
+
+    settings.warnings[userId].push({
+        reason: `Automatic ${rule} warning`,
+        rule,
+        time: now,
+        by: 'bot'
+    });
+
+    return settings.warnings[userId].filter(w => w.rule === rule).length;
+}
+
+/**
+ * Send a private notice to every admin of a group
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} groupMetadata Group metadata
+ * @param {string} text Notice text
+ * @param {Array<string>} mentions JIDs mentioned in the notice
+ */
+async function notifyAdmins(sock, groupMetadata, text, mentions = []) {
+    if (!groupMetadata || !Array.isArray(groupMetadata.participants)) return;
+
+    const botNumber = sock.user?.id ? sock.user.id.split(':')[0].split('@')[0] : null;
+    const admins = groupMetadata.participants.filter(p =>
+        (p.admin === 'admin' || p.admin === 'superadmin') && p.id.split('@')[0] !== botNumber
+    );
+
+    for (const admin of admins) {
+        await safeSendMessage(sock, admin.id, { text, mentions });
+    }
+}
+
+/**
+ * Apply a moderation rule's configured action to a violating message
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Violating message
+ * @param {Object} context Group context (remoteJid, sender, settings, groupMetadata, messageText, optional notice)
+ * @param {string} rule Rule that was violated
+ * @returns {Promise<boolean>} Whether the message was removed
+ */
+async function enforceRule(sock, message, context, rule) {
+    const { remoteJid, sender, settings, groupMetadata, messageText } = context;
+    const config = getModerationRule(settings, rule);
+    const notice = context.notice || RULE_MESSAGES[rule];
+    const tag = `@${sender.split('@')[0]}`;
+    const groupName = groupMetadata?.subject || remoteJid;
+
+    logger.info(`${rule} violation by ${sender} in ${remoteJid}, action: ${config.action}`);
+
+    // Every automatic action ends up in the group's moderation log
+    const log = (action, reason = notice) => logModAction(sock, remoteJid, { action, target: sender, rule, reason });
+
+    // Notify-only mode leaves the message alone
+    if (config.action === 'notify') {
+        await log('notify');
+        await notifyAdmins(sock, groupMetadata,
+            `🛡️ *${RULE_LABELS[rule]}* in *${groupName}*\n\nUser: ${tag}\nMessage: ${messageText.substring(0, 300)}`,
+            [sender]
+        );
+        return false;
+    }
+
+    await safeSendMessage(sock, remoteJid, { delete: message.key });
+
+    if (config.action === 'delete') {
+        await log('delete');
+        return true;
+    }
+
+    if (config.action === 'kick') {
+        await log('kick');
+        await kickUser(sock, remoteJid, sender, `🚫 ${tag} has been removed: ${notice}`);
+        return true;
+    }
+
+    if (config.action === 'mute') {
+        await updateGroupSettings(remoteJid, current =>
+            addMute(current, remoteJid, sender, { duration: config.muteDuration, reason: `${rule} violation` })
+        );
+        await log('mute', `${notice} (${formatDuration(config.muteDuration)})`);
+        await safeSendMessage(sock, remoteJid, {
+            text: `🔇 ${tag} ${notice} You are muted for ${formatDuration(config.muteDuration)}.`,
+            mentions: [sender]
+        });
+        return true;
+    }
+
+    // Default: warn and escalate along the ladder
+    // Counted on fresh settings so close violations each add their warning
+    const { warnings, step } = await updateGroupSettings(remoteJid, async current => {
+        const count = addRuleWarning(current, sender, rule, config);
+        const reached = [...config.ladder].reverse().find(s => count >= s.warnings);
+
+        // A kicked user starts over if they come back
+        if (reached && reached.action === 'kick') {
+            current.warnings[sender] = current.warnings[sender].filter(w => w.rule !== rule);
+        }
+        if (reached && reached.action === 'mute') {
+            await addMute(current, remoteJid, sender, {
+                duration: reached.duration || config.muteDuration,
+                reason: `${rule} violation (${count} warnings)`
+            });
+        }
+        return { warnings: count, step: reached };
+    });
+    await log('warn', `${notice} (warning ${warnings})`);
+
+    const nextStep = config.ladder.find(s => s.warnings > warnings);
+    await safeSendMessage(sock, remoteJid, {
+        text: `⚠️ ${tag} ${notice} (warning ${warnings}${nextStep ? `/${nextStep.warnings}` : ''})`,
+        mentions: [sender]
+    });
+
+    if (!step) return true;
+
+    await log(step.action, `Reached ${warnings} warnings` +
+        (step.action === 'mute' ? ` (${formatDuration(step.duration || config.muteDuration)})` : ''));
+
+    if (step.action === 'kick') {
+        await kickUser(sock, remoteJid, sender, `🚫 ${tag} has been removed for multiple violations`);
+    } else if (step.action === 'mute') {
+        await safeSendMessage(sock, remoteJid, {
+            text: `🔇 ${tag} has been muted for ${formatDuration(step.duration || config.muteDuration)} after ${warnings} warnings`,
+            mentions: [sender]
+        });
+    } else if (step.action === 'notify') {
+        await notifyAdmins(sock, groupMetadata,
+            `🛡️ ${tag} reached ${warnings} *${RULE_LABELS[rule]}* warnings in *${groupName}*`,
+            [sender]
+        );
+    }
+
+    return true;
+}
+
+/**
+ * Remove a user from a group and announce it
+ * @param {Object} sock WhatsApp socket
+ * @param {string} remoteJid Group JID
+ * @param {string} userId User JID
+ * @param {string} announcement Text announcing the removal
+ */
+async function kickUser(sock, remoteJid, userId, announcement) {
     try {
-        const key = `${userId}-${groupId}`;
-        const warnings = userWarnings.get(key) || 0;
-        userWarnings.set(key, warnings + 1);
-        return warnings + 1;
+        await sock.groupParticipantsUpdate(remoteJid, [userId], 'remove');
+        await safeSendMessage(sock, remoteJid, {
+            text: announcement,
+            mentions: [userId]
+        });
     } catch (err) {
-        logger.error('Error in warning management:', err);
-        return 0;
+        logger.error(`Failed to remove ${userId} from ${remoteJid}:`, err);
     }
 }
 
+/**
+ * Run automatic moderation (captcha, mutes, anti-link, anti-spam, anti-toxic) on a group message
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Incoming message
+ * @returns {Promise<boolean>} Whether the message was removed and should not be processed further
+ */
 async function handleGroupMessage(sock, message) {
     try {
         const remoteJid = ensureJidString(message.key.remoteJid);
 
         // Only process group messages
-        if (isJidGroup(!remoteJid)) {
-            logger.debug('Message not from group, skipping');
-            return;
+        if (!isJidGroup(remoteJid) || message.key.fromMe) {
+            return false;
         }
 
         // Determine sender with fallback options
         const sender = message.key.participant || message.participant;
         if (!sender) {
             logger.debug('Cannot identify sender in group message, skipping');
-            return;
+            return false;
         }
         
         // Extract message text with support for different message types
@@ -110,93 +281,100 @@ async function handleGroupMessage(sock, message) {
                           message.message?.imageMessage?.caption ||
                           message.message?.videoMessage?.caption || '';
 
-        logger.debug(`Processing group message from ${sender} in ${remoteJid}`);
+        const settings = await getGroupSettings(remoteJid);
 
-        // Try to get group metadata and settings with error handling
-        let groupMetadata, settings = {};
-        try {
-            groupMetadata = await sock.groupMetadata(remoteJid);
-            settings = groupMetadata.settings || {};
-        } catch (metaErr) {
-            logger.error('Failed to fetch group metadata:', metaErr);
-            // Continue with default settings
+        // Members who haven't solved their captcha can only answer it
+        if (settings.pendingCaptchas && settings.pendingCaptchas[sender]) {
+            return await handleCaptchaMessage(sock, message, settings, sender, messageText);
+        }
+
+        const hadMute = !!(settings.mutes && settings.mutes[sender]);
+        const mute = getActiveMute(settings, sender);
+        if (hadMute && !mute) {
+            // Drop the expired mute from the stored settings as well
+            await updateGroupSettings(remoteJid, current => {
+                getActiveMute(current, sender);
+            });
         }
 
+        // Nothing to enforce in this group
+        if (!mute && !settings.antilink && !settings.antispam && !settings.antitoxic) {
+            return false;
+        }
+
+        logger.debug(`Processing group message from ${sender} in ${remoteJid}`);
+
         // Skip moderation checks for admins
         try {
             const isUserAdmin = await isAdmin(sock, remoteJid, sender);
             if (isUserAdmin) {
                 logger.debug('Message from admin, skipping moderation checks');
-                return;
+                return false;
             }
         } catch (adminErr) {
             logger.error('Failed to check admin status:', adminErr);
             // If we can't determine admin status, continue with moderation
         }
 
-        // Anti-link check
-        if (settings.antilink && containsLink(messageText)) {
-            logger.info(`Link detected from ${sender}, taking action`);
-            await safeSendMessage(sock, remoteJid, {
-                text: `⚠️ @${sender.split('@')[0]} Links are not allowed in this group!`,
-                mentions: [sender]
-            });
+        // Muted users' messages are removed until the mute expires
+        if (mute) {
             await safeSendMessage(sock, remoteJid, { delete: message.key });
-            const warnings = handleWarning(sender, remoteJid);
-            if (warnings >= 3) {
-                await sock.groupParticipantsUpdate(remoteJid, [sender], 'remove');
-                await safeSendMessage(remoteJid, {
-                    text: `🚫 @${sender.split('@')[0]} has been removed for multiple violations`,
-                    mentions: [sender]
-                });
+            return true;
+        }
+
+        let groupMetadata = null;
+        try {
+            groupMetadata = await sock.groupMetadata(remoteJid);
+        } catch (metaErr) {
+            logger.error('Failed to fetch group metadata:', metaErr);
+        }
+
+        const context = { remoteJid, sender, settings, groupMetadata, messageText };
+
+        // Anti-link check against the group's domain lists and invite rule
+        const linkFilter = settings.linkFilter || {};
+        const isTrusted = Array.isArray(linkFilter.trusted) && linkFilter.trusted.includes(sender);
+        if (settings.antilink && !isTrusted) {
+            const hasInvite = /chat\.whatsapp\.com\//i.test(messageText);
+            const ownInviteCode = hasInvite ? await getOwnInviteCode(sock, remoteJid) : null;
+            const violation = findLinkViolation(messageText, linkFilter, ownInviteCode);
+            if (violation) {
+                logger.info(`Link violation (${violation.reason}: ${violation.host}) from ${sender} in ${remoteJid}`);
+                return await enforceRule(sock, message, { ...context, notice: LINK_MESSAGES[violation.reason] }, 'antilink');
             }
-            return;
         }
 
         // Anti-spam check
         if (settings.antispam) {
-            const spamLimit = settings.spamLimit || 10;
-            if (isSpamming(sender, remoteJid, spamLimit)) {
-                logger.info(`Spam detected from ${sender}, taking action`);
-                await safeSendMessage(remoteJid, {
-                    text: `⚠️ @${sender.split('@')[0]} Please don't spam!`,
-                    mentions: [sender]
-                });
-                await safeSendMessage(sock, remoteJid, { delete: message.key });
-                const warnings = handleWarning(sender, remoteJid);
-                if (warnings >= 3) {
-                    await sock.groupParticipantsUpdate(remoteJid, [sender], 'remove');
-                    await safeSendMessage(remoteJid, {
-                        text: `🚫 @${sender.split('@')[0]} has been removed for multiple violations`,
-                        mentions: [sender]
-                    });
-                }
-                return;
+            const { limit } = getModerationRule(settings, 'antispam');
+            if (isSpamming(sender, remoteJid, limit)) {
+                return await enforceRule(sock, message, context, 'antispam');
             }
         }
 
-        // Anti-toxic check
-        if (settings.antitoxic && containsToxicContent(messageText)) {
-            logger.info(`Toxic content detected from ${sender}, taking action`);
-            await safeSendMessage(remoteJid, {
-                text: `⚠️ @${sender.split('@')[0]} Please maintain group decorum!`,
-                mentions: [sender]
-            });
-            await safeSendMessage(sock, remoteJid, { delete: message.key });
-            const warnings = handleWarning(sender, remoteJid);
-            if (warnings >= 3) {
-                await sock.groupParticipantsUpdate(remoteJid, [sender], 'remove');
-                await safeSendMessage(remoteJid, {
-                    text: `🚫 @${sender.split('@')[0]} has been removed for multiple violations`,
-                    mentions: [sender]
-                });
+        // Anti-toxic check against the group's word lists and patterns
+        if (settings.antitoxic) {
+            const match = findToxicMatch(messageText, settings.toxicFilter);
+            if (match) {
+                // Shadow mode only reports hits so admins can tune their lists
+                if (settings.toxicFilter && settings.toxicFilter.shadow) {
+                    logger.info(`Shadow filter hit (${match.type}: ${match.term}) from ${sender} in ${remoteJid}`);
+                    await notifyAdmins(sock, groupMetadata,
+                        `👁️ *Shadow filter hit* in *${groupMetadata?.subject || remoteJid}*\n\n` +
+                        `User: @${sender.split('@')[0]}\nMatched ${match.type}: ${match.term}\nMessage: ${messageText.substring(0, 300)}`,
+                        [sender]
+                    );
+                    return false;
+                }
+                return await enforceRule(sock, message, context, 'antitoxic');
             }
-            return;
         }
 
+        return false;
     } catch (err) {
         logger.error('Error in group message handler:', err);
+        return false;
     }
 }
 
-module.exports = { handleGroupMessage };
\ No newline at end of file
+module.exports = { handleGroupMessage, notifyAdmins };
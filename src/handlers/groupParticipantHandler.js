@@ -1,69 +1,375 @@
 const logger = require('../utils/logger');
 const { safeSendMessage, safeSendText, safeSendImage } = require('../utils/jidHelper');
+const { isBotAdmin } = require('../utils/permissions');
+const { getGroupSettings, updateGroupSettings, getDefaultRaidState } = require('../utils/groupSettings');
+const { notifyAdmins } = require('./groupMessageHandler');
+const { fetchProfilePicture, generateWelcomeCard } = require('../utils/welcomeCard');
+const { getCaptchaConfig, startCaptcha, clearCaptcha } = require('./captchaHandler');
+const { logModAction } = require('../utils/modLog');
+const { getFederationBan } = require('../utils/federations');
+const { recordMembershipChange } = require('../utils/groupStats');
+
+// Join timestamps per group for the anti-raid sliding window
+const recentJoins = new Map();
+const RAID_WINDOW = 60 * 1000;
+
+// Raid state of groups in lockdown. Join events run concurrently with settings
+// read before the lockdown started, so they take the state from here instead.
+const activeRaids = new Map();
+
+// Removed numbers kept per group
+const MAX_RAID_RECORDS = 500;
+
+// Captions used when a card is enabled without a custom message
+const DEFAULT_GREETINGS = {
+    welcome: '👋 Welcome {user} to *{group}*!',
+    goodbye: '👋 Goodbye {user}, we will miss you!'
+};
+
+/**
+ * Record joins and return every join inside the sliding window
+ * @param {string} groupId Group JID
+ * @param {Array<string>} participants Joining members
+ * @returns {Array<{jid: string, time: number}>} Joins in the last minute
+ */
+function recordJoins(groupId, participants) {
+    const now = Date.now();
+    const joins = (recentJoins.get(groupId) || []).filter(join => now - join.time < RAID_WINDOW);
+    for (const jid of participants) {
+        joins.push({ jid, time: now });
+    }
+    recentJoins.set(groupId, joins);
+    return joins;
+}
+
+/**
+ * Remove members who joined during a raid and record their numbers
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupId Group JID
+ * @param {Object} settings Group settings
+ * @param {Array<string>} jids Members to remove
+ * @returns {Promise<Array<string>>} Members that were removed
+ */
+async function removeRaiders(sock, groupId, settings, jids) {
+    const raid = settings.raid;
+    const pending = [...new Set(jids)];
+    if (pending.length === 0) return [];
 
-async function handleGroupParticipantsUpdate(sock, { id, participants, action }) {
     try {
-        // Get group metadata and settings
+        await sock.groupParticipantsUpdate(groupId, pending, 'remove');
+    } catch (err) {
+        logger.error(`Anti-raid failed to remove members from ${groupId}:`, err);
+        return [];
+    }
+
+    const now = Date.now();
+    for (const jid of pending) {
+        raid.removed.push({ jid, number: jid.split('@')[0], time: now });
+        await logModAction(sock, groupId, { action: 'kick', target: jid, rule: 'antiraid', reason: 'Joined during a raid' });
+    }
+    raid.removed = raid.removed.slice(-MAX_RAID_RECORDS);
+    return pending;
+}
+
+/**
+ * Mark a raid as active, remembering whether the group was already admins-only
+ * @param {Object} groupMetadata Group metadata
+ * @param {Object} settings Group settings
+ */
+function claimRaidLockdown(groupMetadata, settings) {
+    settings.raid = {
+        ...getDefaultRaidState(),
+        ...(settings.raid || {}),
+        active: true,
+        since: Date.now(),
+        restoreAnnouncement: !!groupMetadata.announce
+    };
+    activeRaids.set(groupMetadata.id, settings.raid);
+}
+
+/**
+ * Lock a group to admins-only messaging and tell the group and its admins
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} groupMetadata Group metadata
+ * @param {Object} settings Group settings
+ * @param {number} joinCount Joins inside the window that triggered the lockdown
+ */
+async function startRaidLockdown(sock, groupMetadata, settings, joinCount) {
+    const groupId = groupMetadata.id;
+
+    if (!groupMetadata.announce) {
+        try {
+            await sock.groupSettingUpdate(groupId, 'announcement');
+        } catch (err) {
+            logger.error(`Anti-raid failed to lock ${groupId}:`, err);
+        }
+    }
+
+    logger.warn(`Raid detected in ${groupId}: ${joinCount} joins in the last minute (threshold ${settings.raidThreshold})`);
+    await logModAction(sock, groupId, {
+        action: 'lockdown',
+        rule: 'antiraid',
+        reason: `${joinCount} joins in the last minute (threshold ${settings.raidThreshold})`
+    });
+
+    await safeSendText(sock, groupId,
+        '🛡️ *Anti-raid lockdown*\n\n' +
+        `${joinCount} members joined within a minute. Only admins can send messages and new members are removed ` +
+        'until an admin uses !antiraid release'
+    );
+
+    await notifyAdmins(sock, groupMetadata,
+        `🚨 *Raid detected* in *${groupMetadata.subject || groupId}*\n\n` +
+        `${joinCount} joins in the last minute (threshold: ${settings.raidThreshold}).\n` +
+        'The group is locked to admins only and new members are being removed.\n\n' +
+        'Send !antiraid release in the group to restore it.'
+    );
+}
+
+/**
+ * Run anti-raid protection for new members
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} groupMetadata Group metadata
+ * @param {Object} settings Group settings
+ * @param {Array<string>} participants Joining members
+ * @returns {Promise<boolean>} Whether the joins were treated as a raid
+ */
+async function handleRaidJoins(sock, groupMetadata, settings, participants) {
+    const groupId = groupMetadata.id;
+    if (!settings.raid) settings.raid = getDefaultRaidState();
+    if (activeRaids.has(groupId)) {
+        settings.raid = activeRaids.get(groupId);
+    } else if (settings.raid.active) {
+        activeRaids.set(groupId, settings.raid);
+    }
+
+    const joins = recordJoins(groupId, participants);
+    if (!activeRaids.has(groupId) && joins.length <= settings.raidThreshold) {
+        return false;
+    }
+
+    // Claim the lockdown before the first await so a burst of join events starts it only once
+    const startsLockdown = !activeRaids.has(groupId);
+    const previousRaid = settings.raid;
+    if (startsLockdown) claimRaidLockdown(groupMetadata, settings);
+
+    if (!(await isBotAdmin(sock, groupId))) {
+        if (startsLockdown) {
+            settings.raid = previousRaid;
+            activeRaids.delete(groupId);
+            recentJoins.delete(groupId);
+            logger.warn(`Raid detected in ${groupId} but the bot is not an admin`);
+            await notifyAdmins(sock, groupMetadata,
+                `🚨 *Raid detected* in *${groupMetadata.subject || groupId}*\n\n` +
+                `${joins.length} joins in the last minute, but I need admin rights to lock the group.`
+            );
+        }
+        return false;
+    }
+
+    // Everyone who joined during the burst is part of the raid
+    let targets = participants;
+    if (startsLockdown) {
+        await startRaidLockdown(sock, groupMetadata, settings, joins.length);
+        targets = joins.map(join => join.jid);
+    }
+
+    const removed = await removeRaiders(sock, groupId, settings, targets);
+    await updateGroupSettings(groupId, current => {
+        current.raid = settings.raid;
+    });
+
+    if (removed.length > 0) {
+        logger.info(`Anti-raid removed ${removed.length} members from ${groupId}`);
+    }
+    return true;
+}
+
+/**
+ * End a raid lockdown and restore the group's messaging setting
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupId Group JID
+ * @param {Object} settings Group settings
+ * @returns {Promise<Array<Object>>} Members removed during the raid
+ */
+async function releaseRaidLockdown(sock, groupId, settings) {
+    const raid = { ...getDefaultRaidState(), ...(activeRaids.get(groupId) || settings.raid || {}) };
+    const removed = raid.removed.filter(entry => raid.since && entry.time >= raid.since);
+
+    if (raid.restoreAnnouncement === false) {
+        await sock.groupSettingUpdate(groupId, 'not_announcement');
+    }
+
+    settings.raid = { ...raid, active: false, restoreAnnouncement: null };
+    activeRaids.delete(groupId);
+    await updateGroupSettings(groupId, current => {
+        current.raid = settings.raid;
+    });
+    recentJoins.delete(groupId);
+
+    logger.info(`Raid lockdown released in ${groupId}, ${removed.length} members were removed`);
+    return removed;
+}
+
+/**
+ * Remove a joining member who is banned in the group's federation
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupId Group JID
+ * @param {string} participant Member JID
+ * @param {Object} fedBan Federation and ban entry from getFederationBan
+ */
+async function removeFederationBanned(sock, groupId, participant, { fed, ban }) {
+    try {
+        await sock.groupParticipantsUpdate(groupId, [participant], 'remove');
+    } catch (err) {
+        logger.error(`Failed to remove federation-banned member from ${groupId}:`, err);
+        return;
+    }
+
+    await logModAction(sock, groupId, {
+        action: 'kick',
+        target: participant,
+        rule: `fban:${fed.name}`,
+        reason: ban.reason
+    });
+    await safeSendMessage(sock, groupId, {
+        text: `🚫 @${participant.split('@')[0]} is banned in the *${fed.name}* federation and was removed` +
+            (ban.reason ? `\nReason: ${ban.reason}` : ''),
+        mentions: [participant]
+    });
+}
+
+/**
+ * Format the group rules for the {rules} placeholder
+ * @param {string|Array<string>} rules Stored rules
+ * @returns {string} Rules text
+ */
+function formatRules(rules) {
+    if (Array.isArray(rules)) {
+        return rules.length > 0 ? rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n') : 'No rules have been set';
+    }
+    return rules || 'No rules have been set';
+}
+
+/**
+ * Fill in the placeholders of a welcome/goodbye template
+ * Supported: {user} {number} {group} {desc} {memberCount} {rules} {date} {time} {inviter}
+ * @param {string} template Message template
+ * @param {Object} context Greeting context (groupMetadata, settings, participant, author)
+ * @returns {{text: string, mentions: Array<string>}} Message text and mentioned JIDs
+ */
+function formatGreeting(template, { groupMetadata, settings, participant, author }) {
+    const now = new Date();
+    const mentions = [participant];
+    const invitedBy = author && author !== participant ? author : null;
+    if (invitedBy) mentions.push(invitedBy);
+
+    const values = {
+        user: `@${participant.split('@')[0]}`,
+        number: participant.split('@')[0],
+        group: groupMetadata.subject || 'this group',
+        desc: groupMetadata.desc ? String(groupMetadata.desc) : '',
+        membercount: String(groupMetadata.participants?.length || 0),
+        rules: formatRules(settings.rules),
+        date: now.toLocaleDateString(),
+        time: now.toLocaleTimeString(),
+        inviter: invitedBy ? `@${invitedBy.split('@')[0]}` : 'an invite link'
+    };
+
+    const text = template.replace(/\{(\w+)\}/g, (match, key) => {
+        const value = values[key.toLowerCase()];
+        return value !== undefined ? value : match;
+    });
+
+    return { text, mentions };
+}
+
+/**
+ * Send the welcome or goodbye message (and card, if enabled) for a member
+ * @param {Object} sock WhatsApp socket
+ * @param {string} type 'welcome' or 'goodbye'
+ * @param {Object} context Greeting context (groupMetadata, settings, participant, author)
+ * @param {boolean} [force=false] Send even if the greeting is turned off (used for previews)
+ * @returns {Promise<boolean>} Whether anything was sent
+ */
+async function sendGreeting(sock, type, context, force = false) {
+    const { groupMetadata, settings, participant } = context;
+    const template = settings[`${type}Message`];
+    const withCard = !!settings[`${type}Card`];
+
+    if (!force && (settings.features?.[type] === false || (!template && !withCard))) {
+        return false;
+    }
+
+    const { text, mentions } = formatGreeting(template || DEFAULT_GREETINGS[type], context);
+
+    if (withCard) {
+        const memberCount = groupMetadata.participants?.length || 0;
+        const card = await generateWelcomeCard({
+            type,
+            name: `+${participant.split('@')[0]}`,
+            groupName: groupMetadata.subject,
+            memberNumber: memberCount,
+            avatar: await fetchProfilePicture(sock, participant)
+        });
+
+        if (card) {
+            await safeSendMessage(sock, groupMetadata.id, { image: card, caption: text, mentions });
+            return true;
+        }
+    }
+
+    await safeSendMessage(sock, groupMetadata.id, { text, mentions });
+    return true;
+}
+
+async function handleGroupParticipantsUpdate(sock, { id, participants, action, author }) {
+    try {
+        // Get group metadata and our persisted settings
         const groupMetadata = await sock.groupMetadata(id);
-        const settings = groupMetadata.settings || {};
+        const settings = await getGroupSettings(id);
+        await recordMembershipChange(id, action, participants.length);
 
-        // Check for anti-raid protection on member join
+        // Anti-raid protection on member join
         if (action === 'add' && settings.antiraid) {
-            const now = Date.now();
-            const cooldown = settings.raidCooldown || 60; // Default 60 seconds
-            const lastJoin = settings.lastJoinTime || 0;
-
-            // If joining too quickly after last join, consider it potential raid
-            if (now - lastJoin < cooldown * 1000) {
-                // Add to join queue
-                if (!settings.joinQueue) settings.joinQueue = new Set();
-                participants.forEach(p => settings.joinQueue.add(p));
-
-                // Remove the users
-                await sock.groupParticipantsUpdate(id, participants, 'remove');
-                await safeSendText(sock, id, '🛡️ Anti-raid protection: Join requests temporarily blocked'
-                );
-                return;
-            }
-
-            // Update last join time
-            settings.lastJoinTime = now;
+            const isRaid = await handleRaidJoins(sock, groupMetadata, settings, participants);
+            if (isRaid) return;
         }
 
         switch (action) {
-            case 'add':
-                if (settings.welcomeMessage) {
-                    // Send welcome message for each new participant
-                    for (const participant of participants) {
-                        const welcomeMsg = settings.welcomeMessage
-                            .replace('{user}', `@${participant.split('@')[0]}`)
-                            .replace('{group}', groupMetadata.subject)
-                            .replace('{memberCount}', groupMetadata.participants.length);
-
-                        await safeSendMessage(sock, id, {
-                            text: welcomeMsg,
-                            mentions: [participant]
-                        });
+            case 'add': {
+                // New members are welcomed once they pass the captcha
+                const botIsAdmin = await isBotAdmin(sock, id);
+                const useCaptcha = getCaptchaConfig(settings).enabled && botIsAdmin;
+                for (const participant of participants) {
+                    // Members banned in the group's federation are removed right away
+                    const fedBan = botIsAdmin && getFederationBan(id, participant);
+                    if (fedBan) {
+                        await removeFederationBanned(sock, id, participant, fedBan);
+                        continue;
+                    }
+
+                    if (useCaptcha) {
+                        await startCaptcha(sock, groupMetadata, settings, participant, author);
+                    } else {
+                        await sendGreeting(sock, 'welcome', { groupMetadata, settings, participant, author });
                     }
                 }
                 break;
+            }
 
-            case 'remove':
-                if (settings.goodbyeMessage) {
-                    // Send goodbye message for each leaving participant
-                    for (const participant of participants) {
-                        const goodbyeMsg = settings.goodbyeMessage
-                            .replace('{user}', `@${participant.split('@')[0]}`)
-                            .replace('{group}', groupMetadata.subject)
-                            .replace('{memberCount}', groupMetadata.participants.length);
-
-                        await safeSendMessage(sock, id, {
-                            text: goodbyeMsg,
-                            mentions: [participant]
-                        });
+            case 'remove': {
+                // Members removed during a raid lockdown get no goodbye
+                if (activeRaids.has(id) || (settings.raid && settings.raid.active)) break;
+                for (const participant of participants) {
+                    // Members who never passed the captcha were never welcomed either
+                    if (await updateGroupSettings(id, current => clearCaptcha(current, participant))) {
+                        continue;
                     }
+                    await sendGreeting(sock, 'goodbye', { groupMetadata, settings, participant, author });
                 }
                 break;
+            }
 
             case 'promote':
                 // Handle promotion events
@@ -107,4 +413,4 @@ async function handleGroupParticipantsUpdate(sock, { id, participants, action })
     }
 }
 
-module.exports = { handleGroupParticipantsUpdate };
\ No newline at end of file
+module.exports = { handleGroupParticipantsUpdate, releaseRaidLockdown, sendGreeting, formatRules };
\ No newline at end of file
@@ -0,0 +1,128 @@
+const logger = require('../utils/logger');
+const { safeSendMessage } = require('../utils/jidHelper');
+const { updateGroupSettings } = require('../utils/groupSettings');
+const { jobScheduler } = require('../utils/scheduler');
+const { logModAction } = require('../utils/modLog');
+
+/**
+ * Get a user's active mute, lifting it if it has expired
+ * @param {Object} settings Group settings
+ * @param {string} userId User JID
+ * @returns {Object|null} Active mute or null
+ */
+function getActiveMute(settings, userId) {
+    const mute = settings.mutes && settings.mutes[userId];
+    if (!mute) return null;
+
+    if (mute.until && mute.until <= Date.now()) {
+        delete settings.mutes[userId];
+        return null;
+    }
+    return mute;
+}
+
+/**
+ * Get all active mutes of a group, soonest expiry first
+ * @param {Object} settings Group settings
+ * @returns {Array<Object>} Mutes with their user JID
+ */
+function getActiveMutes(settings) {
+    return Object.keys(settings.mutes || {})
+        .map(userId => {
+            const mute = getActiveMute(settings, userId);
+            return mute ? { userId, ...mute } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => (a.until || Infinity) - (b.until || Infinity));
+}
+
+/**
+ * Mute a user in a group; their messages are deleted until the mute is lifted.
+ * The expiry is scheduled so the mute ends on time even after a restart.
+ * @param {Object} settings Group settings
+ * @param {string} groupId Group JID
+ * @param {string} userId User JID
+ * @param {Object} options Mute options
+ * @param {number} options.duration Mute length in seconds
+ * @param {string} [options.reason] Why the user was muted
+ * @param {string} [options.by='bot'] Who muted the user
+ * @returns {Promise<Object>} The stored mute
+ */
+async function addMute(settings, groupId, userId, { duration, reason = null, by = 'bot' }) {
+    // A new mute replaces the old one and its expiry job
+    await liftMute(settings, userId);
+
+    const until = Date.now() + duration * 1000;
+    const job = await jobScheduler.addJob({
+        type: 'unmute',
+        chatJid: groupId,
+        userJid: userId,
+        runAt: until,
+        description: `Unmute ${userId.split('@')[0]}`
+    });
+
+    if (!settings.mutes) settings.mutes = {};
+    settings.mutes[userId] = {
+        until,
+        reason,
+        by,
+        since: Date.now(),
+        jobId: job.id
+    };
+
+    logger.info(`Muted ${userId} in ${groupId} for ${duration}s`);
+    return settings.mutes[userId];
+}
+
+/**
+ * Lift a user's mute and cancel its expiry job
+ * @param {Object} settings Group settings
+ * @param {string} userId User JID
+ * @returns {Promise<Object|null>} The lifted mute, or null if the user wasn't muted
+ */
+async function liftMute(settings, userId) {
+    const mute = settings.mutes && settings.mutes[userId];
+    if (!mute) return null;
+
+    delete settings.mutes[userId];
+    if (mute.jobId && jobScheduler.getJob(mute.jobId)) {
+        await jobScheduler.cancelJob(mute.jobId);
+    }
+    return mute;
+}
+
+/**
+ * Scheduler handler run when a mute expires
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} job Scheduled job
+ * @param {Object} info Run info
+ * @param {boolean} info.late Whether the job is run late, e.g. after a restart
+ */
+async function expireMute(sock, job, { late } = {}) {
+    const expired = await updateGroupSettings(job.chatJid, settings => {
+        const mute = settings.mutes && settings.mutes[job.userJid];
+
+        // Already lifted or replaced by a newer mute
+        if (!mute || mute.jobId !== job.id) return false;
+
+        delete settings.mutes[job.userJid];
+        return true;
+    });
+    if (!expired) return;
+
+    logger.info(`Mute of ${job.userJid} in ${job.chatJid} expired${late ? ' (late)' : ''}`);
+    await logModAction(sock, job.chatJid, { action: 'unmute', target: job.userJid, reason: 'Mute expired' });
+
+    await safeSendMessage(sock, job.chatJid, {
+        text: `🔊 @${job.userJid.split('@')[0]} is no longer muted`,
+        mentions: [job.userJid]
+    });
+}
+
+module.exports = {
+    getActiveMute,
+    getActiveMutes,
+    addMute,
+    liftMute,
+    expireMute
+};
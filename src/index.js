@@ -7,6 +7,7 @@
 const { connectionManager } = require('./core/connection');
 const { commandRegistry } = require('./core/commandRegistry');
 const { sessionManager } = require('./core/sessionManager');
+const { jobScheduler } = require('./utils/scheduler');
 const logger = require('./utils/logger');
 const fs = require('fs');
 const path = require('path');
@@ -14,6 +15,13 @@ const { ensureDirectoryExists } = require('./utils/fileUtils');
 const { addErrorHandlingToAll } = require('./utils/errorHandler');
 const { verifyStartupRequirements, displayVerificationReport } = require('./utils/startupVerification');
 const { checkMentionsForAfkUsers } = require('./utils/afkMentionHandler');
+const { handleGroupMessage } = require('./handlers/groupMessageHandler');
+const { handleGroupParticipantsUpdate } = require('./handlers/groupParticipantHandler');
+const { handleGameMessage } = require('./handlers/gameHandler');
+const { isJidGroup } = require('./utils/jidHelper');
+const { handlePollUpdate } = require('./utils/polls');
+const { recordGroupMessage } = require('./utils/groupStats');
+const { flushStores } = require('./utils/debouncedStore');
 const { isHeroku, isRailway, isCloudPlatform, initializeAuthFromEnv } = require('./utils/herokuHelper');
 const { startHerokuMonitoring, getHealthStatus } = require('./utils/herokuMonitor');
 
@@ -91,6 +99,28 @@ async function setupMessageHandler(sock) {
                             logger.info('Message has no content');
                         }
                         
+                        // Encrypted votes on native polls are tallied, never treated as commands
+                        if (message.message?.pollUpdateMessage) {
+                            try {
+                                await handlePollUpdate(sock, message);
+                            } catch (pollError) {
+                                logger.error('Error handling poll vote:', pollError);
+                            }
+                            continue;
+                        }
+                        
+                        // Group moderation (mutes, anti-link, anti-spam, anti-toxic) runs before commands
+                        if (!isFromSelf && isJidGroup(message.key.remoteJid)) {
+                            const moderated = await handleGroupMessage(sock, message);
+                            if (moderated) {
+                                logger.info('Message removed by group moderation, skipping command processing');
+                                continue;
+                            }
+                            
+                            // Messages that stay in the group count towards its activity stats
+                            await recordGroupMessage(message.key.remoteJid, message.key.participant || message.key.remoteJid, message);
+                        }
+                        
                         // Check if any mentioned users are AFK and notify the sender
                         if (!isFromSelf) {
                             try {
@@ -100,6 +130,12 @@ async function setupMessageHandler(sock) {
                             }
                         }
                         
+                        // Answers to a running group game don't need command processing
+                        if (!isFromSelf && isJidGroup(message.key.remoteJid)) {
+                            const played = await handleGameMessage(sock, message);
+                            if (played) continue;
+                        }
+                        
                         const result = await commandRegistry.processMessage(sock, message);
                         logger.info(`Command processing result: ${result ? 'Command executed' : 'No command found'}`);
                     } else {
@@ -114,6 +150,11 @@ async function setupMessageHandler(sock) {
         }
     });
     
+    // Joins/leaves drive anti-raid and welcome/goodbye messages
+    connectionManager.onGroupParticipantsUpdate(async (update, sock) => {
+        await handleGroupParticipantsUpdate(sock, update);
+    });
+    
     logger.success('Message handler set up successfully');
 }
 
@@ -171,6 +212,9 @@ async function startBot() {
     logger.info('Setting up message handler...');
     await setupMessageHandler(sock);
     
+    // Start the persistent job scheduler (reminders, countdowns) once command handlers are registered
+    await jobScheduler.start(connectionManager);
+    
     // Set up connection event handler for QR code and connection status
     connectionManager.onConnectionUpdate(async (update) => {
         const { connection, qr } = update;
@@ -272,6 +316,12 @@ function setupGracefulShutdown() {
         // Stop the session manager backups
         sessionManager.stopScheduledBackups();
         
+        // Stop scheduled job timers (jobs stay persisted on disk)
+        jobScheduler.stop();
+        
+        // Write stored records still waiting for their delayed save
+        await flushStores();
+        
         // Create a final backup before exit
         await sessionManager.backupSession();
         
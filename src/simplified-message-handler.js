@@ -657,7 +657,7 @@ async function init(sock) {
                         const userJid = isGroup ? (msg.key.participant || remoteJid) : remoteJid;
                         
                         // Pass the user's JID as first parameter to properly track XP for the user, not the group
-                        const levelUpData = await levelingSystem.addXP(userJid, activityType, isGroup ? remoteJid : null);
+                        const levelUpData = await levelingSystem.addXP(userJid, activityType, isGroup ? remoteJid : null, sock);
                         
                         // Send level up notification if user leveled up
                         if (levelUpData && levelingSystem.hasLevelUpNotificationEnabled(userJid)) {
@@ -676,7 +676,13 @@ async function init(sock) {
                                 }
                             }
                             
-                            const levelUpMessage = `*🎉 Congratulations!*\nYou leveled up from ${levelUpData.oldLevel} to ${levelUpData.newLevel}!\n\n*💰 Reward:* ${levelUpData.coinReward} coins\n*🏆 Rank:* ${levelUpData.rankTitle}`;
+                            let levelUpMessage = `*🎉 Congratulations!*\nYou leveled up from ${levelUpData.oldLevel} to ${levelUpData.newLevel}!\n\n*💰 Reward:* ${levelUpData.coinReward} coins\n*🏆 Rank:* ${levelUpData.rankTitle}`;
+                            
+                            // Roles handed out by the group's level rewards
+                            const roleRewards = (levelUpData.rewards || []).filter(reward => reward.type === 'role');
+                            if (roleRewards.length > 0) {
+                                levelUpMessage += `\n*🎖️ New role:* ${roleRewards.map(reward => reward.role).join(', ')}`;
+                            }
                             
                             // Use enhanced group sending for better mentions in group chats
                             if (isGroup) {
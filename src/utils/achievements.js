@@ -0,0 +1,328 @@
+/**
+ * Achievement Engine
+ * Achievements are declared in src/config/achievements.json as conditions on
+ * counters. Commands report what a user did through trackEvent(), which goes
+ * over the achievement event bus: the engine adds to the user's counters,
+ * unlocks every achievement whose conditions are now met and announces it
+ * with an unlock card.
+ *
+ * Counters are either event counters kept in profile.counters (messages_sent,
+ * fish_caught, ...) or gauges read from the profile (level, coins, streak,
+ * reputation).
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createCanvas } = require('canvas');
+const logger = require('./logger');
+const userDatabase = require('./userDatabase');
+const { safeSendMessage } = require('./jidHelper');
+const ledger = require('./economyLedger');
+
+const DEFINITIONS_FILE = path.join(__dirname, '..', 'config', 'achievements.json');
+
+// Counters read from the profile instead of being counted
+const GAUGES = {
+    level: profile => profile.level || 1,
+    coins: profile => profile.coins || 0,
+    streak: profile => profile.dailyStreak || 0,
+    reputation: profile => profile.reputation || 0
+};
+
+/**
+ * Event bus of the achievement engine
+ *   'track'  ({ userId, counter, amount, context, unlocked }) - something was done
+ *   'unlock' ({ userId, achievement, context }) - an achievement was unlocked
+ */
+const achievementEvents = new EventEmitter();
+
+// Definitions by ID, loaded on first use
+let definitions = null;
+
+/**
+ * Check an achievement definition
+ * @param {Object} achievement Definition
+ * @returns {string|null} Problem description, or null if the definition is fine
+ */
+function validateDefinition(achievement) {
+    if (!achievement.id || !achievement.name) return 'missing id or name';
+    if (!Array.isArray(achievement.conditions) || achievement.conditions.length === 0) return 'no conditions';
+
+    const invalid = achievement.conditions.find(condition =>
+        typeof condition.counter !== 'string' || !(condition.min > 0));
+    return invalid ? `invalid condition ${JSON.stringify(invalid)}` : null;
+}
+
+/**
+ * Get all achievement definitions
+ * @returns {Array<Object>} Definitions in file order
+ */
+function getAchievements() {
+    if (definitions) return [...definitions.values()];
+
+    definitions = new Map();
+    try {
+        const { achievements = [] } = JSON.parse(fs.readFileSync(DEFINITIONS_FILE, 'utf8'));
+        for (const achievement of achievements) {
+            const problem = validateDefinition(achievement);
+            if (problem) {
+                logger.warn(`Skipping achievement ${achievement.id || '?'}: ${problem}`);
+                continue;
+            }
+            definitions.set(achievement.id, { icon: '🏆', reward: null, ...achievement });
+        }
+    } catch (err) {
+        logger.error('Failed to load achievement definitions:', err);
+    }
+    return [...definitions.values()];
+}
+
+/**
+ * Find an achievement by ID or name
+ * @param {string} query ID or name
+ * @returns {Object|null} Definition
+ */
+function findAchievement(query) {
+    const wanted = String(query || '').trim().toLowerCase();
+    return getAchievements().find(achievement =>
+        achievement.id.toLowerCase() === wanted || achievement.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Get the value of a counter for a user
+ * @param {Object} profile User profile
+ * @param {string} counter Counter name
+ * @returns {number} Value
+ */
+function getCounterValue(profile, counter) {
+    if (GAUGES[counter]) return GAUGES[counter](profile);
+    return (profile.counters && profile.counters[counter]) || 0;
+}
+
+/**
+ * Check whether a user has an achievement; achievements given before the
+ * engine existed are only stored by name
+ * @param {Object} profile User profile
+ * @param {Object} achievement Definition
+ * @returns {boolean} Whether it is unlocked
+ */
+function isUnlocked(profile, achievement) {
+    return !!(profile.achievementUnlocks && profile.achievementUnlocks[achievement.id]) ||
+        (Array.isArray(profile.achievements) && profile.achievements.includes(achievement.name));
+}
+
+/**
+ * Get a user's progress towards an achievement
+ * @param {Object} profile User profile
+ * @param {Object} achievement Definition
+ * @returns {{conditions: Array<{counter: string, current: number, target: number}>, ratio: number}}
+ *   Progress per condition and overall (0-1, the least advanced condition)
+ */
+function getProgress(profile, achievement) {
+    const conditions = achievement.conditions.map(condition => ({
+        counter: condition.counter,
+        current: getCounterValue(profile, condition.counter),
+        target: condition.min
+    }));
+    const ratio = Math.min(...conditions.map(condition => Math.min(1, condition.current / condition.target)));
+    return { conditions, ratio };
+}
+
+/**
+ * Unlock every achievement a user now meets the conditions of
+ * @param {string} userId User JID
+ * @param {Object} profile User profile
+ * @returns {Array<Object>} Newly unlocked definitions
+ */
+function checkAchievements(userId, profile) {
+    const unlocked = getAchievements().filter(achievement =>
+        !isUnlocked(profile, achievement) && getProgress(profile, achievement).ratio >= 1);
+    if (unlocked.length === 0) return [];
+
+    const unlocks = { ...(profile.achievementUnlocks || {}) };
+    const names = [...(profile.achievements || [])];
+
+    for (const achievement of unlocked) {
+        unlocks[achievement.id] = Date.now();
+        if (!names.includes(achievement.name)) names.push(achievement.name);
+    }
+
+    userDatabase.updateUserProfile(userId, { achievementUnlocks: unlocks, achievements: names });
+    for (const achievement of unlocked) {
+        if (achievement.reward && achievement.reward.coins) {
+            ledger.credit(userId, achievement.reward.coins, `achievement: ${achievement.name}`);
+        }
+    }
+    logger.info(`User ${userId} unlocked ${unlocked.map(achievement => achievement.id).join(', ')}`);
+    return unlocked;
+}
+
+/**
+ * Report something a user did. Counters of users without a profile are not kept.
+ * @param {string} userId User JID
+ * @param {string} counter Counter to add to, or a gauge that changed (amount 0)
+ * @param {number} [amount=1] Amount to add
+ * @param {Object} [context] Where to announce unlocks
+ * @param {Object} [context.sock] WhatsApp socket
+ * @param {string} [context.chatJid] Chat to announce in
+ * @returns {Array<Object>} Newly unlocked achievements
+ */
+function trackEvent(userId, counter, amount = 1, context = {}) {
+    const event = { userId, counter, amount, context, unlocked: [] };
+    achievementEvents.emit('track', event);
+    return event.unlocked;
+}
+
+// Count events and unlock achievements
+achievementEvents.on('track', (event) => {
+    try {
+        const profile = userDatabase.getUserProfile(event.userId);
+        if (!profile) return;
+
+        if (!GAUGES[event.counter] && event.amount) {
+            const counters = { ...(profile.counters || {}) };
+            counters[event.counter] = (counters[event.counter] || 0) + event.amount;
+            userDatabase.updateUserProfile(event.userId, { counters });
+        }
+
+        event.unlocked = checkAchievements(event.userId, profile);
+        for (const achievement of event.unlocked) {
+            achievementEvents.emit('unlock', { userId: event.userId, achievement, context: event.context });
+        }
+    } catch (err) {
+        logger.error(`Error tracking ${event.counter} for ${event.userId}:`, err);
+    }
+});
+
+// Announce unlocks where they happened
+achievementEvents.on('unlock', ({ userId, achievement, context }) => {
+    if (!context.sock || !context.chatJid) return;
+    announceUnlock(context.sock, context.chatJid, userId, achievement)
+        .catch(err => logger.error(`Failed to announce achievement ${achievement.id} for ${userId}:`, err));
+});
+
+/**
+ * Get the share of users with profiles who unlocked an achievement
+ * @param {Object} achievement Definition
+ * @returns {number} Percentage (0-100)
+ */
+function getUnlockRate(achievement) {
+    let total = 0;
+    let unlocked = 0;
+    const seen = new Set();
+
+    // Profiles can be stored under several JID formats
+    for (const profile of userDatabase.userProfiles.values()) {
+        if (!profile || seen.has(profile)) continue;
+        seen.add(profile);
+        total++;
+        if (isUnlocked(profile, achievement)) unlocked++;
+    }
+    return total > 0 ? (unlocked / total) * 100 : 0;
+}
+
+/**
+ * Draw the unlock card of an achievement
+ * @param {Object} achievement Definition
+ * @param {Object} profile User profile
+ * @returns {Buffer|null} PNG image, or null if drawing failed
+ */
+function generateUnlockCard(achievement, profile) {
+    try {
+        const canvas = createCanvas(800, 250);
+        const ctx = canvas.getContext('2d');
+
+        const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+        gradient.addColorStop(0, '#2c2f48');
+        gradient.addColorStop(1, '#1b1d2e');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.strokeStyle = '#f1c40f';
+        ctx.lineWidth = 8;
+        ctx.strokeRect(0, 0, canvas.width, canvas.height);
+
+        // Icon medallion
+        ctx.fillStyle = '#f1c40f';
+        ctx.beginPath();
+        ctx.arc(125, 125, 80, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.font = '80px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(achievement.icon, 125, 130);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        ctx.font = 'bold 22px Arial';
+        ctx.fillStyle = '#f1c40f';
+        ctx.fillText('ACHIEVEMENT UNLOCKED', 240, 60);
+
+        ctx.font = 'bold 40px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(achievement.name, 240, 110);
+
+        ctx.font = '24px Arial';
+        ctx.fillStyle = '#c8cbe0';
+        ctx.fillText(achievement.description || '', 240, 150);
+
+        const unlockedAt = profile.achievementUnlocks && profile.achievementUnlocks[achievement.id];
+        const details = [
+            profile.name || 'User',
+            unlockedAt ? new Date(unlockedAt).toLocaleDateString() : null,
+            `${getUnlockRate(achievement).toFixed(1)}% of users`,
+            achievement.reward && achievement.reward.coins ? `+${achievement.reward.coins.toLocaleString()} coins` : null
+        ].filter(Boolean);
+        ctx.font = '20px Arial';
+        ctx.fillStyle = '#8e92b0';
+        ctx.fillText(details.join('  •  '), 240, 205);
+
+        return canvas.toBuffer('image/png');
+    } catch (err) {
+        logger.error(`Failed to draw unlock card for ${achievement.id}:`, err);
+        return null;
+    }
+}
+
+/**
+ * Announce an unlocked achievement with its card
+ * @param {Object} sock WhatsApp socket
+ * @param {string} chatJid Chat to announce in
+ * @param {string} userId User JID
+ * @param {Object} achievement Definition
+ */
+async function announceUnlock(sock, chatJid, userId, achievement) {
+    const profile = userDatabase.getUserProfile(userId) || {};
+    const tag = chatJid.endsWith('@g.us') ? `@${userId.split('@')[0]} ` : '';
+    const caption = `*🏆 Achievement Unlocked:* ${tag}${achievement.icon} ${achievement.name}\n${achievement.description || ''}` +
+        (achievement.reward && achievement.reward.coins ? `\n*💰 Reward:* ${achievement.reward.coins.toLocaleString()} coins` : '');
+    const mentions = tag ? [userId] : [];
+
+    const card = generateUnlockCard(achievement, profile);
+    await safeSendMessage(sock, chatJid, card ? { image: card, caption, mentions } : { text: caption, mentions });
+}
+
+/**
+ * Draw a text progress bar
+ * @param {number} ratio Progress (0-1)
+ * @param {number} [length=10] Bar length
+ * @returns {string} Progress bar
+ */
+function formatProgressBar(ratio, length = 10) {
+    const filled = Math.round(ratio * length);
+    return `${'▰'.repeat(filled)}${'▱'.repeat(length - filled)} ${Math.floor(ratio * 100)}%`;
+}
+
+module.exports = {
+    GAUGES,
+    achievementEvents,
+    getAchievements,
+    findAchievement,
+    getCounterValue,
+    isUnlocked,
+    getProgress,
+    trackEvent,
+    generateUnlockCard,
+    formatProgressBar
+};
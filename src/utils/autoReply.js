@@ -0,0 +1,264 @@
+/**
+ * Auto-Replies
+ * Admin-defined triggers that answer common questions in a group. Triggers
+ * match the whole message, part of it or a regular expression, and can answer
+ * with text or with a stored image, video, audio, sticker or document.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { safeSendMessage } = require('./jidHelper');
+const { getGroupSettings, isFeatureEnabled } = require('./groupSettings');
+const { validatePattern } = require('./toxicFilter');
+const { testPattern } = require('./safeRegex');
+
+const AUTOREPLY_MEDIA_DIR = path.join(process.cwd(), 'data', 'autoreplies');
+
+const MATCH_MODES = ['exact', 'contains', 'regex'];
+const MAX_AUTOREPLIES = 50;
+const MAX_TRIGGER_LENGTH = 100;
+const DEFAULT_COOLDOWN = 30;        // seconds before the same trigger answers again
+const MAX_COOLDOWN = 24 * 60 * 60;
+
+// Message types that can be stored as a response, with the file extension used
+const MEDIA_TYPES = {
+    imageMessage: { type: 'image', ext: 'jpg' },
+    videoMessage: { type: 'video', ext: 'mp4' },
+    audioMessage: { type: 'audio', ext: 'ogg' },
+    stickerMessage: { type: 'sticker', ext: 'webp' },
+    documentMessage: { type: 'document', ext: 'bin' }
+};
+
+// Last time each trigger answered, by "<group>:<trigger id>"
+const lastReplies = new Map();
+
+// Compiled regex triggers by pattern source, null for patterns that are refused
+const compiledTriggers = new Map();
+
+/**
+ * Normalize text for exact and contains matching
+ * @param {string} text Text
+ * @returns {string} Lowercased text with collapsed whitespace
+ */
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compile a regex trigger once; triggers stored before patterns were checked
+ * for backtracking are checked here and never run if refused
+ * @param {string} trigger Pattern source
+ * @returns {RegExp|null} Compiled trigger, or null if it is invalid or unsafe
+ */
+function compileTrigger(trigger) {
+    if (compiledTriggers.has(trigger)) return compiledTriggers.get(trigger);
+
+    const problem = validatePattern(trigger);
+    if (problem) logger.warn(`Ignoring auto-reply trigger /${trigger}/: ${problem}`);
+    const regex = problem ? null : new RegExp(trigger, 'iu');
+    compiledTriggers.set(trigger, regex);
+    return regex;
+}
+
+/**
+ * Check whether a trigger matches a message
+ * @param {Object} reply Auto-reply
+ * @param {string} text Message text
+ * @returns {boolean} Whether it matches
+ */
+function matchesTrigger(reply, text) {
+    switch (reply.mode) {
+        case 'exact':
+            return normalizeText(text) === normalizeText(reply.trigger);
+        case 'contains':
+            return normalizeText(text).includes(normalizeText(reply.trigger));
+        case 'regex': {
+            const regex = compileTrigger(reply.trigger);
+            return !!regex && testPattern(regex, text);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Check that a trigger can be stored; regex triggers are compiled here so
+ * messages never compile them
+ * @param {string} trigger Trigger text or pattern
+ * @param {string} mode Match mode
+ * @returns {string|null} Problem description, or null if the trigger is fine
+ */
+function validateTrigger(trigger, mode) {
+    if (!MATCH_MODES.includes(mode)) return `Unknown match mode, use ${MATCH_MODES.join(', ')}`;
+    if (!trigger.trim()) return 'The trigger is empty';
+    if (trigger.length > MAX_TRIGGER_LENGTH) return `Triggers can have at most ${MAX_TRIGGER_LENGTH} characters`;
+    if (mode === 'regex') {
+        const problem = validatePattern(trigger);
+        if (!problem) compileTrigger(trigger);
+        return problem;
+    }
+    return null;
+}
+
+/**
+ * Get the stored auto-replies of a group
+ * @param {Object} settings Group settings
+ * @returns {Array<Object>} Auto-replies, oldest first
+ */
+function getAutoReplies(settings) {
+    return Array.isArray(settings.autoReplies) ? settings.autoReplies : [];
+}
+
+/**
+ * Find the auto-reply for a message; exact triggers win over contains and regex
+ * @param {Object} settings Group settings
+ * @param {string} text Message text
+ * @returns {Object|null} Matching auto-reply
+ */
+function findAutoReply(settings, text) {
+    const replies = getAutoReplies(settings);
+    return replies.find(reply => reply.mode === 'exact' && matchesTrigger(reply, text)) ||
+        replies.find(reply => reply.mode !== 'exact' && matchesTrigger(reply, text)) ||
+        null;
+}
+
+/**
+ * Get the media part of a message or the message it replies to
+ * @param {Object} message Command message
+ * @returns {{content: Object, key: string}|null} Media message content and its type key
+ */
+function getResponseMedia(message) {
+    const sources = [message.message, message.message?.extendedTextMessage?.contextInfo?.quotedMessage];
+    for (const source of sources) {
+        if (!source) continue;
+        const documentWithCaption = source.documentWithCaptionMessage?.message?.documentMessage;
+        if (documentWithCaption) return { content: documentWithCaption, key: 'documentMessage' };
+
+        const key = Object.keys(MEDIA_TYPES).find(type => source[type]);
+        if (key) return { content: source[key], key };
+    }
+    return null;
+}
+
+/**
+ * Store the media file of a response
+ * @param {string} groupJid Group JID
+ * @param {string} id Auto-reply ID
+ * @param {string} key Message type key (imageMessage, ...)
+ * @param {Object} content Media message content
+ * @param {Buffer} buffer Downloaded media
+ * @returns {Promise<Object>} Media info to keep with the auto-reply
+ */
+async function saveResponseMedia(groupJid, id, key, content, buffer) {
+    const { type, ext } = MEDIA_TYPES[key];
+    const fileExt = type === 'document' && content.fileName ? path.extname(content.fileName).slice(1) || ext : ext;
+    const dir = path.join(AUTOREPLY_MEDIA_DIR, groupJid);
+    const file = `${id}.${fileExt}`;
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, file), buffer);
+
+    return {
+        type,
+        file,
+        mimetype: content.mimetype || null,
+        fileName: content.fileName || null,
+        ptt: !!content.ptt
+    };
+}
+
+/**
+ * Delete the media file of an auto-reply
+ * @param {string} groupJid Group JID
+ * @param {Object} reply Auto-reply
+ */
+async function deleteResponseMedia(groupJid, reply) {
+    if (!reply.media) return;
+    try {
+        await fs.promises.unlink(path.join(AUTOREPLY_MEDIA_DIR, groupJid, reply.media.file));
+    } catch (err) {
+        if (err.code !== 'ENOENT') logger.error(`Failed to delete auto-reply media of ${groupJid}:`, err);
+    }
+}
+
+/**
+ * Build the message an auto-reply sends
+ * @param {string} groupJid Group JID
+ * @param {Object} reply Auto-reply
+ * @param {string} sender Member who triggered it
+ * @returns {Promise<Object>} Message content
+ */
+async function buildResponse(groupJid, reply, sender) {
+    const mentions = reply.response.includes('{user}') ? [sender] : [];
+    const text = reply.response.replace(/\{user\}/g, `@${sender.split('@')[0]}`);
+
+    if (!reply.media) return { text, mentions };
+
+    const buffer = await fs.promises.readFile(path.join(AUTOREPLY_MEDIA_DIR, groupJid, reply.media.file));
+    const { type, mimetype, fileName, ptt } = reply.media;
+    switch (type) {
+        case 'sticker':
+            return { sticker: buffer };
+        case 'audio':
+            return { audio: buffer, mimetype: mimetype || 'audio/ogg; codecs=opus', ptt };
+        case 'document':
+            return { document: buffer, mimetype: mimetype || 'application/octet-stream', fileName: fileName || reply.media.file, caption: text, mentions };
+        default:
+            return { [type]: buffer, mimetype: mimetype || undefined, caption: text, mentions };
+    }
+}
+
+/**
+ * Answer a group message with a matching auto-reply
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Incoming message
+ * @param {string} text Message text
+ * @returns {Promise<boolean>} Whether an auto-reply was sent
+ */
+async function handleAutoReply(sock, message, text) {
+    const groupJid = message.key.remoteJid;
+    if (!groupJid.endsWith('@g.us') || message.key.fromMe) return false;
+    if (!text.trim()) return false;
+
+    // Commands are never answered by auto-replies; loaded here to avoid a
+    // circular require with the command registry
+    const { commandRegistry } = require('../core/commandRegistry');
+    if (commandRegistry.parseCommand(text)) return false;
+
+    try {
+        const settings = await getGroupSettings(groupJid);
+        if (getAutoReplies(settings).length === 0) return false;
+        if (!(await isFeatureEnabled(groupJid, 'autoreply'))) return false;
+
+        const reply = findAutoReply(settings, text);
+        if (!reply) return false;
+
+        const cooldownKey = `${groupJid}:${reply.id}`;
+        const last = lastReplies.get(cooldownKey) || 0;
+        if (Date.now() - last < (reply.cooldown ?? DEFAULT_COOLDOWN) * 1000) return false;
+        lastReplies.set(cooldownKey, Date.now());
+
+        const sender = message.key.participant || groupJid;
+        await safeSendMessage(sock, groupJid, await buildResponse(groupJid, reply, sender), { quoted: message });
+        logger.debug(`Auto-reply "${reply.trigger}" answered in ${groupJid}`);
+        return true;
+    } catch (err) {
+        logger.error('Error handling auto-reply:', err);
+        return false;
+    }
+}
+
+module.exports = {
+    MATCH_MODES,
+    MAX_AUTOREPLIES,
+    DEFAULT_COOLDOWN,
+    MAX_COOLDOWN,
+    validateTrigger,
+    getAutoReplies,
+    findAutoReply,
+    getResponseMedia,
+    saveResponseMedia,
+    deleteResponseMedia,
+    handleAutoReply
+};
@@ -0,0 +1,134 @@
+/**
+ * Captcha Challenges
+ * Math and emoji questions used to verify new group members
+ */
+
+const CAPTCHA_TYPES = ['math', 'emoji'];
+
+// Emoji challenges: the member picks the emoji matching a name
+const EMOJI_CHOICES = [
+    { emoji: '🐶', name: 'dog' },
+    { emoji: '🐱', name: 'cat' },
+    { emoji: '🍎', name: 'apple' },
+    { emoji: '🚗', name: 'car' },
+    { emoji: '🌙', name: 'moon' },
+    { emoji: '⚽', name: 'ball' },
+    { emoji: '🎸', name: 'guitar' },
+    { emoji: '🌵', name: 'cactus' },
+    { emoji: '🍕', name: 'pizza' },
+    { emoji: '🚀', name: 'rocket' },
+    { emoji: '🐟', name: 'fish' },
+    { emoji: '🔑', name: 'key' }
+];
+
+const EMOJI_OPTION_COUNT = 4;
+
+/**
+ * Get the default captcha settings stored per group
+ * @returns {Object} Captcha settings
+ */
+function getDefaultCaptchaSettings() {
+    return {
+        enabled: false,
+        type: 'math',
+        timeout: 5 * 60,    // seconds to answer
+        attempts: 3         // wrong answers allowed before kicking
+    };
+}
+
+/**
+ * Pick a random integer between min and max (inclusive)
+ * @param {number} min Minimum
+ * @param {number} max Maximum
+ * @returns {number} Random integer
+ */
+function randomInt(min, max) {
+    return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+/**
+ * Shuffle an array in place
+ * @param {Array} items Items to shuffle
+ * @returns {Array} The same array
+ */
+function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Create a math challenge
+ * @returns {{question: string, answers: Array<string>}} Challenge
+ */
+function createMathChallenge() {
+    const operator = ['+', '-', '×'][randomInt(0, 2)];
+    let a = randomInt(2, 20);
+    let b = randomInt(2, 20);
+    let result;
+
+    if (operator === '+') {
+        result = a + b;
+    } else if (operator === '-') {
+        // Keep results positive
+        if (b > a) [a, b] = [b, a];
+        result = a - b;
+    } else {
+        a = randomInt(2, 9);
+        b = randomInt(2, 9);
+        result = a * b;
+    }
+
+    return {
+        question: `What is *${a} ${operator} ${b}*?`,
+        answers: [String(result)]
+    };
+}
+
+/**
+ * Create an emoji challenge
+ * @returns {{question: string, answers: Array<string>}} Challenge
+ */
+function createEmojiChallenge() {
+    const options = shuffle([...EMOJI_CHOICES]).slice(0, EMOJI_OPTION_COUNT);
+    const index = randomInt(0, options.length - 1);
+    const target = options[index];
+
+    const list = options.map((option, i) => `${i + 1}. ${option.emoji}`).join('   ');
+    return {
+        question: `Which one is the *${target.name}*?\n\n${list}\n\nReply with the emoji or its number.`,
+        answers: [target.emoji, String(index + 1)]
+    };
+}
+
+/**
+ * Create a challenge of the given type
+ * @param {string} type 'math' or 'emoji'
+ * @returns {{question: string, answers: Array<string>}} Challenge
+ */
+function createChallenge(type) {
+    return type === 'emoji' ? createEmojiChallenge() : createMathChallenge();
+}
+
+/**
+ * Check a reply against a challenge's accepted answers
+ * @param {string} text Reply text
+ * @param {Array<string>} answers Accepted answers
+ * @returns {boolean} Whether the reply is correct
+ */
+function checkAnswer(text, answers) {
+    // Ignore emoji variation selectors and surrounding whitespace
+    const normalized = (text || '').replace(/\uFE0F/g, '').trim().toLowerCase();
+    if (!normalized) return false;
+
+    return answers.some(answer => answer.replace(/\uFE0F/g, '').toLowerCase() === normalized);
+}
+
+module.exports = {
+    CAPTCHA_TYPES,
+    getDefaultCaptchaSettings,
+    createChallenge,
+    checkAnswer
+};
@@ -0,0 +1,406 @@
+/**
+ * Card Themes
+ * Level and profile cards are drawn from themes in src/config/cardThemes/<name>.json.
+ * A theme sets colors, the font, the background (color, gradient or image) and
+ * where each widget goes: avatar, name, title, level, rank, XP text, XP bar,
+ * badges and bio. A theme can extend another one and only override what
+ * differs; setting a widget to null hides it. Themes with a price have to be
+ * bought in the shop before they can be used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createCanvas, loadImage, registerFont } = require('canvas');
+const logger = require('./logger');
+
+const THEMES_DIR = path.join(__dirname, '..', 'config', 'cardThemes');
+const DEFAULT_THEME = 'default';
+
+const WIDGETS = ['avatar', 'name', 'title', 'level', 'rank', 'xpText', 'xpBar', 'badges', 'bio'];
+
+// Resolved themes by name, loaded on first use
+let themes = null;
+const registeredFonts = new Set();
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value Value
+ * @returns {boolean} Whether it is a plain object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge a theme over the theme it extends; objects are merged, everything else replaced
+ * @param {Object} base Base theme
+ * @param {Object} override Overriding theme
+ * @returns {Object} Merged theme
+ */
+function mergeTheme(base, override) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeTheme(base[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * Load and resolve all themes
+ * @returns {Map<string, Object>} Themes by name
+ */
+function loadThemes() {
+    const raw = new Map();
+    try {
+        for (const file of fs.readdirSync(THEMES_DIR)) {
+            if (!file.endsWith('.json')) continue;
+            try {
+                raw.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(THEMES_DIR, file), 'utf8')));
+            } catch (err) {
+                logger.error(`Failed to load card theme ${file}:`, err);
+            }
+        }
+    } catch (err) {
+        logger.error('Failed to read card themes:', err);
+    }
+
+    const resolved = new Map();
+    const resolve = (name, chain = []) => {
+        if (resolved.has(name)) return resolved.get(name);
+        const theme = raw.get(name);
+        if (!theme) return null;
+        if (chain.includes(name)) {
+            logger.warn(`Card theme ${name} extends itself`);
+            return null;
+        }
+
+        const { extends: parentName, ...own } = theme;
+        const parent = parentName ? resolve(parentName, [...chain, name]) : null;
+        if (parentName && !parent) {
+            logger.warn(`Card theme ${name} extends unknown theme ${parentName}`);
+            return null;
+        }
+
+        const merged = { ...(parent ? mergeTheme(parent, own) : own), name };
+        merged.price = Math.max(0, parseInt(merged.price, 10) || 0);
+        resolved.set(name, merged);
+        return merged;
+    };
+
+    for (const name of raw.keys()) {
+        resolve(name);
+    }
+    if (!resolved.has(DEFAULT_THEME)) {
+        logger.error(`Card theme ${DEFAULT_THEME} is missing`);
+    }
+    return resolved;
+}
+
+/**
+ * Get all card themes
+ * @returns {Array<Object>} Themes, free ones first
+ */
+function getThemes() {
+    if (!themes) themes = loadThemes();
+    return [...themes.values()].sort((a, b) => a.price - b.price || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a card theme by name
+ * @param {string} name Theme name
+ * @returns {Object|null} Theme
+ */
+function getTheme(name) {
+    if (!themes) themes = loadThemes();
+    return themes.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * Check whether a user can use a theme
+ * @param {Object} profile User profile
+ * @param {Object} theme Theme
+ * @returns {boolean} Whether the theme is free or bought
+ */
+function ownsTheme(profile, theme) {
+    return theme.price === 0 || (Array.isArray(profile.ownedThemes) && profile.ownedThemes.includes(theme.name));
+}
+
+/**
+ * Get the theme a user's cards are drawn with; falls back to the default
+ * theme when the selected one was removed or is not owned
+ * @param {Object} profile User profile
+ * @returns {Object} Theme
+ */
+function getProfileTheme(profile) {
+    const theme = getTheme(profile.theme);
+    return theme && ownsTheme(profile, theme) ? theme : getTheme(DEFAULT_THEME);
+}
+
+/**
+ * Build a font string for a widget
+ * @param {Object} theme Theme
+ * @param {Object} widget Widget settings
+ * @returns {string} Canvas font
+ */
+function getFont(theme, widget) {
+    const family = (theme.font && theme.font.family) || 'Arial';
+    return `${widget.italic ? 'italic ' : ''}${widget.bold ? 'bold ' : ''}${widget.size || 20}px ${family}`;
+}
+
+/**
+ * Register the font file of a theme with canvas once
+ * @param {Object} theme Theme
+ */
+function registerThemeFont(theme) {
+    const { file, family } = theme.font || {};
+    if (!file || registeredFonts.has(file)) return;
+
+    registeredFonts.add(file);
+    try {
+        registerFont(path.resolve(THEMES_DIR, file), { family });
+    } catch (err) {
+        logger.error(`Failed to register font ${file} for card theme ${theme.name}:`, err);
+    }
+}
+
+/**
+ * Cut text to a maximum width with an ellipsis
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {string} text Text
+ * @param {number} [maxWidth] Maximum width
+ * @returns {string} Text that fits
+ */
+function fitText(ctx, text, maxWidth) {
+    if (!maxWidth || ctx.measureText(text).width <= maxWidth) return text;
+
+    let truncated = text;
+    while (truncated.length > 0 && ctx.measureText(`${truncated}...`).width > maxWidth) {
+        truncated = truncated.slice(0, -1);
+    }
+    return `${truncated}...`;
+}
+
+/**
+ * Trace a rectangle with rounded corners
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {number} x Left
+ * @param {number} y Top
+ * @param {number} width Width
+ * @param {number} height Height
+ * @param {number} radius Corner radius
+ */
+function traceRoundedRect(ctx, x, y, width, height, radius) {
+    const r = Math.max(0, Math.min(radius || 0, height / 2, width / 2));
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + width, y, x + width, y + height, r);
+    ctx.arcTo(x + width, y + height, x, y + height, r);
+    ctx.arcTo(x, y + height, x, y, r);
+    ctx.arcTo(x, y, x + width, y, r);
+    ctx.closePath();
+}
+
+/**
+ * Draw the card background
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {Object} theme Theme
+ * @param {number} width Card width
+ * @param {number} height Card height
+ */
+async function drawBackground(ctx, theme, width, height) {
+    const background = theme.background || {};
+    ctx.fillStyle = theme.colors.background;
+    ctx.fillRect(0, 0, width, height);
+
+    if (Array.isArray(background.gradient) && background.gradient.length > 1) {
+        const gradient = ctx.createLinearGradient(0, 0, width, height);
+        background.gradient.forEach((color, i) => gradient.addColorStop(i / (background.gradient.length - 1), color));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    if (background.image) {
+        try {
+            const image = await loadImage(path.resolve(THEMES_DIR, background.image));
+            // Cover the card, cropping what does not fit
+            const scale = Math.max(width / image.width, height / image.height);
+            ctx.drawImage(image, (width - image.width * scale) / 2, (height - image.height * scale) / 2,
+                image.width * scale, image.height * scale);
+        } catch (err) {
+            logger.error(`Failed to load background of card theme ${theme.name}:`, err);
+        }
+    }
+
+    if (background.overlay > 0) {
+        ctx.globalAlpha = Math.min(1, background.overlay);
+        ctx.fillStyle = theme.colors.background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.globalAlpha = 1;
+    }
+}
+
+/**
+ * Draw the avatar, or the first letter of the name without a picture
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {Object} theme Theme
+ * @param {Object} widget Avatar widget
+ * @param {Object} data Card data
+ */
+async function drawAvatar(ctx, theme, widget, data) {
+    const { x, y, radius } = widget;
+    let image = null;
+    if (data.avatarPath) {
+        try {
+            image = await loadImage(data.avatarPath);
+        } catch (err) {
+            logger.debug(`Could not load avatar ${data.avatarPath}: ${err.message}`);
+        }
+    }
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.closePath();
+    if (image) {
+        ctx.clip();
+        ctx.drawImage(image, x - radius, y - radius, radius * 2, radius * 2);
+    } else {
+        ctx.fillStyle = theme.colors.accent;
+        ctx.fill();
+        ctx.fillStyle = theme.colors.background;
+        ctx.font = getFont(theme, { bold: true, size: Math.round(radius) });
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText((data.name || '?').charAt(0).toUpperCase(), x, y);
+    }
+    ctx.restore();
+
+    ctx.strokeStyle = theme.colors.accent;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.stroke();
+}
+
+/**
+ * Draw a text widget
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {Object} theme Theme
+ * @param {Object} widget Widget settings
+ * @param {string} text Text
+ * @param {string} color Fill color
+ */
+function drawText(ctx, theme, widget, text, color) {
+    ctx.font = getFont(theme, widget);
+    ctx.fillStyle = widget.color || color;
+    ctx.textAlign = widget.align || 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText(fitText(ctx, text, widget.maxWidth), widget.x, widget.y);
+}
+
+/**
+ * Draw the XP progress bar
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {Object} theme Theme
+ * @param {Object} widget Bar widget
+ * @param {number} percent Progress (0-100)
+ */
+function drawXpBar(ctx, theme, widget, percent) {
+    const { x, y, width, height, radius } = widget;
+    ctx.fillStyle = theme.colors.barBackground;
+    traceRoundedRect(ctx, x, y, width, height, radius);
+    ctx.fill();
+
+    const filled = width * Math.max(0, Math.min(100, percent)) / 100;
+    if (filled <= 0) return;
+
+    const gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+    gradient.addColorStop(0, theme.colors.accent);
+    gradient.addColorStop(1, theme.colors.secondary || theme.colors.accent);
+    ctx.fillStyle = gradient;
+    traceRoundedRect(ctx, x, y, filled, height, radius);
+    ctx.fill();
+}
+
+/**
+ * Draw a card with a theme
+ * @param {Object} theme Theme
+ * @param {Object} data Card data
+ * @param {string} data.name Display name
+ * @param {string} [data.title] Custom or rank title
+ * @param {string} data.levelText Level label, e.g. "Level 12"
+ * @param {string} data.xpText XP label, e.g. "XP: 1200 / 1500"
+ * @param {number} data.progressPercent Progress to the next level (0-100)
+ * @param {string} [data.rankText] Rank label, e.g. "Rank: #3"
+ * @param {Array<string>} [data.badges] Badge icons
+ * @param {string} [data.bio] Bio
+ * @param {string} [data.avatarPath] Profile picture file
+ * @returns {Promise<Buffer>} PNG image
+ */
+async function renderCard(theme, data) {
+    registerThemeFont(theme);
+
+    const { width, height, border, widgets } = theme.layout;
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    await drawBackground(ctx, theme, width, height);
+    if (border > 0) {
+        ctx.strokeStyle = theme.colors.border;
+        ctx.lineWidth = border;
+        ctx.strokeRect(0, 0, width, height);
+    }
+
+    for (const name of WIDGETS) {
+        const widget = widgets[name];
+        if (!widget) continue;
+
+        try {
+            switch (name) {
+                case 'avatar':
+                    await drawAvatar(ctx, theme, widget, data);
+                    break;
+                case 'name':
+                    drawText(ctx, theme, widget, data.name || 'User', theme.colors.text);
+                    break;
+                case 'title':
+                    if (data.title) drawText(ctx, theme, widget, data.title, theme.colors.muted);
+                    break;
+                case 'level':
+                    drawText(ctx, theme, widget, data.levelText, theme.colors.accent);
+                    break;
+                case 'rank':
+                    if (data.rankText) drawText(ctx, theme, widget, data.rankText, theme.colors.text);
+                    break;
+                case 'xpText':
+                    drawText(ctx, theme, widget, data.xpText, theme.colors.muted);
+                    break;
+                case 'xpBar':
+                    drawXpBar(ctx, theme, widget, data.progressPercent);
+                    break;
+                case 'badges':
+                    (data.badges || []).slice(0, widget.max || 8).forEach((badge, i) => {
+                        drawText(ctx, theme, { ...widget, x: widget.x + i * (widget.spacing || widget.size + 8), align: 'left' }, badge, theme.colors.text);
+                    });
+                    break;
+                case 'bio':
+                    if (data.bio) drawText(ctx, theme, widget, `"${data.bio}"`, theme.colors.muted);
+                    break;
+            }
+        } catch (err) {
+            logger.error(`Error drawing ${name} with card theme ${theme.name}:`, err);
+        }
+    }
+
+    return canvas.toBuffer('image/png');
+}
+
+module.exports = {
+    DEFAULT_THEME,
+    WIDGETS,
+    getThemes,
+    getTheme,
+    ownsTheme,
+    getProfileTheme,
+    renderCard
+};
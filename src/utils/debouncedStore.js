@@ -0,0 +1,198 @@
+/**
+ * Debounced JSON Stores
+ * Keeps frequently changing records (group stats, leaderboards, ledgers) in
+ * memory and writes each record to data/<dir>/<key>.json a little while after
+ * it changes, so a burst of changes costs one write. Every store registers
+ * itself so the shutdown paths can write whatever is still pending with
+ * flushStores().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_SAVE_DELAY = 30 * 1000;
+
+// Every store created, for flushStores()
+const stores = new Set();
+
+class DebouncedStore {
+    /**
+     * @param {Object} options Store options
+     * @param {string} options.name Name used in log messages
+     * @param {string} options.dir Directory under data/ holding the records
+     * @param {Function} options.createDefault Returns a new record for keys without a file
+     * @param {number} [options.saveDelay] Milliseconds between a change and its write
+     */
+    constructor({ name, dir, createDefault, saveDelay = DEFAULT_SAVE_DELAY }) {
+        this.name = name;
+        this.dir = path.join(process.cwd(), 'data', dir);
+        this.createDefault = createDefault;
+        this.saveDelay = saveDelay;
+
+        this.cache = new Map();
+        this.dirty = new Set();
+        this.saveTimer = null;
+        // Writes run one after another so a flush waits for a save in progress
+        this.pending = Promise.resolve();
+
+        stores.add(this);
+    }
+
+    /**
+     * Get the file of a record
+     * @param {string} key Record key
+     * @returns {string} File path
+     */
+    getPath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    /**
+     * Merge a stored record over a new default one
+     * @param {string} key Record key
+     * @param {string|null} json File contents, or null if there is no file
+     * @returns {Object} Record
+     */
+    parse(key, json) {
+        const record = this.createDefault();
+        if (json === null) return record;
+        try {
+            return { ...record, ...JSON.parse(json) };
+        } catch (err) {
+            logger.error(`Failed to parse ${this.name} ${key}:`, err);
+            return record;
+        }
+    }
+
+    /**
+     * Get a record, loading it on first use
+     * @param {string} key Record key
+     * @returns {Promise<Object>} Record
+     */
+    async get(key) {
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        let json = null;
+        try {
+            json = await fs.promises.readFile(this.getPath(key), 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') logger.error(`Failed to load ${this.name} ${key}:`, err);
+        }
+
+        // Another caller may have loaded the record while the file was read
+        if (this.cache.has(key)) return this.cache.get(key);
+        const record = this.parse(key, json);
+        this.cache.set(key, record);
+        return record;
+    }
+
+    /**
+     * Get a record, loading it synchronously on first use
+     * @param {string} key Record key
+     * @returns {Object} Record
+     */
+    getSync(key) {
+        if (this.cache.has(key)) return this.cache.get(key);
+
+        let json = null;
+        try {
+            json = fs.readFileSync(this.getPath(key), 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') logger.error(`Failed to load ${this.name} ${key}:`, err);
+        }
+
+        const record = this.parse(key, json);
+        this.cache.set(key, record);
+        return record;
+    }
+
+    /**
+     * Load every stored record
+     * @returns {Promise<Map<string, Object>>} Records by key
+     */
+    async loadAll() {
+        try {
+            for (const file of await fs.promises.readdir(this.dir)) {
+                if (file.endsWith('.json')) await this.get(path.basename(file, '.json'));
+            }
+        } catch (err) {
+            if (err.code !== 'ENOENT') logger.error(`Failed to read ${this.name} directory:`, err);
+        }
+        return this.cache;
+    }
+
+    /**
+     * Replace a record
+     * @param {string} key Record key
+     * @param {Object} record New record
+     */
+    set(key, record) {
+        this.cache.set(key, record);
+        this.markDirty(key);
+    }
+
+    /**
+     * Mark a record as changed and schedule a save
+     * @param {string} key Record key
+     */
+    markDirty(key) {
+        this.dirty.add(key);
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => {
+                this.flush().catch(err => logger.error(`Error saving ${this.name}:`, err));
+            }, this.saveDelay);
+        }
+    }
+
+    /**
+     * Write the changed records now
+     * @returns {Promise<void>}
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.pending = this.pending.then(() => this.writeDirty());
+        return this.pending;
+    }
+
+    /**
+     * Write the records changed since the last write
+     * @returns {Promise<void>}
+     */
+    async writeDirty() {
+        const keys = [...this.dirty];
+        this.dirty.clear();
+        if (keys.length === 0) return;
+
+        try {
+            await fs.promises.mkdir(this.dir, { recursive: true });
+        } catch (err) {
+            logger.error(`Failed to create ${this.name} directory:`, err);
+            keys.forEach(key => this.dirty.add(key));
+            return;
+        }
+
+        for (const key of keys) {
+            try {
+                await fs.promises.writeFile(this.getPath(key), JSON.stringify(this.cache.get(key)));
+            } catch (err) {
+                logger.error(`Failed to save ${this.name} ${key}:`, err);
+            }
+        }
+    }
+}
+
+/**
+ * Write the pending changes of every store, for shutdown
+ * @returns {Promise<void>}
+ */
+async function flushStores() {
+    await Promise.all([...stores].map(store => store.flush().catch(err =>
+        logger.error(`Error saving ${store.name} on shutdown:`, err))));
+}
+
+module.exports = {
+    DebouncedStore,
+    flushStores
+};
@@ -0,0 +1,317 @@
+/**
+ * Economy Ledger
+ * Every change to a user's coins goes through credit(), debit() or transfer(),
+ * which update the balance and record the transaction with its reason. Each
+ * user's ledger is kept in memory and written to data/ledger/<number>.json
+ * shortly after it changes, and on shutdown before the balances are saved.
+ *
+ * The audit looks for balances the ledger cannot explain (coins changed
+ * outside the ledger, invalid or negative balances, unusual income) and for
+ * transfer patterns typical of alt accounts: coins passed along a chain of
+ * accounts, sent back and forth, or several accounts feeding one.
+ */
+
+const userDatabase = require('./userDatabase');
+const { userKey } = require('./roles');
+const { DebouncedStore } = require('./debouncedStore');
+
+const MAX_ENTRIES = 200;            // transactions kept per user
+
+// Audit thresholds
+const AUDIT_PERIOD = 7 * 24 * 60 * 60 * 1000;   // how far back transactions are checked
+const MAX_DAILY_INCOME = 250000;                // coins earned in 24 hours, transfers excluded
+const CHAIN_WINDOW = 60 * 60 * 1000;            // a transfer forwarded within an hour continues a chain
+const CHAIN_RATIO = 0.8;                        // ... when it passes on at least 80% of what came in
+const FUNNEL_RATIO = 0.8;                       // accounts giving 80% of their income to one account
+const FUNNEL_MIN_INCOME = 1000;
+
+// Ledgers ({ opening, entries }) by user number
+const store = new DebouncedStore({
+    name: 'ledger',
+    dir: 'ledger',
+    createDefault: () => ({ opening: null, entries: [] })
+});
+
+/**
+ * Change a user's balance and record the transaction
+ * @param {string} jid User JID
+ * @param {number} amount Signed amount
+ * @param {string} reason What the coins were for
+ * @param {string|null} counterparty JID on the other side of a transfer
+ * @returns {number|null} New balance, or null if the user has no profile
+ */
+function applyChange(jid, amount, reason, counterparty = null) {
+    const profile = userDatabase.getUserProfile(jid);
+    if (!profile) return null;
+
+    const before = typeof profile.coins === 'number' ? profile.coins : 0;
+    const balance = before + amount;
+    userDatabase.updateUserProfile(jid, { coins: balance });
+
+    const key = userKey(jid);
+    const ledger = store.getSync(key);
+    const entry = { time: Date.now(), amount, balance, reason };
+    if (counterparty) entry.counterparty = userKey(counterparty);
+
+    // Coins that changed since the last transaction without going through the ledger
+    const last = ledger.entries[ledger.entries.length - 1];
+    if (!ledger.opening) {
+        ledger.opening = { balance: before, time: entry.time };
+    } else if (last && last.balance !== before) {
+        entry.drift = before - last.balance;
+    }
+
+    ledger.entries = [...ledger.entries, entry].slice(-MAX_ENTRIES);
+    store.markDirty(key);
+    return balance;
+}
+
+/**
+ * Check an amount passed to the ledger
+ * @param {number} amount Amount
+ */
+function assertAmount(amount) {
+    if (!Number.isInteger(amount) || amount < 0) {
+        throw new Error(`Invalid coin amount: ${amount}`);
+    }
+}
+
+/**
+ * Give a user coins
+ * @param {string} jid User JID
+ * @param {number} amount Coins to add
+ * @param {string} reason What the coins are for
+ * @returns {number|null} New balance, or null if the user has no profile
+ */
+function credit(jid, amount, reason) {
+    assertAmount(amount);
+    if (amount === 0) {
+        const profile = userDatabase.getUserProfile(jid);
+        return profile ? profile.coins || 0 : null;
+    }
+    return applyChange(jid, amount, reason);
+}
+
+/**
+ * Take coins from a user
+ * @param {string} jid User JID
+ * @param {number} amount Coins to take
+ * @param {string} reason What the coins are for
+ * @returns {number|null} New balance, or null if the user has no profile or not enough coins
+ */
+function debit(jid, amount, reason) {
+    assertAmount(amount);
+    const profile = userDatabase.getUserProfile(jid);
+    if (!profile || (profile.coins || 0) < amount) return null;
+    if (amount === 0) return profile.coins || 0;
+    return applyChange(jid, -amount, reason);
+}
+
+/**
+ * Move coins from one user to another
+ * @param {string} fromJid Sender JID
+ * @param {string} toJid Recipient JID
+ * @param {number} amount Coins to move
+ * @param {string} [reason='transfer'] What the coins are for
+ * @returns {{from: number, to: number}|null} New balances, or null if the transfer is not possible
+ */
+function transfer(fromJid, toJid, amount, reason = 'transfer') {
+    assertAmount(amount);
+    const sender = userDatabase.getUserProfile(fromJid);
+    const recipient = userDatabase.getUserProfile(toJid);
+    if (!sender || !recipient || amount === 0 || userKey(fromJid) === userKey(toJid)) return null;
+    if ((sender.coins || 0) < amount) return null;
+
+    return {
+        from: applyChange(fromJid, -amount, reason, toJid),
+        to: applyChange(toJid, amount, reason, fromJid)
+    };
+}
+
+/**
+ * Get a user's latest transactions
+ * @param {string} jid User JID
+ * @param {number} [limit=10] Number of transactions
+ * @returns {Array<Object>} Transactions, newest first
+ */
+function getHistory(jid, limit = 10) {
+    return store.getSync(userKey(jid)).entries.slice(-limit).reverse();
+}
+
+/**
+ * Format transactions for a chat message
+ * @param {Array<Object>} entries Transactions
+ * @returns {string} One transaction per line pair
+ */
+function formatEntries(entries) {
+    return entries.map(entry => {
+        const sign = entry.amount > 0 ? '+' : '-';
+        const other = entry.counterparty ? ` ${entry.amount > 0 ? 'from' : 'to'} ${entry.counterparty}` : '';
+        return `${entry.amount > 0 ? '🟢' : '🔴'} ${sign}${Math.abs(entry.amount).toLocaleString()} ${entry.reason}${other}\n` +
+            `   ${new Date(entry.time).toLocaleString()} • balance ${entry.balance.toLocaleString()}`;
+    }).join('\n');
+}
+
+/**
+ * Find balances the ledger cannot explain
+ * @param {Map<string, Object>} ledgers Ledgers by user number
+ * @param {number} since Start of the audit period
+ * @returns {Array<{number: string, issue: string}>} Problems found
+ */
+function findBalanceIssues(ledgers, since) {
+    const issues = [];
+    const seen = new Set();
+
+    // Profiles can be stored under several JID formats
+    for (const [jid, profile] of userDatabase.userProfiles.entries()) {
+        const key = userKey(jid);
+        if (!profile || seen.has(key)) continue;
+        seen.add(key);
+
+        const { coins } = profile;
+        if (typeof coins !== 'number' || !Number.isFinite(coins) || !Number.isInteger(coins)) {
+            issues.push({ number: key, issue: `invalid balance ${coins}` });
+            continue;
+        }
+        if (coins < 0) {
+            issues.push({ number: key, issue: `negative balance ${coins}` });
+        }
+
+        const ledger = ledgers.get(key);
+        const last = ledger && ledger.entries[ledger.entries.length - 1];
+        if (last && last.balance !== coins) {
+            issues.push({ number: key, issue: `balance ${coins} but the ledger ends at ${last.balance}` });
+        }
+    }
+
+    for (const [key, ledger] of ledgers) {
+        const recent = ledger.entries.filter(entry => entry.time >= since);
+
+        const drift = recent.reduce((sum, entry) => sum + (entry.drift || 0), 0);
+        if (drift !== 0) {
+            issues.push({ number: key, issue: `${drift > 0 ? '+' : ''}${drift} coins appeared outside the ledger` });
+        }
+
+        // Income over any 24 hours, transfers excluded
+        const income = recent.filter(entry => entry.amount > 0 && !entry.counterparty);
+        for (const entry of income) {
+            const total = income
+                .filter(other => other.time >= entry.time && other.time < entry.time + 24 * 60 * 60 * 1000)
+                .reduce((sum, other) => sum + other.amount, 0);
+            if (total > MAX_DAILY_INCOME) {
+                issues.push({ number: key, issue: `earned ${total} coins within 24 hours` });
+                break;
+            }
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Find coins being passed along chains of accounts, including round trips
+ * @param {Array<Object>} transfers Transfers ({ from, to, amount, time }), oldest first
+ * @returns {Array<{path: Array<string>, amount: number, cycle: boolean}>} Chains of two or more transfers
+ */
+function findTransferChains(transfers) {
+    const continuation = (transfer) => transfers.find(next =>
+        next.from === transfer.to &&
+        next.time > transfer.time &&
+        next.time - transfer.time <= CHAIN_WINDOW &&
+        next.amount >= transfer.amount * CHAIN_RATIO);
+
+    const continued = new Set(transfers.map(continuation).filter(Boolean));
+    const chains = [];
+
+    for (const start of transfers) {
+        if (continued.has(start)) continue;
+
+        const chainPath = [start.from, start.to];
+        let current = start;
+        let cycle = false;
+        let next = continuation(current);
+        while (next) {
+            if (chainPath.includes(next.to)) {
+                chainPath.push(next.to);
+                cycle = true;
+                break;
+            }
+            chainPath.push(next.to);
+            current = next;
+            next = continuation(current);
+        }
+
+        if (chainPath.length > 2) {
+            chains.push({ path: chainPath, amount: start.amount, cycle });
+        }
+    }
+    return chains;
+}
+
+/**
+ * Find accounts that give most of what they earn to the same account
+ * @param {Map<string, Object>} ledgers Ledgers by user number
+ * @param {Array<Object>} transfers Transfers in the audit period
+ * @param {number} since Start of the audit period
+ * @returns {Array<{recipient: string, feeders: Array<string>, amount: number}>} Accounts fed by two or more others
+ */
+function findFunnels(ledgers, transfers, since) {
+    const feedersByRecipient = new Map();
+
+    for (const [key, ledger] of ledgers) {
+        const income = ledger.entries
+            .filter(entry => entry.time >= since && entry.amount > 0 && !entry.counterparty)
+            .reduce((sum, entry) => sum + entry.amount, 0);
+        if (income < FUNNEL_MIN_INCOME) continue;
+
+        const sentTo = new Map();
+        for (const transfer of transfers.filter(t => t.from === key)) {
+            sentTo.set(transfer.to, (sentTo.get(transfer.to) || 0) + transfer.amount);
+        }
+        for (const [recipient, amount] of sentTo) {
+            if (amount < income * FUNNEL_RATIO) continue;
+            const funnel = feedersByRecipient.get(recipient) || { recipient, feeders: [], amount: 0 };
+            funnel.feeders.push(key);
+            funnel.amount += amount;
+            feedersByRecipient.set(recipient, funnel);
+        }
+    }
+
+    return [...feedersByRecipient.values()].filter(funnel => funnel.feeders.length >= 2);
+}
+
+/**
+ * Audit the economy
+ * @returns {Promise<{balances: Array, chains: Array, funnels: Array}>} Findings
+ */
+async function auditEconomy() {
+    const ledgers = await store.loadAll();
+    const since = Date.now() - AUDIT_PERIOD;
+
+    // Every transfer appears in both ledgers, the sending side is enough
+    const transfers = [];
+    for (const [key, ledger] of ledgers) {
+        for (const entry of ledger.entries) {
+            if (entry.counterparty && entry.amount < 0 && entry.time >= since) {
+                transfers.push({ from: key, to: entry.counterparty, amount: -entry.amount, time: entry.time });
+            }
+        }
+    }
+    transfers.sort((a, b) => a.time - b.time);
+
+    return {
+        balances: findBalanceIssues(ledgers, since),
+        chains: findTransferChains(transfers),
+        funnels: findFunnels(ledgers, transfers, since)
+    };
+}
+
+module.exports = {
+    AUDIT_PERIOD,
+    credit,
+    debit,
+    transfer,
+    getHistory,
+    formatEntries,
+    auditEconomy
+};
@@ -0,0 +1,317 @@
+/**
+ * Ban Federations
+ * Groups run by this bot can opt into a named federation; a ban issued by a
+ * federation admin removes the member from every group of the federation and
+ * keeps them out when they try to rejoin. Ban lists can be exported and
+ * imported so partner bots can share them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { isBotAdmin } = require('./permissions');
+const { userKey } = require('./roles');
+const { logModAction } = require('./modLog');
+
+const FEDERATIONS_FILE = path.join(process.cwd(), 'data', 'federations.json');
+
+// Marks exported ban lists so imports can be checked
+const EXPORT_FORMAT = 'fedbans';
+const EXPORT_VERSION = 1;
+
+// Federations by name, loaded on first use
+let federations = null;
+
+/**
+ * Load the federations file
+ * @returns {Object} Federations by name
+ */
+function getFederations() {
+    if (federations) return federations;
+
+    federations = {};
+    try {
+        if (fs.existsSync(FEDERATIONS_FILE)) {
+            federations = JSON.parse(fs.readFileSync(FEDERATIONS_FILE, 'utf8'));
+        }
+    } catch (err) {
+        logger.error('Failed to load federations:', err);
+    }
+    return federations;
+}
+
+/**
+ * Write all federations to disk
+ * @returns {Promise<boolean>} Whether saving worked
+ */
+async function saveFederations() {
+    try {
+        await fs.promises.mkdir(path.dirname(FEDERATIONS_FILE), { recursive: true });
+        await fs.promises.writeFile(FEDERATIONS_FILE, JSON.stringify(getFederations(), null, 2), 'utf8');
+        return true;
+    } catch (err) {
+        logger.error('Failed to save federations:', err);
+        return false;
+    }
+}
+
+/**
+ * Normalize a federation name
+ * @param {string} name Raw name
+ * @returns {string|null} Federation name, or null if invalid
+ */
+function normalizeFederationName(name) {
+    const fed = String(name || '').trim().toLowerCase();
+    return /^[a-z0-9][a-z0-9_-]{1,31}$/.test(fed) ? fed : null;
+}
+
+/**
+ * Get a federation by name
+ * @param {string} name Federation name
+ * @returns {Object|null} Federation
+ */
+function getFederation(name) {
+    return getFederations()[name] || null;
+}
+
+/**
+ * Get the federation a group belongs to
+ * @param {string} groupJid Group JID
+ * @returns {Object|null} Federation
+ */
+function getGroupFederation(groupJid) {
+    return Object.values(getFederations()).find(fed => fed.groups.includes(groupJid)) || null;
+}
+
+/**
+ * Check whether a member can ban in and manage a federation
+ * @param {Object} fed Federation
+ * @param {string} jid Member JID
+ * @returns {boolean} Whether the member is the owner or an admin
+ */
+function isFederationAdmin(fed, jid) {
+    const key = userKey(jid);
+    return userKey(fed.owner) === key || fed.admins.some(admin => userKey(admin) === key);
+}
+
+/**
+ * Create a federation
+ * @param {string} name Federation name
+ * @param {string} owner Owner JID
+ * @returns {Promise<Object|null>} The federation, or null if the name is taken
+ */
+async function createFederation(name, owner) {
+    const all = getFederations();
+    if (all[name]) return null;
+
+    all[name] = {
+        name,
+        owner,
+        admins: [],
+        groups: [],
+        bans: {},
+        created: Date.now()
+    };
+    await saveFederations();
+
+    logger.info(`Federation ${name} created by ${owner}`);
+    return all[name];
+}
+
+/**
+ * Delete a federation and its ban list
+ * @param {string} name Federation name
+ */
+async function deleteFederation(name) {
+    delete getFederations()[name];
+    await saveFederations();
+    logger.info(`Federation ${name} deleted`);
+}
+
+/**
+ * Add a group to a federation; a group can only be in one federation at a time
+ * @param {Object} fed Federation
+ * @param {string} groupJid Group JID
+ */
+async function joinFederation(fed, groupJid) {
+    for (const other of Object.values(getFederations())) {
+        other.groups = other.groups.filter(jid => jid !== groupJid);
+    }
+    fed.groups.push(groupJid);
+    await saveFederations();
+}
+
+/**
+ * Remove a group from its federation
+ * @param {string} groupJid Group JID
+ * @returns {Promise<Object|null>} The federation it left, or null
+ */
+async function leaveFederation(groupJid) {
+    const fed = getGroupFederation(groupJid);
+    if (!fed) return null;
+
+    fed.groups = fed.groups.filter(jid => jid !== groupJid);
+    await saveFederations();
+    return fed;
+}
+
+/**
+ * Get a member's ban in a group's federation
+ * @param {string} groupJid Group JID
+ * @param {string} jid Member JID
+ * @returns {{fed: Object, ban: Object}|null} Federation and ban entry, or null if not banned
+ */
+function getFederationBan(groupJid, jid) {
+    const fed = getGroupFederation(groupJid);
+    const ban = fed && fed.bans[userKey(jid)];
+    return ban ? { fed, ban } : null;
+}
+
+/**
+ * Ban a member in a federation
+ * @param {Object} fed Federation
+ * @param {string} jid Member JID
+ * @param {Object} details Ban details
+ * @param {string|null} details.reason Ban reason
+ * @param {string} details.by Who banned the member
+ * @returns {Promise<Object>} Ban entry
+ */
+async function addFederationBan(fed, jid, { reason, by }) {
+    const ban = { reason: reason || null, by, time: Date.now() };
+    fed.bans[userKey(jid)] = ban;
+    await saveFederations();
+    return ban;
+}
+
+/**
+ * Lift a member's federation ban
+ * @param {Object} fed Federation
+ * @param {string} jid Member JID
+ * @returns {Promise<Object|null>} The lifted ban, or null if the member wasn't banned
+ */
+async function removeFederationBan(fed, jid) {
+    const key = userKey(jid);
+    const ban = fed.bans[key];
+    if (!ban) return null;
+
+    delete fed.bans[key];
+    await saveFederations();
+    return ban;
+}
+
+/**
+ * Remove banned members from the groups of a federation where the bot is admin
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} fed Federation
+ * @param {Array<string>} numbers Banned phone numbers to look for
+ * @param {Array<string>} [groups=fed.groups] Groups to check, every group of the federation by default
+ * @returns {Promise<{removed: Array<{groupJid: string, jid: string}>, skipped: Array<string>}>}
+ *   Removed members, and groups where the bot could not act
+ */
+async function enforceFederationBans(sock, fed, numbers, groups = fed.groups) {
+    const wanted = new Set(numbers);
+    const removed = [];
+    const skipped = [];
+
+    for (const groupJid of groups) {
+        try {
+            if (!(await isBotAdmin(sock, groupJid))) {
+                skipped.push(groupJid);
+                continue;
+            }
+
+            const metadata = await sock.groupMetadata(groupJid);
+            const targets = metadata.participants.map(p => p.id).filter(jid => wanted.has(userKey(jid)));
+            if (targets.length === 0) continue;
+
+            await sock.groupParticipantsUpdate(groupJid, targets, 'remove');
+            for (const jid of targets) {
+                const ban = fed.bans[userKey(jid)] || {};
+                removed.push({ groupJid, jid });
+                await logModAction(sock, groupJid, {
+                    action: 'kick',
+                    actor: ban.by || 'bot',
+                    target: jid,
+                    rule: `fban:${fed.name}`,
+                    reason: ban.reason
+                });
+            }
+        } catch (err) {
+            logger.error(`Failed to enforce federation bans of ${fed.name} in ${groupJid}:`, err);
+            skipped.push(groupJid);
+        }
+    }
+
+    logger.info(`Federation ${fed.name}: removed ${removed.length} banned members, skipped ${skipped.length} groups`);
+    return { removed, skipped };
+}
+
+/**
+ * Export a federation's ban list
+ * @param {Object} fed Federation
+ * @returns {string} JSON text
+ */
+function exportFederationBans(fed) {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        federation: fed.name,
+        exported: Date.now(),
+        bans: Object.entries(fed.bans).map(([number, ban]) => ({
+            number,
+            reason: ban.reason,
+            by: ban.by ? userKey(ban.by) : null,
+            time: ban.time
+        }))
+    }, null, 2);
+}
+
+/**
+ * Merge an exported ban list into a federation; existing bans are kept
+ * @param {Object} fed Federation
+ * @param {string} json Exported JSON text
+ * @param {string} importer Who imported the list
+ * @returns {Promise<Array<string>>} Newly banned numbers
+ * @throws {Error} If the file is not an exported ban list
+ */
+async function importFederationBans(fed, json, importer) {
+    const data = JSON.parse(json);
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.bans)) {
+        throw new Error('Not a federation ban list');
+    }
+
+    const added = [];
+    for (const entry of data.bans) {
+        const number = String(entry.number || '').replace(/\D/g, '');
+        if (number.length < 5 || fed.bans[number]) continue;
+
+        fed.bans[number] = {
+            reason: entry.reason || null,
+            by: importer,
+            time: Date.now(),
+            source: data.federation ? String(data.federation) : null
+        };
+        added.push(number);
+    }
+
+    if (added.length > 0) await saveFederations();
+    return added;
+}
+
+module.exports = {
+    normalizeFederationName,
+    saveFederations,
+    getFederation,
+    getGroupFederation,
+    isFederationAdmin,
+    createFederation,
+    deleteFederation,
+    joinFederation,
+    leaveFederation,
+    getFederationBan,
+    addFederationBan,
+    removeFederationBan,
+    enforceFederationBans,
+    exportFederationBans,
+    importFederationBans
+};
@@ -1,6 +1,75 @@
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('./logger');
+const { getDefaultFilterSettings } = require('./toxicFilter');
+const { getDefaultLinkFilterSettings } = require('./linkFilter');
+const { getDefaultCaptchaSettings } = require('./captcha');
+const { getDefaultRoleSettings } = require('./roles');
+const { getDefaultLevelingSettings } = require('./levelingConfig');
+
+// Rules handled by the automatic moderation in groupMessageHandler
+const MODERATION_RULES = ['antilink', 'antispam', 'antitoxic'];
+
+// Actions a moderation rule can take on each violation
+const MODERATION_ACTIONS = ['delete', 'warn', 'mute', 'kick', 'notify'];
+
+// Actions a ladder step can escalate to once a user has enough warnings
+const LADDER_ACTIONS = ['mute', 'kick', 'notify'];
+
+// Last update queued per group, see updateGroupSettings()
+const updateQueues = new Map();
+
+/**
+ * Get the default configuration of a moderation rule
+ * @param {string} rule Rule name (antilink, antispam, antitoxic)
+ * @returns {Object} Rule configuration
+ */
+function getDefaultModerationRule(rule) {
+    const config = {
+        action: 'warn',
+        ladder: [{ warnings: 3, action: 'kick' }],
+        muteDuration: 10 * 60,
+        warningDecay: 0
+    };
+
+    if (rule === 'antispam') {
+        config.limit = 10;
+    }
+
+    return config;
+}
+
+/**
+ * Get the configuration of a moderation rule, filling in defaults
+ * @param {Object} settings Group settings
+ * @param {string} rule Rule name (antilink, antispam, antitoxic)
+ * @returns {Object} Rule configuration
+ */
+function getModerationRule(settings, rule) {
+    const stored = (settings.moderation && settings.moderation[rule]) || {};
+    const config = { ...getDefaultModerationRule(rule), ...stored };
+
+    // Older settings kept the spam limit at the top level
+    if (rule === 'antispam' && stored.limit === undefined && typeof settings.spamLimit === 'number') {
+        config.limit = settings.spamLimit;
+    }
+
+    config.ladder = Array.isArray(config.ladder) ? [...config.ladder].sort((a, b) => a.warnings - b.warnings) : [];
+    return config;
+}
+
+/**
+ * Get the default anti-raid state
+ * @returns {Object} Raid state (whether a lockdown is active and who was removed)
+ */
+function getDefaultRaidState() {
+    return {
+        active: false,
+        since: null,
+        restoreAnnouncement: null,
+        removed: []
+    };
+}
 
 /**
  * Get default group settings
@@ -14,9 +83,25 @@ function getDefaultGroupSettings() {
         antitoxic: false,
         antiraid: false,
         raidThreshold: 5,
+        raid: getDefaultRaidState(),
+        timezone: null,
+        welcomeMessage: null,
+        goodbyeMessage: null,
+        welcomeCard: false,
+        goodbyeCard: false,
+        captcha: getDefaultCaptchaSettings(),
+        pendingCaptchas: {},
+        roles: getDefaultRoleSettings(),
         polls: {},
         scheduled: [],
         pinnedMessages: [],
+        moderation: Object.fromEntries(MODERATION_RULES.map(rule => [rule, getDefaultModerationRule(rule)])),
+        mutes: {},
+        modLogChannel: null,
+        autoReplies: [],
+        leveling: getDefaultLevelingSettings(),
+        toxicFilter: getDefaultFilterSettings(),
+        linkFilter: getDefaultLinkFilterSettings(),
         features: {
             leveling: true,
             welcome: true,
@@ -25,7 +110,8 @@ function getDefaultGroupSettings() {
             games: true,
             economy: true,
             reactions: true,
-            media: true
+            media: true,
+            autoreply: true
         }
     };
 }
@@ -42,27 +128,19 @@ async function getGroupSettings(jid) {
         const settings = JSON.parse(data);
         
         // Check for any missing properties and add them from defaults
+        // They are stored with the next update of the group's settings
         const defaults = getDefaultGroupSettings();
-        let modified = false;
         
         // Add any missing properties
         for (const [key, value] of Object.entries(defaults)) {
             if (settings[key] === undefined) {
                 settings[key] = value;
-                modified = true;
             }
         }
         
         // Specifically ensure pinnedMessages array exists
         if (!Array.isArray(settings.pinnedMessages)) {
             settings.pinnedMessages = [];
-            modified = true;
-        }
-        
-        // Save the updated settings if modified
-        if (modified) {
-            await saveGroupSettings(jid, settings);
-            logger.info(`Updated group settings for ${jid} with missing properties`);
         }
         
         return settings;
@@ -91,6 +169,50 @@ async function saveGroupSettings(jid, settings) {
     }
 }
 
+/**
+ * Change a group's settings. Updates of the same group run one after another,
+ * each on freshly read settings, so concurrent changes do not overwrite each
+ * other. The settings are saved if the update changed them.
+ * The update must not wait for another update of the same group.
+ * @param {string} jid Group JID
+ * @param {Function} update Function changing the settings passed to it, may be async
+ * @returns {Promise<*>} What the update returned
+ */
+function updateGroupSettings(jid, update) {
+    const previous = updateQueues.get(jid) || Promise.resolve();
+    const run = previous.catch(() => {}).then(async () => {
+        const settings = await getGroupSettings(jid);
+        const before = JSON.stringify(settings);
+        const result = await update(settings);
+        if (JSON.stringify(settings) !== before) {
+            await saveGroupSettings(jid, settings);
+        }
+        return result;
+    });
+    updateQueues.set(jid, run);
+
+    run.catch(() => {}).then(() => {
+        if (updateQueues.get(jid) === run) updateQueues.delete(jid);
+    });
+    return run;
+}
+
+/**
+ * Store some top-level keys of settings read earlier, leaving the other keys
+ * as concurrent updates left them
+ * @param {string} jid Group JID
+ * @param {Object} settings Settings holding the new values
+ * @param {...string} keys Keys to store
+ * @returns {Promise<void>}
+ */
+async function saveGroupSettingsKeys(jid, settings, ...keys) {
+    await updateGroupSettings(jid, current => {
+        for (const key of keys) {
+            current[key] = settings[key];
+        }
+    });
+}
+
 /**
  * Validate group settings object
  * @param {Object} settings Group settings
@@ -136,26 +258,10 @@ async function isFeatureEnabled(jid, feature) {
     try {
         const settings = await getGroupSettings(jid);
         
-        // If features object doesn't exist yet, add it with defaults
-        if (!settings.features) {
-            settings.features = {
-                leveling: true,
-                welcome: true,
-                goodbye: true,
-                nsfw: false,
-                games: true,
-                economy: true,
-                reactions: true,
-                media: true
-            };
-            await saveGroupSettings(jid, settings);
-        }
-        
-        // If this specific feature doesn't exist, default to true for most features
+        // If this specific feature isn't set, default to true for most features
         // except nsfw which defaults to false
-        if (settings.features[feature] === undefined) {
-            settings.features[feature] = (feature !== 'nsfw');
-            await saveGroupSettings(jid, settings);
+        if (!settings.features || settings.features[feature] === undefined) {
+            return feature !== 'nsfw';
         }
         
         return settings.features[feature];
@@ -175,25 +281,25 @@ async function isFeatureEnabled(jid, feature) {
  */
 async function setFeatureEnabled(jid, feature, enabled) {
     try {
-        const settings = await getGroupSettings(jid);
-        
-        // Ensure features object exists
-        if (!settings.features) {
-            settings.features = {
-                leveling: true,
-                welcome: true,
-                goodbye: true,
-                nsfw: false,
-                games: true,
-                economy: true,
-                reactions: true,
-                media: true
-            };
-        }
-        
-        // Update feature setting
-        settings.features[feature] = enabled;
-        await saveGroupSettings(jid, settings);
+        await updateGroupSettings(jid, settings => {
+            // Ensure features object exists
+            if (!settings.features) {
+                settings.features = {
+                    leveling: true,
+                    welcome: true,
+                    goodbye: true,
+                    nsfw: false,
+                    games: true,
+                    economy: true,
+                    reactions: true,
+                    media: true,
+                    autoreply: true
+                };
+            }
+            
+            // Update feature setting
+            settings.features[feature] = enabled;
+        });
         return true;
     } catch (err) {
         logger.error(`Error setting feature ${feature} to ${enabled} for group ${jid}:`, err);
@@ -220,9 +326,9 @@ async function getFeatureSettings(jid) {
                 games: true,
                 economy: true,
                 reactions: true,
-                media: true
+                media: true,
+                autoreply: true
             };
-            await saveGroupSettings(jid, settings);
         }
         
         return settings.features;
@@ -236,15 +342,24 @@ async function getFeatureSettings(jid) {
             games: true,
             economy: true,
             reactions: true,
-            media: true
+            media: true,
+            autoreply: true
         };
     }
 }
 
 module.exports = {
+    MODERATION_RULES,
+    MODERATION_ACTIONS,
+    LADDER_ACTIONS,
+    getDefaultModerationRule,
+    getModerationRule,
+    getDefaultRaidState,
     getDefaultGroupSettings,
     getGroupSettings,
     saveGroupSettings,
+    updateGroupSettings,
+    saveGroupSettingsKeys,
     validateGroupSettings,
     isFeatureEnabled,
     setFeatureEnabled,
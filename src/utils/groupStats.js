@@ -0,0 +1,406 @@
+/**
+ * Group Activity Statistics
+ * Counts group messages incrementally as they arrive: messages per member,
+ * an hour-of-day heatmap per weekday, daily totals, media vs. text and
+ * joins/leaves. Counts are kept in memory and written to
+ * data/groupstats/<group>.json shortly after they change.
+ */
+
+const logger = require('./logger');
+const { DebouncedStore } = require('./debouncedStore');
+
+const MAX_DAYS = 90;                // daily totals kept for trends
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Message types counted as media, by the name shown in stats
+const MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    stickerMessage: 'sticker',
+    documentMessage: 'document',
+    documentWithCaptionMessage: 'document',
+    locationMessage: 'location',
+    contactMessage: 'contact',
+    pollCreationMessage: 'poll',
+    pollCreationMessageV3: 'poll'
+};
+
+/**
+ * Get empty stats
+ * @returns {Object} Stats
+ */
+function getDefaultStats() {
+    return {
+        since: Date.now(),
+        totals: { messages: 0, text: 0, media: 0 },
+        mediaTypes: {},
+        members: {},
+        heatmap: WEEKDAYS.map(() => new Array(24).fill(0)),
+        days: {}
+    };
+}
+
+// Stats by group JID
+const store = new DebouncedStore({ name: 'group stats', dir: 'groupstats', createDefault: getDefaultStats });
+
+/**
+ * Get the stats of a group, loading them on first use
+ * @param {string} groupJid Group JID
+ * @returns {Promise<Object>} Stats
+ */
+function getGroupStats(groupJid) {
+    return store.get(groupJid);
+}
+
+/**
+ * Get the key of a day in server time
+ * @param {Date} date Date
+ * @returns {string} YYYY-MM-DD
+ */
+function getDayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the totals of a day, creating them and dropping days past MAX_DAYS
+ * @param {Object} stats Stats
+ * @param {Date} date Date
+ * @returns {Object} Day totals
+ */
+function getDay(stats, date) {
+    const key = getDayKey(date);
+    if (!stats.days[key]) {
+        stats.days[key] = { messages: 0, media: 0, joins: 0, leaves: 0 };
+        const keys = Object.keys(stats.days).sort();
+        for (const old of keys.slice(0, Math.max(0, keys.length - MAX_DAYS))) {
+            delete stats.days[old];
+        }
+    }
+    return stats.days[key];
+}
+
+/**
+ * Get what kind of message was sent
+ * @param {Object} content Message content
+ * @returns {string|null} 'text', a media type, or null for messages that aren't counted
+ */
+function getMessageKind(content) {
+    if (!content) return null;
+    if (content.conversation || content.extendedTextMessage) return 'text';
+
+    const key = Object.keys(MEDIA_TYPES).find(type => content[type]);
+    if (!key) return null;
+    return key === 'audioMessage' && content.audioMessage.ptt ? 'voice' : MEDIA_TYPES[key];
+}
+
+/**
+ * Count a group message; never throws so it can't break message handling
+ * @param {string} groupJid Group JID
+ * @param {string} userJid Sender JID
+ * @param {Object} message Incoming message
+ */
+async function recordGroupMessage(groupJid, userJid, message) {
+    try {
+        const kind = getMessageKind(message.message);
+        if (!kind) return;
+
+        const stats = await getGroupStats(groupJid);
+        const now = new Date();
+        const isMedia = kind !== 'text';
+        const number = userJid.split('@')[0].split(':')[0];
+
+        stats.totals.messages++;
+        if (isMedia) {
+            stats.totals.media++;
+            stats.mediaTypes[kind] = (stats.mediaTypes[kind] || 0) + 1;
+        } else {
+            stats.totals.text++;
+        }
+
+        const member = stats.members[number] || (stats.members[number] = { messages: 0, media: 0, name: null, lastActive: 0 });
+        member.messages++;
+        if (isMedia) member.media++;
+        if (message.pushName) member.name = message.pushName;
+        member.lastActive = now.getTime();
+
+        stats.heatmap[now.getDay()][now.getHours()]++;
+
+        const day = getDay(stats, now);
+        day.messages++;
+        if (isMedia) day.media++;
+
+        store.markDirty(groupJid);
+    } catch (err) {
+        logger.error(`Failed to record group stats for ${groupJid}:`, err);
+    }
+}
+
+/**
+ * Count members joining or leaving a group
+ * @param {string} groupJid Group JID
+ * @param {string} action Participant action (add or remove)
+ * @param {number} count Number of members
+ */
+async function recordMembershipChange(groupJid, action, count) {
+    if (action !== 'add' && action !== 'remove') return;
+
+    try {
+        const stats = await getGroupStats(groupJid);
+        const day = getDay(stats, new Date());
+        if (action === 'add') day.joins += count;
+        else day.leaves += count;
+        store.markDirty(groupJid);
+    } catch (err) {
+        logger.error(`Failed to record membership change for ${groupJid}:`, err);
+    }
+}
+
+/**
+ * Clear a group's stats
+ * @param {string} groupJid Group JID
+ */
+async function resetGroupStats(groupJid) {
+    store.set(groupJid, getDefaultStats());
+    await store.flush();
+}
+
+/**
+ * Get the most active members
+ * @param {Object} stats Stats
+ * @param {number} [limit=10] Max number of members
+ * @returns {Array<Object>} Members with their number, most messages first
+ */
+function getTopMembers(stats, limit = 10) {
+    return Object.entries(stats.members)
+        .map(([number, member]) => ({ number, ...member }))
+        .sort((a, b) => b.messages - a.messages)
+        .slice(0, limit);
+}
+
+/**
+ * Get the days with the most messages
+ * @param {Object} stats Stats
+ * @param {number} [limit=5] Max number of days
+ * @returns {Array<{date: string, messages: number}>} Days, busiest first
+ */
+function getTopDays(stats, limit = 5) {
+    return Object.entries(stats.days)
+        .map(([date, day]) => ({ date, messages: day.messages }))
+        .filter(day => day.messages > 0)
+        .sort((a, b) => b.messages - a.messages)
+        .slice(0, limit);
+}
+
+/**
+ * Get message totals per weekday
+ * @param {Object} stats Stats
+ * @returns {Array<number>} Messages from Sunday to Saturday
+ */
+function getWeekdayTotals(stats) {
+    return stats.heatmap.map(hours => hours.reduce((sum, count) => sum + count, 0));
+}
+
+/**
+ * Get daily totals for the last days, oldest first, including quiet days
+ * @param {Object} stats Stats
+ * @param {number} [days=30] Number of days
+ * @returns {Array<Object>} Day totals with their date
+ */
+function getDailyTrend(stats, days = 30) {
+    const trend = [];
+    const date = new Date();
+    date.setDate(date.getDate() - days + 1);
+    for (let i = 0; i < days; i++) {
+        const key = getDayKey(date);
+        trend.push({ date: key, messages: 0, media: 0, joins: 0, leaves: 0, ...(stats.days[key] || {}) });
+        date.setDate(date.getDate() + 1);
+    }
+    return trend;
+}
+
+/**
+ * Render a chart in the dark style used for poll results
+ * @param {Object} configuration Chart.js configuration
+ * @param {number} width Width in pixels
+ * @param {number} height Height in pixels
+ * @returns {Promise<Buffer|null>} PNG buffer, or null if charts are unavailable
+ */
+async function renderChart(configuration, width, height) {
+    try {
+        const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
+        const chartJSNodeCanvas = new ChartJSNodeCanvas({ width, height, backgroundColour: '#36393f' });
+        return await chartJSNodeCanvas.renderToBuffer(configuration);
+    } catch (err) {
+        logger.error('Error rendering group stats chart:', err);
+        return null;
+    }
+}
+
+/**
+ * Chart title options
+ * @param {string} text Title
+ * @returns {Object} Title plugin options
+ */
+function chartTitle(text) {
+    return { display: true, text, color: '#ffffff', font: { size: 20 } };
+}
+
+const AXIS_STYLE = { ticks: { color: '#bbbbbb' }, grid: { color: '#4f545c' } };
+
+/**
+ * Render the hour-of-day heatmap, one row per weekday
+ * @param {Object} stats Stats
+ * @returns {Promise<Buffer|null>} PNG buffer
+ */
+function renderHeatmapChart(stats) {
+    const max = Math.max(1, ...stats.heatmap.flat());
+    const points = [];
+    stats.heatmap.forEach((hours, weekday) => {
+        hours.forEach((count, hour) => points.push({ x: hour, y: weekday, count }));
+    });
+
+    return renderChart({
+        type: 'scatter',
+        data: {
+            datasets: [{
+                data: points,
+                pointStyle: 'rect',
+                pointRadius: 15,
+                pointHoverRadius: 15,
+                backgroundColor: points.map(point => `rgba(88, 101, 242, ${0.08 + 0.92 * point.count / max})`),
+                borderWidth: 0
+            }]
+        },
+        options: {
+            plugins: { legend: { display: false }, title: chartTitle('Activity by hour and weekday') },
+            scales: {
+                x: { ...AXIS_STYLE, min: -0.5, max: 23.5, ticks: { color: '#bbbbbb', stepSize: 1, callback: value => `${value}h` } },
+                y: { ...AXIS_STYLE, min: -0.5, max: 6.5, reverse: true, ticks: { color: '#ffffff', stepSize: 1, callback: value => WEEKDAYS[value] || '' } }
+            }
+        }
+    }, 1000, 420);
+}
+
+/**
+ * Render messages per member
+ * @param {Object} stats Stats
+ * @returns {Promise<Buffer|null>} PNG buffer
+ */
+function renderMembersChart(stats) {
+    const members = getTopMembers(stats, 15);
+    return renderChart({
+        type: 'bar',
+        data: {
+            labels: members.map(member => member.name || `+${member.number}`),
+            datasets: [
+                { label: 'Text', data: members.map(member => member.messages - member.media), backgroundColor: '#5865f2' },
+                { label: 'Media', data: members.map(member => member.media), backgroundColor: '#eb459e' }
+            ]
+        },
+        options: {
+            indexAxis: 'y',
+            plugins: { legend: { labels: { color: '#ffffff' } }, title: chartTitle('Messages per member') },
+            scales: {
+                x: { ...AXIS_STYLE, stacked: true, beginAtZero: true, ticks: { color: '#bbbbbb', precision: 0 } },
+                y: { stacked: true, ticks: { color: '#ffffff', font: { size: 14 } }, grid: { display: false } }
+            }
+        }
+    }, 800, Math.max(300, 90 + members.length * 40));
+}
+
+/**
+ * Render messages per weekday
+ * @param {Object} stats Stats
+ * @returns {Promise<Buffer|null>} PNG buffer
+ */
+function renderWeekdayChart(stats) {
+    return renderChart({
+        type: 'bar',
+        data: {
+            labels: WEEKDAYS,
+            datasets: [{ label: 'Messages', data: getWeekdayTotals(stats), backgroundColor: '#57f287' }]
+        },
+        options: {
+            plugins: { legend: { display: false }, title: chartTitle('Most active days') },
+            scales: {
+                x: { ticks: { color: '#ffffff' }, grid: { display: false } },
+                y: { ...AXIS_STYLE, beginAtZero: true, ticks: { color: '#bbbbbb', precision: 0 } }
+            }
+        }
+    }, 800, 400);
+}
+
+/**
+ * Render the media vs. text split
+ * @param {Object} stats Stats
+ * @returns {Promise<Buffer|null>} PNG buffer
+ */
+function renderMediaChart(stats) {
+    const types = Object.entries(stats.mediaTypes).sort((a, b) => b[1] - a[1]);
+    const colors = ['#5865f2', '#eb459e', '#57f287', '#fee75c', '#ed4245', '#ffffff', '#9b84ee', '#f47b67', '#45ddc0'];
+    return renderChart({
+        type: 'doughnut',
+        data: {
+            labels: ['text', ...types.map(([type]) => type)],
+            datasets: [{
+                data: [stats.totals.text, ...types.map(([, count]) => count)],
+                backgroundColor: colors,
+                borderColor: '#36393f'
+            }]
+        },
+        options: {
+            plugins: {
+                legend: { position: 'right', labels: { color: '#ffffff', font: { size: 14 } } },
+                title: chartTitle('Media vs. text')
+            }
+        }
+    }, 700, 400);
+}
+
+/**
+ * Render joins, leaves and messages over the last 30 days
+ * @param {Object} stats Stats
+ * @returns {Promise<Buffer|null>} PNG buffer
+ */
+function renderTrendChart(stats) {
+    const trend = getDailyTrend(stats, 30);
+    return renderChart({
+        type: 'bar',
+        data: {
+            labels: trend.map(day => day.date.slice(5)),
+            datasets: [
+                { type: 'line', label: 'Messages', data: trend.map(day => day.messages), borderColor: '#5865f2', backgroundColor: '#5865f2', yAxisID: 'messages', tension: 0.3 },
+                { label: 'Joins', data: trend.map(day => day.joins), backgroundColor: '#57f287', yAxisID: 'members' },
+                { label: 'Leaves', data: trend.map(day => -day.leaves), backgroundColor: '#ed4245', yAxisID: 'members' }
+            ]
+        },
+        options: {
+            plugins: { legend: { labels: { color: '#ffffff' } }, title: chartTitle('Joins, leaves and messages (30 days)') },
+            scales: {
+                x: { ...AXIS_STYLE, stacked: true },
+                members: { ...AXIS_STYLE, stacked: true, position: 'left', ticks: { color: '#bbbbbb', precision: 0 } },
+                messages: { position: 'right', beginAtZero: true, ticks: { color: '#bbbbbb', precision: 0 }, grid: { display: false } }
+            }
+        }
+    }, 1000, 450);
+}
+
+module.exports = {
+    WEEKDAYS,
+    getGroupStats,
+    recordGroupMessage,
+    recordMembershipChange,
+    resetGroupStats,
+    getTopMembers,
+    getTopDays,
+    getWeekdayTotals,
+    getDailyTrend,
+    renderHeatmapChart,
+    renderMembersChart,
+    renderWeekdayChart,
+    renderMediaChart,
+    renderTrendChart
+};
@@ -0,0 +1,282 @@
+/**
+ * Leaderboards and Seasons
+ * XP is counted per group as well as globally, with weekly, monthly and
+ * season totals next to the all-time total. A season can end on a schedule:
+ * its final standings are archived and the top members get a season badge.
+ * Boards are kept in memory and written to data/leaderboards/<scope>.json
+ * shortly after they change.
+ */
+
+const moment = require('moment-timezone');
+const logger = require('./logger');
+const userDatabase = require('./userDatabase');
+const { userKey } = require('./roles');
+const { jobScheduler } = require('./scheduler');
+const { safeSendMessage } = require('./jidHelper');
+const { DebouncedStore } = require('./debouncedStore');
+
+// Scope of the board that counts XP from everywhere
+const GLOBAL_SCOPE = 'global';
+
+const PERIODS = ['all', 'week', 'month', 'season'];
+
+// Season lengths that can be scheduled, as cron expressions
+const SEASON_SCHEDULES = {
+    week: { cron: '0 0 * * 1', description: 'every Monday' },
+    month: { cron: '0 0 1 * *', description: 'on the 1st of every month' },
+    quarter: { cron: '0 0 1 1,4,7,10 *', description: 'every 3 months' }
+};
+
+const DEFAULT_SEASON_BADGES = 3;
+const MAX_SEASON_BADGES = 10;
+const MAX_ARCHIVED_SEASONS = 12;
+const ARCHIVED_STANDINGS = 10;      // members kept in the standings of an archived season
+
+const BADGE_ICONS = ['🥇', '🥈', '🥉'];
+
+/**
+ * Get an empty board
+ * @returns {Object} Board
+ */
+function getDefaultBoard() {
+    return {
+        members: {},
+        season: {
+            number: 1,
+            started: Date.now(),
+            schedule: null,
+            badges: DEFAULT_SEASON_BADGES,
+            jobId: null
+        },
+        archive: []
+    };
+}
+
+// Boards by scope
+const store = new DebouncedStore({ name: 'leaderboard', dir: 'leaderboards', createDefault: getDefaultBoard });
+
+/**
+ * Get a board, loading it on first use
+ * @param {string} scope Group JID or GLOBAL_SCOPE
+ * @returns {Promise<Object>} Board
+ */
+function getBoard(scope) {
+    return store.get(scope);
+}
+
+/**
+ * Get the key of the week or month a time falls in, in server time
+ * @param {string} period 'week' or 'month'
+ * @param {number} [now=Date.now()] Timestamp
+ * @returns {string} ISO week (2026-W42) or month (2026-10)
+ */
+function getPeriodKey(period, now = Date.now()) {
+    return moment(now).format(period === 'week' ? 'GGGG-[W]WW' : 'YYYY-MM');
+}
+
+/**
+ * Add XP to a member's totals on a board
+ * @param {string} scope Group JID or GLOBAL_SCOPE
+ * @param {string} jid Member JID
+ * @param {number} amount XP gained
+ * @returns {Promise<{before: number, after: number}>} All-time XP on this board before and after
+ */
+async function recordXP(scope, jid, amount) {
+    const board = await getBoard(scope);
+    const key = userKey(jid);
+    const member = board.members[key] || (board.members[key] = { xp: 0, season: 0, week: null, month: null });
+    const before = member.xp;
+
+    member.xp += amount;
+    member.season += amount;
+    for (const period of ['week', 'month']) {
+        const periodKey = getPeriodKey(period);
+        if (!member[period] || member[period].key !== periodKey) member[period] = { key: periodKey, xp: 0 };
+        member[period].xp += amount;
+    }
+
+    store.markDirty(scope);
+    return { before, after: member.xp };
+}
+
+/**
+ * Get a member's XP on a board
+ * @param {string} scope Group JID or GLOBAL_SCOPE
+ * @param {string} jid Member JID
+ * @returns {Promise<number>} All-time XP on this board
+ */
+async function getMemberXP(scope, jid) {
+    const board = await getBoard(scope);
+    const member = board.members[userKey(jid)];
+    return member ? member.xp : 0;
+}
+
+/**
+ * Rank the members of a board
+ * @param {Object} board Board
+ * @param {string} period One of PERIODS
+ * @returns {Array<{number: string, xp: number}>} Members with XP in the period, most XP first
+ */
+function getStandings(board, period) {
+    const periodKey = period === 'week' || period === 'month' ? getPeriodKey(period) : null;
+
+    return Object.entries(board.members)
+        .map(([number, member]) => {
+            let xp = member.xp;
+            if (period === 'season') xp = member.season;
+            else if (periodKey) xp = member[period] && member[period].key === periodKey ? member[period].xp : 0;
+            return { number, xp };
+        })
+        .filter(entry => entry.xp > 0)
+        .sort((a, b) => b.xp - a.xp);
+}
+
+/**
+ * Give a member a season badge
+ * @param {string} scope Group JID or GLOBAL_SCOPE
+ * @param {number} season Season number
+ * @param {string} number Member phone number
+ * @param {number} rank Final place, starting at 1
+ * @returns {Object|null} The badge, or null if the member has no profile
+ */
+function grantSeasonBadge(scope, season, number, rank) {
+    const jid = `${number}@s.whatsapp.net`;
+    const profile = userDatabase.getUserProfile(jid);
+    if (!profile) return null;
+
+    const badge = {
+        id: `season:${scope}:${season}`,
+        name: `${BADGE_ICONS[rank - 1] || '🏅'} Season ${season} #${rank}${scope === GLOBAL_SCOPE ? ' (global)' : ''}`,
+        scope,
+        season,
+        rank,
+        time: Date.now()
+    };
+    const badges = (profile.badges || []).filter(existing => existing.id !== badge.id);
+    userDatabase.updateUserProfile(jid, { badges: [...badges, badge] });
+    return badge;
+}
+
+/**
+ * End the current season of a board: archive the final standings, give the
+ * top members a badge and start the next season
+ * @param {string} scope Group JID or GLOBAL_SCOPE
+ * @returns {Promise<Object>} Archived season ({ number, started, ended, standings, badges })
+ */
+async function endSeason(scope) {
+    const board = await getBoard(scope);
+    const { season } = board;
+    const standings = getStandings(board, 'season');
+
+    const badges = standings.slice(0, season.badges)
+        .map((entry, i) => grantSeasonBadge(scope, season.number, entry.number, i + 1) && entry.number)
+        .filter(Boolean);
+
+    const archived = {
+        number: season.number,
+        started: season.started,
+        ended: Date.now(),
+        standings: standings.slice(0, Math.max(ARCHIVED_STANDINGS, season.badges)),
+        badges
+    };
+    board.archive = [...board.archive, archived].slice(-MAX_ARCHIVED_SEASONS);
+
+    for (const member of Object.values(board.members)) {
+        member.season = 0;
+    }
+    board.season = { ...season, number: season.number + 1, started: Date.now() };
+
+    store.markDirty(scope);
+    await saveBoards();
+
+    logger.info(`Season ${archived.number} of ${scope} ended, ${badges.length} badges given`);
+    return archived;
+}
+
+/**
+ * Set when the seasons of a board end
+ * @param {string} scope Group JID or GLOBAL_SCOPE
+ * @param {string|null} schedule Key of SEASON_SCHEDULES, or null to end seasons manually
+ * @param {Object} [options] Options
+ * @param {number} [options.badges] Number of members who get a badge
+ * @param {string|null} [options.timezone] Timezone the schedule runs in
+ * @param {string|null} [options.userJid] Who changed the schedule
+ * @returns {Promise<Object>} Season settings
+ */
+async function setSeasonSchedule(scope, schedule, { badges, timezone = null, userJid = null } = {}) {
+    const board = await getBoard(scope);
+    const { season } = board;
+
+    if (season.jobId) {
+        await jobScheduler.cancelJob(season.jobId);
+        season.jobId = null;
+    }
+
+    season.schedule = schedule;
+    if (badges !== undefined) season.badges = badges;
+
+    if (schedule) {
+        const job = await jobScheduler.addJob({
+            type: 'seasonend',
+            chatJid: scope,
+            userJid,
+            cron: SEASON_SCHEDULES[schedule].cron,
+            timezone,
+            description: `Season end ${SEASON_SCHEDULES[schedule].description}`,
+            payload: { scope }
+        });
+        season.jobId = job.id;
+    }
+
+    store.markDirty(scope);
+    await saveBoards();
+    return season;
+}
+
+/**
+ * Describe the final standings of an archived season
+ * @param {Object} archived Archived season
+ * @returns {{text: string, mentions: Array<string>}} Standings text and members to mention
+ */
+function formatSeasonResults(archived) {
+    const mentions = archived.standings.map(entry => `${entry.number}@s.whatsapp.net`);
+    const lines = archived.standings.map((entry, i) =>
+        `${BADGE_ICONS[i] || `${i + 1}.`} @${entry.number} - ${entry.xp.toLocaleString()} XP${archived.badges.includes(entry.number) ? ' 🎖️' : ''}`);
+
+    return {
+        text: `*🏁 Season ${archived.number} Results*\n` +
+            `${new Date(archived.started).toLocaleDateString()} - ${new Date(archived.ended).toLocaleDateString()}\n\n` +
+            (lines.length > 0 ? lines.join('\n') : 'Nobody earned XP this season'),
+        mentions
+    };
+}
+
+/**
+ * Scheduler handler: end a season and announce the results in the group
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} job Scheduled job
+ */
+async function seasonEndJob(sock, job) {
+    const { scope } = job.payload;
+    const archived = await endSeason(scope);
+    if (scope === GLOBAL_SCOPE) return;
+
+    const { text, mentions } = formatSeasonResults(archived);
+    await safeSendMessage(sock, scope, { text: `${text}\n\nSeason ${archived.number + 1} starts now!`, mentions });
+}
+
+module.exports = {
+    GLOBAL_SCOPE,
+    PERIODS,
+    SEASON_SCHEDULES,
+    DEFAULT_SEASON_BADGES,
+    MAX_SEASON_BADGES,
+    getBoard,
+    recordXP,
+    getMemberXP,
+    getStandings,
+    endSeason,
+    setSeasonSchedule,
+    formatSeasonResults,
+    seasonEndJob
+};
@@ -0,0 +1,154 @@
+/**
+ * Per-Group Leveling Configuration
+ * Stored in group settings under `leveling`: the XP curve, XP multipliers for
+ * weekends and timed events, where XP is disabled, custom rank titles and
+ * rewards handed out when members reach a level.
+ */
+
+const moment = require('moment-timezone');
+
+const LEVEL_CURVES = ['default', 'linear', 'quadratic', 'exponential'];
+
+// Activity types that can be excluded from earning XP in a group
+const XP_ACTIVITY_TYPES = ['groupChat', 'message', 'media', 'voice', 'sticker', 'command', 'game', 'quiz'];
+
+const MAX_MULTIPLIER = 10;
+const MAX_EVENTS = 10;
+const MAX_RANKS = 25;
+const MAX_REWARDS = 25;
+const MAX_LEVEL = 1000;
+
+/**
+ * Get the default leveling settings stored per group
+ * @returns {Object} Leveling settings
+ */
+function getDefaultLevelingSettings() {
+    return {
+        xpEnabled: true,
+        disabledTypes: [],
+        cooldown: null,                                     // seconds, null uses the global cooldown
+        curve: { type: 'default', base: 100, factor: 1.5 },
+        weekendMultiplier: 1,
+        events: [],
+        ranks: [],
+        rewards: []
+    };
+}
+
+/**
+ * Get a group's leveling settings, filling in defaults
+ * @param {Object} settings Group settings
+ * @returns {Object} Leveling settings
+ */
+function getLevelingConfig(settings) {
+    const defaults = getDefaultLevelingSettings();
+    const stored = settings.leveling || {};
+    return {
+        ...defaults,
+        ...stored,
+        curve: { ...defaults.curve, ...(stored.curve || {}) },
+        disabledTypes: Array.isArray(stored.disabledTypes) ? stored.disabledTypes : [],
+        events: Array.isArray(stored.events) ? stored.events : [],
+        ranks: Array.isArray(stored.ranks) ? [...stored.ranks].sort((a, b) => a.level - b.level) : [],
+        rewards: Array.isArray(stored.rewards) ? [...stored.rewards].sort((a, b) => a.level - b.level) : []
+    };
+}
+
+/**
+ * Check whether a group levels members on its own XP curve
+ * @param {Object} config Leveling settings
+ * @returns {boolean} Whether the group curve differs from the global one
+ */
+function hasCustomCurve(config) {
+    return config.curve.type !== 'default';
+}
+
+/**
+ * Get the events running at a point in time
+ * @param {Object} config Leveling settings
+ * @param {number} [now=Date.now()] Timestamp
+ * @returns {Array<Object>} Active events
+ */
+function getActiveEvents(config, now = Date.now()) {
+    return config.events.filter(event => event.start <= now && event.end > now);
+}
+
+/**
+ * Get the XP multiplier that applies right now; weekend and event bonuses stack,
+ * overlapping events use the highest one
+ * @param {Object} config Leveling settings
+ * @param {string|null} timezone Group timezone, server time if not set
+ * @param {number} [now=Date.now()] Timestamp
+ * @returns {{multiplier: number, reasons: Array<string>}} Multiplier and what caused it
+ */
+function getXpMultiplier(config, timezone, now = Date.now()) {
+    let multiplier = 1;
+    const reasons = [];
+
+    const day = (timezone ? moment.tz(now, timezone) : moment(now)).day();
+    if ((day === 0 || day === 6) && config.weekendMultiplier !== 1) {
+        multiplier *= config.weekendMultiplier;
+        reasons.push(`weekend x${config.weekendMultiplier}`);
+    }
+
+    const events = getActiveEvents(config, now);
+    if (events.length > 0) {
+        const best = events.reduce((top, event) => (event.multiplier > top.multiplier ? event : top));
+        multiplier *= best.multiplier;
+        reasons.push(`${best.name} x${best.multiplier}`);
+    }
+
+    return { multiplier, reasons };
+}
+
+/**
+ * Get the custom rank title for a level
+ * @param {Object} config Leveling settings
+ * @param {number} level Level
+ * @returns {string|null} Title of the highest rank reached, or null without custom ranks
+ */
+function getRankTitle(config, level) {
+    let title = null;
+    for (const rank of config.ranks) {
+        if (rank.level <= level) title = rank.title;
+    }
+    return title;
+}
+
+/**
+ * Get the rewards unlocked when going from one level to another
+ * @param {Object} config Leveling settings
+ * @param {number} oldLevel Level before
+ * @param {number} newLevel Level after
+ * @returns {Array<Object>} Rewards, lowest level first
+ */
+function getRewardsBetween(config, oldLevel, newLevel) {
+    return config.rewards.filter(reward => reward.level > oldLevel && reward.level <= newLevel);
+}
+
+/**
+ * Describe a reward
+ * @param {Object} reward Reward
+ * @returns {string} Reward text
+ */
+function formatReward(reward) {
+    return reward.type === 'role' ? `role *${reward.role}*` : `${reward.coins} coins`;
+}
+
+module.exports = {
+    LEVEL_CURVES,
+    XP_ACTIVITY_TYPES,
+    MAX_MULTIPLIER,
+    MAX_EVENTS,
+    MAX_RANKS,
+    MAX_REWARDS,
+    MAX_LEVEL,
+    getDefaultLevelingSettings,
+    getLevelingConfig,
+    hasCustomCurve,
+    getActiveEvents,
+    getXpMultiplier,
+    getRankTitle,
+    getRewardsBetween,
+    formatReward
+};
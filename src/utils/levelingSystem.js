@@ -4,10 +4,15 @@
  */
 const fs = require('fs').promises;
 const path = require('path');
-const { createCanvas, loadImage } = require('canvas');
 const userDatabase = require('./userDatabase');
 const logger = require('./logger');
-const { isFeatureEnabled } = require('./groupSettings');
+const { isFeatureEnabled, getGroupSettings, updateGroupSettings } = require('./groupSettings');
+const { getLevelingConfig, hasCustomCurve, getXpMultiplier, getRankTitle: getGroupRankTitle, getRewardsBetween, MAX_LEVEL } = require('./levelingConfig');
+const { getRoleSettings, userKey } = require('./roles');
+const { recordXP, GLOBAL_SCOPE } = require('./leaderboards');
+const { trackEvent, getAchievements, isUnlocked } = require('./achievements');
+const { getTheme, getProfileTheme, renderCard } = require('./cardThemes');
+const ledger = require('./economyLedger');
 const { languageManager } = require('./language');
 const config = require('../config/config');
 
@@ -118,6 +123,12 @@ class LRUCache {
         this.keys = this.keys.filter(k => k !== key);
     }
 
+    deleteWhere(predicate) {
+        for (const key of this.keys.filter(predicate)) {
+            this.delete(key);
+        }
+    }
+
     clear() {
         this.cache.clear();
         this.keys = [];
@@ -128,9 +139,27 @@ class LRUCache {
     }
 }
 
-// Initialize LRU cache for level card buffers
+// Initialize LRU cache for level card buffers, keyed by user and card theme
 const cardBufferCache = new LRUCache(20);
 
+/**
+ * Get the cache key of a user's card in a theme
+ * @param {string} userId User ID
+ * @param {string} themeName Card theme name
+ * @returns {string} Cache key
+ */
+function getCardCacheKey(userId, themeName) {
+    return `${userId}|${themeName}`;
+}
+
+/**
+ * Drop all cached cards of a user, in every theme
+ * @param {string} userId User ID
+ */
+function clearCardCache(userId) {
+    cardBufferCache.deleteWhere(key => key.startsWith(`${userId}|`));
+}
+
 /**
  * Initialize a user's XP data
  * @param {string} userId User's unique identifier
@@ -222,14 +251,145 @@ function calculateRequiredXP(level) {
     }
 }
 
+/**
+ * Calculate the total XP needed to reach a level on a group's XP curve
+ * @param {number} level The level
+ * @param {Object} curve Curve settings ({ type, base, factor })
+ * @returns {number} XP required
+ */
+function getXPForLevel(level, curve) {
+    if (level <= 1) return 0;
+    const steps = level - 1;
+
+    switch (curve.type) {
+        case 'linear': return Math.floor(curve.base * steps);
+        case 'quadratic': return Math.floor(curve.base * steps * steps);
+        case 'exponential': return Math.floor(curve.base * (Math.pow(curve.factor, steps) - 1) / (curve.factor - 1));
+        default: return calculateRequiredXP(level);
+    }
+}
+
+/**
+ * Calculate the level reached with an amount of XP on a group's XP curve
+ * @param {number} xp Total XP
+ * @param {Object} curve Curve settings ({ type, base, factor })
+ * @returns {number} Level
+ */
+function getLevelForXP(xp, curve) {
+    if (!curve || curve.type === 'default') return calculateLevel(xp);
+
+    let level = 1;
+    while (level < MAX_LEVEL && getXPForLevel(level + 1, curve) <= xp) level++;
+    return level;
+}
+
+/**
+ * Hand out a group's level rewards: coins go to the profile, roles are added
+ * to the member's roles in the group
+ * @param {string} userId User's unique identifier
+ * @param {string} groupJid Group JID
+ * @param {Array<Object>} rewards Rewards reached
+ * @returns {Promise<Array<Object>>} Rewards that were given
+ */
+async function giveLevelRewards(userId, groupJid, rewards) {
+    const given = await updateGroupSettings(groupJid, settings => {
+        const handedOut = [];
+        const roles = getRoleSettings(settings);
+        let rolesChanged = false;
+
+        for (const reward of rewards) {
+            if (reward.type === 'coins') {
+                ledger.credit(userId, reward.coins, `level ${reward.level} reward`);
+                handedOut.push(reward);
+                continue;
+            }
+
+            // Roles deleted after the reward was set up are skipped
+            if (!roles.definitions[reward.role]) continue;
+
+            const key = Object.keys(roles.members).find(jid => userKey(jid) === userKey(userId)) || userId;
+            const assigned = roles.members[key] || [];
+            if (assigned.includes(reward.role)) continue;
+
+            roles.members[key] = [...assigned, reward.role];
+            rolesChanged = true;
+            handedOut.push(reward);
+        }
+
+        if (rolesChanged) settings.roles = roles;
+        return handedOut;
+    });
+
+    if (given.length > 0) {
+        logger.info(`User ${userId} received ${given.length} level rewards in ${groupJid}`);
+    }
+    return given;
+}
+
+/**
+ * Apply a group's leveling settings after XP was added: custom curves level
+ * members on the XP they earned in the group, custom ranks replace the rank
+ * title and level rewards are handed out
+ * @param {string} userId User's unique identifier
+ * @param {string} groupJid Group JID
+ * @param {Object} group Group settings and leveling settings ({ settings, config })
+ * @param {{before: number, after: number}} groupXp XP earned in the group before and after this gain
+ * @param {Object} profile Updated profile
+ * @param {Object|null} levelUpData Global level up data
+ * @returns {Promise<Object|null>} Level up data for this group, null if the member did not level up here
+ */
+async function applyGroupLeveling(userId, groupJid, group, groupXp, profile, levelUpData) {
+    const { config: levelConfig } = group;
+    const customCurve = hasCustomCurve(levelConfig);
+
+    const oldLevel = customCurve ? getLevelForXP(groupXp.before, levelConfig.curve) : (levelUpData ? levelUpData.oldLevel : profile.level);
+    const newLevel = customCurve ? getLevelForXP(groupXp.after, levelConfig.curve) : profile.level;
+
+    // Global level ups in groups with their own curve are not announced there
+    if (newLevel <= oldLevel) return customCurve ? null : levelUpData;
+
+    const rewards = await giveLevelRewards(userId, groupJid, getRewardsBetween(levelConfig, oldLevel, newLevel));
+    const rewardCoins = rewards.reduce((sum, reward) => sum + (reward.coins || 0), 0);
+    const data = levelUpData ? { ...levelUpData } : {
+        coinReward: 0,
+        totalXp: profile.xp,
+        milestone: null,
+        achievement: null,
+        rankTitle: profile.rankTitle || getRankTitle(profile.level)
+    };
+
+    clearCardCache(userId);
+
+    return {
+        ...data,
+        oldLevel,
+        newLevel,
+        totalXp: customCurve ? groupXp.after : data.totalXp,
+        coinReward: data.coinReward + rewardCoins,
+        requiredXp: customCurve ? getXPForLevel(newLevel + 1, levelConfig.curve) : data.requiredXp || calculateRequiredXP(newLevel + 1),
+        rankTitle: getGroupRankTitle(levelConfig, newLevel) || data.rankTitle,
+        rewards
+    };
+}
+
 /**
  * Add XP to a user for an activity
  * @param {string} userId User's unique identifier 
  * @param {string} activityType Type of activity (message, command, media, voice, daily)
  * @param {string} groupJid Group JID (if in a group context)
+ * @param {Object} sock WhatsApp socket, used to announce unlocked achievements
  * @returns {Promise<Object|null>} Level up data if user leveled up, null otherwise
  */
-async function addXP(userId, activityType = 'message', groupJid = null) {
+async function addXP(userId, activityType = 'message', groupJid = null, sock = null) {
+    // Messages count towards achievements even while on XP cooldown
+    const achievementContext = { sock, chatJid: groupJid || userId };
+    if (['message', 'groupChat', 'privateChat'].includes(activityType)) {
+        trackEvent(userId, 'messages_sent', 1, achievementContext);
+    }
+    
+    // Group settings and leveling settings, when in a group
+    let group = null;
+    
     // If this is a group message, check if leveling is enabled for this group
     if (groupJid) {
         const levelingEnabled = await isFeatureEnabled(groupJid, 'leveling');
@@ -238,12 +398,20 @@ async function addXP(userId, activityType = 'message', groupJid = null) {
             return null;
         }
         
+        const groupSettings = await getGroupSettings(groupJid);
+        group = { settings: groupSettings, config: getLevelingConfig(groupSettings) };
+        if (!group.config.xpEnabled || group.config.disabledTypes.includes(activityType)) {
+            logger.debug(`XP for ${activityType} is disabled in group ${groupJid}`);
+            return null;
+        }
+        
         // Use group-specific cooldown for group chats
         if (activityType === 'groupChat' || activityType === 'message') {
             const lastGroupUpdate = groupXpCooldowns.get(userId + groupJid);
             const now = Date.now();
+            const groupCooldown = group.config.cooldown !== null ? group.config.cooldown * 1000 : GROUP_COOLDOWN_MS;
             
-            if (lastGroupUpdate && (now - lastGroupUpdate) < GROUP_COOLDOWN_MS) {
+            if (lastGroupUpdate && (now - lastGroupUpdate) < groupCooldown) {
                 return null;
             }
             
@@ -291,8 +459,7 @@ async function addXP(userId, activityType = 'message', groupJid = null) {
         
         // Add streak bonus coins if applicable
         if (streakBonus > 0) {
-            profile.coins = (profile.coins || 0) + streakBonus;
-            userDatabase.updateUserProfile(userId, { coins: profile.coins });
+            ledger.credit(userId, streakBonus, 'streak bonus');
             logger.info(`User ${userId} received ${streakBonus} coins for ${profile.dailyStreak} day streak!`);
         }
     }
@@ -304,6 +471,12 @@ async function addXP(userId, activityType = 'message', groupJid = null) {
         xpAmount = Math.floor(xpAmount * levelBonus);
     }
     
+    // Apply the group's weekend and event multipliers
+    if (group) {
+        const { multiplier } = getXpMultiplier(group.config, group.settings.timezone);
+        xpAmount = Math.floor(xpAmount * multiplier);
+    }
+    
     // Track activity for stats
     profile.activityStats = profile.activityStats || {};
     profile.activityStats[activityType] = (profile.activityStats[activityType] || 0) + 1;
@@ -314,6 +487,10 @@ async function addXP(userId, activityType = 'message', groupJid = null) {
     const oldLevel = profile.level;
     profile.xp += xpAmount;
     
+    // Count the XP on the global leaderboard and the group's own
+    await recordXP(GLOBAL_SCOPE, userId, xpAmount);
+    const groupXp = groupJid ? await recordXP(groupJid, userId, xpAmount) : null;
+    
     // Calculate new level
     const newLevel = calculateLevel(profile.xp);
     profile.level = newLevel;
@@ -322,26 +499,17 @@ async function addXP(userId, activityType = 'message', groupJid = null) {
     userDatabase.updateUserProfile(userId, { xp: profile.xp, level: newLevel });
     
     // Check for level up
+    let levelUpData = null;
     if (newLevel > oldLevel) {
         // Calculate rewards for leveling up - enhanced coin formula
         let coinReward = Math.floor(50 * Math.pow(1.2, newLevel - 1));
         
         // Check for milestone rewards
         let milestoneReward = null;
-        let achievementUnlocked = null;
         
         if (LEVEL_MILESTONES[newLevel]) {
             milestoneReward = LEVEL_MILESTONES[newLevel];
             coinReward += milestoneReward.coins;
-            
-            // Add milestone achievement if not already present
-            if (Array.isArray(profile.achievements)) {
-                if (!profile.achievements.includes(milestoneReward.title)) {
-                    profile.achievements.push(milestoneReward.title);
-                    userDatabase.updateUserProfile(userId, { achievements: profile.achievements });
-                    achievementUnlocked = milestoneReward.title;
-                }
-            }
         }
         
         // Update rank title based on level - ensuring consistent rank calculation
@@ -362,34 +530,41 @@ async function addXP(userId, activityType = 'message', groupJid = null) {
         profile.rankTitle = rankTitle;
         
         // Add coins to user profile
-        profile.coins = (profile.coins || 0) + coinReward;
+        ledger.credit(userId, coinReward, `level ${newLevel} reached`);
         userDatabase.updateUserProfile(userId, { 
-            coins: profile.coins, 
             rankTitle: rankTitle,
             totalLevelUps: (profile.totalLevelUps || 0) + 1
         });
         
         // Clear level card cache when user levels up to force regeneration
-        if (cardBufferCache && cardBufferCache.has(userId)) {
-            cardBufferCache.delete(userId);
-            logger.debug(`Cleared level card cache for ${userId} due to level up`);
-        }
+        clearCardCache(userId);
+        logger.debug(`Cleared level card cache for ${userId} due to level up`);
         
         logger.info(`User ${userId} leveled up to level ${newLevel} and received ${coinReward} coins!`);
         
-        return {
+        levelUpData = {
             oldLevel,
             newLevel,
             coinReward,
             totalXp: profile.xp,
             requiredXp: calculateRequiredXP(newLevel + 1),
             milestone: milestoneReward,
-            achievement: achievementUnlocked,
+            achievement: null,
             rankTitle: rankTitle
         };
     }
     
-    return null;
+    // Level and coin achievements are checked with every XP gain
+    const unlocked = trackEvent(userId, 'xp_earned', xpAmount, achievementContext);
+    if (levelUpData && unlocked.length > 0) {
+        levelUpData.achievement = unlocked.map(achievement => achievement.name).join(', ');
+    }
+    
+    if (group) {
+        return applyGroupLeveling(userId, groupJid, group, groupXp, profile, levelUpData);
+    }
+    
+    return levelUpData;
 }
 
 /**
@@ -554,13 +729,29 @@ function createProgressBar(progress, length = 20) {
     return `${filled}${empty} ${progress}%`;
 }
 
+/**
+ * Get the badges shown on a card: season badges first, then achievements from newest to oldest
+ * @param {Object} profile User profile
+ * @returns {Array<string>} Badge icons
+ */
+function getCardBadges(profile) {
+    const seasonBadges = (profile.badges || []).map(badge => badge.name.split(' ')[0]);
+    const unlocks = profile.achievementUnlocks || {};
+    const achievementBadges = getAchievements()
+        .filter(achievement => isUnlocked(profile, achievement))
+        .sort((a, b) => (unlocks[b.id] || 0) - (unlocks[a.id] || 0))
+        .map(achievement => achievement.icon);
+    return [...seasonBadges, ...achievementBadges];
+}
+
 /**
  * Generate a level card image with enhanced error handling
  * @param {string} userId User ID
  * @param {Object} userData User data including name
+ * @param {string} [themeName] Card theme to draw with, the user's own theme if not set
  * @returns {Promise<string>} Path to generated image
  */
-async function generateLevelCard(userId, userData) {
+async function generateLevelCard(userId, userData, themeName = null) {
     try {
         // Get user data with error handling
         let profile = null;
@@ -591,123 +782,57 @@ async function generateLevelCard(userId, userData) {
             };
         }
         
+        // Previews draw any theme, otherwise the user's selected theme if they own it
+        const cardProfile = { ...profile, ...(userData || {}) };
+        const theme = (themeName && getTheme(themeName)) || getProfileTheme(cardProfile);
+        
         // Ensure temp directory exists
         try {
             const tempDir = path.join(process.cwd(), 'temp', 'user');
             await fs.mkdir(tempDir, { recursive: true });
             
-            // Create canvas
-            const canvas = createCanvas(800, 300);
-            const ctx = canvas.getContext('2d');
-            
-            // Background
-            ctx.fillStyle = '#36393f';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-            
-            // Add border
-            ctx.strokeStyle = '#5865f2';
-            ctx.lineWidth = 8;
-            ctx.strokeRect(0, 0, canvas.width, canvas.height);
-            
-            // User name with error handling
-            try {
-                ctx.font = 'bold 36px Arial';
-                ctx.fillStyle = '#ffffff';
-                const name = userData?.name || 'User';
-                const wrappedName = wrapText(ctx, name, 600, 36);
-                ctx.fillText(wrappedName, 30, 60);
-            } catch (nameError) {
-                logger.error(`Error rendering name for level card (${userId}):`, nameError);
-                // Fallback to simple text
-                ctx.fillText('User', 30, 60);
-            }
-            
             // Get current language
             const currentLang = config.bot.language || 'en';
+            const level = profile.level || 1;
             
-            // Level info with translation
-            try {
-                ctx.font = 'bold 32px Arial';
-                ctx.fillStyle = '#5865f2';
-                // Get translated "Level" text
-                const levelText = languageManager.getText('user.level', currentLang);
-                ctx.fillText(`${levelText} ${profile.level || 1}`, 30, 120);
-            } catch (levelError) {
-                logger.error(`Error rendering level for level card (${userId}):`, levelError);
-                // Fallback to English
-                ctx.fillText(`Level ${profile.level || 1}`, 30, 120);
-            }
-            
-            // XP info with translation
-            try {
-                ctx.font = '24px Arial';
-                ctx.fillStyle = '#bbbbbb';
-                // Get XP text with translation
-                const xpLabel = languageManager.getText('user.xp', currentLang);
-                // Use the next level XP requirement from progress for consistency with profile command
-                ctx.fillText(`${xpLabel}: ${profile.xp || 0} / ${progress.requiredXP}`, 30, 160);
-            } catch (xpError) {
-                logger.error(`Error rendering XP for level card (${userId}):`, xpError);
-                // Fallback to English - use progress for consistent values
-                // If progress isn't available, calculate it directly
-                if (!progress || !progress.requiredXP) {
-                    const nextLevelXP = calculateRequiredXP(profile.level + 1);
-                    ctx.fillText(`XP: ${profile.xp || 0} / ${nextLevelXP}`, 30, 160);
-                } else {
-                    ctx.fillText(`XP: ${profile.xp || 0} / ${progress.requiredXP}`, 30, 160);
-                }
-            }
-            
-            // Progress bar background
-            ctx.fillStyle = '#292b2f';
-            ctx.fillRect(30, 200, 740, 30);
-            
-            // Progress bar
-            try {
-                ctx.fillStyle = '#5865f2';
-                // Calculate progress percent based on same formula as getLevelProgress
-                const currentLevel = profile.level || 1;
-                const userXP = profile.xp || 0;
-                const currentLevelXP = calculateRequiredXP(currentLevel);
-                const nextLevelXP = calculateRequiredXP(currentLevel + 1);
-                const xpForCurrentLevel = Math.max(0, userXP - currentLevelXP);
-                const xpRequiredForNextLevel = Math.max(1, nextLevelXP - currentLevelXP);
-                const progressPercent = Math.min(100, Math.floor((xpForCurrentLevel / xpRequiredForNextLevel) * 100));
-                
-                const progressWidth = (progressPercent / 100) * 740;
-                ctx.fillRect(30, 200, progressWidth, 30);
-            } catch (progressBarError) {
-                logger.error(`Error rendering progress bar for level card (${userId}):`, progressBarError);
-            }
+            // Calculate progress percent based on same formula as getLevelProgress
+            const currentLevelXP = calculateRequiredXP(level);
+            const nextLevelXP = calculateRequiredXP(level + 1);
+            const xpForCurrentLevel = Math.max(0, (profile.xp || 0) - currentLevelXP);
+            const xpRequiredForNextLevel = Math.max(1, nextLevelXP - currentLevelXP);
             
             // Rank info (if available) with translation
+            let rankText = null;
             try {
-                const leaderboard = getLeaderboard(100);
-                const rank = leaderboard.findIndex(u => u.id === userId) + 1;
-                
+                const rank = getLeaderboard(100).findIndex(u => u.id === userId) + 1;
                 if (rank > 0) {
-                    ctx.font = 'bold 28px Arial';
-                    ctx.fillStyle = '#ffffff';
-                    
-                    // Get translated "Rank" text
-                    const rankText = languageManager.getText('user.rank', currentLang);
-                    ctx.fillText(`${rankText}: #${rank}`, 600, 120);
+                    rankText = `${languageManager.getText('user.rank', currentLang)}: #${rank}`;
                 }
             } catch (rankError) {
-                logger.error(`Error rendering rank for level card (${userId}):`, rankError);
+                logger.error(`Error getting rank for level card (${userId}):`, rankError);
                 // Continue without rank display
             }
             
+            // Only draw a profile picture that is still on disk
+            const avatarPath = cardProfile.profilePic &&
+                await fs.access(cardProfile.profilePic).then(() => true).catch(() => false) ? cardProfile.profilePic : null;
+            
+            const buffer = await renderCard(theme, {
+                name: cardProfile.name || 'User',
+                title: cardProfile.customTitle || cardProfile.rankTitle || getRankTitle(level),
+                levelText: `${languageManager.getText('user.level', currentLang)} ${level}`,
+                // Use the next level XP requirement from progress for consistency with profile command
+                xpText: `${languageManager.getText('user.xp', currentLang)}: ${profile.xp || 0} / ${progress.requiredXP}`,
+                progressPercent: Math.min(100, Math.floor((xpForCurrentLevel / xpRequiredForNextLevel) * 100)),
+                rankText,
+                badges: getCardBadges(cardProfile),
+                bio: cardProfile.bio,
+                avatarPath
+            });
+            
             try {
                 // Create output path
-                const outputPath = path.join(tempDir, `${userId.split('@')[0]}_level.png`);
-                
-                // Generate high-quality PNG buffer with better compression
-                const buffer = canvas.toBuffer('image/png', {
-                    compressionLevel: 6,
-                    filters: canvas.PNG_FILTER_NONE,
-                    resolution: 96
-                });
+                const outputPath = path.join(tempDir, `${userId.split('@')[0]}_${theme.name}_level.png`);
                 
                 // Save buffer to file with explicit binary writing
                 await fs.writeFile(outputPath, buffer);
@@ -715,7 +840,7 @@ async function generateLevelCard(userId, userData) {
                 // Store the buffer in LRU cache for quicker access with memory efficiency
                 try {
                     // Store in LRU cache - automatically manages size limits
-                    cardBufferCache.set(userId, {
+                    cardBufferCache.set(getCardCacheKey(userId, theme.name), {
                         buffer,
                         path: outputPath,
                         timestamp: Date.now(),
@@ -743,29 +868,6 @@ async function generateLevelCard(userId, userData) {
     }
 }
 
-/**
- * Helper function to wrap text on canvas
- * @param {CanvasRenderingContext2D} ctx Canvas context
- * @param {string} text Text to wrap
- * @param {number} maxWidth Max width before wrapping
- * @param {number} fontSize Font size
- * @returns {string} Wrapped text
- */
-function wrapText(ctx, text, maxWidth, fontSize) {
-    // If text is short enough, return as is
-    if (ctx.measureText(text).width < maxWidth) {
-        return text;
-    }
-    
-    // Otherwise, truncate with ellipsis
-    let truncated = text;
-    while (ctx.measureText(truncated + '...').width > maxWidth) {
-        truncated = truncated.slice(0, -1);
-    }
-    
-    return truncated + '...';
-}
-
 // Initialize the module
 (async () => {
     try {
@@ -783,16 +885,21 @@ function wrapText(ctx, text, maxWidth, fontSize) {
  * Get the buffer for a level card image with LRU caching
  * @param {string} userId User ID
  * @param {Object} userData User data including name
+ * @param {string} [themeName] Card theme to draw with, the user's own theme if not set
  * @returns {Promise<{buffer: Buffer, path: string}|null>} Card buffer and path or null
  */
-async function getLevelCardBuffer(userId, userData) {
+async function getLevelCardBuffer(userId, userData, themeName = null) {
     try {
         // Get current language for debug messages
         const currentLang = config.bot.language || 'en';
         
+        // Cards are cached per theme
+        const theme = (themeName && getTheme(themeName)) || getProfileTheme({ ...(getUserLevelData(userId) || {}), ...(userData || {}) });
+        const cacheKey = getCardCacheKey(userId, theme.name);
+        
         // Check LRU cache first for optimal performance
-        if (cardBufferCache.has(userId)) {
-            const cached = cardBufferCache.get(userId);
+        if (cardBufferCache.has(cacheKey)) {
+            const cached = cardBufferCache.get(cacheKey);
             const now = Date.now();
             
             // Return cache if still valid
@@ -806,12 +913,12 @@ async function getLevelCardBuffer(userId, userData) {
             }
             
             // Remove expired cache entry
-            cardBufferCache.delete(userId);
+            cardBufferCache.delete(cacheKey);
             logger.debug(`Cache expired for ${userId}, generating new card`);
         }
         
         // Generate new card
-        const cardPath = await generateLevelCard(userId, userData);
+        const cardPath = await generateLevelCard(userId, userData, theme.name);
         if (!cardPath) {
             logger.error(`Failed to generate level card for ${userId}`);
             return null;
@@ -822,7 +929,7 @@ async function getLevelCardBuffer(userId, userData) {
             const buffer = await fs.readFile(cardPath);
             
             // Add to LRU cache for future requests
-            cardBufferCache.set(userId, {
+            cardBufferCache.set(cacheKey, {
                 buffer,
                 path: cardPath,
                 timestamp: Date.now(),
@@ -1067,6 +1174,8 @@ module.exports = {
     getUserLevelData,
     calculateLevel,
     calculateRequiredXP, // Added this export
+    getXPForLevel,
+    getLevelForXP,
     addXP,
     setLevelUpNotification,
     hasLevelUpNotificationEnabled,
@@ -1075,6 +1184,7 @@ module.exports = {
     createProgressBar,
     generateLevelCard,
     getLevelCardBuffer,
+    clearCardCache,
     getRankTitle,
     calculateStreakBonus,
     getUserStats,
@@ -0,0 +1,125 @@
+/**
+ * Link Filter
+ * Domain allowlists/blocklists and WhatsApp invite rules for antilink
+ */
+
+const logger = require('./logger');
+
+// Links with a scheme or www. prefix, plus bare WhatsApp invite links
+const LINK_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+|\bchat\.whatsapp\.com\/[A-Za-z0-9]+/gi;
+
+const INVITE_HOST = 'chat.whatsapp.com';
+
+// How antilink treats links that are on neither list
+const LINK_MODES = ['all', 'listed'];
+
+// How antilink treats WhatsApp group invites
+const INVITE_MODES = ['others', 'all', 'allow'];
+
+/**
+ * Get the default link filter settings stored per group
+ * @returns {Object} Link filter settings
+ */
+function getDefaultLinkFilterSettings() {
+    return {
+        mode: 'all',        // 'all' = every link not allowlisted, 'listed' = only blocklisted domains
+        allow: [],
+        block: [],
+        invites: 'others',  // 'others' = invites to other groups, 'all' = every invite, 'allow' = none
+        trusted: []         // members exempt from antilink
+    };
+}
+
+/**
+ * Normalize user input to a bare domain
+ * @param {string} input Domain or URL
+ * @returns {string|null} Domain or null if invalid
+ */
+function normalizeDomain(input) {
+    if (!input) return null;
+
+    const domain = String(input)
+        .trim()
+        .toLowerCase()
+        .replace(/^[a-z]+:\/\//, '')
+        .replace(/^www\./, '')
+        .split(/[/?#:]/)[0];
+
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(domain) ? domain : null;
+}
+
+/**
+ * Check if a host is a listed domain or one of its subdomains
+ * @param {string} host Hostname
+ * @param {Array<string>} domains Listed domains
+ * @returns {boolean} Whether the host is listed
+ */
+function isListed(host, domains) {
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Extract the links in a message
+ * @param {string} text Message text
+ * @returns {Array<{url: string, host: string, path: string}>} Parsed links
+ */
+function extractLinks(text) {
+    if (!text) return [];
+
+    const links = [];
+    for (const raw of text.match(LINK_REGEX) || []) {
+        try {
+            const url = new URL(/^https?:\/\//i.test(raw) ? raw : `http://${raw}`);
+            links.push({
+                url: raw,
+                host: url.hostname.toLowerCase().replace(/^www\./, ''),
+                path: url.pathname
+            });
+        } catch (err) {
+            logger.debug(`Could not parse link ${raw}: ${err.message}`);
+        }
+    }
+    return links;
+}
+
+/**
+ * Find the first link in a message that the group does not allow
+ * @param {string} text Message text
+ * @param {Object} [filter] Group link filter settings
+ * @param {string|null} [ownInviteCode] Invite code of the group the message was sent in
+ * @returns {{url: string, host: string, reason: string}|null} Violation or null if all links are fine
+ */
+function findLinkViolation(text, filter, ownInviteCode = null) {
+    const settings = { ...getDefaultLinkFilterSettings(), ...(filter || {}) };
+
+    for (const link of extractLinks(text)) {
+        if (link.host === INVITE_HOST) {
+            if (settings.invites === 'allow') continue;
+
+            const code = link.path.split('/').filter(Boolean)[0];
+            if (settings.invites === 'others' && ownInviteCode && code === ownInviteCode) continue;
+
+            return { url: link.url, host: link.host, reason: 'invite' };
+        }
+
+        if (isListed(link.host, settings.block)) {
+            return { url: link.url, host: link.host, reason: 'blocked' };
+        }
+        if (isListed(link.host, settings.allow) || settings.mode === 'listed') {
+            continue;
+        }
+
+        return { url: link.url, host: link.host, reason: 'link' };
+    }
+
+    return null;
+}
+
+module.exports = {
+    LINK_MODES,
+    INVITE_MODES,
+    getDefaultLinkFilterSettings,
+    normalizeDomain,
+    extractLinks,
+    findLinkViolation
+};
@@ -0,0 +1,184 @@
+/**
+ * Moderation Log
+ * Append-only audit log of moderation actions per group (data/modlogs/<group>.jsonl),
+ * optionally mirrored into an admin "log channel" group
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { getGroupSettings } = require('./groupSettings');
+const { safeSendMessage } = require('./jidHelper');
+
+const MODLOG_DIR = path.join(process.cwd(), 'data', 'modlogs');
+
+const ACTION_ICONS = {
+    warn: '⚠️',
+    unwarn: '↩️',
+    delete: '🗑️',
+    mute: '🔇',
+    unmute: '🔊',
+    kick: '👢',
+    add: '➕',
+    promote: '⬆️',
+    demote: '⬇️',
+    ban: '🚫',
+    unban: '✅',
+    lockdown: '🔒',
+    unlock: '🔓',
+    notify: '🛡️',
+    'role-add': '🏷️',
+    'role-remove': '🏷️',
+    'captcha-approve': '🤖'
+};
+
+/**
+ * Get the log file of a group
+ * @param {string} groupJid Group JID
+ * @returns {string} File path
+ */
+function getLogPath(groupJid) {
+    return path.join(MODLOG_DIR, `${groupJid}.jsonl`);
+}
+
+/**
+ * Describe who did something: a member mention or the bot's auto-moderation
+ * @param {string|null} jid Actor JID or 'bot'
+ * @returns {string} Display text
+ */
+function formatActor(jid) {
+    return jid && jid !== 'bot' ? `@${jid.split('@')[0]}` : 'auto-moderation';
+}
+
+/**
+ * Format one log entry as text
+ * @param {Object} entry Log entry
+ * @returns {string} Entry text
+ */
+function formatModLogEntry(entry) {
+    let text = `${ACTION_ICONS[entry.action] || '•'} *${entry.action}*` +
+        (entry.target ? ` @${entry.target.split('@')[0]}` : '') +
+        ` by ${formatActor(entry.actor)}\n   ${new Date(entry.time).toLocaleString()}`;
+    if (entry.rule) text += `\n   Rule: ${entry.rule}`;
+    if (entry.reason) text += `\n   Reason: ${entry.reason}`;
+    return text;
+}
+
+/**
+ * Get the JIDs to mention for a set of entries
+ * @param {Array<Object>} entries Log entries
+ * @returns {Array<string>} JIDs
+ */
+function getEntryMentions(entries) {
+    const jids = entries.flatMap(entry => [entry.target, entry.actor]).filter(jid => jid && jid.includes('@'));
+    return [...new Set(jids)];
+}
+
+/**
+ * Record a moderation action; never throws so it can't break the action itself
+ * @param {Object} sock WhatsApp socket, used to mirror the entry into the log channel
+ * @param {string} groupJid Group JID
+ * @param {Object} entry Action details
+ * @param {string} entry.action Action name (warn, kick, mute, ...)
+ * @param {string} [entry.actor='bot'] Who took the action
+ * @param {string|null} [entry.target] Affected member JID
+ * @param {string|null} [entry.reason] Reason given
+ * @param {string|null} [entry.rule] Rule that triggered the action (antilink, antiraid, ...)
+ * @returns {Promise<Object|null>} The stored entry
+ */
+async function logModAction(sock, groupJid, { action, actor = 'bot', target = null, reason = null, rule = null }) {
+    const entry = { time: Date.now(), action, actor, target, reason, rule };
+
+    try {
+        await fs.promises.mkdir(MODLOG_DIR, { recursive: true });
+        await fs.promises.appendFile(getLogPath(groupJid), JSON.stringify(entry) + '\n');
+    } catch (err) {
+        logger.error(`Failed to write moderation log for ${groupJid}:`, err);
+        return null;
+    }
+
+    try {
+        const settings = await getGroupSettings(groupJid);
+        const channel = settings.modLogChannel;
+        if (channel && channel !== groupJid && sock) {
+            let groupName = groupJid;
+            try {
+                groupName = (await sock.groupMetadata(groupJid)).subject || groupJid;
+            } catch (err) {
+                logger.debug(`Could not fetch group name for mod log mirror: ${err.message}`);
+            }
+
+            await safeSendMessage(sock, channel, {
+                text: `📋 *${groupName}*\n${formatModLogEntry(entry)}`,
+                mentions: getEntryMentions([entry])
+            });
+        }
+    } catch (err) {
+        logger.error(`Failed to mirror moderation log for ${groupJid}:`, err);
+    }
+
+    return entry;
+}
+
+/**
+ * Read a group's moderation log, newest first
+ * @param {string} groupJid Group JID
+ * @param {Object} [options] Query options
+ * @param {string} [options.target] Only entries about this member
+ * @param {number} [options.limit] Max number of entries
+ * @returns {Promise<Array<Object>>} Log entries
+ */
+async function readModLog(groupJid, { target = null, limit = null } = {}) {
+    let content;
+    try {
+        content = await fs.promises.readFile(getLogPath(groupJid), 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const targetNumber = target ? target.split('@')[0].split(':')[0] : null;
+    const entries = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (targetNumber && (!entry.target || entry.target.split('@')[0].split(':')[0] !== targetNumber)) continue;
+            entries.push(entry);
+        } catch (err) {
+            logger.debug(`Skipping broken moderation log line in ${groupJid}`);
+        }
+    }
+
+    entries.reverse();
+    return limit ? entries.slice(0, limit) : entries;
+}
+
+/**
+ * Export log entries as CSV, oldest first
+ * @param {Array<Object>} entries Log entries
+ * @returns {string} CSV text
+ */
+function exportModLogCsv(entries) {
+    const escape = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+    const lines = ['time,action,actor,target,rule,reason'];
+    for (const entry of [...entries].sort((a, b) => a.time - b.time)) {
+        lines.push([
+            new Date(entry.time).toISOString(),
+            entry.action,
+            entry.actor && entry.actor !== 'bot' ? entry.actor.split('@')[0] : 'bot',
+            entry.target ? entry.target.split('@')[0] : '',
+            entry.rule,
+            entry.reason
+        ].map(escape).join(','));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    logModAction,
+    readModLog,
+    formatModLogEntry,
+    getEntryMentions,
+    exportModLogCsv
+};
@@ -3,6 +3,8 @@
  */
 
 const { owner: ownerConfig } = require('../config/config');
+const { getGroupSettings } = require('./groupSettings');
+const { findGrantingRole } = require('./roles');
 
 /**
  * Check if a user is an admin in a group
@@ -233,9 +235,37 @@ function isBotOwner(userId) {
     }
 }
 
+/**
+ * Check if a user may run an admin-level command in a group,
+ * either as a WhatsApp admin or through a custom group role
+ * @param {Object} sock - The WhatsApp socket connection
+ * @param {string} groupId - The group JID
+ * @param {string} userId - The user's JID
+ * @param {string} command - Command name (e.g. 'warn')
+ * @returns {Promise<boolean>} - Whether the user may run the command
+ */
+async function hasCommandPermission(sock, groupId, userId, command) {
+    if (await isAdmin(sock, groupId, userId)) {
+        return true;
+    }
+
+    try {
+        const settings = await getGroupSettings(groupId);
+        const role = findGrantingRole(settings, userId, command);
+        if (role) {
+            console.log(`Role match: User ${userId} may use ${command} in ${groupId} as ${role}`);
+            return true;
+        }
+    } catch (err) {
+        console.error('Error checking role permissions:', err);
+    }
+    return false;
+}
+
 module.exports = {
     isAdmin,
     isBotAdmin,
     isOwner,
-    isBotOwner
+    isBotOwner,
+    hasCommandPermission
 };
@@ -0,0 +1,364 @@
+/**
+ * Native Polls
+ * Sends WhatsApp poll messages, decrypts incoming votes and keeps tallies in group settings
+ */
+
+const crypto = require('crypto');
+const { decryptPollVote, jidNormalizedUser } = require('@whiskeysockets/baileys');
+const logger = require('./logger');
+const { updateGroupSettings } = require('./groupSettings');
+const { safeSendMessage, safeSendText } = require('./jidHelper');
+const { jobScheduler } = require('./scheduler');
+
+// WhatsApp allows at most 12 options per poll
+const MAX_POLL_OPTIONS = 12;
+
+// Closed polls kept per group for results and export
+const MAX_CLOSED_POLLS = 10;
+
+/**
+ * Hash a poll option the way WhatsApp identifies selected options
+ * @param {string} option Option text
+ * @returns {string} Hex SHA-256 hash
+ */
+function hashOption(option) {
+    return crypto.createHash('sha256').update(Buffer.from(option)).digest('hex');
+}
+
+/**
+ * Get a poll's votes as { voter: [optionIndex, ...] }
+ * Older text polls stored a single option index per voter
+ * @param {Object} poll Stored poll
+ * @returns {Object} Votes by voter
+ */
+function getVotes(poll) {
+    const votes = {};
+    for (const [voter, choice] of Object.entries(poll.votes || {})) {
+        votes[voter] = Array.isArray(choice) ? choice : [choice];
+    }
+    return votes;
+}
+
+/**
+ * Count the votes for each option
+ * @param {Object} poll Stored poll
+ * @returns {{counts: Array<number>, voters: number}} Votes per option and number of voters
+ */
+function tallyPoll(poll) {
+    const votes = Object.values(getVotes(poll));
+    const counts = poll.options.map((_, i) => votes.filter(choice => choice.includes(i)).length);
+    return { counts, voters: votes.length };
+}
+
+/**
+ * Get the open polls of a group, newest last
+ * @param {Object} settings Group settings
+ * @returns {Array<Object>} Open polls
+ */
+function getOpenPolls(settings) {
+    return Object.entries(settings.polls || {})
+        .map(([id, poll]) => ({ ...poll, id: poll.id || id }))
+        .filter(poll => !poll.closed)
+        .sort((a, b) => (a.created || 0) - (b.created || 0));
+}
+
+/**
+ * Send a native poll to a group and start tracking its votes
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @param {Object} options Poll options
+ * @param {string} options.question Poll question
+ * @param {Array<string>} options.options Answer options
+ * @param {boolean} [options.multi=false] Allow selecting several options
+ * @param {boolean} [options.anonymous=false] Hide who voted for what
+ * @param {number|null} [options.deadline] Timestamp at which the poll closes automatically
+ * @param {string} options.createdBy Creator JID
+ * @returns {Promise<Object|null>} Stored poll, or null if it could not be sent
+ */
+async function createPoll(sock, groupJid, { question, options, multi = false, anonymous = false, deadline = null, createdBy }) {
+    const sent = await safeSendMessage(sock, groupJid, {
+        poll: {
+            name: question,
+            values: options,
+            selectableCount: multi ? options.length : 1
+        }
+    });
+
+    const secret = sent?.message?.messageContextInfo?.messageSecret;
+    if (!sent || !secret) {
+        logger.error(`Failed to send native poll to ${groupJid}`);
+        return null;
+    }
+
+    const poll = {
+        id: sent.key.id,
+        question,
+        options,
+        multi,
+        anonymous,
+        votes: {},
+        created: Date.now(),
+        by: createdBy,
+        deadline,
+        jobId: null,
+        closed: false,
+        creatorJid: jidNormalizedUser(sock.user.id),
+        messageSecret: Buffer.from(secret).toString('base64'),
+        messageKey: sent.key
+    };
+
+    if (deadline) {
+        const job = await jobScheduler.addJob({
+            type: 'pollclose',
+            chatJid: groupJid,
+            runAt: deadline,
+            description: `Close poll: ${question}`,
+            payload: { pollId: poll.id }
+        });
+        poll.jobId = job.id;
+    }
+
+    await updateGroupSettings(groupJid, (settings) => {
+        if (!settings.polls) settings.polls = {};
+        settings.polls[poll.id] = poll;
+    });
+
+    logger.info(`Created native poll ${poll.id} in ${groupJid}`);
+    return poll;
+}
+
+/**
+ * Decrypt and record an incoming poll vote
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Message containing a pollUpdateMessage
+ * @returns {Promise<boolean>} Whether the vote belonged to a tracked poll
+ */
+async function handlePollUpdate(sock, message) {
+    const update = message.message?.pollUpdateMessage;
+    const groupJid = message.key.remoteJid;
+    if (!update || !update.pollCreationMessageKey || !groupJid.endsWith('@g.us')) return false;
+
+    const pollId = update.pollCreationMessageKey.id;
+    const voter = jidNormalizedUser(message.key.fromMe ? sock.user.id : (message.key.participant || message.participant));
+
+    return updateGroupSettings(groupJid, (settings) => {
+        const poll = settings.polls && settings.polls[pollId];
+        if (!poll || !poll.messageSecret) return false;
+
+        if (poll.closed) {
+            logger.debug(`Ignoring vote on closed poll ${pollId}`);
+            return true;
+        }
+
+        let vote;
+        try {
+            vote = decryptPollVote(update.vote, {
+                pollEncKey: Buffer.from(poll.messageSecret, 'base64'),
+                pollCreatorJid: poll.creatorJid,
+                pollMsgId: pollId,
+                voterJid: voter
+            });
+        } catch (err) {
+            logger.error(`Failed to decrypt vote on poll ${pollId}:`, err);
+            return true;
+        }
+
+        const hashes = poll.options.map(hashOption);
+        const selected = (vote.selectedOptions || [])
+            .map(option => hashes.indexOf(Buffer.from(option).toString('hex')))
+            .filter(index => index !== -1);
+
+        if (!poll.votes) poll.votes = {};
+        if (selected.length === 0) {
+            // An empty selection means the vote was withdrawn
+            delete poll.votes[voter];
+        } else {
+            poll.votes[voter] = selected;
+        }
+
+        logger.debug(`Recorded vote from ${voter} on poll ${pollId}: ${selected.join(', ') || 'withdrawn'}`);
+        return true;
+    });
+}
+
+/**
+ * Record a vote given with the vote command on the latest open poll
+ * @param {string} groupJid Group JID
+ * @param {string} voter Voter JID
+ * @param {Array<number>} choices Chosen option numbers, starting at 1
+ * @returns {Promise<{poll: Object|null, error: string|null}>} Updated poll, or why the vote was refused
+ */
+async function recordVote(groupJid, voter, choices) {
+    return updateGroupSettings(groupJid, (settings) => {
+        const open = getOpenPolls(settings);
+        if (open.length === 0) return { poll: null, error: 'No active poll' };
+
+        // Votes go to the latest open poll
+        const poll = settings.polls[open[open.length - 1].id];
+
+        const selected = [...new Set(choices.map(choice => choice - 1))];
+        if (selected.some(i => i < 0 || i >= poll.options.length)) {
+            return { poll: null, error: 'Invalid option number' };
+        }
+        if (selected.length > 1 && !poll.multi) {
+            return { poll: null, error: 'This poll only allows one choice' };
+        }
+
+        if (!poll.votes) poll.votes = {};
+        poll.votes[voter] = selected;
+        return { poll, error: null };
+    });
+}
+
+/**
+ * Render a bar chart of poll results
+ * @param {Object} poll Stored poll
+ * @param {Array<number>} counts Votes per option
+ * @returns {Promise<Buffer|null>} PNG buffer, or null if charts are unavailable
+ */
+async function renderPollChart(poll, counts) {
+    try {
+        const { ChartJSNodeCanvas } = require('chartjs-node-canvas');
+        const chartJSNodeCanvas = new ChartJSNodeCanvas({
+            width: 800,
+            height: Math.max(300, 90 + poll.options.length * 50),
+            backgroundColour: '#36393f'
+        });
+
+        return await chartJSNodeCanvas.renderToBuffer({
+            type: 'bar',
+            data: {
+                labels: poll.options.map(option => (option.length > 40 ? `${option.slice(0, 37)}...` : option)),
+                datasets: [{
+                    label: 'Votes',
+                    data: counts,
+                    backgroundColor: '#5865f2'
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                plugins: {
+                    legend: { display: false },
+                    title: { display: true, text: poll.question, color: '#ffffff', font: { size: 20 } }
+                },
+                scales: {
+                    x: { beginAtZero: true, ticks: { precision: 0, color: '#bbbbbb' }, grid: { color: '#4f545c' } },
+                    y: { ticks: { color: '#ffffff', font: { size: 16 } }, grid: { display: false } }
+                }
+            }
+        });
+    } catch (err) {
+        logger.error('Error rendering poll chart:', err);
+        return null;
+    }
+}
+
+/**
+ * Format poll results as text
+ * @param {Object} poll Stored poll
+ * @param {boolean} [final=false] Whether the poll has closed
+ * @returns {string} Results text
+ */
+function formatPollResults(poll, final = false) {
+    const { counts, voters } = tallyPoll(poll);
+    const max = Math.max(0, ...counts);
+
+    let text = `📊 *${final ? 'Final Poll Results' : 'Poll Results'}*\n${poll.question}\n\n` +
+        poll.options.map((option, i) => {
+            const percent = voters > 0 ? Math.round((counts[i] / voters) * 100) : 0;
+            return `${i + 1}. ${option}: ${counts[i]} vote${counts[i] === 1 ? '' : 's'} (${percent}%)`;
+        }).join('\n') +
+        `\n\nVoters: ${voters}`;
+
+    if (final && max > 0) {
+        const winners = poll.options.filter((_, i) => counts[i] === max);
+        text += `\nWinner${winners.length > 1 ? 's' : ''}: ${winners.join(', ')}`;
+    }
+    if (poll.anonymous) {
+        text += '\n🕶️ Anonymous poll';
+    }
+    return text;
+}
+
+/**
+ * Close a poll and post its results with a chart
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @param {string} pollId Poll ID
+ * @returns {Promise<Object|null>} Closed poll, or null if it was not open
+ */
+async function closePoll(sock, groupJid, pollId) {
+    const poll = await updateGroupSettings(groupJid, async (settings) => {
+        const entry = settings.polls && settings.polls[pollId];
+        if (!entry || entry.closed) return null;
+
+        entry.closed = true;
+        entry.closedAt = Date.now();
+        if (entry.jobId && jobScheduler.getJob(entry.jobId)) {
+            await jobScheduler.cancelJob(entry.jobId);
+        }
+
+        // Keep only the most recent closed polls
+        const closed = Object.entries(settings.polls)
+            .filter(([, other]) => other.closed)
+            .sort(([, a], [, b]) => (b.closedAt || 0) - (a.closedAt || 0));
+        for (const [id] of closed.slice(MAX_CLOSED_POLLS)) {
+            delete settings.polls[id];
+        }
+        return entry;
+    });
+    if (!poll) return null;
+
+    const text = formatPollResults(poll, true);
+    const chart = await renderPollChart(poll, tallyPoll(poll).counts);
+    if (chart) {
+        await safeSendMessage(sock, groupJid, { image: chart, caption: text });
+    } else {
+        await safeSendText(sock, groupJid, text);
+    }
+
+    logger.info(`Closed poll ${pollId} in ${groupJid}`);
+    return poll;
+}
+
+/**
+ * Export a poll's votes as CSV; anonymous polls only export the totals
+ * @param {Object} poll Stored poll
+ * @returns {string} CSV text
+ */
+function exportPollCsv(poll) {
+    const escape = value => `"${String(value).replace(/"/g, '""')}"`;
+    const { counts } = tallyPoll(poll);
+
+    const lines = ['option,votes', ...poll.options.map((option, i) => `${escape(option)},${counts[i]}`)];
+    if (!poll.anonymous) {
+        lines.push('', 'voter,choices');
+        for (const [voter, choice] of Object.entries(getVotes(poll))) {
+            lines.push(`${escape(voter.split('@')[0])},${escape(choice.map(i => poll.options[i]).join('; '))}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Scheduler handler closing a poll at its deadline
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} job Scheduled job
+ */
+async function closePollJob(sock, job) {
+    await closePoll(sock, job.chatJid, job.payload.pollId);
+}
+
+module.exports = {
+    MAX_POLL_OPTIONS,
+    getVotes,
+    tallyPoll,
+    getOpenPolls,
+    createPoll,
+    handlePollUpdate,
+    recordVote,
+    closePoll,
+    closePollJob,
+    formatPollResults,
+    exportPollCsv
+};
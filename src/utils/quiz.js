@@ -0,0 +1,501 @@
+/**
+ * Quiz Engine
+ * Timed group quiz sessions with first-correct-answer scoring, streak bonuses
+ * and question packs loaded from data/quiz (JSON or CSV)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const { safeSendMessage, safeSendText } = require('./jidHelper');
+
+const PACKS_DIR = path.join(process.cwd(), 'data', 'quiz');
+
+const DEFAULT_ROUNDS = 10;
+const MAX_ROUNDS = 50;
+const DEFAULT_ROUND_TIME = 30;      // seconds per question
+const MIN_ROUND_TIME = 10;
+const MAX_ROUND_TIME = 120;
+const NEXT_ROUND_DELAY = 4000;      // pause between questions (ms)
+
+// Points for a correct answer, plus a bonus for every answer in a row after the first
+const BASE_POINTS = 10;
+const STREAK_BONUS = 5;
+const MAX_STREAK_BONUS = 20;
+
+// Stop a session after this many unanswered questions in a row
+const MAX_IDLE_ROUNDS = 3;
+
+// Active sessions by group JID
+const sessions = new Map();
+
+// Loaded packs by ID, refreshed with loadPacks()
+let packs = null;
+
+/**
+ * Normalize an answer for comparison: lowercase, no accents, punctuation or extra spaces
+ * @param {string} text Answer text
+ * @returns {string} Normalized answer
+ */
+function normalizeAnswer(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Split one CSV line, honoring quoted fields
+ * @param {string} line CSV line
+ * @returns {Array<string>} Fields
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Turn a raw question into { question, options, answers, display }
+ * "answer" is the option number (1-based) or text; "accept" lists extra accepted answers
+ * @param {Object} raw Raw question
+ * @returns {Object|null} Question, or null if it is incomplete
+ */
+function normalizeQuestion(raw) {
+    const question = String(raw.question || '').trim();
+    const options = (raw.options || []).map(option => String(option).trim()).filter(Boolean);
+    if (!question || raw.answer === undefined || raw.answer === null || raw.answer === '') return null;
+
+    let display = String(raw.answer).trim();
+    const answers = [];
+
+    if (options.length > 0) {
+        // Multiple choice: the answer can be given as the option number or its text
+        let index = /^\d+$/.test(display) ? parseInt(display) - 1 : options.findIndex(o => normalizeAnswer(o) === normalizeAnswer(display));
+        if (index < 0 || index >= options.length) return null;
+        display = options[index];
+        answers.push(String(index + 1), display);
+    } else {
+        answers.push(display);
+    }
+
+    for (const extra of [].concat(raw.accept || [])) {
+        answers.push(String(extra));
+    }
+
+    return {
+        question,
+        options,
+        answers: [...new Set(answers.map(normalizeAnswer).filter(Boolean))],
+        display
+    };
+}
+
+/**
+ * Read a JSON pack: either a list of questions or { name, description, questions }
+ * @param {string} filePath Pack file
+ * @returns {Object} Pack data
+ */
+function readJsonPack(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data) ? { questions: data } : data;
+}
+
+/**
+ * Read a CSV pack with the columns question,answer,option1,option2,...
+ * A header row starting with "question" is skipped
+ * @param {string} filePath Pack file
+ * @returns {Object} Pack data
+ */
+function readCsvPack(filePath) {
+    const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+    const rows = lines.map(parseCsvLine);
+    if (rows.length > 0 && rows[0][0].toLowerCase() === 'question') rows.shift();
+
+    return {
+        questions: rows.map(([question, answer, ...options]) => ({ question, answer, options }))
+    };
+}
+
+/**
+ * (Re)load all question packs from data/quiz
+ * @returns {Map<string, Object>} Packs by ID
+ */
+function loadPacks() {
+    packs = new Map();
+
+    if (!fs.existsSync(PACKS_DIR)) {
+        logger.warn(`Quiz pack directory ${PACKS_DIR} does not exist`);
+        return packs;
+    }
+
+    for (const file of fs.readdirSync(PACKS_DIR)) {
+        const ext = path.extname(file).toLowerCase();
+        if (ext !== '.json' && ext !== '.csv') continue;
+
+        const id = path.basename(file, ext).toLowerCase();
+        try {
+            const data = ext === '.json' ? readJsonPack(path.join(PACKS_DIR, file)) : readCsvPack(path.join(PACKS_DIR, file));
+            const questions = (data.questions || []).map(normalizeQuestion).filter(Boolean);
+            if (questions.length === 0) {
+                logger.warn(`Quiz pack ${file} has no valid questions`);
+                continue;
+            }
+
+            packs.set(id, {
+                id,
+                name: data.name || id.charAt(0).toUpperCase() + id.slice(1),
+                description: data.description || '',
+                questions
+            });
+        } catch (err) {
+            logger.error(`Failed to load quiz pack ${file}:`, err);
+        }
+    }
+
+    logger.info(`Loaded ${packs.size} quiz packs`);
+    return packs;
+}
+
+/**
+ * Get the loaded question packs
+ * @returns {Map<string, Object>} Packs by ID
+ */
+function getPacks() {
+    return packs || loadPacks();
+}
+
+/**
+ * Pick random questions from one pack, or from all packs when no ID is given
+ * @param {string|null} packId Pack ID
+ * @param {number} count Number of questions
+ * @param {Object} [filter] Only multiple choice questions when filter.multipleChoice is set
+ * @returns {Array<Object>} Questions
+ */
+function pickQuestions(packId, count, filter = {}) {
+    const source = packId ? [getPacks().get(packId)].filter(Boolean) : [...getPacks().values()];
+    const pool = source.flatMap(pack => pack.questions)
+        .filter(question => !filter.multipleChoice || question.options.length > 0);
+
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+}
+
+/**
+ * Get the running quiz of a group
+ * @param {string} groupJid Group JID
+ * @returns {Object|null} Session
+ */
+function getSession(groupJid) {
+    return sessions.get(groupJid) || null;
+}
+
+/**
+ * Get a player's score entry, creating it on first use
+ * @param {Object} session Quiz session
+ * @param {string} jid Player JID
+ * @returns {Object} Score entry
+ */
+function getPlayer(session, jid) {
+    if (!session.scores[jid]) {
+        session.scores[jid] = { points: 0, correct: 0, streak: 0, bestStreak: 0 };
+    }
+    return session.scores[jid];
+}
+
+/**
+ * Sort players by points, then correct answers
+ * @param {Object} session Quiz session
+ * @returns {Array<[string, Object]>} [jid, score] pairs
+ */
+function getStandings(session) {
+    return Object.entries(session.scores)
+        .sort(([, a], [, b]) => b.points - a.points || b.correct - a.correct);
+}
+
+/**
+ * Format the scoreboard of a session
+ * @param {Object} session Quiz session
+ * @param {boolean} [final=false] Whether the session is over
+ * @returns {{text: string, mentions: Array<string>}} Scoreboard text and mentioned JIDs
+ */
+function formatScoreboard(session, final = false) {
+    const standings = getStandings(session);
+    const medals = ['🥇', '🥈', '🥉'];
+    const title = final ? '🏁 *Quiz Over - Final Scoreboard*' : '📋 *Quiz Scoreboard*';
+
+    if (standings.length === 0) {
+        return { text: `${title}\n\nNobody scored any points.`, mentions: [] };
+    }
+
+    const lines = standings.map(([jid, score], i) =>
+        `${medals[i] || `${i + 1}.`} @${jid.split('@')[0]} - ${score.points} pts (${score.correct} correct, best streak ${score.bestStreak})`
+    );
+    return {
+        text: `${title}\n${session.pack ? session.pack.name : 'Mixed'} - round ${Math.min(session.round + 1, session.questions.length)}/${session.questions.length}\n\n${lines.join('\n')}`,
+        mentions: standings.map(([jid]) => jid)
+    };
+}
+
+/**
+ * Send the next question or end the session when all rounds are played
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} session Quiz session
+ */
+async function askQuestion(sock, session) {
+    if (sessions.get(session.groupJid) !== session) return;
+
+    session.round++;
+    if (session.round >= session.questions.length) {
+        await endQuiz(sock, session.groupJid);
+        return;
+    }
+
+    const current = session.questions[session.round];
+    session.current = { ...current, answered: false, guessed: new Set(), startedAt: Date.now() };
+
+    let text = `❓ *Question ${session.round + 1}/${session.questions.length}*\n\n${current.question}`;
+    if (current.options.length > 0) {
+        text += '\n\n' + current.options.map((option, i) => `${i + 1}. ${option}`).join('\n');
+    }
+    text += `\n\n⏱️ ${session.roundTime}s to answer`;
+    await safeSendText(sock, session.groupJid, text);
+
+    session.timer = setTimeout(() => {
+        roundTimeout(sock, session).catch(err => logger.error('Error in quiz round timeout:', err));
+    }, session.roundTime * 1000);
+}
+
+/**
+ * Reveal the answer when nobody got it in time
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} session Quiz session
+ */
+async function roundTimeout(sock, session) {
+    if (sessions.get(session.groupJid) !== session || !session.current || session.current.answered) return;
+
+    session.current.answered = true;
+    session.idleRounds++;
+    Object.values(session.scores).forEach(score => { score.streak = 0; });
+
+    await safeSendText(sock, session.groupJid, `⌛ Time's up! The answer was: *${session.current.display}*`);
+
+    if (session.idleRounds >= MAX_IDLE_ROUNDS) {
+        await safeSendText(sock, session.groupJid, `💤 No answers for ${MAX_IDLE_ROUNDS} rounds, ending the quiz`);
+        await endQuiz(sock, session.groupJid);
+        return;
+    }
+
+    session.timer = setTimeout(() => {
+        askQuestion(sock, session).catch(err => logger.error('Error asking quiz question:', err));
+    }, NEXT_ROUND_DELAY);
+}
+
+/**
+ * Start a quiz in a group
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @param {Object} options Session options
+ * @param {string|null} [options.packId] Pack ID, or null to mix all packs
+ * @param {number} [options.rounds] Number of questions
+ * @param {number} [options.roundTime] Seconds per question
+ * @param {string} options.startedBy Who started the quiz
+ * @returns {Promise<Object>} The new session
+ */
+async function startQuiz(sock, groupJid, { packId = null, rounds = DEFAULT_ROUNDS, roundTime = DEFAULT_ROUND_TIME, startedBy }) {
+    const pack = packId ? getPacks().get(packId) : null;
+    const questions = pickQuestions(packId, rounds);
+
+    const session = {
+        groupJid,
+        pack,
+        questions,
+        roundTime,
+        round: -1,
+        current: null,
+        scores: {},
+        idleRounds: 0,
+        timer: null,
+        startedBy,
+        startedAt: Date.now()
+    };
+    sessions.set(groupJid, session);
+
+    logger.info(`Quiz started in ${groupJid} (${pack ? pack.id : 'mixed'}, ${questions.length} questions)`);
+
+    await safeSendText(sock, groupJid,
+        `🎯 *Quiz started!*\n\n` +
+        `Pack: ${pack ? pack.name : 'Mixed'}\n` +
+        `Questions: ${questions.length}\n` +
+        `Time per question: ${roundTime}s\n\n` +
+        `The first correct answer scores ${BASE_POINTS} points, answering several in a row earns a streak bonus. ` +
+        `Just type your answer in the chat!`
+    );
+
+    session.timer = setTimeout(() => {
+        askQuestion(sock, session).catch(err => logger.error('Error asking quiz question:', err));
+    }, NEXT_ROUND_DELAY);
+
+    return session;
+}
+
+/**
+ * Skip the current question and reveal its answer
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @returns {Promise<boolean>} Whether a question was skipped
+ */
+async function skipQuestion(sock, groupJid) {
+    const session = sessions.get(groupJid);
+    if (!session || !session.current || session.current.answered) return false;
+
+    clearTimeout(session.timer);
+    session.current.answered = true;
+    await safeSendText(sock, groupJid, `⏭️ Question skipped. The answer was: *${session.current.display}*`);
+
+    session.timer = setTimeout(() => {
+        askQuestion(sock, session).catch(err => logger.error('Error asking quiz question:', err));
+    }, NEXT_ROUND_DELAY);
+    return true;
+}
+
+/**
+ * End a quiz, post the final scoreboard and award XP to everyone who scored
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @returns {Promise<Object|null>} The ended session, or null if none was running
+ */
+async function endQuiz(sock, groupJid) {
+    const session = sessions.get(groupJid);
+    if (!session) return null;
+
+    clearTimeout(session.timer);
+    sessions.delete(groupJid);
+
+    const { text, mentions } = formatScoreboard(session, true);
+    const levelUps = [];
+
+    // Loaded here to keep the quiz engine usable without the canvas stack
+    const levelingSystem = require('./levelingSystem');
+    for (const [jid, score] of getStandings(session)) {
+        if (score.correct === 0) continue;
+        try {
+            const levelUp = await levelingSystem.addXP(jid, 'quiz', groupJid, sock);
+            if (levelUp) {
+                levelUps.push(`🎉 @${jid.split('@')[0]} reached level ${levelUp.newLevel}!`);
+            }
+        } catch (err) {
+            logger.error(`Failed to award quiz XP to ${jid}:`, err);
+        }
+    }
+
+    await safeSendMessage(sock, groupJid, {
+        text: text + (levelUps.length > 0 ? `\n\n${levelUps.join('\n')}` : ''),
+        mentions
+    });
+
+    logger.info(`Quiz ended in ${groupJid}`);
+    return session;
+}
+
+/**
+ * Check a group message against the current question
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Incoming message
+ * @param {string} text Message text
+ * @returns {Promise<boolean>} Whether the message answered the question correctly
+ */
+async function handleQuizAnswer(sock, message, text) {
+    const groupJid = message.key.remoteJid;
+    const session = sessions.get(groupJid);
+    if (!session || !session.current || session.current.answered) return false;
+
+    const answer = normalizeAnswer(text);
+    if (!answer) return false;
+
+    const sender = message.key.participant || groupJid;
+    const current = session.current;
+
+    // One guess per player on multiple choice, otherwise typing 1-4 always wins
+    if (current.options.length > 0) {
+        const isGuess = /^\d+$/.test(answer) || current.options.some(option => normalizeAnswer(option) === answer);
+        if (!isGuess) return false;
+        if (current.guessed.has(sender)) return false;
+        current.guessed.add(sender);
+    }
+
+    if (!current.answers.includes(answer)) return false;
+
+    clearTimeout(session.timer);
+    current.answered = true;
+    session.idleRounds = 0;
+
+    const player = getPlayer(session, sender);
+    Object.entries(session.scores).forEach(([jid, score]) => {
+        if (jid !== sender) score.streak = 0;
+    });
+
+    player.streak++;
+    player.bestStreak = Math.max(player.bestStreak, player.streak);
+    player.correct++;
+
+    const bonus = Math.min((player.streak - 1) * STREAK_BONUS, MAX_STREAK_BONUS);
+    player.points += BASE_POINTS + bonus;
+
+    const seconds = ((Date.now() - current.startedAt) / 1000).toFixed(1);
+    let reply = `✅ @${sender.split('@')[0]} got it in ${seconds}s! The answer was *${current.display}*\n+${BASE_POINTS + bonus} points`;
+    if (bonus > 0) reply += ` (🔥 ${player.streak} in a row, +${bonus} bonus)`;
+
+    await safeSendMessage(sock, groupJid, { text: reply, mentions: [sender] });
+
+    session.timer = setTimeout(() => {
+        askQuestion(sock, session).catch(err => logger.error('Error asking quiz question:', err));
+    }, NEXT_ROUND_DELAY);
+    return true;
+}
+
+module.exports = {
+    DEFAULT_ROUNDS,
+    MAX_ROUNDS,
+    DEFAULT_ROUND_TIME,
+    MIN_ROUND_TIME,
+    MAX_ROUND_TIME,
+    loadPacks,
+    getPacks,
+    pickQuestions,
+    getSession,
+    startQuiz,
+    skipQuestion,
+    endQuiz,
+    formatScoreboard,
+    handleQuizAnswer
+};
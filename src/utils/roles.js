@@ -0,0 +1,157 @@
+/**
+ * Group Roles
+ * Named per-group roles (moderator, helper, ...) that grant access to bot commands
+ * without making a member a WhatsApp admin
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Permission names with a fixed meaning; anything else in a permission list is a role name
+const BUILTIN_PERMISSIONS = ['user', 'admin', 'owner', 'premium'];
+
+const MAX_ROLES = 20;
+
+// Roles every group starts with
+const DEFAULT_ROLES = {
+    moderator: {
+        description: 'Enforces the rules: warnings, mutes and filters',
+        commands: ['warn', 'removewarn', 'warnings', 'mute', 'unmute', 'mutes', 'kick', 'antilink', 'antispam', 'antitoxic', 'filter', 'captcha']
+    },
+    helper: {
+        description: 'Helps members and keeps an eye on warnings',
+        commands: ['warnings', 'link']
+    },
+    'event-host': {
+        description: 'Runs polls, games and announcements',
+        commands: ['poll', 'endpoll', 'quiz', 'trivia', 'wordchain', 'schedule', 'tagall']
+    }
+};
+
+// Permission lists from src/config/commands/*.json, loaded on first use
+let configuredPermissions = null;
+
+/**
+ * Get the default role settings stored per group
+ * @returns {Object} Role settings ({ definitions, members })
+ */
+function getDefaultRoleSettings() {
+    return {
+        definitions: JSON.parse(JSON.stringify(DEFAULT_ROLES)),
+        members: {}
+    };
+}
+
+/**
+ * Get a group's role settings, filling in defaults
+ * @param {Object} settings Group settings
+ * @returns {Object} Role settings ({ definitions, members })
+ */
+function getRoleSettings(settings) {
+    const stored = settings.roles || {};
+    return {
+        definitions: stored.definitions || getDefaultRoleSettings().definitions,
+        members: stored.members || {}
+    };
+}
+
+/**
+ * Normalize a role name
+ * @param {string} name Raw role name
+ * @returns {string|null} Role name, or null if invalid
+ */
+function normalizeRoleName(name) {
+    const role = String(name || '').trim().toLowerCase();
+    if (!/^[a-z][a-z0-9-]{1,23}$/.test(role) || BUILTIN_PERMISSIONS.includes(role)) {
+        return null;
+    }
+    return role;
+}
+
+/**
+ * Reduce a JID to its phone number so device suffixes don't matter
+ * @param {string} jid User JID
+ * @returns {string} Phone number part
+ */
+function userKey(jid) {
+    return String(jid || '').split('@')[0].split(':')[0];
+}
+
+/**
+ * Get the roles assigned to a member
+ * @param {Object} settings Group settings
+ * @param {string} userId User JID
+ * @returns {Array<string>} Role names
+ */
+function getMemberRoles(settings, userId) {
+    const { definitions, members } = getRoleSettings(settings);
+    const key = userKey(userId);
+
+    const roles = new Set();
+    for (const [jid, assigned] of Object.entries(members)) {
+        if (userKey(jid) === key) {
+            assigned.filter(role => definitions[role]).forEach(role => roles.add(role));
+        }
+    }
+    return [...roles];
+}
+
+/**
+ * Get the permission list configured for a command in src/config/commands/*.json
+ * @param {string} command Command name
+ * @returns {Array<string>} Permission names (empty if the command has no config)
+ */
+function getConfiguredPermissions(command) {
+    if (!configuredPermissions) {
+        configuredPermissions = new Map();
+        const configDir = path.join(__dirname, '../config/commands');
+        try {
+            for (const file of fs.readdirSync(configDir).filter(f => f.endsWith('.json'))) {
+                const data = JSON.parse(fs.readFileSync(path.join(configDir, file), 'utf8'));
+                for (const entry of data.commands || []) {
+                    if (entry.name && Array.isArray(entry.permissions)) {
+                        configuredPermissions.set(entry.name.toLowerCase(), entry.permissions.map(p => String(p).toLowerCase()));
+                    }
+                }
+            }
+        } catch (err) {
+            logger.error('Failed to load command permission lists:', err);
+        }
+    }
+    return configuredPermissions.get(String(command).toLowerCase()) || [];
+}
+
+/**
+ * Find the role that lets a member use a command, either because the role
+ * lists the command or because the command's permission list names the role
+ * @param {Object} settings Group settings
+ * @param {string} userId User JID
+ * @param {string} command Command name
+ * @returns {string|null} Granting role name, or null
+ */
+function findGrantingRole(settings, userId, command) {
+    const { definitions } = getRoleSettings(settings);
+    const name = String(command).toLowerCase();
+    const permissions = getConfiguredPermissions(name);
+
+    for (const role of getMemberRoles(settings, userId)) {
+        const commands = definitions[role].commands || [];
+        if (commands.includes(name) || permissions.includes(role)) {
+            return role;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    BUILTIN_PERMISSIONS,
+    MAX_ROLES,
+    getDefaultRoleSettings,
+    getRoleSettings,
+    normalizeRoleName,
+    userKey,
+    getMemberRoles,
+    getConfiguredPermissions,
+    findGrantingRole
+};
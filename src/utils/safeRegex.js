@@ -0,0 +1,323 @@
+/**
+ * Safe Regular Expressions
+ * Patterns written by group admins run against every message on the single
+ * event loop, so a pattern that backtracks catastrophically freezes the bot.
+ * Patterns are checked when they are stored: backreferences, repeated groups
+ * that contain quantifiers or alternatives, and variable-length parts that can
+ * match the same characters one after the other are refused. Text tested
+ * against a pattern is also capped, which keeps what backtracking remains small.
+ */
+
+// Characters of a message tested against a custom pattern
+const MAX_PATTERN_INPUT = 1000;
+
+// Ranges larger than this are assumed to overlap any character class
+const MAX_RANGE_SCAN = 512;
+
+const CLASS_TESTS = {
+    w: /\w/u,
+    d: /\d/u,
+    s: /\s/u,
+    L: /\p{L}/u
+};
+
+// Class pairs that share characters
+const OVERLAPPING_CLASSES = new Set(['w:d', 'd:w', 'w:L', 'L:w']);
+
+const ANY = { any: true, members: [] };
+const NOTHING = { any: false, members: [] };
+
+/**
+ * Get the set of a single character, in both cases since patterns are case-insensitive
+ * @param {string} char Character
+ * @returns {Object} Character set
+ */
+function charSet(char) {
+    const codes = new Set([char, char.toLowerCase(), char.toUpperCase()].map(c => c.codePointAt(0)));
+    return { any: false, members: [...codes].map(code => ({ range: [code, code] })) };
+}
+
+/**
+ * Get the set of a character range, adding the other case for letter ranges
+ * @param {number} low First code point
+ * @param {number} high Last code point
+ * @returns {Array<Object>} Set members
+ */
+function rangeMembers(low, high) {
+    const members = [{ range: [low, high] }];
+    const A = 65, Z = 90, a = 97, z = 122;
+    if (low >= A && high <= Z) members.push({ range: [low + 32, high + 32] });
+    if (low >= a && high <= z) members.push({ range: [low - 32, high - 32] });
+    return members;
+}
+
+/**
+ * Merge character sets
+ * @param {Array<Object>} sets Character sets
+ * @returns {Object} Union
+ */
+function union(sets) {
+    if (sets.some(set => set.any)) return ANY;
+    return { any: false, members: sets.flatMap(set => set.members) };
+}
+
+/**
+ * Check whether two set members share a character
+ * @param {Object} a Member
+ * @param {Object} b Member
+ * @returns {boolean} Whether they overlap
+ */
+function membersOverlap(a, b) {
+    if (a.range && b.range) return a.range[0] <= b.range[1] && b.range[0] <= a.range[1];
+    if (a.cls && b.cls) return a.cls === b.cls || OVERLAPPING_CLASSES.has(`${a.cls}:${b.cls}`);
+
+    const { range } = a.range ? a : b;
+    const test = CLASS_TESTS[(a.cls || b.cls)];
+    if (range[1] - range[0] > MAX_RANGE_SCAN) return true;
+    for (let code = range[0]; code <= range[1]; code++) {
+        if (test.test(String.fromCodePoint(code))) return true;
+    }
+    return false;
+}
+
+/**
+ * Check whether two character sets share a character
+ * @param {Object} a Character set
+ * @param {Object} b Character set
+ * @returns {boolean} Whether they overlap
+ */
+function setsOverlap(a, b) {
+    if ((a.any && (b.any || b.members.length > 0)) || (b.any && a.members.length > 0)) return true;
+    return a.members.some(memberA => b.members.some(memberB => membersOverlap(memberA, memberB)));
+}
+
+/**
+ * Parse a pattern into a tree of atoms with the characters they can match.
+ * The pattern must already compile with the 'u' flag.
+ * @param {string} source Pattern source
+ * @returns {{branches: Array<Array<Object>>, backreference: boolean}} Alternatives of the pattern
+ */
+function parsePattern(source) {
+    let pos = 0;
+    let backreference = false;
+
+    // Read an escape after a backslash; returns a set, or null for zero-width escapes
+    const readEscape = (inClass) => {
+        const char = source[pos++];
+        if (!inClass && (char === 'b' || char === 'B')) return null;
+        if (/[1-9]/.test(char) || (char === 'k' && source[pos] === '<')) {
+            backreference = true;
+            while (/\d/.test(source[pos] || '')) pos++;
+            if (char === 'k') pos = source.indexOf('>', pos) + 1;
+            return ANY;
+        }
+        if ('dws'.includes(char)) return { any: false, members: [{ cls: char }] };
+        if ('DWS'.includes(char)) return ANY;
+        if (char === 'p' || char === 'P') {
+            const end = source.indexOf('}', pos);
+            const name = source.slice(pos + 1, end);
+            pos = end + 1;
+            return char === 'p' && (name === 'L' || name === 'Letter') ? { any: false, members: [{ cls: 'L' }] } : ANY;
+        }
+        if (char === 'u' && source[pos] === '{') {
+            const end = source.indexOf('}', pos);
+            const code = parseInt(source.slice(pos + 1, end), 16);
+            pos = end + 1;
+            return charSet(String.fromCodePoint(code));
+        }
+        if (char === 'u' || char === 'x') {
+            const length = char === 'u' ? 4 : 2;
+            const code = parseInt(source.slice(pos, pos + length), 16);
+            pos += length;
+            return charSet(String.fromCodePoint(code));
+        }
+        if (char === 'c') return charSet(String.fromCharCode(source.charCodeAt(pos++) % 32));
+        const controls = { n: '\n', t: '\t', r: '\r', f: '\f', v: '\v', 0: '\0' };
+        return charSet(controls[char] || char);
+    };
+
+    const readClass = () => {
+        const negated = source[pos] === '^';
+        if (negated) pos++;
+
+        const members = [];
+        let any = false;
+        while (pos < source.length && source[pos] !== ']') {
+            let low;
+            if (source[pos] === '\\') {
+                pos++;
+                const set = readEscape(true);
+                if (set.any) any = true;
+                if (set.members.length !== 1 || !set.members[0].range || set.members[0].range[0] !== set.members[0].range[1]) {
+                    members.push(...set.members);
+                    continue;
+                }
+                low = set.members[0].range[0];
+            } else {
+                low = source.codePointAt(pos);
+                pos += String.fromCodePoint(low).length;
+            }
+
+            if (source[pos] === '-' && source[pos + 1] && source[pos + 1] !== ']') {
+                pos++;
+                let high;
+                if (source[pos] === '\\') {
+                    pos++;
+                    const set = readEscape(true);
+                    high = set.members[0] && set.members[0].range ? set.members[0].range[1] : low;
+                } else {
+                    high = source.codePointAt(pos);
+                    pos += String.fromCodePoint(high).length;
+                }
+                members.push(...rangeMembers(low, high));
+            } else {
+                members.push(...charSet(String.fromCodePoint(low)).members);
+            }
+        }
+        pos++;
+        return negated || any ? ANY : { any: false, members };
+    };
+
+    const readQuantifier = (atom) => {
+        const char = source[pos];
+        let bounds = null;
+        if (char === '*') bounds = [0, Infinity];
+        else if (char === '+') bounds = [1, Infinity];
+        else if (char === '?') bounds = [0, 1];
+        else if (char === '{') {
+            const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(pos));
+            if (match) {
+                const min = parseInt(match[1]);
+                const max = match[2] ? (match[3] ? parseInt(match[3]) : Infinity) : min;
+                bounds = [min, max];
+                pos += match[0].length - 1;
+            }
+        }
+        if (!bounds) return;
+
+        pos++;
+        if (source[pos] === '?') pos++;
+        [atom.min, atom.max] = bounds;
+    };
+
+    const readAtom = () => {
+        const char = source[pos];
+        const start = pos;
+        pos += String.fromCodePoint(source.codePointAt(pos)).length;
+
+        if (char === '(') {
+            let zeroWidth = false;
+            const prefix = /^\?(?::|=|!|<=|<!|<[^>=!]+>)/.exec(source.slice(pos));
+            if (prefix) {
+                zeroWidth = /^\?(=|!|<=|<!)$/.test(prefix[0]);
+                pos += prefix[0].length;
+            }
+            const branches = readAlternatives();
+            pos++;
+            const set = union(branches.flat().filter(atom => !atom.zeroWidth).map(atom => atom.set));
+            return { set: zeroWidth ? NOTHING : set, branches, zeroWidth, min: 1, max: 1 };
+        }
+        if (char === '[') return { set: readClass(), min: 1, max: 1 };
+        if (char === '.') return { set: ANY, min: 1, max: 1 };
+        if (char === '^' || char === '$') return { set: NOTHING, zeroWidth: true, min: 1, max: 1 };
+        if (char === '\\') {
+            const set = readEscape(false);
+            return set ? { set, min: 1, max: 1 } : { set: NOTHING, zeroWidth: true, min: 1, max: 1 };
+        }
+        return { set: charSet(source.slice(start, pos)), min: 1, max: 1 };
+    };
+
+    const readAlternatives = () => {
+        const branches = [[]];
+        while (pos < source.length && source[pos] !== ')') {
+            if (source[pos] === '|') {
+                branches.push([]);
+                pos++;
+                continue;
+            }
+            const atom = readAtom();
+            readQuantifier(atom);
+            branches[branches.length - 1].push(atom);
+        }
+        return branches;
+    };
+
+    const branches = readAlternatives();
+    return { branches, backreference };
+}
+
+/**
+ * Check whether an atom matches a variable number of characters
+ * @param {Object} atom Atom
+ * @returns {boolean} Whether its length varies
+ */
+function isVariable(atom) {
+    if (atom.zeroWidth) return false;
+    if (atom.max > atom.min) return true;
+    return !!atom.branches && atom.branches.some(branch => branch.some(isVariable));
+}
+
+/**
+ * Find the first construct in a list of alternatives that can backtrack catastrophically
+ * @param {Array<Array<Object>>} branches Alternatives
+ * @returns {string|null} Problem description, or null if they are safe
+ */
+function findBacktracking(branches) {
+    for (const branch of branches) {
+        for (let i = 0; i < branch.length; i++) {
+            const atom = branch[i];
+
+            if (atom.branches) {
+                if (atom.max > 1 && atom.branches.some(inner => inner.some(isVariable))) {
+                    return 'Quantifiers inside a repeated group are not allowed';
+                }
+                if (atom.max > 1 && atom.branches.length > 1) {
+                    return 'Alternatives inside a repeated group are not allowed';
+                }
+                const inner = findBacktracking(atom.branches);
+                if (inner) return inner;
+            }
+
+            // A variable-length part followed by another that can take over the same characters
+            if (!isVariable(atom)) continue;
+            let reachable = atom.set;
+            for (const next of branch.slice(i + 1)) {
+                if (next.zeroWidth) continue;
+                if (isVariable(next) && setsOverlap(reachable, next.set)) {
+                    return 'Quantified parts that can match the same characters must be separated';
+                }
+                if (next.min === 0) continue;
+                if (!setsOverlap(reachable, next.set)) break;
+                reachable = next.set.any ? reachable : next.set;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether a pattern is safe to run against messages
+ * @param {string} source Pattern source, already known to compile with the 'iu' flags
+ * @returns {string|null} Problem description, or null if the pattern is safe
+ */
+function findUnsafeConstruct(source) {
+    const { branches, backreference } = parsePattern(source);
+    if (backreference) return 'Backreferences are not allowed';
+    return findBacktracking(branches);
+}
+
+/**
+ * Test text against a checked pattern, looking only at the start of long messages
+ * @param {RegExp} regex Compiled pattern
+ * @param {string} text Text
+ * @returns {boolean} Whether it matches
+ */
+function testPattern(regex, text) {
+    return regex.test(String(text || '').slice(0, MAX_PATTERN_INPUT));
+}
+
+module.exports = {
+    MAX_PATTERN_INPUT,
+    findUnsafeConstruct,
+    testPattern
+};
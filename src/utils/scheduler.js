@@ -0,0 +1,500 @@
+/**
+ * Job Scheduler
+ * Persistent one-shot and recurring jobs that survive restarts and reconnects
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const cron = require('node-cron');
+const logger = require('./logger');
+
+// Jobs are stored in a single JSON file under data/
+const JOBS_FILE = path.join(process.cwd(), 'data', 'scheduled_jobs.json');
+
+// setTimeout cannot handle delays above ~24.8 days, longer delays are re-armed
+const MAX_TIMEOUT_MS = 2147483647;
+
+// How long to wait before retrying a job that fired while disconnected
+const RETRY_DELAY_MS = 30 * 1000;
+
+// Day names accepted by parseRecurrence, mapped to cron day-of-week values
+const WEEKDAYS = {
+    sunday: '0', sun: '0',
+    monday: '1', mon: '1',
+    tuesday: '2', tue: '2',
+    wednesday: '3', wed: '3',
+    thursday: '4', thu: '4',
+    friday: '5', fri: '5',
+    saturday: '6', sat: '6',
+    day: '*', daily: '*',
+    weekday: '1-5', weekdays: '1-5',
+    weekend: '0,6', weekends: '0,6'
+};
+
+/**
+ * Parse a recurring schedule from command arguments
+ * Supported forms:
+ *   every monday 9:00 | every day 8:30 | every weekday 9:00
+ *   every 30m | every 2h (minutes must divide an hour and hours a day)
+ *   cron 0 9 * * 1
+ * @param {Array<string>} args Command arguments starting with "every" or "cron"
+ * @returns {{cron: string, description: string, consumed: number}|null} Parsed schedule or null if invalid
+ */
+function parseRecurrence(args) {
+    if (!Array.isArray(args) || args.length < 2) return null;
+
+    const keyword = args[0].toLowerCase();
+
+    if (keyword === 'cron') {
+        const fields = args.slice(1, 6);
+        if (fields.length < 5) return null;
+
+        const expression = fields.join(' ');
+        if (!cron.validate(expression)) return null;
+
+        return { cron: expression, description: `cron ${expression}`, consumed: 6 };
+    }
+
+    if (keyword !== 'every') return null;
+
+    const unit = args[1].toLowerCase();
+
+    // Interval form: every 30m / every 2h
+    // Cron steps restart at every hour (or day), so "*/45" would also fire at :00;
+    // only intervals that divide an hour (or a day) are evenly spaced
+    const interval = unit.match(/^(\d+)([mh])$/);
+    if (interval) {
+        const amount = parseInt(interval[1], 10);
+        if (interval[2] === 'm') {
+            if (amount < 5 || amount > 59 || 60 % amount !== 0) return null;
+            return { cron: `*/${amount} * * * *`, description: `every ${amount} minutes`, consumed: 2 };
+        }
+        if (amount < 1 || amount > 23 || 24 % amount !== 0) return null;
+        return { cron: `0 */${amount} * * *`, description: `every ${amount} hours`, consumed: 2 };
+    }
+
+    // Day + time form: every monday 9:00
+    const dayOfWeek = WEEKDAYS[unit];
+    if (dayOfWeek === undefined || !args[2]) return null;
+
+    const time = args[2].match(/^(\d{1,2})(?::(\d{2}))?$/);
+    if (!time) return null;
+
+    const hour = parseInt(time[1], 10);
+    const minute = time[2] ? parseInt(time[2], 10) : 0;
+    if (hour > 23 || minute > 59) return null;
+
+    const paddedTime = `${hour}:${String(minute).padStart(2, '0')}`;
+    return {
+        cron: `${minute} ${hour} * * ${dayOfWeek}`,
+        description: `every ${unit} ${paddedTime}`,
+        consumed: 3
+    };
+}
+
+/**
+ * Scheduler for persistent jobs
+ */
+class JobScheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.handlers = new Map();
+        this.timers = new Map();
+        this.cronTasks = new Map();
+        this.nextId = 1;
+        this.connection = null;
+        this.started = false;
+        this.saveQueue = Promise.resolve();
+    }
+
+    /**
+     * Register a handler for a job type
+     * @param {string} type Job type (e.g. 'reminder')
+     * @param {Function} handler Async function (sock, job, context) called when the job fires
+     */
+    registerHandler(type, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for job type "${type}" must be a function`);
+        }
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Load persisted jobs and start firing them
+     * @param {Object} connection Connection manager exposing sock, isConnected and onConnectionUpdate
+     * @returns {Promise<number>} Number of jobs armed
+     */
+    async start(connection) {
+        this.connection = connection;
+
+        if (this.started) {
+            return this.jobs.size;
+        }
+
+        await this.load();
+
+        // Jobs that came due while disconnected are retried as soon as the connection reopens
+        if (connection && typeof connection.onConnectionUpdate === 'function') {
+            connection.onConnectionUpdate((update) => {
+                if (update.connection === 'open') {
+                    this.flushDeferred();
+                }
+            });
+        }
+
+        for (const job of this.jobs.values()) {
+            this.arm(job);
+        }
+
+        this.started = true;
+        logger.info(`Job scheduler started with ${this.jobs.size} persisted jobs`);
+        return this.jobs.size;
+    }
+
+    /**
+     * Stop all timers and cron tasks without touching persisted jobs
+     */
+    stop() {
+        for (const job of this.jobs.values()) {
+            this.disarm(job.id);
+        }
+        this.started = false;
+        logger.info('Job scheduler stopped');
+    }
+
+    /**
+     * Schedule a new job
+     * @param {Object} data Job data
+     * @param {string} data.type Registered job type
+     * @param {string} data.chatJid Chat the job belongs to
+     * @param {string} [data.userJid] User that created the job
+     * @param {number} [data.runAt] Timestamp for one-shot jobs
+     * @param {string} [data.cron] Cron expression for recurring jobs
+     * @param {string} [data.timezone] IANA timezone for cron jobs
+     * @param {string} [data.description] Human readable schedule
+     * @param {Object} [data.payload] Type specific data
+     * @returns {Promise<Object>} The stored job
+     */
+    async addJob(data) {
+        if (!data || !data.type || !data.chatJid) {
+            throw new Error('Job requires a type and chatJid');
+        }
+        if (!data.runAt && !data.cron) {
+            throw new Error('Job requires either runAt or cron');
+        }
+        if (data.cron && !cron.validate(data.cron)) {
+            throw new Error(`Invalid cron expression: ${data.cron}`);
+        }
+
+        const job = {
+            id: this.nextId++,
+            type: data.type,
+            chatJid: data.chatJid,
+            userJid: data.userJid || null,
+            runAt: data.cron ? null : data.runAt,
+            cron: data.cron || null,
+            timezone: data.timezone || null,
+            description: data.description || '',
+            payload: data.payload || {},
+            paused: false,
+            createdAt: Date.now(),
+            lastRunAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        await this.save();
+
+        if (this.started) {
+            this.arm(job);
+        }
+
+        logger.info(`Scheduled ${job.type} job #${job.id} for ${job.chatJid} (${job.cron || new Date(job.runAt).toISOString()})`);
+        return job;
+    }
+
+    /**
+     * Cancel and delete a job
+     * @param {number|string} id Job ID
+     * @returns {Promise<boolean>} Whether a job was removed
+     */
+    async cancelJob(id) {
+        const jobId = parseInt(id, 10);
+        if (!this.jobs.has(jobId)) return false;
+
+        this.disarm(jobId);
+        this.jobs.delete(jobId);
+        await this.save();
+
+        logger.info(`Cancelled job #${jobId}`);
+        return true;
+    }
+
+    /**
+     * Pause a job without deleting it
+     * @param {number|string} id Job ID
+     * @returns {Promise<boolean>} Whether the job was paused
+     */
+    async pauseJob(id) {
+        const job = this.getJob(id);
+        if (!job) return false;
+
+        job.paused = true;
+        this.disarm(job.id);
+        await this.save();
+
+        logger.info(`Paused job #${job.id}`);
+        return true;
+    }
+
+    /**
+     * Resume a paused job
+     * @param {number|string} id Job ID
+     * @returns {Promise<boolean>} Whether the job was resumed
+     */
+    async resumeJob(id) {
+        const job = this.getJob(id);
+        if (!job) return false;
+
+        job.paused = false;
+        await this.save();
+
+        if (this.started) {
+            this.arm(job);
+        }
+
+        logger.info(`Resumed job #${job.id}`);
+        return true;
+    }
+
+    /**
+     * Update the schedule or payload of a job and re-arm it
+     * @param {number|string} id Job ID
+     * @param {Object} changes Fields to update (runAt, cron, timezone, description, payload)
+     * @returns {Promise<Object|null>} Updated job or null if not found
+     */
+    async updateJob(id, changes = {}) {
+        const job = this.getJob(id);
+        if (!job) return null;
+
+        if (changes.cron && !cron.validate(changes.cron)) {
+            throw new Error(`Invalid cron expression: ${changes.cron}`);
+        }
+
+        for (const key of ['runAt', 'cron', 'timezone', 'description', 'payload']) {
+            if (changes[key] !== undefined) {
+                job[key] = changes[key];
+            }
+        }
+
+        await this.save();
+
+        if (this.started) {
+            this.arm(job);
+        }
+
+        return job;
+    }
+
+    /**
+     * Get a job by ID
+     * @param {number|string} id Job ID
+     * @returns {Object|null} Job or null if not found
+     */
+    getJob(id) {
+        return this.jobs.get(parseInt(id, 10)) || null;
+    }
+
+    /**
+     * List jobs matching a filter
+     * @param {Object} filter Properties to match (type, chatJid, userJid)
+     * @returns {Array<Object>} Matching jobs ordered by ID
+     */
+    listJobs(filter = {}) {
+        return [...this.jobs.values()]
+            .filter(job => Object.entries(filter).every(([key, value]) => job[key] === value))
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Arm a timer or cron task for a job
+     * @param {Object} job Job to arm
+     * @private
+     */
+    arm(job) {
+        this.disarm(job.id);
+        if (job.paused) return;
+
+        if (job.cron) {
+            const options = job.timezone ? { timezone: job.timezone } : {};
+            try {
+                const task = cron.schedule(job.cron, () => this.fire(job.id), options);
+                this.cronTasks.set(job.id, task);
+            } catch (error) {
+                logger.error(`Failed to schedule cron job #${job.id} (${job.cron}):`, error);
+            }
+            return;
+        }
+
+        const delay = Math.max(0, job.runAt - Date.now());
+        const timer = setTimeout(() => {
+            this.timers.delete(job.id);
+            if (delay > MAX_TIMEOUT_MS) {
+                this.arm(job);
+            } else {
+                this.fire(job.id);
+            }
+        }, Math.min(delay, MAX_TIMEOUT_MS));
+
+        this.timers.set(job.id, timer);
+    }
+
+    /**
+     * Remove any timer or cron task for a job
+     * @param {number} id Job ID
+     * @private
+     */
+    disarm(id) {
+        if (this.timers.has(id)) {
+            clearTimeout(this.timers.get(id));
+            this.timers.delete(id);
+        }
+        if (this.cronTasks.has(id)) {
+            this.cronTasks.get(id).stop();
+            this.cronTasks.delete(id);
+        }
+    }
+
+    /**
+     * Get the current socket if the connection is usable
+     * @returns {Object|null} WhatsApp socket
+     * @private
+     */
+    getSocket() {
+        if (!this.connection || !this.connection.sock) return null;
+        if (this.connection.isConnected === false) return null;
+        return this.connection.sock;
+    }
+
+    /**
+     * Run a job's handler
+     * @param {number} id Job ID
+     * @returns {Promise<void>}
+     * @private
+     */
+    async fire(id) {
+        const job = this.jobs.get(id);
+        if (!job || job.paused) return;
+
+        const handler = this.handlers.get(job.type);
+        if (!handler) {
+            logger.warn(`No handler registered for job type "${job.type}" (job #${job.id})`);
+            return;
+        }
+
+        const sock = this.getSocket();
+        if (!sock) {
+            // Keep one-shot jobs around and retry once we are back online
+            if (!job.cron) {
+                logger.warn(`Job #${job.id} is due but the bot is disconnected, deferring`);
+                this.timers.set(job.id, setTimeout(() => {
+                    this.timers.delete(job.id);
+                    this.fire(job.id);
+                }, RETRY_DELAY_MS));
+            } else {
+                logger.warn(`Skipping run of recurring job #${job.id}: bot is disconnected`);
+            }
+            return;
+        }
+
+        const late = !job.cron && Date.now() - job.runAt > 60 * 1000;
+
+        try {
+            await handler(sock, job, { late });
+            logger.info(`Job #${job.id} (${job.type}) fired successfully`);
+        } catch (error) {
+            logger.error(`Error running job #${job.id} (${job.type}):`, error);
+        }
+
+        job.lastRunAt = Date.now();
+
+        if (!job.cron) {
+            this.jobs.delete(job.id);
+        }
+
+        await this.save();
+    }
+
+    /**
+     * Fire any overdue one-shot jobs right away
+     * @private
+     */
+    flushDeferred() {
+        const now = Date.now();
+        for (const job of this.jobs.values()) {
+            if (!job.cron && !job.paused && job.runAt <= now) {
+                this.disarm(job.id);
+                this.fire(job.id);
+            }
+        }
+    }
+
+    /**
+     * Load jobs from disk
+     * @returns {Promise<void>}
+     * @private
+     */
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(JOBS_FILE, 'utf8'));
+            const jobs = Array.isArray(data.jobs) ? data.jobs : [];
+
+            this.jobs.clear();
+            for (const job of jobs) {
+                if (!job || !job.id || !job.type || (!job.runAt && !job.cron)) {
+                    logger.warn('Skipping invalid scheduled job:', JSON.stringify(job));
+                    continue;
+                }
+                this.jobs.set(job.id, job);
+            }
+
+            const highestId = Math.max(0, ...this.jobs.keys());
+            this.nextId = Math.max(data.nextId || 1, highestId + 1);
+
+            logger.info(`Loaded ${this.jobs.size} scheduled jobs from ${JOBS_FILE}`);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                logger.info('No scheduled jobs file found, starting with an empty schedule');
+                return;
+            }
+            logger.error('Failed to load scheduled jobs:', error);
+        }
+    }
+
+    /**
+     * Persist jobs to disk, serializing concurrent writes
+     * @returns {Promise<void>}
+     */
+    save() {
+        this.saveQueue = this.saveQueue.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(JOBS_FILE), { recursive: true });
+                await fs.writeFile(JOBS_FILE, JSON.stringify({
+                    nextId: this.nextId,
+                    jobs: [...this.jobs.values()]
+                }, null, 2), 'utf8');
+            } catch (error) {
+                logger.error('Failed to save scheduled jobs:', error);
+            }
+        });
+        return this.saveQueue;
+    }
+}
+
+// Create singleton instance
+const jobScheduler = new JobScheduler();
+
+module.exports = {
+    JobScheduler,
+    jobScheduler,
+    parseRecurrence
+};
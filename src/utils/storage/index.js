@@ -0,0 +1,103 @@
+/**
+ * User Data Storage
+ * Selects and opens the storage driver used by userDatabase
+ *
+ * Every driver implements the same interface:
+ *   init()            prepare files / open connections
+ *   loadAll()         resolve to the stored snapshot, or null when nothing is stored yet
+ *   saveAll(data)     persist a snapshot { collection: {key: value} | [items], _meta }
+ *   isEmpty()         resolve to true when nothing is stored yet
+ *   close()           release resources
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logger');
+const JsonStorageDriver = require('./jsonDriver');
+const SqliteStorageDriver = require('./sqliteDriver');
+const { migrateJsonToSqlite } = require('./migrate');
+
+const DRIVERS = {
+    json: JsonStorageDriver,
+    sqlite: SqliteStorageDriver
+};
+
+/**
+ * Create (but do not open) a storage driver
+ * @param {string} name Driver name ('json' or 'sqlite')
+ * @param {Object} [options] Storage options from config.storage
+ * @returns {Object} Storage driver instance
+ */
+function createStorageDriver(name, options = {}) {
+    const Driver = DRIVERS[(name || 'json').toLowerCase()];
+    if (!Driver) {
+        throw new Error(`Unknown storage driver "${name}", expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    if (Driver === SqliteStorageDriver) {
+        return new Driver({ dbPath: options.sqlitePath ? path.resolve(process.cwd(), options.sqlitePath) : undefined });
+    }
+    return new Driver({ filename: options.filename });
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} filePath File path
+ * @returns {Promise<boolean>} Whether the file exists
+ */
+async function fileExists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Open the configured storage driver, falling back to JSON if it cannot be opened
+ * A fresh SQLite database is seeded from data/user_data.json on first start
+ * Once user data lives in SQLite (a database or a ".migrated" JSON file exists)
+ * there is no fallback, as an empty JSON store would hide and then overwrite it
+ * @param {Object} [options] Storage options from config.storage
+ * @returns {Promise<Object>} Opened storage driver
+ */
+async function openStorage(options = {}) {
+    let driver = createStorageDriver(options.driver, options);
+
+    try {
+        await driver.init();
+    } catch (error) {
+        if (driver.name === 'json') throw error;
+
+        const json = new JsonStorageDriver({ filename: options.filename });
+        const migratedPath = `${json.getFilePath()}.migrated`;
+        if (await fileExists(driver.dbPath) || await fileExists(migratedPath)) {
+            logger.error(`Failed to open ${driver.name} storage, user data is stored in ${driver.dbPath}: ${error.message}`);
+            throw new Error(`Cannot open ${driver.name} storage holding the user data (${error.message}), ` +
+                `install better-sqlite3 or restore ${migratedPath} to use JSON storage`);
+        }
+
+        logger.error(`Failed to open ${driver.name} storage, falling back to JSON: ${error.message}`);
+        driver = json;
+        await driver.init();
+        return driver;
+    }
+
+    if (driver.name === 'sqlite' && await driver.isEmpty()) {
+        const result = await migrateJsonToSqlite({ driver, filename: options.filename });
+        if (result.success) {
+            logger.info(`Imported existing JSON user data into SQLite: ${result.message}`);
+        }
+    }
+
+    logger.info(`User data storage driver: ${driver.name}`);
+    return driver;
+}
+
+module.exports = {
+    DRIVERS,
+    createStorageDriver,
+    openStorage,
+    migrateJsonToSqlite
+};
@@ -0,0 +1,172 @@
+/**
+ * JSON Storage Driver
+ * Stores all user data collections in a single JSON file under data/
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logger');
+
+class JsonStorageDriver {
+    /**
+     * @param {Object} [options] Driver options
+     * @param {string} [options.dataDir] Directory holding the data file
+     * @param {string} [options.filename] Data file name
+     */
+    constructor(options = {}) {
+        this.name = 'json';
+        this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
+        this.filename = options.filename || 'user_data.json';
+    }
+
+    /**
+     * Get the full path of a data file
+     * @param {string} [filename] File name, defaults to the driver's file
+     * @returns {string} Absolute file path
+     */
+    getFilePath(filename = this.filename) {
+        return path.join(this.dataDir, filename);
+    }
+
+    /**
+     * Prepare the data directory and remove temp files left by interrupted saves
+     * @returns {Promise<void>}
+     */
+    async init() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+        await this.cleanupTempFiles();
+    }
+
+    /**
+     * Delete stale "<file>.temp.<timestamp>" files from earlier saves
+     * @param {string} [filename] Data file name
+     * @returns {Promise<number>} Number of files removed
+     */
+    async cleanupTempFiles(filename = this.filename) {
+        let removed = 0;
+        try {
+            const prefix = `${filename}.temp.`;
+            const files = await fs.readdir(this.dataDir);
+            for (const file of files) {
+                if (!file.startsWith(prefix)) continue;
+                try {
+                    await fs.unlink(path.join(this.dataDir, file));
+                    removed++;
+                } catch (err) {
+                    logger.warn(`Could not remove stale temp file ${file}: ${err.message}`);
+                }
+            }
+            if (removed > 0) {
+                logger.info(`Removed ${removed} stale temp files for ${filename}`);
+            }
+        } catch (err) {
+            logger.warn(`Could not scan ${this.dataDir} for temp files: ${err.message}`);
+        }
+        return removed;
+    }
+
+    /**
+     * Load the full data snapshot
+     * @param {string} [filename] Data file name
+     * @returns {Promise<Object|null>} Stored data or null if there is none yet
+     */
+    async loadAll(filename = this.filename) {
+        const filePath = this.getFilePath(filename);
+
+        let fileContent;
+        try {
+            fileContent = await fs.readFile(filePath, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw new Error(`Failed to read user data file: ${err.message}`);
+        }
+
+        if (!fileContent || fileContent.trim() === '') {
+            throw new Error('Failed to read user data file: Empty file');
+        }
+
+        try {
+            const data = JSON.parse(fileContent);
+            if (!data || typeof data !== 'object') {
+                throw new Error('Invalid data format');
+            }
+            return data;
+        } catch (parseErr) {
+            // Keep a copy of the corrupted file for recovery
+            try {
+                const corruptedPath = `${filePath}.corrupted.${Date.now()}`;
+                await fs.writeFile(corruptedPath, fileContent);
+                logger.info(`Created backup of corrupted user data at ${corruptedPath}`);
+            } catch (backupErr) {
+                logger.error(`Failed to backup corrupted data: ${backupErr.message}`);
+            }
+            throw new Error(`Failed to parse user data: ${parseErr.message}`);
+        }
+    }
+
+    /**
+     * Write the full data snapshot atomically (backup, temp file, validate, rename)
+     * @param {Object} data Data snapshot
+     * @param {string} [filename] Data file name
+     * @returns {Promise<{path: string}>} Written file
+     */
+    async saveAll(data, filename = this.filename) {
+        const filePath = this.getFilePath(filename);
+        const backupPath = `${filePath}.bak`;
+        const tempFilePath = `${filePath}.temp.${Date.now()}`;
+
+        await fs.mkdir(this.dataDir, { recursive: true });
+
+        // Create backup of existing file if it exists
+        try {
+            await fs.copyFile(filePath, backupPath);
+            logger.debug(`Created backup of user data at ${backupPath}`);
+        } catch (backupErr) {
+            logger.debug(`No existing file to backup or backup failed: ${backupErr.message}`);
+        }
+
+        const jsonData = JSON.stringify(data, null, 2);
+        if (!jsonData) {
+            throw new Error('JSON serialization resulted in empty string');
+        }
+
+        try {
+            await fs.writeFile(tempFilePath, jsonData, 'utf8');
+
+            // Make sure what we wrote parses before replacing the real file
+            JSON.parse(await fs.readFile(tempFilePath, 'utf8'));
+
+            await fs.rename(tempFilePath, filePath);
+        } finally {
+            // Never leave temp files behind, whether the save worked or not
+            try {
+                await fs.unlink(tempFilePath);
+            } catch {
+                // Temp file was renamed or never created
+            }
+        }
+
+        return { path: filePath };
+    }
+
+    /**
+     * Check whether any data has been stored
+     * @returns {Promise<boolean>} True when no data file exists
+     */
+    async isEmpty() {
+        try {
+            await fs.access(this.getFilePath());
+            return false;
+        } catch {
+            return true;
+        }
+    }
+
+    /**
+     * Release driver resources
+     * @returns {Promise<void>}
+     */
+    async close() {}
+}
+
+module.exports = JsonStorageDriver;
@@ -0,0 +1,81 @@
+/**
+ * One-shot migration of data/user_data.json into the SQLite storage driver
+ *
+ * Usage: node src/utils/storage/migrate.js [--force]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logger');
+const JsonStorageDriver = require('./jsonDriver');
+const SqliteStorageDriver = require('./sqliteDriver');
+
+/**
+ * Copy the JSON user data file into a SQLite database
+ * The JSON file is renamed to "<file>.migrated" afterwards so it is never imported twice
+ * @param {Object} [options] Migration options
+ * @param {string} [options.dataDir] Directory holding the JSON file
+ * @param {string} [options.filename] JSON file name
+ * @param {string} [options.dbPath] SQLite database path (ignored when a driver is passed)
+ * @param {SqliteStorageDriver} [options.driver] Already opened SQLite driver
+ * @param {boolean} [options.force] Overwrite a database that already holds data
+ * @returns {Promise<{success: boolean, message: string, written?: number}>} Result object
+ */
+async function migrateJsonToSqlite(options = {}) {
+    const json = new JsonStorageDriver({ dataDir: options.dataDir, filename: options.filename });
+    const sqlite = options.driver || new SqliteStorageDriver({ dbPath: options.dbPath });
+    const ownsDriver = !options.driver;
+
+    try {
+        const data = await json.loadAll();
+        if (!data) {
+            return { success: false, message: `No JSON user data found at ${json.getFilePath()}` };
+        }
+
+        if (ownsDriver) {
+            await sqlite.init();
+        }
+
+        if (!(await sqlite.isEmpty())) {
+            if (!options.force) {
+                return { success: false, message: 'SQLite database already contains user data, use --force to overwrite it' };
+            }
+            await sqlite.clear();
+        }
+
+        const result = await sqlite.saveAll(data);
+
+        const migratedPath = `${json.getFilePath()}.migrated`;
+        await fs.rename(json.getFilePath(), migratedPath);
+        await json.cleanupTempFiles();
+
+        logger.info(`Migrated user data into ${result.path} (${result.written} rows), original kept at ${migratedPath}`);
+        return {
+            success: true,
+            message: `Migrated ${result.written} rows into ${result.path}`,
+            written: result.written
+        };
+    } catch (error) {
+        logger.error('Failed to migrate user data to SQLite:', error);
+        return { success: false, message: `Migration failed: ${error.message}` };
+    } finally {
+        if (ownsDriver) {
+            await sqlite.close();
+        }
+    }
+}
+
+module.exports = { migrateJsonToSqlite };
+
+// Allow running the migration directly from the command line
+if (require.main === module) {
+    const config = require('../../config/config');
+
+    migrateJsonToSqlite({
+        dbPath: path.resolve(process.cwd(), config.storage.sqlitePath),
+        force: process.argv.includes('--force')
+    }).then(result => {
+        console.log(result.message);
+        process.exit(result.success ? 0 : 1);
+    });
+}
@@ -0,0 +1,215 @@
+/**
+ * SQLite Storage Driver
+ * Stores each entry of each user data collection as its own row, so a save
+ * only rewrites the users whose data actually changed
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../logger');
+
+class SqliteStorageDriver {
+    /**
+     * @param {Object} [options] Driver options
+     * @param {string} [options.dbPath] Path of the SQLite database file
+     */
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.dbPath = options.dbPath || path.join(process.cwd(), 'data', 'user_data.db');
+        this.db = null;
+        this.statements = null;
+
+        // Last serialized value written per collection/key, used to skip unchanged rows
+        this.rowCache = new Map();
+    }
+
+    /**
+     * Open the database and create the schema
+     * @returns {Promise<void>}
+     */
+    async init() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (err) {
+            throw new Error('The SQLite storage driver requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS collections (
+                name TEXT PRIMARY KEY,
+                kind TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS entries (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (collection, key)
+            );
+            CREATE TABLE IF NOT EXISTS meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `);
+
+        this.statements = {
+            upsertCollection: this.db.prepare(
+                'INSERT INTO collections (name, kind) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET kind = excluded.kind'
+            ),
+            upsertEntry: this.db.prepare(
+                'INSERT INTO entries (collection, key, value, updated_at) VALUES (?, ?, ?, ?) ' +
+                'ON CONFLICT(collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+            ),
+            deleteEntry: this.db.prepare('DELETE FROM entries WHERE collection = ? AND key = ?'),
+            upsertMeta: this.db.prepare(
+                'INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'
+            ),
+            selectCollections: this.db.prepare('SELECT name, kind FROM collections'),
+            selectEntries: this.db.prepare('SELECT collection, key, value FROM entries ORDER BY rowid'),
+            countEntries: this.db.prepare('SELECT COUNT(*) AS count FROM collections')
+        };
+
+        logger.info(`SQLite storage opened at ${this.dbPath}`);
+    }
+
+    /**
+     * Load the full data snapshot
+     * @returns {Promise<Object|null>} Stored data or null if the database is empty
+     */
+    async loadAll() {
+        const collections = this.statements.selectCollections.all();
+        if (collections.length === 0) return null;
+
+        const data = {};
+        const kinds = new Map();
+        this.rowCache.clear();
+
+        for (const { name, kind } of collections) {
+            kinds.set(name, kind);
+            data[name] = kind === 'list' ? [] : {};
+            this.rowCache.set(name, new Map());
+        }
+
+        for (const row of this.statements.selectEntries.iterate()) {
+            if (!kinds.has(row.collection)) continue;
+
+            let value;
+            try {
+                value = JSON.parse(row.value);
+            } catch (err) {
+                logger.warn(`Skipping unreadable ${row.collection} entry ${row.key}: ${err.message}`);
+                continue;
+            }
+
+            if (kinds.get(row.collection) === 'list') {
+                data[row.collection].push(value);
+            } else {
+                data[row.collection][row.key] = value;
+            }
+            this.rowCache.get(row.collection).set(row.key, row.value);
+        }
+
+        return data;
+    }
+
+    /**
+     * Write a data snapshot, touching only rows that changed, in a single transaction
+     * @param {Object} data Data snapshot (objects are keyed collections, arrays are lists)
+     * @returns {Promise<{path: string, written: number, deleted: number}>} Write statistics
+     */
+    async saveAll(data) {
+        const now = Date.now();
+        const pending = new Map();
+        let written = 0;
+        let deleted = 0;
+
+        const writeSnapshot = this.db.transaction(() => {
+            for (const [name, collection] of Object.entries(data)) {
+                if (name.startsWith('_') || !collection || typeof collection !== 'object') continue;
+
+                const kind = Array.isArray(collection) ? 'list' : 'map';
+                this.statements.upsertCollection.run(name, kind);
+
+                const cached = this.rowCache.get(name) || new Map();
+                const rows = new Map();
+
+                const entries = kind === 'list'
+                    ? collection.map(item => [typeof item === 'string' ? item : JSON.stringify(item), item])
+                    : Object.entries(collection);
+
+                for (const [key, value] of entries) {
+                    const serialized = JSON.stringify(value);
+                    if (serialized === undefined) continue;
+
+                    rows.set(key, serialized);
+                    if (cached.get(key) !== serialized) {
+                        this.statements.upsertEntry.run(name, key, serialized, now);
+                        written++;
+                    }
+                }
+
+                for (const key of cached.keys()) {
+                    if (!rows.has(key)) {
+                        this.statements.deleteEntry.run(name, key);
+                        deleted++;
+                    }
+                }
+
+                pending.set(name, rows);
+            }
+
+            if (data._meta) {
+                this.statements.upsertMeta.run('meta', JSON.stringify(data._meta));
+            }
+        });
+
+        writeSnapshot();
+
+        // Only trust the new rows once the transaction has committed
+        for (const [name, rows] of pending) {
+            this.rowCache.set(name, rows);
+        }
+
+        return { path: this.dbPath, written, deleted };
+    }
+
+    /**
+     * Check whether any data has been stored
+     * @returns {Promise<boolean>} True when the database holds no collections
+     */
+    async isEmpty() {
+        return this.statements.countEntries.get().count === 0;
+    }
+
+    /**
+     * Remove all stored data
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.db.transaction(() => {
+            this.db.exec('DELETE FROM entries; DELETE FROM collections; DELETE FROM meta;');
+        })();
+        this.rowCache.clear();
+    }
+
+    /**
+     * Close the database
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements = null;
+        }
+    }
+}
+
+module.exports = SqliteStorageDriver;
@@ -0,0 +1,192 @@
+/**
+ * Toxic Content Filter
+ * Built-in and per-group word lists / regular expressions with leetspeak and diacritic normalization
+ */
+
+const logger = require('./logger');
+const { findUnsafeConstruct, testPattern } = require('./safeRegex');
+
+// Common toxic/inappropriate words used when a group keeps the built-in list enabled
+const DEFAULT_TOXIC_WORDS = [
+    // Profanity/slurs (obscured to avoid encoding directly)
+    'f*ck', 'sh*t', 'b*tch', 'd*ck', 'a**hole', 'c*nt',
+    // Hate speech-related
+    'n*gger', 'f*ggot', 'r*tard',
+    // Threatening language
+    'kill yourself', 'kys', 'kill you', 'suicide',
+    // Sexual harassment
+    'r*pe', 'molest', 'sexual'
+];
+
+// Digits commonly used to disguise letters
+const LEET_DIGITS = {
+    '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g'
+};
+
+// Symbols used the same way; they are also ordinary punctuation, so text is checked both ways
+const LEET_SYMBOLS = {
+    '@': 'a', '$': 's', '!': 'i', '|': 'l', '€': 'e'
+};
+
+// Limits for custom entries
+const MAX_ENTRY_LENGTH = 200;
+const MAX_ENTRIES = 500;
+
+// Compiled custom regular expressions, keyed by source
+const regexCache = new Map();
+
+/**
+ * Get the default filter settings stored per group
+ * @returns {Object} Filter settings
+ */
+function getDefaultFilterSettings() {
+    return {
+        words: [],
+        patterns: [],
+        useDefaults: true,
+        shadow: false
+    };
+}
+
+/**
+ * Normalize text for matching: lowercase, strip diacritics, undo leetspeak,
+ * collapse repeated letters and reduce everything else to single spaces
+ * @param {string} text Text to normalize
+ * @param {boolean} [mapSymbols=true] Whether symbols like @ and $ are read as letters
+ * @returns {string} Normalized text
+ */
+function normalizeText(text, mapSymbols = true) {
+    if (!text) return '';
+
+    return String(text)
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/ß/g, 'ss')
+        .replace(/[0-9]/g, char => LEET_DIGITS[char])
+        .replace(/[@$!|€]/g, char => (mapSymbols ? LEET_SYMBOLS[char] : ' '))
+        .replace(/(\p{L})\1+/gu, '$1')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Compile a custom regular expression, caching the result. Patterns stored
+ * before they were checked for backtracking are checked here too.
+ * @param {string} source Pattern source
+ * @returns {RegExp|null} Compiled expression or null if invalid or unsafe
+ */
+function compilePattern(source) {
+    if (regexCache.has(source)) return regexCache.get(source);
+
+    let regex = null;
+    const problem = validatePattern(source);
+    if (problem) {
+        logger.warn(`Ignoring filter pattern /${source}/: ${problem}`);
+    } else {
+        regex = new RegExp(source, 'iu');
+    }
+
+    regexCache.set(source, regex);
+    return regex;
+}
+
+/**
+ * Validate a regular expression before storing it; patterns that can
+ * backtrack catastrophically are refused
+ * @param {string} source Pattern source
+ * @returns {string|null} Error message, or null if the pattern is usable
+ */
+function validatePattern(source) {
+    if (!source) return 'Pattern is empty';
+    if (source.length > MAX_ENTRY_LENGTH) return `Pattern is longer than ${MAX_ENTRY_LENGTH} characters`;
+    try {
+        new RegExp(source, 'iu');
+    } catch (err) {
+        return err.message;
+    }
+    return findUnsafeConstruct(source);
+}
+
+/**
+ * Check text against the built-in word list
+ * @param {string} text Normalized text
+ * @returns {string|null} Matched word or null
+ */
+function matchDefaultWords(text) {
+    for (const word of DEFAULT_TOXIC_WORDS) {
+        // Asterisks in the list stand for any letters
+        const pattern = word.split('*').map(normalizeText).join('\\w*');
+        const regex = new RegExp(`\\b${pattern}\\b|\\b${pattern}s\\b|\\b${pattern}ing\\b`, 'i');
+        if (regex.test(text)) return word;
+    }
+    return null;
+}
+
+/**
+ * Find the first filter entry matched by a message
+ * @param {string} text Message text
+ * @param {Object} [filter] Group filter settings
+ * @returns {{type: string, term: string}|null} Match description or null
+ */
+function findToxicMatch(text, filter) {
+    if (!text) return null;
+
+    try {
+        const settings = { ...getDefaultFilterSettings(), ...(filter || {}) };
+        const variants = [...new Set([normalizeText(text), normalizeText(text, false)])];
+
+        for (const word of settings.words) {
+            const normalizedWord = normalizeText(word);
+            if (normalizedWord && variants.some(variant => ` ${variant} `.includes(` ${normalizedWord} `))) {
+                return { type: 'word', term: word };
+            }
+        }
+
+        for (const source of settings.patterns) {
+            const regex = compilePattern(source);
+            if (regex && [text, ...variants].some(variant => testPattern(regex, variant))) {
+                return { type: 'regex', term: source };
+            }
+        }
+
+        if (settings.useDefaults) {
+            for (const variant of variants) {
+                const word = matchDefaultWords(variant);
+                if (word) return { type: 'default', term: word };
+            }
+        }
+
+        return null;
+    } catch (err) {
+        logger.error('Error in toxicity check:', err);
+        return null;
+    }
+}
+
+/**
+ * Parse a filter entry; "/pattern/" marks a regular expression, anything else is a word or phrase
+ * @param {string} entry Raw entry
+ * @returns {{type: string, value: string}|null} Parsed entry or null if empty
+ */
+function parseFilterEntry(entry) {
+    const trimmed = (entry || '').trim();
+    if (!trimmed) return null;
+
+    const regex = trimmed.match(/^\/(.+)\/[a-z]*$/s);
+    if (regex) {
+        return { type: 'regex', value: regex[1] };
+    }
+    return { type: 'word', value: trimmed.toLowerCase() };
+}
+
+module.exports = {
+    DEFAULT_TOXIC_WORDS,
+    MAX_ENTRY_LENGTH,
+    MAX_ENTRIES,
+    getDefaultFilterSettings,
+    normalizeText,
+    validatePattern,
+    findToxicMatch,
+    parseFilterEntry
+};
@@ -3,8 +3,9 @@
  * A centralized place to store and access user data
  */
 const logger = require('./logger');
-const fs = require('fs').promises;
-const path = require('path');
+const config = require('../config/config');
+const { openStorage } = require('./storage');
+const { flushStores } = require('./debouncedStore');
 
 // Simulated database for user profiles (should be replaced with actual database)
 const userProfiles = new Map();
@@ -20,6 +21,109 @@ const streakData = new Map();
 const checkinData = new Map();
 const lotteryParticipants = new Set();
 
+// Economy side-systems (clans, mail, proposals) and in-progress fun.js games
+const clanData = new Map();
+const mailboxes = new Map();
+const marriageProposals = new Map();
+const activeGames = {
+    tictactoe: new Map(),
+    hangman: new Map(),
+    wordle: new Map(),
+    quiz: new Map(),
+    trivia: new Map()
+};
+
+// Additional collections saved and loaded together with the core user data
+const registeredCollections = new Map();
+
+// Last loaded snapshot, used to fill collections registered after the initial load
+let loadedSnapshot = null;
+
+/**
+ * Register a Map to be persisted through saveAllUserData/loadAllUserData
+ * @param {string} name Collection name used in storage
+ * @param {Map} store Map holding the collection entries
+ * @param {Function} [validate] Returns true for entries that may be saved or loaded
+ * @returns {Map} The registered store (the existing one if the name is already taken)
+ */
+function registerCollection(name, store, validate) {
+    if (!name || !(store instanceof Map)) {
+        throw new Error('registerCollection requires a name and a Map');
+    }
+
+    const existing = registeredCollections.get(name);
+    if (existing) return existing.store;
+
+    registeredCollections.set(name, {
+        store,
+        validate: typeof validate === 'function' ? validate : (value => value !== undefined && value !== null)
+    });
+
+    // Collections registered after startup still get their stored entries
+    if (loadedSnapshot && loadedSnapshot[name]) {
+        restoreCollection(name, loadedSnapshot[name]);
+    }
+
+    return store;
+}
+
+/**
+ * Fill a registered collection from stored data, skipping invalid entries
+ * @param {string} name Collection name
+ * @param {Object} stored Stored entries keyed by ID
+ * @returns {number} Number of entries loaded
+ * @private
+ */
+function restoreCollection(name, stored) {
+    const { store, validate } = registeredCollections.get(name);
+    store.clear();
+
+    if (!stored || typeof stored !== 'object') return 0;
+
+    let loaded = 0;
+    for (const [key, value] of Object.entries(stored)) {
+        if (validate(value)) {
+            store.set(key, value);
+            loaded++;
+        } else {
+            logger.warn(`Skipping invalid ${name} entry ${key}`);
+        }
+    }
+    return loaded;
+}
+
+/**
+ * Serialize a registered collection, skipping invalid entries
+ * @param {string} name Collection name
+ * @returns {Object} Entries keyed by ID
+ * @private
+ */
+function serializeCollection(name) {
+    const { store, validate } = registeredCollections.get(name);
+    const entries = {};
+
+    for (const [key, value] of store.entries()) {
+        if (validate(value)) {
+            entries[key] = value;
+        } else {
+            logger.warn(`Not saving invalid ${name} entry ${key}`);
+        }
+    }
+    return entries;
+}
+
+const isObject = value => !!value && typeof value === 'object';
+
+registerCollection('clans', clanData, clan =>
+    isObject(clan) && typeof clan.name === 'string' && typeof clan.leader === 'string');
+registerCollection('mailboxes', mailboxes, mailbox =>
+    isObject(mailbox) && Array.isArray(mailbox.inbox) && Array.isArray(mailbox.outbox));
+registerCollection('marriageProposals', marriageProposals, proposal =>
+    isObject(proposal) && typeof proposal.proposer === 'string');
+for (const [gameType, games] of Object.entries(activeGames)) {
+    registerCollection(`activeGames.${gameType}`, games, isObject);
+}
+
 /**
  * Initialize a user if they don't exist, with JID normalization
  * @param {string} userId User's unique identifier
@@ -203,44 +307,33 @@ function updateUserProfile(userId, data) {
     return profile;
 }
 
+// Storage driver (JSON file or SQLite), opened on first use
+let storagePromise = null;
+
+/**
+ * Get the opened storage driver configured in config.storage
+ * @returns {Promise<Object>} Storage driver
+ */
+function getStorage() {
+    if (!storagePromise) {
+        storagePromise = openStorage(config.storage).catch(error => {
+            storagePromise = null;
+            throw error;
+        });
+    }
+    return storagePromise;
+}
+
 /**
- * Save all user data to a JSON file with enhanced error handling and data validation
- * @param {string} filename Filename to save to
+ * Save all user data through the configured storage driver with data validation
+ * @param {string} filename Filename to save to (JSON driver only)
  * @returns {Promise<{success: boolean, message: string, path?: string}>} Result object with status and details
  */
 async function saveAllUserData(filename = 'user_data.json') {
     const startTime = Date.now();
-    let backupCreated = false;
-    let tempFilePath = null;
     
     try {
-        // Ensure data directory exists
-        const dataDir = path.join(process.cwd(), 'data');
-        try {
-            await fs.mkdir(dataDir, { recursive: true });
-        } catch (dirErr) {
-            logger.error(`Failed to create data directory: ${dirErr.message}`);
-            return { 
-                success: false, 
-                message: `Failed to create data directory: ${dirErr.message}`
-            };
-        }
-        
-        // Define file paths
-        const filePath = path.join(dataDir, filename);
-        const backupPath = `${filePath}.bak`;
-        tempFilePath = `${filePath}.temp.${Date.now()}`;
-        
-        // Create backup of existing file if it exists
-        try {
-            await fs.access(filePath);
-            await fs.copyFile(filePath, backupPath);
-            backupCreated = true;
-            logger.debug(`Created backup of user data at ${backupPath}`);
-        } catch (backupErr) {
-            // No existing file to backup or backup failed
-            logger.debug(`No existing file to backup or backup failed: ${backupErr.message}`);
-        }
+        const storage = await getStorage();
         
         // Validate user data before saving
         // Count valid profiles
@@ -291,6 +384,7 @@ async function saveAllUserData(filename = 'user_data.json') {
             streaks: Object.fromEntries(streakData),
             checkins: Object.fromEntries(checkinData),
             lottery: [...lotteryParticipants],
+            ...Object.fromEntries([...registeredCollections.keys()].map(name => [name, serializeCollection(name)])),
             _meta: {
                 version: 1,
                 savedAt: new Date().toISOString(),
@@ -299,85 +393,20 @@ async function saveAllUserData(filename = 'user_data.json') {
             }
         };
         
-        // Serialize data with error handling
-        let jsonData;
-        try {
-            jsonData = JSON.stringify(userData, null, 2);
-            if (!jsonData) {
-                throw new Error('JSON serialization resulted in empty string');
-            }
-        } catch (jsonErr) {
-            logger.error(`Failed to stringify user data: ${jsonErr.message}`);
-            return {
-                success: false,
-                message: `Failed to serialize user data: ${jsonErr.message}`
-            };
-        }
-        
-        // Write to temporary file first
-        try {
-            await fs.writeFile(tempFilePath, jsonData, 'utf8');
-        } catch (writeErr) {
-            logger.error(`Failed to write temporary user data file: ${writeErr.message}`);
-            return {
-                success: false,
-                message: `Failed to write user data file: ${writeErr.message}`
-            };
-        }
-        
-        // Validate the written file
-        try {
-            const readData = await fs.readFile(tempFilePath, 'utf8');
-            JSON.parse(readData); // Just to validate it's proper JSON
-        } catch (validateErr) {
-            logger.error(`Validation of written file failed: ${validateErr.message}`);
-            return {
-                success: false,
-                message: `Validation of saved data failed: ${validateErr.message}`
-            };
-        }
-        
-        // Rename temporary file to the actual file
-        try {
-            await fs.rename(tempFilePath, filePath);
-        } catch (renameErr) {
-            logger.error(`Failed to rename temporary file: ${renameErr.message}`);
-            return {
-                success: false,
-                message: `Failed to finalize user data file: ${renameErr.message}`
-            };
-        }
-        
-        // Clean up temporary file if it still exists for some reason
-        try {
-            await fs.access(tempFilePath);
-            await fs.unlink(tempFilePath);
-        } catch {
-            // Temp file doesn't exist or was successfully renamed
-        }
+        const result = await storage.saveAll(userData, filename);
         
         const duration = Date.now() - startTime;
-        logger.info(`User data saved to ${filePath} in ${duration}ms (${validProfileCount} profiles, ${invalidProfileCount} invalid)`);
+        const rowInfo = result.written !== undefined ? `, ${result.written} rows written, ${result.deleted} removed` : '';
+        logger.info(`User data saved to ${result.path} in ${duration}ms (${validProfileCount} profiles, ${invalidProfileCount} invalid${rowInfo})`);
         
         return {
             success: true,
             message: `User data saved successfully (${validProfileCount} profiles)`,
-            path: filePath
+            path: result.path
         };
     } catch (error) {
         logger.error('Unexpected error saving user data:', error);
         
-        // Try to clean up temp file if it exists
-        if (tempFilePath) {
-            try {
-                await fs.access(tempFilePath);
-                await fs.unlink(tempFilePath);
-                logger.debug(`Cleaned up temporary file: ${tempFilePath}`);
-            } catch {
-                // Temp file doesn't exist or can't be deleted
-            }
-        }
-        
         return {
             success: false,
             message: `Unexpected error saving user data: ${error.message}`,
@@ -387,8 +416,8 @@ async function saveAllUserData(filename = 'user_data.json') {
 }
 
 /**
- * Load all user data from a JSON file with enhanced error handling
- * @param {string} filename Filename to load from
+ * Load all user data through the configured storage driver with enhanced error handling
+ * @param {string} filename Filename to load from (JSON driver only)
  * @returns {Promise<{success: boolean, message: string, count?: number}>} Result object with status and details
  */
 async function loadAllUserData(filename = 'user_data.json') {
@@ -403,83 +432,24 @@ async function loadAllUserData(filename = 'user_data.json') {
         afk: new Map(userAfk),
         streaks: new Map(streakData),
         checkins: new Map(checkinData),
-        lottery: new Set(lotteryParticipants)
+        lottery: new Set(lotteryParticipants),
+        collections: new Map([...registeredCollections].map(([name, { store }]) => [name, new Map(store)]))
     };
     
     try {
-        const filePath = path.join(process.cwd(), 'data', filename);
-        const dataDir = path.dirname(filePath);
-        
-        // Check if directory exists, create if not
-        try {
-            await fs.mkdir(dataDir, { recursive: true });
-        } catch (dirErr) {
-            logger.error(`Failed to create data directory: ${dirErr.message}`);
-            return { success: false, message: 'Failed to create data directory' };
-        }
-        
-        // Check if file exists
-        let fileExists = false;
-        try {
-            await fs.access(filePath);
-            fileExists = true;
-        } catch (err) {
-            logger.warn(`User data file ${filePath} not found. Starting with empty data.`);
-            return { success: false, message: 'User data file not found' };
-        }
+        const storage = await getStorage();
         
-        // Read file with extra validation
-        let fileContent;
-        try {
-            fileContent = await fs.readFile(filePath, 'utf8');
-            if (!fileContent || fileContent.trim() === '') {
-                throw new Error('Empty file');
-            }
-        } catch (readErr) {
-            logger.error(`Failed to read user data file: ${readErr.message}`);
-            return { success: false, message: `Failed to read user data file: ${readErr.message}` };
-        }
-        
-        // Parse JSON with validation
         let data;
         try {
-            data = JSON.parse(fileContent);
-            if (!data || typeof data !== 'object') {
-                throw new Error('Invalid data format');
-            }
-        } catch (parseErr) {
-            logger.error(`Failed to parse user data: ${parseErr.message}`);
-            
-            // Create backup of corrupted file for recovery
-            try {
-                const backupPath = `${filePath}.corrupted.${Date.now()}`;
-                await fs.writeFile(backupPath, fileContent);
-                logger.info(`Created backup of corrupted user data at ${backupPath}`);
-            } catch (backupErr) {
-                logger.error(`Failed to backup corrupted data: ${backupErr.message}`);
-            }
-            
-            return { success: false, message: `Failed to parse user data: ${parseErr.message}` };
+            data = await storage.loadAll(filename);
+        } catch (readErr) {
+            logger.error(`Failed to load user data: ${readErr.message}`);
+            return { success: false, message: readErr.message };
         }
         
-        // Backup current data before clearing
-        try {
-            const backupPath = `${filePath}.bak`;
-            await fs.writeFile(backupPath, JSON.stringify({
-                profiles: Object.fromEntries(userProfiles),
-                games: Object.fromEntries(userGames),
-                marriages: Object.fromEntries(marriageData),
-                bank: Object.fromEntries(bankAccounts),
-                jobs: Object.fromEntries(userJobs),
-                pets: Object.fromEntries(petData),
-                afk: Object.fromEntries(userAfk),
-                streaks: Object.fromEntries(streakData),
-                checkins: Object.fromEntries(checkinData),
-                lottery: [...lotteryParticipants]
-            }, null, 2));
-            logger.info(`Created backup of current user data at ${backupPath}`);
-        } catch (backupErr) {
-            logger.warn(`Could not create backup of current data: ${backupErr.message}`);
+        if (!data) {
+            logger.warn(`No stored user data found in ${storage.name} storage. Starting with empty data.`);
+            return { success: false, message: 'User data file not found' };
         }
         
         // Clear existing data
@@ -590,7 +560,13 @@ async function loadAllUserData(filename = 'user_data.json') {
             });
         }
         
-        logger.info(`User data loaded successfully from ${filePath}: ${loadedCount} profiles`);
+        // Load registered collections (clans, mailboxes, proposals, games, ...)
+        for (const name of registeredCollections.keys()) {
+            restoreCollection(name, data[name]);
+        }
+        loadedSnapshot = data;
+        
+        logger.info(`User data loaded successfully from ${storage.name} storage: ${loadedCount} profiles`);
         return { 
             success: true, 
             message: 'User data loaded successfully', 
@@ -600,7 +576,7 @@ async function loadAllUserData(filename = 'user_data.json') {
         logger.error('Error loading user data:', error);
         
         // Restore from backup if we have one and loading failed
-        if (Object.keys(backupData.profiles).length > 0) {
+        if (backupData.profiles.size > 0) {
             try {
                 logger.info('Restoring user data from memory backup...');
                 
@@ -657,6 +633,14 @@ async function loadAllUserData(filename = 'user_data.json') {
                     lotteryParticipants.add(participant);
                 }
                 
+                for (const [name, entries] of backupData.collections) {
+                    const { store } = registeredCollections.get(name);
+                    store.clear();
+                    for (const [key, value] of entries) {
+                        store.set(key, value);
+                    }
+                }
+                
                 logger.info('Restored user data from memory backup');
                 return { 
                     success: false, 
@@ -740,6 +724,8 @@ startAutoSave();
 process.on('SIGINT', async () => {
     logger.info('Process terminated (SIGINT), saving user data...');
     try {
+        // Records still waiting for their delayed save
+        await flushStores();
         const saveResult = await saveAllUserData();
         if (saveResult.success) {
             logger.info(`Successfully saved user data on shutdown: ${saveResult.message}`);
@@ -757,6 +743,8 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
     logger.info('Process terminated (SIGTERM), saving user data...');
     try {
+        // Records still waiting for their delayed save
+        await flushStores();
         const saveResult = await saveAllUserData();
         if (saveResult.success) {
             logger.info(`Successfully saved user data on shutdown: ${saveResult.message}`);
@@ -835,6 +823,11 @@ module.exports = {
     streakData,
     checkinData,
     lotteryParticipants,
+    clanData,
+    mailboxes,
+    marriageProposals,
+    activeGames,
+    registerCollection,
     initializeUserProfile,
     getUserProfile,
     updateUserProfile,
@@ -0,0 +1,160 @@
+/**
+ * Welcome Card - Renders welcome/goodbye images for group members
+ * Uses the same canvas stack and look as the level cards in levelingSystem
+ */
+const axios = require('axios');
+const { createCanvas, loadImage } = require('canvas');
+const logger = require('./logger');
+
+const CARD_WIDTH = 800;
+const CARD_HEIGHT = 300;
+const AVATAR_SIZE = 180;
+
+const CARD_STYLES = {
+    welcome: { accent: '#5865f2', title: 'WELCOME' },
+    goodbye: { accent: '#ed4245', title: 'GOODBYE' }
+};
+
+/**
+ * Download a member's profile picture
+ * @param {Object} sock WhatsApp socket
+ * @param {string} jid Member JID
+ * @returns {Promise<Buffer|null>} Image buffer or null if the member has none or it is private
+ */
+async function fetchProfilePicture(sock, jid) {
+    try {
+        const url = await sock.profilePictureUrl(jid, 'image');
+        if (!url) return null;
+
+        const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 10000 });
+        return Buffer.from(response.data);
+    } catch (err) {
+        logger.debug(`No profile picture for ${jid}: ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Truncate text with an ellipsis so it fits the given width
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {string} text Text to fit
+ * @param {number} maxWidth Max width in pixels
+ * @returns {string} Fitted text
+ */
+function fitText(ctx, text, maxWidth) {
+    if (ctx.measureText(text).width <= maxWidth) return text;
+
+    let truncated = text;
+    while (truncated.length > 0 && ctx.measureText(truncated + '...').width > maxWidth) {
+        truncated = truncated.slice(0, -1);
+    }
+    return truncated + '...';
+}
+
+/**
+ * Draw the member avatar, or their initial when there is no picture
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {Buffer|null} avatar Profile picture
+ * @param {string} name Member name
+ * @param {string} accent Accent color
+ */
+async function drawAvatar(ctx, avatar, name, accent) {
+    const x = 50;
+    const y = (CARD_HEIGHT - AVATAR_SIZE) / 2;
+    const radius = AVATAR_SIZE / 2;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x + radius, y + radius, radius, 0, Math.PI * 2);
+    ctx.closePath();
+    ctx.clip();
+
+    let drawn = false;
+    if (avatar) {
+        try {
+            const image = await loadImage(avatar);
+            ctx.drawImage(image, x, y, AVATAR_SIZE, AVATAR_SIZE);
+            drawn = true;
+        } catch (err) {
+            logger.debug(`Could not load avatar for welcome card: ${err.message}`);
+        }
+    }
+
+    if (!drawn) {
+        ctx.fillStyle = '#292b2f';
+        ctx.fillRect(x, y, AVATAR_SIZE, AVATAR_SIZE);
+        ctx.font = 'bold 80px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText((name || '?').charAt(0).toUpperCase(), x + radius, y + radius);
+    }
+    ctx.restore();
+
+    // Ring around the avatar
+    ctx.beginPath();
+    ctx.arc(x + radius, y + radius, radius + 3, 0, Math.PI * 2);
+    ctx.strokeStyle = accent;
+    ctx.lineWidth = 6;
+    ctx.stroke();
+}
+
+/**
+ * Render a welcome or goodbye card
+ * @param {Object} options Card options
+ * @param {string} [options.type='welcome'] 'welcome' or 'goodbye'
+ * @param {string} options.name Member name or number
+ * @param {string} options.groupName Group name
+ * @param {number} options.memberNumber Member number (welcome) or remaining members (goodbye)
+ * @param {Buffer|null} [options.avatar] Profile picture
+ * @returns {Promise<Buffer|null>} PNG buffer or null if rendering failed
+ */
+async function generateWelcomeCard({ type = 'welcome', name, groupName, memberNumber, avatar = null }) {
+    try {
+        const style = CARD_STYLES[type] || CARD_STYLES.welcome;
+        const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT);
+        const ctx = canvas.getContext('2d');
+
+        // Background and border
+        ctx.fillStyle = '#36393f';
+        ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+        ctx.strokeStyle = style.accent;
+        ctx.lineWidth = 8;
+        ctx.strokeRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+
+        await drawAvatar(ctx, avatar, name, style.accent);
+
+        const textX = 280;
+        const textWidth = CARD_WIDTH - textX - 40;
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+
+        ctx.font = 'bold 40px Arial';
+        ctx.fillStyle = style.accent;
+        ctx.fillText(style.title, textX, 95);
+
+        ctx.font = 'bold 34px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(fitText(ctx, name || 'Member', textWidth), textX, 150);
+
+        ctx.font = '26px Arial';
+        ctx.fillStyle = '#bbbbbb';
+        ctx.fillText(fitText(ctx, `${type === 'goodbye' ? 'left' : 'to'} ${groupName || 'the group'}`, textWidth), textX, 195);
+
+        ctx.font = 'bold 24px Arial';
+        ctx.fillStyle = '#ffffff';
+        const countText = type === 'goodbye' ? `${memberNumber} members remaining` : `Member #${memberNumber}`;
+        ctx.fillText(countText, textX, 245);
+
+        return canvas.toBuffer('image/png', { compressionLevel: 6 });
+    } catch (err) {
+        logger.error('Error generating welcome card:', err);
+        return null;
+    }
+}
+
+module.exports = {
+    fetchProfilePicture,
+    generateWelcomeCard
+};
@@ -0,0 +1,344 @@
+/**
+ * Word Chain Game
+ * Players take turns in join order; every word has to start with the last letter
+ * of the previous one, must be in the language's word list and can't be repeated.
+ * Running out of time eliminates a player, the last one standing wins coins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const ledger = require('./economyLedger');
+const { safeSendMessage, safeSendText } = require('./jidHelper');
+const { languageManager } = require('./language');
+
+const WORDLIST_DIR = path.join(process.cwd(), 'data', 'wordlists');
+
+const JOIN_TIME = 60;               // seconds to join before the game starts by itself
+const DEFAULT_TURN_TIME = 30;       // seconds per turn
+const MIN_TURN_TIME = 10;
+const MAX_TURN_TIME = 120;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 20;
+const MIN_WORD_LENGTH = 3;
+
+// The winner gets a base reward plus a bonus for every opponent
+const WINNER_COINS = 100;
+const COINS_PER_OPPONENT = 25;
+
+// Word lists by language code, loaded on first use
+const wordlists = new Map();
+
+// Running games by group JID
+const games = new Map();
+
+/**
+ * Get the bot languages (see languageManager) that have a word list in data/wordlists
+ * @returns {Array<string>} Language codes
+ */
+function getGameLanguages() {
+    return languageManager.getAvailableLanguages()
+        .filter(lang => fs.existsSync(path.join(WORDLIST_DIR, `${lang}.txt`)));
+}
+
+/**
+ * Load the word list of a language, one word per line, "#" starts a comment
+ * @param {string} lang Language code
+ * @returns {Set<string>|null} Words, or null if there is no list for the language
+ */
+function loadWordlist(lang) {
+    if (wordlists.has(lang)) return wordlists.get(lang);
+
+    const filePath = path.join(WORDLIST_DIR, `${lang}.txt`);
+    if (!fs.existsSync(filePath)) return null;
+
+    const words = new Set(
+        fs.readFileSync(filePath, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#'))
+    );
+    wordlists.set(lang, words);
+
+    logger.info(`Loaded ${words.size} words for word chain (${lang})`);
+    return words;
+}
+
+/**
+ * Reduce a letter to its base form so "ä" chains like "a"
+ * @param {string} letter Letter
+ * @returns {string} Base letter
+ */
+function baseLetter(letter) {
+    return letter.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Get the letter the next word has to start with
+ * @param {string} word Previous word
+ * @returns {string} Letter
+ */
+function getChainLetter(word) {
+    const last = word.charAt(word.length - 1);
+    // No word starts with ß
+    return last === 'ß' ? 's' : baseLetter(last);
+}
+
+/**
+ * Get the running game of a group
+ * @param {string} groupJid Group JID
+ * @returns {Object|null} Game
+ */
+function getGame(groupJid) {
+    return games.get(groupJid) || null;
+}
+
+/**
+ * Get the player whose turn it is
+ * @param {Object} game Game
+ * @returns {string} Player JID
+ */
+function currentPlayer(game) {
+    return game.alive[game.turn];
+}
+
+/**
+ * Open a game for players to join
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @param {Object} options Game options
+ * @param {string} options.lang Word list language
+ * @param {number} [options.turnTime] Seconds per turn
+ * @param {string} options.startedBy Host JID, joins automatically
+ * @returns {Promise<Object>} The new game
+ */
+async function createGame(sock, groupJid, { lang, turnTime = DEFAULT_TURN_TIME, startedBy }) {
+    const game = {
+        groupJid,
+        lang,
+        turnTime,
+        phase: 'joining',
+        players: [startedBy],
+        alive: [],
+        turn: 0,
+        lastWord: null,
+        used: new Set(),
+        words: 0,
+        timer: null,
+        startedBy,
+        createdAt: Date.now()
+    };
+    games.set(groupJid, game);
+
+    await safeSendMessage(sock, groupJid, {
+        text: `🔠 *Word Chain* (${lang})\n\n` +
+            `@${startedBy.split('@')[0]} started a game! Type *!wordchain join* within ${JOIN_TIME}s to play.\n\n` +
+            `Rules:\n` +
+            `• Each word must start with the last letter of the previous word\n` +
+            `• Words need at least ${MIN_WORD_LENGTH} letters and can't be repeated\n` +
+            `• You have ${turnTime}s per turn, running out of time knocks you out\n` +
+            `• The last player standing wins coins`,
+        mentions: [startedBy]
+    });
+
+    game.timer = setTimeout(() => {
+        beginGame(sock, groupJid).catch(err => logger.error('Error starting word chain game:', err));
+    }, JOIN_TIME * 1000);
+
+    logger.info(`Word chain game opened in ${groupJid} (${lang})`);
+    return game;
+}
+
+/**
+ * Add a player to a game that hasn't started yet
+ * @param {string} groupJid Group JID
+ * @param {string} jid Player JID
+ * @returns {string} 'joined', 'already', 'started', 'full' or 'none'
+ */
+function joinGame(groupJid, jid) {
+    const game = games.get(groupJid);
+    if (!game) return 'none';
+    if (game.phase !== 'joining') return 'started';
+    if (game.players.includes(jid)) return 'already';
+    if (game.players.length >= MAX_PLAYERS) return 'full';
+
+    game.players.push(jid);
+    return 'joined';
+}
+
+/**
+ * Announce whose turn it is and start their timer
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} game Game
+ * @param {string} [prefix] Text to put before the announcement
+ */
+async function nextTurn(sock, game, prefix = '') {
+    const player = currentPlayer(game);
+    const rule = game.lastWord
+        ? `a word starting with *${getChainLetter(game.lastWord).toUpperCase()}*`
+        : 'any word to start the chain';
+
+    await safeSendMessage(sock, game.groupJid, {
+        text: `${prefix}👉 @${player.split('@')[0]}, your turn: ${rule} (${game.turnTime}s)`,
+        mentions: [player]
+    });
+
+    clearTimeout(game.timer);
+    const turnWord = game.words;
+    game.timer = setTimeout(() => {
+        turnTimeout(sock, game, turnWord).catch(err => logger.error('Error in word chain turn timeout:', err));
+    }, game.turnTime * 1000);
+}
+
+/**
+ * Start playing once joining is over
+ * @param {Object} sock WhatsApp socket
+ * @param {string} groupJid Group JID
+ * @returns {Promise<boolean>} Whether the game started
+ */
+async function beginGame(sock, groupJid) {
+    const game = games.get(groupJid);
+    if (!game || game.phase !== 'joining') return false;
+
+    clearTimeout(game.timer);
+    if (game.players.length < MIN_PLAYERS) {
+        games.delete(groupJid);
+        await safeSendText(sock, groupJid, `❌ Word chain cancelled, at least ${MIN_PLAYERS} players are needed`);
+        return false;
+    }
+
+    game.phase = 'playing';
+    game.alive = [...game.players];
+    game.turn = 0;
+
+    const order = game.alive.map((jid, i) => `${i + 1}. @${jid.split('@')[0]}`).join('\n');
+    await safeSendMessage(sock, groupJid, {
+        text: `🔠 *Word Chain started!*\n\nTurn order:\n${order}`,
+        mentions: game.alive
+    });
+    await nextTurn(sock, game);
+
+    logger.info(`Word chain game started in ${groupJid} with ${game.alive.length} players`);
+    return true;
+}
+
+/**
+ * Knock out the current player when their time runs out
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} game Game
+ * @param {number} turnWord Word count when the turn started, to ignore stale timers
+ */
+async function turnTimeout(sock, game, turnWord) {
+    if (games.get(game.groupJid) !== game || game.phase !== 'playing' || game.words !== turnWord) return;
+
+    const [out] = game.alive.splice(game.turn, 1);
+    if (game.turn >= game.alive.length) game.turn = 0;
+
+    await safeSendMessage(sock, game.groupJid, {
+        text: `⌛ @${out.split('@')[0]} ran out of time and is out! ${game.alive.length} player${game.alive.length === 1 ? '' : 's'} left`,
+        mentions: [out]
+    });
+
+    if (game.alive.length <= 1) {
+        await finishGame(sock, game);
+        return;
+    }
+    await nextTurn(sock, game);
+}
+
+/**
+ * End a game with a winner and pay out their coins
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} game Game
+ */
+async function finishGame(sock, game) {
+    clearTimeout(game.timer);
+    games.delete(game.groupJid);
+
+    const [winner] = game.alive;
+    if (!winner) return;
+
+    const reward = WINNER_COINS + (game.players.length - 1) * COINS_PER_OPPONENT;
+    ledger.credit(winner, reward, 'word chain win');
+
+    await safeSendMessage(sock, game.groupJid, {
+        text: `🏆 @${winner.split('@')[0]} wins the word chain!\n\n` +
+            `Words played: ${game.words}\n` +
+            `Reward: ${reward} coins`,
+        mentions: [winner]
+    });
+
+    logger.info(`Word chain game in ${game.groupJid} won by ${winner} (${reward} coins)`);
+}
+
+/**
+ * Stop a game without a winner
+ * @param {string} groupJid Group JID
+ * @returns {Object|null} The stopped game, or null if none was running
+ */
+function stopGame(groupJid) {
+    const game = games.get(groupJid);
+    if (!game) return null;
+
+    clearTimeout(game.timer);
+    games.delete(groupJid);
+    return game;
+}
+
+/**
+ * Check a message from the current player as their word
+ * @param {Object} sock WhatsApp socket
+ * @param {Object} message Incoming message
+ * @param {string} text Message text
+ * @returns {Promise<boolean>} Whether the message was taken as a turn
+ */
+async function handleWordChainMessage(sock, message, text) {
+    const groupJid = message.key.remoteJid;
+    const game = games.get(groupJid);
+    if (!game || game.phase !== 'playing') return false;
+
+    const sender = message.key.participant || groupJid;
+    if (sender !== currentPlayer(game)) return false;
+
+    // Only single words count, anything else is just chatting
+    const word = text.trim().toLowerCase();
+    if (!/^\p{L}+$/u.test(word)) return false;
+
+    let problem = null;
+    if (word.length < MIN_WORD_LENGTH) {
+        problem = `words need at least ${MIN_WORD_LENGTH} letters`;
+    } else if (game.lastWord && baseLetter(word.charAt(0)) !== getChainLetter(game.lastWord)) {
+        problem = `the word has to start with *${getChainLetter(game.lastWord).toUpperCase()}*`;
+    } else if (game.used.has(word)) {
+        problem = `*${word}* was already used`;
+    } else if (!loadWordlist(game.lang).has(word)) {
+        problem = `*${word}* is not in the ${game.lang} word list`;
+    }
+
+    if (problem) {
+        await safeSendText(sock, groupJid, `❌ ${problem}, try again!`);
+        return true;
+    }
+
+    game.used.add(word);
+    game.lastWord = word;
+    game.words++;
+    game.turn = (game.turn + 1) % game.alive.length;
+
+    await nextTurn(sock, game, `✅ *${word}*\n`);
+    return true;
+}
+
+module.exports = {
+    DEFAULT_TURN_TIME,
+    MIN_TURN_TIME,
+    MAX_TURN_TIME,
+    MIN_PLAYERS,
+    getGameLanguages,
+    getGame,
+    createGame,
+    joinGame,
+    beginGame,
+    stopGame,
+    handleWordChainMessage
+};
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Ledgers are written under data/ledger of the working directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+process.chdir(dir);
+
+const userDatabase = require('../src/utils/userDatabase');
+const { flushStores } = require('../src/utils/debouncedStore');
+const ledger = require('../src/utils/economyLedger');
+
+const jid = number => `${number}@s.whatsapp.net`;
+
+/**
+ * Create a profile with a starting balance
+ * @param {string} number User number
+ * @param {number} coins Starting balance
+ */
+function addUser(number, coins) {
+    userDatabase.userProfiles.set(jid(number), { name: number, coins });
+}
+
+// A chain only continues with transfers made after the previous one
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+// Wait for the load userDatabase starts on require, it replaces the profiles
+test.before(async () => {
+    await userDatabase.loadAllUserData();
+});
+
+test.after(async () => {
+    userDatabase.stopAutoSave();
+    await flushStores();
+    process.chdir(os.tmpdir());
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('refuses debits and transfers the balance does not cover', () => {
+    addUser('100', 50);
+    assert.strictEqual(ledger.debit(jid('100'), 80, 'shop'), null);
+    assert.strictEqual(ledger.transfer(jid('100'), jid('999'), 80), null);
+    assert.strictEqual(ledger.debit(jid('100'), 20, 'shop'), 30);
+});
+
+test('reports coins that changed outside the ledger', async () => {
+    addUser('200', 100);
+    ledger.credit(jid('200'), 50, 'work');
+    userDatabase.userProfiles.get(jid('200')).coins = 500;
+
+    const { balances } = await ledger.auditEconomy();
+    const issues = balances.filter(issue => issue.number === '200').map(issue => issue.issue);
+    assert.deepStrictEqual(issues, ['balance 500 but the ledger ends at 150']);
+
+    // The next transaction records the difference as drift
+    ledger.credit(jid('200'), 10, 'work');
+    const after = await ledger.auditEconomy();
+    assert.ok(after.balances.some(issue => issue.number === '200' && issue.issue === '+350 coins appeared outside the ledger'));
+});
+
+test('reports invalid balances and unusual income', async () => {
+    addUser('300', -5);
+    addUser('301', 0);
+    ledger.credit(jid('301'), 300000, 'lottery');
+
+    const { balances } = await ledger.auditEconomy();
+    assert.ok(balances.some(issue => issue.number === '300' && issue.issue === 'negative balance -5'));
+    assert.ok(balances.some(issue => issue.number === '301' && issue.issue === 'earned 300000 coins within 24 hours'));
+});
+
+test('finds coins passed along a chain and sent back', async () => {
+    addUser('400', 1000);
+    addUser('401', 0);
+    addUser('402', 0);
+    ledger.transfer(jid('400'), jid('401'), 1000);
+    await tick();
+    ledger.transfer(jid('401'), jid('402'), 900);
+    await tick();
+    ledger.transfer(jid('402'), jid('400'), 900);
+
+    const { chains } = await ledger.auditEconomy();
+    const chain = chains.find(found => found.path[0] === '400');
+    assert.deepStrictEqual(chain, { path: ['400', '401', '402', '400'], amount: 1000, cycle: true });
+});
+
+test('finds several accounts feeding one', async () => {
+    addUser('500', 0);
+    for (const number of ['501', '502']) {
+        addUser(number, 0);
+        ledger.credit(jid(number), 2000, 'work');
+        ledger.transfer(jid(number), jid('500'), 1800);
+    }
+
+    const { funnels } = await ledger.auditEconomy();
+    const funnel = funnels.find(found => found.recipient === '500');
+    assert.deepStrictEqual(funnel && { ...funnel, feeders: [...funnel.feeders].sort() }, {
+        recipient: '500',
+        feeders: ['501', '502'],
+        amount: 3600
+    });
+});
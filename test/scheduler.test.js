@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecurrence } = require('../src/utils/scheduler');
+
+test('parses intervals that divide an hour or a day', () => {
+    assert.deepStrictEqual(parseRecurrence(['every', '30m']), { cron: '*/30 * * * *', description: 'every 30 minutes', consumed: 2 });
+    assert.deepStrictEqual(parseRecurrence(['every', '2h']), { cron: '0 */2 * * *', description: 'every 2 hours', consumed: 2 });
+    assert.strictEqual(parseRecurrence(['every', '5m', 'Hello']).cron, '*/5 * * * *');
+});
+
+test('refuses intervals that would not be evenly spaced or are too short', () => {
+    for (const interval of ['45m', '7m', '4m', '60m', '5h', '24h', '0h', '10s']) {
+        assert.strictEqual(parseRecurrence(['every', interval]), null, `${interval} should be refused`);
+    }
+});
+
+test('parses day and time schedules', () => {
+    assert.deepStrictEqual(parseRecurrence(['every', 'Monday', '9:00', 'Standup']), {
+        cron: '0 9 * * 1',
+        description: 'every monday 9:00',
+        consumed: 3
+    });
+    assert.strictEqual(parseRecurrence(['every', 'weekday', '8:30']).cron, '30 8 * * 1-5');
+    assert.strictEqual(parseRecurrence(['every', 'day', '18']).cron, '0 18 * * *');
+    assert.strictEqual(parseRecurrence(['every', 'monday', '24:00']), null);
+    assert.strictEqual(parseRecurrence(['every', 'someday', '9:00']), null);
+    assert.strictEqual(parseRecurrence(['every', 'monday']), null);
+});
+
+test('parses cron expressions', () => {
+    assert.deepStrictEqual(parseRecurrence(['cron', '0', '9', '*', '*', '1', 'Weekly']), {
+        cron: '0 9 * * 1',
+        description: 'cron 0 9 * * 1',
+        consumed: 6
+    });
+    assert.strictEqual(parseRecurrence(['cron', '0', '9', '*', '*']), null);
+    assert.strictEqual(parseRecurrence(['cron', '61', '9', '*', '*', '1']), null);
+    assert.strictEqual(parseRecurrence(['at', '9:00']), null);
+});
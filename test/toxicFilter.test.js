@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validatePattern, findToxicMatch } = require('../src/utils/toxicFilter');
+
+test('refuses patterns that backtrack catastrophically', () => {
+    for (const pattern of ['(a+)+$', '(a|aa)+', '(\\w+\\s?)+$', '(.*a){5}', 'a*a*b', '\\w+\\d+x', '(a)\\1']) {
+        assert.ok(validatePattern(pattern), `${pattern} should be refused`);
+    }
+});
+
+test('accepts ordinary filter patterns', () => {
+    for (const pattern of ['f+u+c+k+', 'b[a@4]d\\s*word', '\\bspam\\b', '.*free money.*', 'https?://\\S+', '(?:buy|sell) now', '\\d{3}-\\d{4}']) {
+        assert.strictEqual(validatePattern(pattern), null, `${pattern} should be accepted`);
+    }
+});
+
+test('stored unsafe patterns are skipped and long messages stay fast', () => {
+    const started = Date.now();
+    const filter = { words: [], patterns: ['(a+)+$', 'x+y'], useDefaults: false };
+    assert.strictEqual(findToxicMatch(`${'a'.repeat(5000)}!`, filter), null);
+    assert.ok(Date.now() - started < 1000);
+});